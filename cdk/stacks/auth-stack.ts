@@ -95,6 +95,9 @@ export class TirBrowserAuthStack extends cdk.Stack {
       serviceSecretArn
     );
 
+    // Optional private key secret for RS256/ES256 service tokens
+    const signingKeysArn = envVars.SERVICE_SIGNING_KEYS_ARN;
+
     // Create CloudWatch log group with minimal retention (3 hours)
     const logGroup = new logs.LogGroup(this, 'AuthLogGroup', {
       logGroupName: `/tir-browser/${environment}/auth`,
@@ -136,7 +139,9 @@ export class TirBrowserAuthStack extends cdk.Stack {
         NODE_ENV: envVars.NODE_ENV || environment,
         SERVICE_VERSION: envVars.SERVICE_VERSION || serviceVersion,
         // Add SERVICE_SECRET_ARN for auth middleware
-        SERVICE_SECRET_ARN: serviceSecretArn
+        SERVICE_SECRET_ARN: serviceSecretArn,
+        // Asymmetric service token keys (filtered above because the name contains KEY)
+        ...(signingKeysArn ? { SERVICE_SIGNING_KEYS_ARN: signingKeysArn } : {})
       },
       secrets: {
         SERVICE_SECRET: ecs.Secret.fromSecretsManager(serviceSecret)
@@ -302,13 +307,16 @@ export class TirBrowserAuthStack extends cdk.Stack {
       resources: [`arn:aws:logs:${cdk.Aws.REGION}:${cdk.Aws.ACCOUNT_ID}:log-group:/tir-browser/${environment}/auth*`]
     }));
     
-    // Grant Cognito permissions for user authentication
+    // Grant Cognito permissions for user authentication and for suspending, reactivating and erasing users
     (this.taskDefinition.taskRole as iam.Role).addToPolicy(new iam.PolicyStatement({
       effect: iam.Effect.ALLOW,
       actions: [
         'cognito-idp:GetUser',
         'cognito-idp:AdminGetUser',
-        'cognito-idp:ListUsers'
+        'cognito-idp:ListUsers',
+        'cognito-idp:AdminDisableUser',
+        'cognito-idp:AdminEnableUser',
+        'cognito-idp:AdminUserGlobalSignOut'
       ],
       resources: [`arn:aws:cognito-idp:${cdk.Aws.REGION}:${cdk.Aws.ACCOUNT_ID}:userpool/*`]
     }));
@@ -320,7 +328,7 @@ export class TirBrowserAuthStack extends cdk.Stack {
         'secretsmanager:GetSecretValue',
         'secretsmanager:DescribeSecret'
       ],
-      resources: [serviceSecretArn]
+      resources: signingKeysArn ? [serviceSecretArn, signingKeysArn] : [serviceSecretArn]
     }));
 
     // Outputs
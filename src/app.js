@@ -17,7 +17,16 @@ const metricsService = require('./services/metrics');
 
 // Route imports
 const healthRoutes = require('./routes/health');
+const wellKnownRoutes = require('./routes/well-known');
+const oauthRoutes = require('./routes/oauth');
 const apiRoutes = require('./routes/api');
+const userRoutes = require('./routes/users');
+const companyRoutes = require('./routes/companies');
+const roleRoutes = require('./routes/roles');
+const verificationRoutes = require('./routes/verifications');
+const invitationRoutes = require('./routes/invitations');
+const devIdpRoutes = require('./routes/dev-idp');
+const { isLocalIdpEnabled } = require('./services/local-identity-provider');
 
 // Initialize Express application
 const app = express();
@@ -53,8 +62,10 @@ app.use(cors({
 app.use(compression());
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Raw bodies are kept for service token request binding
+const captureRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
 
 /**
  * MANDATORY TIR Browser Middleware
@@ -94,7 +105,23 @@ app.get('/api-docs.json', (req, res) => {
 // Health check routes (no authentication required)
 app.use('/', healthRoutes);
 
+// Public verification keys (no authentication required)
+app.use('/', wellKnownRoutes);
+
+// OAuth2 token endpoints (client authentication)
+app.use('/oauth', oauthRoutes);
+
+// Local identity provider for development user tokens (LOCAL_IDP_ENABLED=true only)
+if (isLocalIdpEnabled()) {
+    app.use('/dev', devIdpRoutes);
+}
+
 // API routes (authentication required)
+app.use('/api/users', userRoutes);
+app.use('/api/companies', companyRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/verifications', verificationRoutes);
+app.use('/api/invitations', invitationRoutes);
 app.use('/api', apiRoutes);
 
 // Root endpoint
@@ -114,6 +141,8 @@ app.get('/', (req, res) => {
             readiness: '/ready',
             status: '/status',
             api: '/api',
+            jwks: '/.well-known/jwks.json',
+            token: '/oauth/token',
             documentation: '/api-docs'
         },
         documentation: {
@@ -296,7 +325,9 @@ async function startApplication() {
     }
 }
 
-// Start the application
-startApplication();
+// Start the application when run directly; tests import the app without listening
+if (require.main === module) {
+    startApplication();
+}
 
 module.exports = app;
\ No newline at end of file
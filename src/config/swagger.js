@@ -31,13 +31,18 @@ const options = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT',
-          description: 'AWS Cognito JWT token'
+          description: 'User JWT from a trusted issuer (AWS Cognito)'
         },
         ServiceAuth: {
           type: 'apiKey',
           in: 'header',
           name: 'X-Service-Token',
           description: 'Service-to-service JWT token'
+        },
+        ClientBasicAuth: {
+          type: 'http',
+          scheme: 'basic',
+          description: 'OAuth2 client_id and client_secret'
         }
       },
       schemas: {
@@ -56,6 +61,145 @@ const options = {
             correlationId: { type: 'string' },
             timestamp: { type: 'string', format: 'date-time' }
           }
+        },
+        UserProfile: {
+          type: 'object',
+          properties: {
+            userId: { type: 'string', example: 'usr_123456789' },
+            user_type: { type: 'string', enum: ['DRIVER', 'PROVIDER', 'INTERNAL'] },
+            status: { type: 'string', enum: ['ACTIVE', 'SUSPENDED', 'DEACTIVATED'] },
+            status_reason: { type: 'string', nullable: true },
+            country: { type: 'string', example: 'AZ', nullable: true },
+            profile_data: { type: 'object' },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        Company: {
+          type: 'object',
+          properties: {
+            companyId: { type: 'string', example: 'comp_789' },
+            company_type: { type: 'string', enum: ['SHIPPING', 'PROVIDER'] },
+            company_name: { type: 'string', example: 'ABC Logistics' },
+            license_number: { type: 'string', example: 'LOG123456' },
+            tax_id: { type: 'string' },
+            address: { type: 'string' },
+            country: { type: 'string', example: 'AZ' },
+            certifications: { type: 'array', items: { type: 'string' } },
+            contact_info: { type: 'object' },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        RoleDefinition: {
+          type: 'object',
+          properties: {
+            role_name: { type: 'string', example: 'driver' },
+            description: { type: 'string', nullable: true },
+            permissions: { type: 'array', items: { type: 'string' }, example: ['route:read', 'shipment:accept'] },
+            created_at: { type: 'string', format: 'date-time', nullable: true },
+            updated_at: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        RoleAssignment: {
+          type: 'object',
+          properties: {
+            userId: { type: 'string', example: 'usr_123456789' },
+            role_name: { type: 'string', example: 'driver' },
+            assigned_at: { type: 'string', format: 'date-time' },
+            assigned_by: { type: 'string', example: 'usr_admin123' }
+          }
+        },
+        Certification: {
+          type: 'object',
+          required: ['name', 'number'],
+          properties: {
+            name: { type: 'string', example: 'ISO 9001' },
+            number: { type: 'string', example: 'QMS-2023-0042' },
+            issued_by: { type: 'string', example: 'TUV Nord' },
+            valid_until: { type: 'string', format: 'date', example: '2026-06-30' }
+          }
+        },
+        ProviderVerification: {
+          type: 'object',
+          properties: {
+            userId: { type: 'string', example: 'usr_987654321' },
+            status: { type: 'string', enum: ['PENDING', 'IN_REVIEW', 'VERIFIED', 'REJECTED'] },
+            tax_id: { type: 'string', example: 'TR-1234567890' },
+            company_name: { type: 'string', nullable: true, example: 'Anatolia Logistics' },
+            certifications: { type: 'array', items: { $ref: '#/components/schemas/Certification' } },
+            submitted_at: { type: 'string', format: 'date-time' },
+            reviewed_at: { type: 'string', format: 'date-time', nullable: true },
+            reviewed_by: { type: 'string', nullable: true, example: 'usr_admin123' },
+            review_notes: { type: 'string', nullable: true },
+            updated_at: { type: 'string', format: 'date-time' },
+            history: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  from_status: { type: 'string', nullable: true },
+                  to_status: { type: 'string' },
+                  notes: { type: 'string', nullable: true },
+                  changed_by: { type: 'string' },
+                  changed_at: { type: 'string', format: 'date-time' }
+                }
+              }
+            }
+          }
+        },
+        DriverEmployment: {
+          type: 'object',
+          properties: {
+            companyId: { type: 'string', example: 'comp_789' },
+            driver_id: { type: 'string', example: 'D-AZ-240115-X7Y8TU' },
+            employment_type: { type: 'string', enum: ['FULL_TIME', 'PART_TIME', 'CONTRACTOR'] },
+            start_date: { type: 'string', format: 'date' },
+            status: { type: 'string', enum: ['ACTIVE', 'SUSPENDED', 'TERMINATED'] },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        CompanyInvitation: {
+          type: 'object',
+          properties: {
+            invitation_id: { type: 'string', example: 'inv_5f2c9a0b1d3e4f5a6b7c8d9e' },
+            company_id: { type: 'string', example: 'comp_789' },
+            channel: { type: 'string', enum: ['PHONE', 'EMAIL'] },
+            phone: { type: 'string', example: '+994501234567' },
+            email: { type: 'string', format: 'email' },
+            employment_type: { type: 'string', enum: ['FULL_TIME', 'PART_TIME', 'CONTRACTOR'] },
+            start_date: { type: 'string', format: 'date' },
+            status: { type: 'string', enum: ['PENDING', 'ACCEPTED', 'REVOKED', 'EXPIRED'] },
+            expires_at: { type: 'string', format: 'date-time' },
+            created_at: { type: 'string', format: 'date-time' },
+            created_by: { type: 'string', example: 'usr_company_admin' },
+            accepted_at: { type: 'string', format: 'date-time', nullable: true },
+            accepted_by: { type: 'string', nullable: true },
+            driver_id: { type: 'string', nullable: true, example: 'D-AZ-240115-X7Y8TU' },
+            revoked_at: { type: 'string', format: 'date-time', nullable: true },
+            revoked_by: { type: 'string', nullable: true },
+            updated_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        DriverDocument: {
+          type: 'object',
+          required: ['type', 'number', 'issuingCountry', 'expiryDate'],
+          properties: {
+            type: { type: 'string', enum: ['DRIVER_LICENSE', 'TIR_CERTIFICATE', 'ADR_CERTIFICATE', 'VEHICLE_REGISTRATION'] },
+            number: { type: 'string', example: 'DL123456' },
+            issuingCountry: { type: 'string', example: 'AZ' },
+            expiryDate: { type: 'string', format: 'date', example: '2026-12-31' }
+          }
+        },
+        PrioritizationExclusion: {
+          type: 'object',
+          nullable: true,
+          properties: {
+            reasons: { type: 'array', items: { type: 'string' }, example: ['TIR certificate expired on 2024-05-31'] },
+            orderId: { type: 'string', example: 'ORD-000001' },
+            excludedAt: { type: 'string', format: 'date-time' }
+          }
         }
       }
     }
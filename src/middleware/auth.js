@@ -1,65 +1,286 @@
 // TIR Browser Platform - Service Authentication Middleware
-// Implements service-to-service JWT authentication with shared secret
+// Implements service-to-service JWT authentication with shared secret or asymmetric keys
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const jwksClient = require('jwks-rsa');
-const { promisify } = require('util');
-const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+const { createSecretsClient, getSecretVersion } = require('../services/secrets');
+const { signingKeyStore, SUPPORTED_ALGORITHMS } = require('../services/signing-keys');
+const { getConfigService } = require('../services/config');
+const { tokenDenylist } = require('../services/token-denylist');
+const { computeRequestBinding, jtiStore } = require('../services/replay-protection');
+const { TokenCache } = require('../services/token-cache');
+const { userTokenVerifier } = require('../services/user-token-verifier');
+const { userRepository } = require('../services/users');
 const logger = require('../services/logger')('auth:auth-middleware');
 
+const SECRET_REFRESH_INTERVAL = parseInt(process.env.SERVICE_SECRET_REFRESH_INTERVAL_MS || String(5 * 60 * 1000));
+const SECRET_GRACE_PERIOD = parseInt(process.env.SERVICE_SECRET_GRACE_PERIOD_MS || String(10 * 60 * 1000));
+const UNKNOWN_KID_REFRESH_THROTTLE = 30 * 1000; // Minimum gap between kid-triggered refreshes
+
+// shared-secret: HS256 only (legacy), hybrid: sign asymmetric and accept both, asymmetric: RS256/ES256 only
+const SERVICE_AUTH_MODES = ['shared-secret', 'hybrid', 'asymmetric'];
+
 /**
  * Service Authentication Class
- * Handles JWT token generation and verification for service-to-service communication
+ * Handles JWT token generation and verification for service-to-service communication.
+ * Supports zero-downtime rotation: tokens carry the Secrets Manager version ID as `kid`,
+ * new tokens are signed with AWSCURRENT and AWSPREVIOUS is still accepted during a grace window.
+ * SERVICE_AUTH_MODE selects shared-secret (HS256), asymmetric (RS256/ES256) or hybrid operation.
  */
 class ServiceAuth {
-    constructor() {
-        this.secretArn = process.env.SERVICE_SECRET_ARN;
-        this.secret = null;
-        this.secretsClient = new SecretsManagerClient({ region: process.env.AWS_REGION || 'eu-central-1' });
+    constructor(options = {}) {
+        this.mode = options.mode || process.env.SERVICE_AUTH_MODE || 'shared-secret';
+        this.signingKeys = options.signingKeys || signingKeyStore;
+        this.jwksUri = options.jwksUri || process.env.SERVICE_JWKS_URI; // Verify against a remote JWKS instead of local keys
+        this.jwksClient = null;
+        this.secretArn = options.secretArn || process.env.SERVICE_SECRET_ARN;
+        this.secretsClient = options.secretsClient || createSecretsClient();
+        this.refreshInterval = options.refreshInterval || SECRET_REFRESH_INTERVAL;
+        this.gracePeriod = options.gracePeriod ?? SECRET_GRACE_PERIOD;
+        this.keys = new Map(); // kid -> { secret, stage, createdAt }
+        this.currentKid = null;
+        this.lastRefresh = 0;
+        this.refreshPromise = null;
+        this.refreshTimer = null;
+        
+        if (!SERVICE_AUTH_MODES.includes(this.mode)) {
+            throw new Error(`Invalid SERVICE_AUTH_MODE: ${this.mode}`);
+        }
         
-        if (!this.secretArn) {
+        if (!this.secretArn && this.mode !== 'asymmetric') {
             throw new Error('SERVICE_SECRET_ARN environment variable is required');
         }
     }
     
     /**
-     * Fetch secret from AWS Secrets Manager
-     * @returns {Promise<string>} - The secret value
+     * Reload current and previous keys from AWS Secrets Manager
+     * Concurrent callers share a single in-flight refresh
+     * @returns {Promise<void>}
+     */
+    async refreshKeys() {
+        if (this.refreshPromise) {
+            return this.refreshPromise;
+        }
+        
+        this.refreshPromise = (async () => {
+            try {
+                const [current, previous] = await Promise.all([
+                    getSecretVersion(this.secretsClient, this.secretArn, 'AWSCURRENT'),
+                    getSecretVersion(this.secretsClient, this.secretArn, 'AWSPREVIOUS')
+                ]);
+                const toKey = version => ({ secret: version.value, stage: version.stage, createdAt: version.createdAt });
+                
+                const keys = new Map();
+                keys.set(current.versionId, toKey(current));
+                if (previous && previous.versionId !== current.versionId) {
+                    keys.set(previous.versionId, toKey(previous));
+                }
+                
+                if (this.currentKid && this.currentKid !== current.versionId) {
+                    logger.info('Service secret rotation detected', {
+                        previousKid: this.currentKid,
+                        currentKid: current.versionId,
+                        category: 'service_authentication'
+                    });
+                }
+                
+                this.keys = keys;
+                this.currentKid = current.versionId;
+                this.lastRefresh = Date.now();
+            } catch (error) {
+                logger.error('Failed to fetch service secret from AWS Secrets Manager', error, {
+                    secretArn: this.secretArn,
+                    category: 'service_authentication'
+                });
+                throw error;
+            } finally {
+                this.refreshPromise = null;
+            }
+        })();
+        
+        return this.refreshPromise;
+    }
+    
+    /**
+     * Ensure keys are loaded and the scheduled refresh is running
+     * @returns {Promise<void>}
+     */
+    async ensureKeys() {
+        if (!this.currentKid) {
+            await this.refreshKeys();
+            this.startScheduledRefresh();
+        }
+    }
+    
+    // Periodically pick up rotated secrets without waiting for an unknown kid
+    startScheduledRefresh() {
+        if (this.refreshTimer) {
+            return;
+        }
+        
+        this.refreshTimer = setInterval(() => {
+            this.refreshKeys().catch(() => {
+                // Already logged - keep serving the keys we have
+            });
+        }, this.refreshInterval);
+        this.refreshTimer.unref();
+    }
+    
+    // Stop the scheduled refresh (used on shutdown and in tests)
+    stopScheduledRefresh() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+    
+    /**
+     * Get the current signing secret
+     * @returns {Promise<string>} - The AWSCURRENT secret value
      */
     async getSecret() {
-        if (this.secret) {
-            return this.secret;
+        await this.ensureKeys();
+        return this.keys.get(this.currentKid).secret;
+    }
+    
+    /**
+     * Resolve the verification secret for a token key ID
+     * Unknown kids trigger a throttled refresh; previous keys expire after the grace window
+     * @param {string|undefined} kid - Key ID from the token header
+     * @returns {Promise<string|null>} - Secret or null if the key is not accepted
+     */
+    async getVerificationSecret(kid) {
+        await this.ensureKeys();
+        
+        // Tokens minted before rotation support carry no kid
+        if (!kid) {
+            return this.keys.get(this.currentKid).secret;
         }
         
-        try {
-            const command = new GetSecretValueCommand({ SecretId: this.secretArn });
-            const response = await this.secretsClient.send(command);
-            this.secret = response.SecretString;
-            return this.secret;
-        } catch (error) {
-            logger.error('Failed to fetch service secret from AWS Secrets Manager', {
-                error: error.message,
-                secretArn: this.secretArn,
+        if (!this.keys.has(kid) && Date.now() - this.lastRefresh > UNKNOWN_KID_REFRESH_THROTTLE) {
+            logger.info('Unknown service token kid, refreshing keys', {
+                kid,
                 category: 'service_authentication'
             });
-            throw error;
+            await this.refreshKeys();
         }
+        
+        const key = this.keys.get(kid);
+        if (!key) {
+            return null;
+        }
+        
+        if (key.stage === 'AWSPREVIOUS') {
+            const rotatedAt = this.keys.get(this.currentKid).createdAt;
+            if (Date.now() - rotatedAt > this.gracePeriod) {
+                return null;
+            }
+        }
+        
+        return key.secret;
     }
 
     /**
      * Generate JWT token for service-to-service communication
      * @param {string} serviceName - Name of the calling service
-     * @returns {Promise<string>} - JWT token valid for 5 minutes
+     * @param {object} options - Token options
+     * @param {string} options.audience - Target service the token is intended for
+     * @param {string[]} options.scope - Scopes requested for the call
+     * @param {number} options.expiresIn - Lifetime in seconds (default 5 minutes)
+     * @param {string} options.clientId - OAuth client the token was issued to
+     * @param {object} options.request - Bind the token to one request: { method, path, body }
+     * @returns {Promise<string>} - Signed JWT token
      */
-    async generateToken(serviceName) {
-        const secret = await this.getSecret();
+    async generateToken(serviceName, options = {}) {
         const payload = {
             service: serviceName,
+            jti: crypto.randomUUID(), // Unique token ID for replay detection and revocation
             iat: Math.floor(Date.now() / 1000), // Issued At Time
-            exp: Math.floor(Date.now() / 1000) + (5 * 60) // 5 minutes expiration
+            exp: Math.floor(Date.now() / 1000) + (options.expiresIn || 5 * 60) // 5 minutes expiration by default
         };
         
-        return jwt.sign(payload, secret);
+        if (options.request) {
+            const { method, path, body } = options.request;
+            payload.request_hash = computeRequestBinding(method, path, body);
+        }
+        
+        if (options.clientId) {
+            payload.client_id = options.clientId;
+        }
+        
+        if (options.audience) {
+            payload.aud = options.audience;
+        }
+        
+        if (options.scope?.length) {
+            payload.scope = options.scope.join(' ');
+        }
+        
+        if (this.mode === 'shared-secret') {
+            const secret = await this.getSecret();
+            return jwt.sign(payload, secret, { keyid: this.currentKid });
+        }
+        
+        const signingKey = await this.signingKeys.getActiveKey();
+        return jwt.sign(payload, signingKey.privateKey, { algorithm: signingKey.alg, keyid: signingKey.kid });
+    }
+
+    /**
+     * Resolve the public key for an asymmetric service token
+     * Uses SERVICE_JWKS_URI when set, otherwise this service's own signing keys
+     * @param {string} kid - Key ID from the token header
+     * @returns {Promise<string|KeyObject|null>} - Public key or null if unknown
+     */
+    async getPublicKey(kid) {
+        if (!kid) {
+            return null;
+        }
+        
+        if (!this.jwksUri) {
+            const key = await this.signingKeys.getPublicKey(kid);
+            return key ? key.publicKey : null;
+        }
+        
+        if (!this.jwksClient) {
+            // Cached the same way as the user token issuer JWKS clients
+            this.jwksClient = jwksClient({
+                cache: true,
+                cacheMaxEntries: 5,
+                cacheMaxAge: 10 * 60 * 1000, // 10 minutes
+                rateLimit: true,
+                jwksRequestsPerMinute: 10,
+                jwksUri: this.jwksUri
+            });
+        }
+        
+        try {
+            const signingKey = await this.jwksClient.getSigningKey(kid);
+            return signingKey.getPublicKey();
+        } catch (error) {
+            if (error.name === 'SigningKeyNotFoundError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Resolve the verification key for a token, honouring SERVICE_AUTH_MODE
+     * @param {string} alg - Algorithm from the token header
+     * @param {string|undefined} kid - Key ID from the token header
+     * @returns {Promise<string|KeyObject|null>} - Key or null if the token is not accepted
+     */
+    async getVerificationKey(alg, kid) {
+        if (alg === 'HS256') {
+            return this.mode === 'asymmetric' ? null : this.getVerificationSecret(kid);
+        }
+        
+        if (SUPPORTED_ALGORITHMS.includes(alg)) {
+            return this.mode === 'shared-secret' ? null : this.getPublicKey(kid);
+        }
+        
+        return null;
     }
 
     /**
@@ -69,8 +290,18 @@ class ServiceAuth {
      */
     async verifyToken(token) {
         try {
-            const secret = await this.getSecret();
-            return jwt.verify(token, secret);
+            const decodedHeader = jwt.decode(token, { complete: true });
+            if (!decodedHeader) {
+                throw new Error('Invalid token format');
+            }
+            
+            const { alg, kid } = decodedHeader.header;
+            const key = await this.getVerificationKey(alg, kid);
+            if (!key) {
+                throw new Error(`Service token key not accepted: ${alg}/${kid}`);
+            }
+            
+            return jwt.verify(token, key, { algorithms: [alg] });
         } catch (error) {
             logger.warn('Service token verification failed', {
                 error: error.message,
@@ -84,118 +315,347 @@ class ServiceAuth {
 // Singleton instance
 const serviceAuth = new ServiceAuth();
 
-// AWS Cognito configuration
-const cognitoConfig = {
-    region: process.env.COGNITO_REGION || 'eu-central-1',
-    userPoolId: process.env.COGNITO_USER_POOL_ID,
-    clientId: process.env.COGNITO_CLIENT_ID
-};
+// Verified user tokens, bounded and keyed by token hash (size/TTL tunable through the config service)
+const tokenCache = new TokenCache();
 
-// Token cache for performance optimization
-const tokenCache = new Map();
-const TOKEN_CACHE_TTL = 5 * 60 * 1000; // 5 minutes in milliseconds
-
-// Periodic cleanup of expired tokens from cache
-setInterval(() => {
-    const now = Date.now();
-    let expiredCount = 0;
-    
-    tokenCache.forEach((value, key) => {
-        if (value.expiresAt <= now) {
-            tokenCache.delete(key);
-            expiredCount++;
-        }
-    });
+/**
+ * Load the per-service allowlist from the config service
+ * SERVICE_AUTH_ALLOWLIST is a JSON map of calling service -> scopes it may use,
+ * e.g. {"order-service": ["drivers:prioritize"]}. When unset, every caller is allowed.
+ * @returns {Promise<object|null>} - Allowlist or null if not configured
+ */
+async function getServiceAllowlist() {
+    const rawAllowlist = await getConfigService().get('SERVICE_AUTH_ALLOWLIST');
+    if (!rawAllowlist) {
+        return null;
+    }
     
-    if (expiredCount > 0) {
-        logger.debug(`Cleaned up ${expiredCount} expired tokens from cache`, {
-            cacheSize: tokenCache.size,
-            category: 'cache_maintenance'
+    try {
+        return typeof rawAllowlist === 'string' ? JSON.parse(rawAllowlist) : rawAllowlist;
+    } catch (error) {
+        logger.error('Invalid SERVICE_AUTH_ALLOWLIST configuration', error, {
+            category: 'configuration_error'
         });
+        // Fail closed - a broken allowlist must not open internal routes
+        return {};
     }
-}, 60 * 1000); // Run every minute
-
-// Validate required Cognito configuration
-if (!cognitoConfig.userPoolId) {
-    logger.error('Missing required environment variable: COGNITO_USER_POOL_ID', {
-        category: 'configuration_error'
-    });
 }
 
-if (!cognitoConfig.clientId) {
-    logger.error('Missing required environment variable: COGNITO_CLIENT_ID', {
-        category: 'configuration_error'
-    });
+/**
+ * Check a token's request binding against the incoming request
+ * Relies on req.rawBody captured by the body parsers in app.js
+ * @param {object} req - Express request
+ * @param {object} decoded - Verified token claims
+ * @returns {boolean} - True if the token is bound to this request
+ */
+function matchesRequestBinding(req, decoded) {
+    return decoded.request_hash === computeRequestBinding(req.method, req.originalUrl, req.rawBody);
 }
 
-// Initialize JWKS client for Cognito token verification
-const jwksClientInstance = jwksClient({
-    cache: true,
-    cacheMaxEntries: 5, // Default value
-    cacheMaxAge: 10 * 60 * 1000, // 10 minutes
-    jwksUri: `https://cognito-idp.${cognitoConfig.region}.amazonaws.com/${cognitoConfig.userPoolId}/.well-known/jwks.json`,
-    handleSigningKeyError: (err) => {
-        logger.error('JWKS signing key error', err, {
-            category: 'authentication_error'
-        });
-    }
-});
-
-// Promisify the getSigningKey function
-const getSigningKey = promisify(jwksClientInstance.getSigningKey);
-
 /**
- * MANDATORY: Service authentication middleware for internal endpoints
+ * MANDATORY: Service authentication middleware factory for internal endpoints
  * Validates X-Service-Token header for service-to-service communication
+ * @param {object} options - Per-route requirements
+ * @param {string[]} options.services - Calling services accepted by the route
+ * @param {string[]} options.scopes - Scopes the token must carry
+ * @param {boolean} options.rejectReplay - Accept each jti only once per request (SERVICE_TOKEN_REJECT_REPLAY)
+ * @param {boolean} options.requireRequestBinding - Reject tokens not bound to the request (SERVICE_TOKEN_REQUIRE_BINDING)
+ * @returns {Function} - Express middleware
  */
-async function verifyServiceAuth(req, res, next) {
-    const token = req.headers['x-service-token'];
+function requireServiceAuth(options = {}) {
+    const {
+        services = null,
+        scopes = [],
+        rejectReplay = process.env.SERVICE_TOKEN_REJECT_REPLAY === 'true',
+        requireRequestBinding = process.env.SERVICE_TOKEN_REQUIRE_BINDING === 'true'
+    } = options;
     
-    if (!token) {
-        logger.warn('Service token missing', {
-            path: req.path,
-            method: req.method,
-            category: 'service_authentication'
-        });
+    return async (req, res, next) => {
+        const token = req.headers['x-service-token'];
         
-        return res.status(401).json({
-            error: 'Service token required',
-            correlationId: req.correlationId,
-            timestamp: new Date().toISOString()
-        });
-    }
-    
-    const decoded = await serviceAuth.verifyToken(token);
-    if (!decoded) {
-        logger.warn('Invalid service token', {
-            path: req.path,
-            method: req.method,
-            category: 'service_authentication'
-        });
+        if (!token) {
+            logger.warn('Service token missing', {
+                path: req.path,
+                method: req.method,
+                category: 'service_authentication'
+            });
+            
+            return res.status(401).json({
+                error: 'Service token required',
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+        }
         
-        return res.status(403).json({
-            error: 'Invalid service token',
-            correlationId: req.correlationId,
-            timestamp: new Date().toISOString()
-        });
+        // Key, denylist, allowlist and replay lookups reach Secrets Manager, DynamoDB and the config service
+        try {
+            const decoded = await serviceAuth.verifyToken(token);
+            if (!decoded) {
+                logger.warn('Invalid service token', {
+                    path: req.path,
+                    method: req.method,
+                    category: 'service_authentication'
+                });
+                
+                return res.status(403).json({
+                    error: 'Invalid service token',
+                    correlationId: req.correlationId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            if (await tokenDenylist.isRevoked(token, decoded)) {
+                logger.warn('Revoked service token rejected', {
+                    callingService: decoded.service,
+                    jti: decoded.jti,
+                    path: req.path,
+                    category: 'service_authentication'
+                });
+                
+                return res.status(401).json({
+                    error: 'Service token revoked',
+                    correlationId: req.correlationId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            const expectedAudience = process.env.SERVICE_AUDIENCE || process.env.SERVICE_NAME || 'auth';
+            const audiences = [].concat(decoded.aud || []);
+            if (!audiences.includes(expectedAudience)) {
+                logger.warn('Service token audience mismatch', {
+                    callingService: decoded.service,
+                    audience: decoded.aud,
+                    expectedAudience,
+                    path: req.path,
+                    category: 'service_authentication'
+                });
+                
+                return res.status(403).json({
+                    error: 'Invalid service token audience',
+                    correlationId: req.correlationId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            // A bound token is only valid for its own request, even where binding is not required
+            if (decoded.request_hash ? !matchesRequestBinding(req, decoded) : requireRequestBinding) {
+                logger.warn('Service token request binding mismatch', {
+                    callingService: decoded.service,
+                    jti: decoded.jti,
+                    bound: Boolean(decoded.request_hash),
+                    path: req.path,
+                    method: req.method,
+                    category: 'service_authentication'
+                });
+                
+                return res.status(403).json({
+                    error: 'Service token not valid for this request',
+                    correlationId: req.correlationId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            const allowlist = await getServiceAllowlist();
+            const allowedByRoute = !services || services.includes(decoded.service);
+            const allowedByConfig = !allowlist || Object.prototype.hasOwnProperty.call(allowlist, decoded.service);
+            
+            if (!allowedByRoute || !allowedByConfig) {
+                logger.warn('Calling service not allowed', {
+                    callingService: decoded.service,
+                    allowedByRoute,
+                    allowedByConfig,
+                    path: req.path,
+                    category: 'service_authentication'
+                });
+                
+                return res.status(403).json({
+                    error: 'Calling service not allowed',
+                    correlationId: req.correlationId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            // A caller only holds the scopes it asked for and the allowlist grants it
+            const requestedScopes = decoded.scope ? decoded.scope.split(' ') : [];
+            // Entries that are not scope arrays grant nothing
+            const grantedScopes = allowlist
+                ? requestedScopes.filter(scope => Array.isArray(allowlist[decoded.service]) &&
+                    allowlist[decoded.service].includes(scope))
+                : requestedScopes;
+            const missingScopes = scopes.filter(scope => !grantedScopes.includes(scope));
+            
+            if (missingScopes.length > 0) {
+                logger.warn('Service token missing required scope', {
+                    callingService: decoded.service,
+                    grantedScopes,
+                    missingScopes,
+                    path: req.path,
+                    category: 'service_authentication'
+                });
+                
+                return res.status(403).json({
+                    error: 'Insufficient service scope',
+                    missingScopes,
+                    correlationId: req.correlationId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            // Checked last so rejected requests do not use up the token. Self-signed tokens are single-use;
+            // client-credentials tokens (client_id) are reused across calls, so their jti is spent per request
+            const replayKey = decoded.jti && (decoded.client_id
+                ? `${decoded.jti}:${computeRequestBinding(req.method, req.originalUrl, req.rawBody)}`
+                : decoded.jti);
+            if (rejectReplay && !(replayKey && await jtiStore.markSeen(replayKey, decoded.exp * 1000))) {
+                logger.warn('Service token replay rejected', {
+                    callingService: decoded.service,
+                    jti: decoded.jti,
+                    path: req.path,
+                    method: req.method,
+                    category: 'service_authentication'
+                });
+                
+                return res.status(401).json({
+                    error: 'Service token already used',
+                    correlationId: req.correlationId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            // Add service context to request
+            req.serviceContext = { ...decoded, scopes: grantedScopes };
+            
+            logger.debug('Service authentication successful', {
+                callingService: decoded.service,
+                scopes: grantedScopes,
+                path: req.path,
+                method: req.method,
+                category: 'service_authentication'
+            });
+        } catch (error) {
+            logger.error('Service authentication unavailable', error, {
+                path: req.path,
+                method: req.method,
+                category: 'service_authentication'
+            });
+            
+            return res.status(503).json({
+                error: 'Unable to verify service token',
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        next();
+    };
+}
+
+/**
+ * MANDATORY: Service authentication middleware for internal endpoints
+ * Accepts any allowlisted caller holding a token addressed to this service
+ */
+const verifyServiceAuth = requireServiceAuth();
+
+/**
+ * Verify a user token against the trusted issuers
+ * @param {string} token - Raw JWT from the Authorization header
+ * @returns {Promise<object>} - Verified claims
+ * @throws {Error} - If the token is malformed, expired or not signed by a trusted issuer
+ */
+async function verifyUserToken(token) {
+    const { claims } = await userTokenVerifier.verify(token);
+    return claims;
+}
+
+/**
+ * Remove a token from the user token cache
+ * @param {string} token - Raw JWT
+ */
+function invalidateCachedToken(token) {
+    tokenCache.delete(token);
+}
+
+/**
+ * Remove every cached token of a user
+ * @param {string} userId - Platform user ID or token sub
+ * @returns {number} - Number of purged entries
+ */
+function invalidateCachedUser(userId) {
+    return tokenCache.deleteWhere(cached => cached.user.id === userId || cached.user.userId === userId);
+}
+
+/**
+ * Check the denylist for a user token
+ * Lookup failures are marked so verifyUserAuth answers 503 rather than rejecting the token as invalid
+ */
+async function isUserTokenRevoked(token, claims) {
+    try {
+        return await tokenDenylist.isRevoked(token, claims);
+    } catch (error) {
+        error.revocationCheckFailed = true;
+        throw error;
     }
+}
+
+/**
+ * Reject a request whose token has been revoked
+ */
+function sendTokenRevoked(req, res, userId) {
+    logger.warn('Revoked user token rejected', {
+        userId,
+        path: req.path,
+        method: req.method,
+        category: 'user_authentication'
+    });
     
-    // Add service context to request
-    req.serviceContext = decoded;
-    
-    logger.debug('Service authentication successful', {
-        callingService: decoded.service,
+    return res.status(401).json({
+        error: 'Token revoked',
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Profile fields attached to req.user
+ * Users who signed up but have no profile yet (e.g. before onboarding) get nulls
+ * @param {object|null} profile - Profile item from the user repository
+ * @returns {object} - userId, user_type, status, country, company_id, driver_id and business_verification
+ */
+function getProfileFields(profile) {
+    return {
+        userId: profile?.userId || null,
+        user_type: profile?.user_type || null,
+        status: profile?.status || null,
+        country: profile?.country || null,
+        company_id: profile?.profile_data?.company_id || null,
+        driver_id: profile?.profile_data?.driver_id || null,
+        business_verification: profile?.profile_data?.business_verification || null
+    };
+}
+
+/**
+ * Reject a request from a user whose account is not ACTIVE
+ */
+function sendUserInactive(req, res, profile) {
+    logger.warn('Inactive user rejected', {
+        userId: profile.userId,
+        status: profile.status,
         path: req.path,
         method: req.method,
-        category: 'service_authentication'
+        category: 'user_authentication'
     });
     
-    next();
+    return res.status(403).json({
+        error: 'User account not active',
+        status: profile.status,
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString()
+    });
 }
 
 /**
  * User authentication middleware (for external API calls)
- * Validates JWT tokens from AWS Cognito using JWKS
+ * Validates JWT tokens from the trusted issuers (AWS Cognito, or the local identity provider in development)
  */
 async function verifyUserAuth(req, res, next) {
     const authHeader = req.headers.authorization;
@@ -211,90 +671,73 @@ async function verifyUserAuth(req, res, next) {
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
     
     try {
-        // Check if token is in cache
-        if (tokenCache.has(token)) {
-            const cachedData = tokenCache.get(token);
-            // Check if cached token is still valid
-            if (cachedData.expiresAt > Date.now()) {
-                req.user = cachedData.user;
-                process.env.USER_ID = req.user.id;
-                
-                logger.debug('User authenticated from cache', {
-                    userId: req.user.id,
-                    path: req.path,
-                    category: 'user_authentication'
-                });
-                
-                return next();
-            } else {
-                // Remove expired token from cache
+        // Check if token is in cache (expired entries are treated as misses)
+        const cachedData = tokenCache.get(token);
+        if (cachedData) {
+            // Revocations must win over the cache
+            if (await isUserTokenRevoked(token, cachedData.claims)) {
                 tokenCache.delete(token);
+                return sendTokenRevoked(req, res, cachedData.user.id);
             }
+            
+            // Copy so per-request additions (resolved roles and permissions) never reach the cache
+            req.user = { ...cachedData.user };
+            process.env.USER_ID = req.user.id;
+            
+            logger.debug('User authenticated from cache', {
+                userId: req.user.id,
+                path: req.path,
+                category: 'user_authentication'
+            });
+            
+            return next();
         }
         
-        // First decode without verification to get the key ID (kid)
-        const decodedHeader = jwt.decode(token, { complete: true });
-        if (!decodedHeader) {
-            throw new Error('Invalid token format');
-        }
+        const { claims: decoded, user, issuer } = await userTokenVerifier.verify(token);
         
-        // Get the key ID from the token header
-        const kid = decodedHeader.header.kid;
-        if (!kid) {
-            throw new Error('Token missing key ID (kid)');
+        if (await isUserTokenRevoked(token, decoded)) {
+            return sendTokenRevoked(req, res, decoded.sub);
         }
         
-        // Get the signing key from JWKS
-        const signingKey = await getSigningKey(kid);
-        const publicKey = signingKey.getPublicKey();
-        
-        // Verify the token with the public key
-        const verifyOptions = {
-            issuer: `https://cognito-idp.${cognitoConfig.region}.amazonaws.com/${cognitoConfig.userPoolId}`,
-            audience: cognitoConfig.clientId,
-            algorithms: ['RS256']
-        };
-        
-        const decoded = jwt.verify(token, publicKey, verifyOptions);
-        
-        // Check token expiration
-        const currentTime = Math.floor(Date.now() / 1000);
-        if (decoded.exp && decoded.exp < currentTime) {
-            throw new Error('Token expired');
+        // Resolve the platform user behind the token (GSI1 COGNITO#<sub>)
+        let profile;
+        try {
+            profile = await userRepository.getUserByCognitoSub(user.id);
+        } catch (error) {
+            logger.error('User profile lookup failed', error, {
+                userId: user.id,
+                path: req.path,
+                category: 'user_authentication'
+            });
+            
+            return res.status(503).json({
+                error: 'Unable to resolve user profile',
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
         }
         
-        // Check token is not used before it was issued
-        if (decoded.iat && decoded.iat > currentTime) {
-            throw new Error('Token used before issued');
+        // Inactive users are not cached so reactivation takes effect immediately
+        if (profile && profile.status !== 'ACTIVE') {
+            return sendUserInactive(req, res, profile);
         }
         
-        // Create user object from token claims
-        req.user = {
-            id: decoded.sub,
-            email: decoded.email,
-            username: decoded['cognito:username'],
-            roles: decoded['cognito:groups'] || [],
-            scope: decoded.scope?.split(' ') || []
-        };
+        // Token claims (issuer claim mapping) enriched with the platform profile
+        req.user = { ...user, ...getProfileFields(profile) };
         
         // Set user ID in process environment for logging
         process.env.USER_ID = req.user.id;
         
-        // Cache the verified token
-        const tokenExpiry = decoded.exp * 1000; // Convert to milliseconds
-        const cacheExpiry = Math.min(
-            tokenExpiry, 
-            Date.now() + TOKEN_CACHE_TTL
-        );
-        
+        // Cache the verified token until it expires or the cache TTL passes
         tokenCache.set(token, {
-            user: req.user,
-            expiresAt: cacheExpiry
-        });
+            user: { ...req.user },
+            claims: { jti: decoded.jti, sub: decoded.sub, iat: decoded.iat }
+        }, decoded.exp * 1000);
         
         logger.info('User authentication successful', {
             userId: req.user.id,
             username: req.user.username,
+            issuer,
             path: req.path,
             method: req.method,
             category: 'user_authentication'
@@ -302,6 +745,21 @@ async function verifyUserAuth(req, res, next) {
         
         next();
     } catch (error) {
+        // A token that may be revoked is neither valid nor invalid until the denylist answers
+        if (error.revocationCheckFailed) {
+            logger.error('Token revocation check unavailable', error, {
+                path: req.path,
+                method: req.method,
+                category: 'user_authentication'
+            });
+            
+            return res.status(503).json({
+                error: 'Unable to check token revocation',
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
         logger.warn('User token verification failed', {
             error: error.message,
             path: req.path,
@@ -329,6 +787,10 @@ async function verifyUserAuth(req, res, next) {
 module.exports = {
     ServiceAuth,
     serviceAuth,
+    requireServiceAuth,
     verifyServiceAuth,
-    verifyUserAuth
+    verifyUserAuth,
+    verifyUserToken,
+    invalidateCachedToken,
+    invalidateCachedUser
 };
\ No newline at end of file
@@ -0,0 +1,143 @@
+// TIR Browser Platform - Authorization Middleware
+// Permission-based access control driven by role definitions
+
+const { permissionService, hasPermission } = require('../services/permissions');
+const { userRepository } = require('../services/users');
+const { getConfigService } = require('../services/config');
+const metricsService = require('../services/metrics');
+const logger = require('../services/logger')('auth:authorization-middleware');
+
+/**
+ * Permission middleware factory for user-facing routes
+ * Must run after verifyUserAuth. Adds resolved roles and permissions to req.user.
+ * @param {...string} requiredPermissions - Permissions the route needs, e.g. "route:read"
+ * @returns {Function} - Express middleware
+ */
+function requirePermission(...requiredPermissions) {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                error: 'Authentication required',
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        try {
+            const { roles, permissions } = await permissionService.resolvePermissions(req.user);
+            req.user.roles = roles;
+            req.user.permissions = permissions;
+
+            const missingPermissions = requiredPermissions.filter(
+                permission => !hasPermission(permissions, permission)
+            );
+
+            if (missingPermissions.length > 0) {
+                logger.warn('Permission denied', {
+                    userId: req.user.id,
+                    roles,
+                    missingPermissions,
+                    path: req.path,
+                    method: req.method,
+                    category: 'authorization'
+                });
+
+                metricsService.recordAuthenticationAttempt('permission', 'denied');
+
+                return res.status(403).json({
+                    error: 'Insufficient permissions',
+                    missingPermissions,
+                    correlationId: req.correlationId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            metricsService.recordAuthenticationAttempt('permission', 'granted');
+            next();
+        } catch (error) {
+            logger.error('Permission resolution failed', error, {
+                userId: req.user.id,
+                requiredPermissions,
+                path: req.path,
+                category: 'authorization'
+            });
+
+            return res.status(503).json({
+                error: 'Unable to resolve permissions',
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+}
+
+/**
+ * Provider verification policy for routes such as order creation
+ * Must run after verifyUserAuth. When PROVIDER_VERIFICATION_REQUIRED is on (config service; default on in
+ * production only), providers whose business_verification is not VERIFIED are rejected. Other user types pass.
+ * The status is read from the profile rather than req.user: cached users are only dropped on the task that
+ * reviewed the verification, and a revoked verification must apply on every task.
+ * @returns {Function} - Express middleware
+ */
+function requireVerifiedProvider() {
+    return async (req, res, next) => {
+        if (req.user?.user_type !== 'PROVIDER') {
+            return next();
+        }
+
+        const required = await getConfigService().get(
+            'PROVIDER_VERIFICATION_REQUIRED',
+            process.env.NODE_ENV === 'production' ? 'true' : 'false'
+        );
+
+        if (String(required) !== 'true') {
+            return next();
+        }
+
+        // Providers without a profile have no verification
+        let businessVerification = null;
+        try {
+            if (req.user.userId) {
+                const user = await userRepository.getUser(req.user.userId);
+                businessVerification = user.profile_data?.business_verification || null;
+            }
+        } catch (error) {
+            logger.error('Provider verification lookup failed', error, {
+                userId: req.user.userId,
+                path: req.path,
+                category: 'authorization'
+            });
+
+            return res.status(503).json({
+                error: 'Unable to check provider verification',
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        req.user.business_verification = businessVerification;
+        if (businessVerification === 'VERIFIED') {
+            return next();
+        }
+
+        logger.warn('Unverified provider rejected', {
+            userId: req.user.userId,
+            businessVerification,
+            path: req.path,
+            method: req.method,
+            category: 'authorization'
+        });
+
+        return res.status(403).json({
+            error: 'Provider business verification required',
+            business_verification: businessVerification,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    };
+}
+
+module.exports = {
+    requirePermission,
+    requireVerifiedProvider
+};
@@ -2,6 +2,7 @@
 // MANDATORY: Logs all API requests and responses with proper correlation
 
 const logger = require('../services/logger')('auth:api-middleware');
+const metricsService = require('../services/metrics');
 
 /**
  * MANDATORY: API request/response logging middleware
@@ -112,6 +113,7 @@ function logBusinessEvent(eventType, message, metadata = {}) {
 /**
  * Database operation logging wrapper
  * MANDATORY: Use for all database operations
+ * Also records the operation in the database operation metrics
  */
 async function logDatabaseOperation(operation, table, queryFn, metadata = {}) {
     const startTime = Date.now();
@@ -135,6 +137,7 @@ async function logDatabaseOperation(operation, table, queryFn, metadata = {}) {
             ...metadata,
             category: 'database_operation'
         });
+        metricsService.recordDatabaseOperation(operation, table, 'success');
         
         return result;
         
@@ -149,6 +152,7 @@ async function logDatabaseOperation(operation, table, queryFn, metadata = {}) {
             ...metadata,
             category: 'database_operation'
         });
+        metricsService.recordDatabaseOperation(operation, table, 'error');
         
         throw error;
     }
@@ -0,0 +1,41 @@
+// TIR Browser Platform - Validation Middleware
+// Rejects malformed identifiers before they reach route handlers
+
+const { parseId } = require('../services/ids');
+const logger = require('../services/logger')('auth:validation-middleware');
+
+/**
+ * Path parameter validator for driver and provider IDs
+ * Normalizes the parameter to upper case so handlers can use it as a key.
+ * @param {string} param - Route parameter name, e.g. "driverId"
+ * @param {string} type - Expected ID type (DRIVER, PROVIDER)
+ * @returns {Function} - Express middleware
+ */
+function validateIdParam(param, type) {
+    return (req, res, next) => {
+        const parsed = parseId(req.params[param], type);
+
+        if (!parsed) {
+            logger.warn('Malformed ID rejected', {
+                param,
+                value: req.params[param],
+                expectedType: type,
+                path: req.path,
+                category: 'validation'
+            });
+
+            return res.status(400).json({
+                error: `Invalid ${param}`,
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        req.params[param] = parsed.id;
+        next();
+    };
+}
+
+module.exports = {
+    validateIdParam
+};
@@ -5,15 +5,50 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../services/logger')('auth:api-endpoints');
 const { logBusinessEvent, logDatabaseOperation } = require('../middleware/logging');
-const { verifyUserAuth, verifyServiceAuth } = require('../middleware/auth');
+const { verifyUserAuth, requireServiceAuth } = require('../middleware/auth');
+const { requirePermission, requireVerifiedProvider } = require('../middleware/authorization');
+const { hasPermission } = require('../services/permissions');
 const { serviceClients } = require('../services/service-client');
 const metricsService = require('../services/metrics');
+const { idService } = require('../services/ids');
+const { userRepository, USER_STATUSES } = require('../services/users');
+const { parseLimit } = require('../services/pagination');
+const { validateIdParam } = require('../middleware/validation');
+const { REGISTRATION_DECISIONS, checkDriverRegistration } = require('../services/driver-registration');
+const { normalizePhoneNumber, isSupportedPhoneCountry } = require('../services/phone-numbers');
+const { isValidPersonName } = require('../services/user-profile-validation');
+const {
+    validateDriverDocuments,
+    normalizeDriverDocuments,
+    findExpiredMandatoryDocuments,
+    haveMandatoryDocumentsChanged,
+    describeExpiredDocument,
+    daysUntilExpiry,
+    parseExpiryWindow
+} = require('../services/driver-documents');
+const { orderRepository } = require('../services/orders');
+const { driverRepository } = require('../services/drivers');
+const { companyRepository } = require('../services/companies');
+const { checkOrderTransition } = require('../services/order-lifecycle');
 
-// Sample data storage (in real service, this would be DynamoDB/PostgreSQL)
-let orders = [];
-let drivers = [];
-let orderIdCounter = 1;
-let driverIdCounter = 1;
+// Registration details drivers (or their fleet managers) may change
+const DRIVER_UPDATE_FIELDS = ['fullName', 'phoneNumber', 'vehicleDetails', 'documents'];
+
+// Performance figures of drivers without a delivery history
+const NEW_DRIVER_STATS = {
+    rating: 5.0,
+    completionRate: 100,
+    priceAcceptanceRate: 85,
+    lastDeliveryDate: null
+};
+
+// Upper bound of driver profiles read for one prioritization
+const MAX_PRIORITIZATION_CANDIDATES = 500;
+
+// Exclusion records written at a time after a prioritization
+const EXCLUSION_WRITE_BATCH_SIZE = 5;
+
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
 
 /**
  * Sample Order Management Endpoints
@@ -36,13 +71,13 @@ let driverIdCounter = 1;
  *           schema:
  *             type: object
  *             required:
- *               - providerId
  *               - cargoType
  *               - pickupLocation
  *               - destinationLocation
  *             properties:
  *               providerId:
  *                 type: string
+ *                 description: Required for internal callers; provider callers always create orders for themselves and this field is ignored
  *                 example: provider-123
  *               cargoType:
  *                 type: string
@@ -50,6 +85,10 @@ let driverIdCounter = 1;
  *               pickupLocation:
  *                 type: string
  *                 example: Baku, Azerbaijan
+ *               pickupCountry:
+ *                 type: string
+ *                 description: ISO 3166-1 alpha-2 code used to find candidate drivers; defaults to the caller's profile country
+ *                 example: AZ
  *               destinationLocation:
  *                 type: string
  *                 example: Tehran, Iran
@@ -85,9 +124,18 @@ let driverIdCounter = 1;
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission, or provider not verified while PROVIDER_VERIFICATION_REQUIRED is on
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/orders', verifyUserAuth, async (req, res) => {
-    const { providerId, cargoType, pickupLocation, destinationLocation, estimatedPrice } = req.body;
+router.post('/orders', verifyUserAuth, requirePermission('order:create'), requireVerifiedProvider(), async (req, res) => {
+    const { cargoType, pickupLocation, destinationLocation, estimatedPrice } = req.body;
+    // Providers own the orders they create; only internal callers name the provider
+    const providerId = req.user.user_type === 'PROVIDER' ? req.user.id : req.body.providerId;
+    const pickupCountry = req.body.pickupCountry || req.user.country;
     
     logBusinessEvent('ORDER_CREATION_STARTED', 'Order creation process initiated', {
         providerId,
@@ -102,31 +150,30 @@ router.post('/orders', verifyUserAuth, async (req, res) => {
             error.statusCode = 400;
             throw error;
         }
+
+        if (pickupCountry && !COUNTRY_PATTERN.test(pickupCountry)) {
+            const error = new Error('pickupCountry must be an ISO 3166-1 alpha-2 code');
+            error.statusCode = 400;
+            throw error;
+        }
         
-        // Simulate database operation
-        const order = await logDatabaseOperation(
+        let order = await logDatabaseOperation(
             'INSERT',
             'orders',
-            async () => {
-                const newOrder = {
-                    id: `ORD-${String(orderIdCounter++).padStart(6, '0')}`,
-                    providerId,
-                    cargoType,
-                    pickupLocation,
-                    destinationLocation,
-                    estimatedPrice: estimatedPrice || 0,
-                    status: 'ORDER_CREATED',
-                    createdAt: new Date().toISOString(),
-                    updatedAt: new Date().toISOString()
-                };
-                
-                orders.push(newOrder);
-                return newOrder;
-            },
+            async () => orderRepository.createOrder({
+                providerId,
+                cargoType,
+                pickupLocation,
+                pickupCountry: pickupCountry || null,
+                destinationLocation,
+                estimatedPrice: estimatedPrice || 0,
+                status: 'ORDER_CREATED'
+            }, getOrderChangeContext(req)),
             { providerId, cargoType }
         );
         
         // Simulate service-to-service call to pricing service
+        let pricing = null;
         try {
             const pricingResponse = await serviceClients.pricingService.post('/internal/calculate', {
                 pickupLocation,
@@ -134,8 +181,10 @@ router.post('/orders', verifyUserAuth, async (req, res) => {
                 cargoType
             });
             
-            order.recommendedPrice = pricingResponse.data.recommendedPrice;
-            order.pricingFactors = pricingResponse.data.factors;
+            pricing = {
+                recommendedPrice: pricingResponse.data.recommendedPrice,
+                pricingFactors: pricingResponse.data.factors
+            };
         } catch (error) {
             logger.warn('Pricing service unavailable, using estimated price', {
                 orderId: order.id,
@@ -143,6 +192,15 @@ router.post('/orders', verifyUserAuth, async (req, res) => {
                 category: 'service_communication'
             });
         }
+
+        if (pricing) {
+            order = await logDatabaseOperation(
+                'UPDATE',
+                'orders',
+                async () => orderRepository.updateOrder(order.id, pricing, { context: getOrderChangeContext(req) }),
+                { orderId: order.id }
+            );
+        }
         
         logBusinessEvent('ORDER_CREATED', 'Order created successfully', {
             orderId: order.id,
@@ -153,7 +211,6 @@ router.post('/orders', verifyUserAuth, async (req, res) => {
         
         // Record business metrics
         metricsService.recordBusinessEvent('ORDER_CREATED', 'success');
-        metricsService.recordDatabaseOperation('INSERT', 'orders', 'success');
         
         res.status(201).json({
             success: true,
@@ -190,13 +247,27 @@ router.post('/orders', verifyUserAuth, async (req, res) => {
  * /api/orders:
  *   get:
  *     summary: Get orders
- *     description: Retrieves orders for authenticated user
+ *     description: |
+ *       Retrieves orders for authenticated user, oldest first, one page at a time.
+ *       Pass nextCursor from the previous page as cursor to fetch the next page.
  *     tags: [Orders]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Orders retrieved successfully
+ *         description: One page of orders
  *         content:
  *           application/json:
  *             schema:
@@ -210,31 +281,49 @@ router.post('/orders', verifyUserAuth, async (req, res) => {
  *                         type: object
  *                     count:
  *                       type: number
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Invalid limit or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.get('/orders', verifyUserAuth, async (req, res) => {
+router.get('/orders', verifyUserAuth, requirePermission('order:read'), async (req, res) => {
     try {
-        const userOrders = await logDatabaseOperation(
+        const limit = parseLimit(req.query.limit);
+        const { cursor } = req.query;
+
+        const { orders, nextCursor } = await logDatabaseOperation(
             'SELECT',
             'orders',
             async () => {
-                // In real service, filter by user permissions
-                return orders.filter(order => 
-                    req.user.roles.includes('admin') || order.providerId === req.user.id
-                );
+                // order:read:all grants visibility into every provider's orders
+                const canReadAll = hasPermission(req.user.permissions, 'order:read:all');
+                return orderRepository.listOrders({ ...(canReadAll ? {} : { providerId: req.user.id }), limit, cursor });
             },
             { userId: req.user.id }
         );
         
         res.status(200).json({
             success: true,
-            data: userOrders,
-            count: userOrders.length,
+            data: orders,
+            count: orders.length,
+            nextCursor,
             correlationId: req.correlationId,
             timestamp: new Date().toISOString()
         });
@@ -245,8 +334,8 @@ router.get('/orders', verifyUserAuth, async (req, res) => {
             category: 'database_operation'
         });
         
-        res.status(500).json({
-            error: 'Failed to retrieve orders',
+        res.status(error.statusCode || 500).json({
+            error: error.statusCode ? error.message : 'Failed to retrieve orders',
             correlationId: req.correlationId,
             timestamp: new Date().toISOString()
         });
@@ -258,7 +347,11 @@ router.get('/orders', verifyUserAuth, async (req, res) => {
  * /api/orders/{orderId}/status:
  *   put:
  *     summary: Update order status
- *     description: Updates the status of an existing order
+ *     description: |
+ *       Moves an order along its lifecycle: ORDER_CREATED → OFFERED → ASSIGNED → PICKED_UP → AT_BORDER → DELIVERED,
+ *       or to CANCELLED before delivery. Providers offer, assign and cancel their own orders until pickup; the
+ *       assigned driver reports pickup, the border crossing and delivery; internal users may perform any transition.
+ *       ASSIGNED requires driverId (an ACTIVE driver), AT_BORDER requires borderCrossing and CANCELLED requires reason.
  *     tags: [Orders]
  *     security:
  *       - BearerAuth: []
@@ -280,8 +373,20 @@ router.get('/orders', verifyUserAuth, async (req, res) => {
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [ORDER_CREATED, IN_TRANSIT, DELIVERED, CANCELLED]
- *                 example: IN_TRANSIT
+ *                 enum: [OFFERED, ASSIGNED, PICKED_UP, AT_BORDER, DELIVERED, CANCELLED]
+ *                 example: ASSIGNED
+ *               driverId:
+ *                 type: string
+ *                 description: Driver the order is assigned to (ASSIGNED)
+ *                 example: D-AZ-240115-X7Y8TU
+ *               borderCrossing:
+ *                 type: string
+ *                 description: Border crossing point (AT_BORDER)
+ *                 example: Red Bridge (AZ-GE)
+ *               reason:
+ *                 type: string
+ *                 description: Cancellation reason (CANCELLED)
+ *                 example: Cargo no longer available
  *               notes:
  *                 type: string
  *                 example: Driver en route to pickup location
@@ -292,58 +397,97 @@ router.get('/orders', verifyUserAuth, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Unknown status or missing transition fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Order not found
+ *         description: Order or assigned driver not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: |
+ *           Transition not allowed from the current status (the body lists currentStatus and allowedStatuses),
+ *           driver not ACTIVE, or order changed concurrently
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Error'
+ *                 - type: object
+ *                   properties:
+ *                     currentStatus:
+ *                       type: string
+ *                       example: DELIVERED
+ *                     allowedStatuses:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: []
  *       401:
  *         description: Unauthorized
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission, or the caller may not perform this transition on the order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.put('/orders/:orderId/status', verifyUserAuth, async (req, res) => {
+router.put('/orders/:orderId/status', verifyUserAuth, requirePermission('order:update'), async (req, res) => {
     const { orderId } = req.params;
-    const { status, notes } = req.body;
+    const { status, notes } = req.body || {};
     
     try {
+        const order = await logDatabaseOperation(
+            'GET',
+            'orders',
+            async () => orderRepository.getOrder(orderId),
+            { orderId }
+        );
+        if (!order) {
+            const error = new Error('Order not found');
+            error.statusCode = 404;
+            throw error;
+        }
+        
+        const changes = checkOrderTransition(order, status, req.body || {}, req.user);
+        if (notes) {
+            changes.notes = notes;
+        }
+        if (changes.driverId) {
+            await assertAssignableDriver(changes.driverId);
+        }
+        
         const updatedOrder = await logDatabaseOperation(
             'UPDATE',
             'orders',
-            async () => {
-                const orderIndex = orders.findIndex(o => o.id === orderId);
-                if (orderIndex === -1) {
-                    const error = new Error('Order not found');
-                    error.statusCode = 404;
-                    throw error;
-                }
-                
-                const previousStatus = orders[orderIndex].status;
-                orders[orderIndex].status = status;
-                orders[orderIndex].updatedAt = new Date().toISOString();
-                
-                if (notes) {
-                    orders[orderIndex].notes = notes;
-                }
-                
-                return { order: orders[orderIndex], previousStatus };
-            },
+            async () => orderRepository.updateOrder(orderId, changes, {
+                expectedStatus: order.status,
+                context: getOrderChangeContext(req)
+            }),
             { orderId, newStatus: status }
         );
         
         logBusinessEvent('ORDER_STATUS_UPDATED', 'Order status updated', {
             orderId,
-            previousStatus: updatedOrder.previousStatus,
+            previousStatus: order.status,
             newStatus: status,
+            driverId: changes.driverId,
+            reason: changes.cancellationReason,
             userId: req.user.id
         });
         
         res.status(200).json({
             success: true,
-            data: updatedOrder.order,
+            data: updatedOrder,
             correlationId: req.correlationId,
             timestamp: new Date().toISOString()
         });
@@ -356,6 +500,184 @@ router.put('/orders/:orderId/status', verifyUserAuth, async (req, res) => {
             category: 'business_event'
         });
         
+        res.status(error.statusCode || 500).json({
+            error: error.message,
+            details: error.details,
+            currentStatus: error.currentStatus,
+            allowedStatuses: error.allowedStatuses,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * Who made an order change, for its history entry
+ */
+function getOrderChangeContext(req) {
+    return {
+        actorId: req.user.id,
+        actorType: req.user.user_type,
+        correlationId: req.correlationId
+    };
+}
+
+/**
+ * Orders can only be assigned to active drivers
+ * @param {string} driverId - Driver ID from the status change
+ * @throws {Error} - 404 if the driver is not registered, 409 if it is not ACTIVE
+ */
+async function assertAssignableDriver(driverId) {
+    const driver = await logDatabaseOperation(
+        'GET',
+        'drivers',
+        async () => driverRepository.getDriver(driverId),
+        { driverId }
+    );
+    if (!driver) {
+        const error = new Error('Driver not found');
+        error.statusCode = 404;
+        throw error;
+    }
+    if (driver.status !== 'ACTIVE') {
+        const error = new Error(`Cannot assign a driver with status ${driver.status}`);
+        error.statusCode = 409;
+        throw error;
+    }
+}
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/timeline:
+ *   get:
+ *     summary: Get order timeline
+ *     description: |
+ *       Returns every change of an order, oldest first: its creation, pricing and each status change with the
+ *       actor, previous and new status, notes, changed fields (driverId, borderCrossing, cancellationReason),
+ *       correlation ID and timestamp. Providers see their own orders and drivers the orders assigned to them;
+ *       order:read:all grants access to every order.
+ *     tags: [Orders]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: ORD-000001
+ *     responses:
+ *       200:
+ *         description: Order timeline retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           orderId:
+ *                             type: string
+ *                             example: ORD-000001
+ *                           action:
+ *                             type: string
+ *                             enum: [CREATED, STATUS_CHANGED, UPDATED]
+ *                           previousStatus:
+ *                             type: string
+ *                             nullable: true
+ *                             example: PICKED_UP
+ *                           newStatus:
+ *                             type: string
+ *                             example: AT_BORDER
+ *                           notes:
+ *                             type: string
+ *                             nullable: true
+ *                           changes:
+ *                             type: object
+ *                             example: { borderCrossing: Red Bridge (AZ-GE) }
+ *                           actorId:
+ *                             type: string
+ *                           actorType:
+ *                             type: string
+ *                             example: DRIVER
+ *                           correlationId:
+ *                             type: string
+ *                           timestamp:
+ *                             type: string
+ *                             format: date-time
+ *                     count:
+ *                       type: number
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission, or the order is neither the caller's nor assigned to them
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/orders/:orderId/timeline', verifyUserAuth, requirePermission('order:read'), async (req, res) => {
+    const { orderId } = req.params;
+
+    try {
+        const order = await logDatabaseOperation(
+            'GET',
+            'orders',
+            async () => orderRepository.getOrder(orderId),
+            { orderId }
+        );
+        if (!order) {
+            const error = new Error('Order not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const canReadAll = hasPermission(req.user.permissions, 'order:read:all');
+        const isParticipant = order.providerId === req.user.id ||
+            (Boolean(order.driverId) && order.driverId === req.user.driver_id);
+        if (!canReadAll && !isParticipant) {
+            const error = new Error('Access limited to your own orders');
+            error.statusCode = 403;
+            throw error;
+        }
+
+        const timeline = await logDatabaseOperation(
+            'QUERY',
+            'orders',
+            async () => orderRepository.listOrderHistory(orderId),
+            { orderId }
+        );
+
+        res.status(200).json({
+            success: true,
+            data: timeline,
+            count: timeline.length,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Failed to retrieve order timeline', error, {
+            orderId,
+            userId: req.user.id,
+            category: 'database_operation'
+        });
+
         res.status(error.statusCode || 500).json({
             error: error.message,
             correlationId: req.correlationId,
@@ -374,7 +696,9 @@ router.put('/orders/:orderId/status', verifyUserAuth, async (req, res) => {
  * /api/drivers:
  *   post:
  *     summary: Register new driver
- *     description: Registers a new driver in the system
+ *     description: |
+ *       Registers a new driver in the system. The driver gets a D-{country}-{YYMMDD}-{random}{check} ID;
+ *       country defaults to the caller's profile country.
  *     tags: [Drivers]
  *     security:
  *       - BearerAuth: []
@@ -388,13 +712,18 @@ router.put('/orders/:orderId/status', verifyUserAuth, async (req, res) => {
  *               - fullName
  *               - phoneNumber
  *               - vehicleDetails
- *               - licenseInfo
+ *               - documents
  *             properties:
+ *               country:
+ *                 type: string
+ *                 description: ISO 3166-1 alpha-2 country code
+ *                 example: AZ
  *               fullName:
  *                 type: string
  *                 example: John Doe
  *               phoneNumber:
  *                 type: string
+ *                 description: National or international number for the driver's country, stored in E.164
  *                 example: +994501234567
  *               vehicleDetails:
  *                 type: object
@@ -408,16 +737,11 @@ router.put('/orders/:orderId/status', verifyUserAuth, async (req, res) => {
  *                   licensePlate:
  *                     type: string
  *                     example: 10-BB-123
- *               licenseInfo:
- *                 type: object
- *                 properties:
- *                   number:
- *                     type: string
- *                     example: DL123456
- *                   expiryDate:
- *                     type: string
- *                     format: date
- *                     example: 2025-12-31
+ *               documents:
+ *                 type: array
+ *                 description: One document per type; DRIVER_LICENSE, TIR_CERTIFICATE and VEHICLE_REGISTRATION are needed for activation
+ *                 items:
+ *                   $ref: '#/components/schemas/DriverDocument'
  *     responses:
  *       201:
  *         description: Driver registered successfully
@@ -426,7 +750,7 @@ router.put('/orders/:orderId/status', verifyUserAuth, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/SuccessResponse'
  *       400:
- *         description: Invalid request
+ *         description: Invalid country, name, phone number or documents
  *         content:
  *           application/json:
  *             schema:
@@ -437,9 +761,28 @@ router.put('/orders/:orderId/status', verifyUserAuth, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Phone number already registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: No unique driver ID could be allocated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/drivers', verifyUserAuth, async (req, res) => {
-    const { fullName, phoneNumber, vehicleDetails, licenseInfo } = req.body;
+router.post('/drivers', verifyUserAuth, requirePermission('driver:create'), async (req, res) => {
+    const { fullName, phoneNumber, vehicleDetails, documents = [] } = req.body;
+    const country = req.body.country || req.user.country;
     
     logBusinessEvent('DRIVER_REGISTRATION_STARTED', 'Driver registration initiated', {
         phoneNumber,
@@ -447,29 +790,35 @@ router.post('/drivers', verifyUserAuth, async (req, res) => {
     });
     
     try {
+        if (!COUNTRY_PATTERN.test(country || '')) {
+            const error = new Error('country must be an ISO 3166-1 alpha-2 code');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const contact = await normalizeDriverContact({ fullName, phoneNumber }, country);
+        const driverDocuments = normalizeDocuments(documents);
+
+        // Reserved across all tasks; throws 400 for an invalid country
+        const driverId = await idService.generateId('DRIVER', country, {
+            reserved_by: req.user.userId || req.user.id
+        });
+
         const driver = await logDatabaseOperation(
             'INSERT',
             'drivers',
-            async () => {
-                const newDriver = {
-                    id: `DRV-${String(driverIdCounter++).padStart(6, '0')}`,
-                    fullName,
-                    phoneNumber,
-                    vehicleDetails,
-                    licenseInfo,
-                    status: 'REGISTRATION_PENDING',
-                    rating: 5.0,
-                    completionRate: 100,
-                    priceAcceptanceRate: 85,
-                    lastDeliveryDate: null,
-                    currentLocation: null,
-                    createdAt: new Date().toISOString(),
-                    updatedAt: new Date().toISOString()
-                };
-                
-                drivers.push(newDriver);
-                return newDriver;
-            },
+            async () => driverRepository.createDriver({
+                id: driverId,
+                country,
+                ...contact,
+                vehicleDetails,
+                documents: driverDocuments,
+                status: 'REGISTRATION_PENDING',
+                ...NEW_DRIVER_STATS,
+                currentLocation: null,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            }),
             { phoneNumber, fullName }
         );
         
@@ -481,7 +830,6 @@ router.post('/drivers', verifyUserAuth, async (req, res) => {
         
         // Record business metrics
         metricsService.recordBusinessEvent('DRIVER_REGISTERED', 'success');
-        metricsService.recordDatabaseOperation('INSERT', 'drivers', 'success');
         
         res.status(201).json({
             success: true,
@@ -504,6 +852,7 @@ router.post('/drivers', verifyUserAuth, async (req, res) => {
         
         res.status(error.statusCode || 500).json({
             error: error.message,
+            details: error.details,
             correlationId: req.correlationId,
             timestamp: new Date().toISOString()
         });
@@ -512,23 +861,42 @@ router.post('/drivers', verifyUserAuth, async (req, res) => {
 
 /**
  * @swagger
- * /api/drivers/prioritization/{orderId}:
+ * /api/drivers:
  *   get:
- *     summary: Get driver prioritization
- *     description: Calculates driver prioritization for specific order (service-to-service)
+ *     summary: List drivers by country
+ *     description: |
+ *       Driver profiles in one country, optionally limited to an account status, read from the GSI2 country index.
+ *       Pass nextCursor from the previous page as cursor to fetch the next page.
  *     tags: [Drivers]
  *     security:
- *       - ServiceAuth: []
+ *       - BearerAuth: []
  *     parameters:
- *       - in: path
- *         name: orderId
+ *       - in: query
+ *         name: country
  *         required: true
  *         schema:
  *           type: string
- *         example: ORD-000001
+ *         example: AZ
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, SUSPENDED, DEACTIVATED]
+ *         example: ACTIVE
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Driver prioritization calculated
+ *         description: One page of driver profiles
  *         content:
  *           application/json:
  *             schema:
@@ -537,21 +905,16 @@ router.post('/drivers', verifyUserAuth, async (req, res) => {
  *                 - type: object
  *                   properties:
  *                     data:
- *                       type: object
- *                       properties:
- *                         orderId:
- *                           type: string
- *                         eligibleDrivers:
- *                           type: array
- *                           items:
- *                             type: object
- *                             properties:
- *                               id:
- *                                 type: string
- *                               priorityScore:
- *                                 type: number
- *       404:
- *         description: Order not found
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/UserProfile'
+ *                     count:
+ *                       type: integer
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Invalid country, status, limit or cursor
  *         content:
  *           application/json:
  *             schema:
@@ -562,54 +925,1020 @@ router.post('/drivers', verifyUserAuth, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.get('/drivers/prioritization/:orderId', verifyServiceAuth, async (req, res) => {
-    const { orderId } = req.params;
-    
+router.get('/drivers', verifyUserAuth, requirePermission('driver:read'), async (req, res) => {
+    const country = typeof req.query.country === 'string' ? req.query.country.toUpperCase() : undefined;
+    const { status, cursor } = req.query;
+
     try {
-        const order = orders.find(o => o.id === orderId);
-        if (!order) {
-            return res.status(404).json({
-                error: 'Order not found',
-                correlationId: req.correlationId,
-                timestamp: new Date().toISOString()
-            });
+        if (!country || !COUNTRY_PATTERN.test(country)) {
+            const error = new Error('country must be an ISO 3166-1 alpha-2 code');
+            error.statusCode = 400;
+            throw error;
         }
-        
-        // Simulate driver prioritization algorithm
-        const eligibleDrivers = await logDatabaseOperation(
-            'SELECT',
-            'drivers',
-            async () => {
-                return drivers
-                    .filter(d => d.status === 'ACTIVE')
-                    .map(driver => ({
-                        ...driver,
-                        priorityScore: calculateDriverPriority(driver, order)
-                    }))
-                    .sort((a, b) => b.priorityScore - a.priorityScore);
-            },
-            { orderId, orderLocation: order.pickupLocation }
-        );
-        
-        logger.debug('Driver prioritization calculated', {
-            orderId,
-            eligibleDriversCount: eligibleDrivers.length,
-            topDriverId: eligibleDrivers[0]?.id,
-            category: 'business_event',
-            eventType: 'DRIVER_PRIORITIZATION_CALCULATED'
-        });
-        
-        res.status(200).json({
-            success: true,
+
+        if (status !== undefined && !USER_STATUSES.includes(status)) {
+            const error = new Error(`status must be one of ${USER_STATUSES.join(', ')}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const { users, nextCursor } = await userRepository.listUsersByTypeAndCountry('DRIVER', country, {
+            status,
+            limit: parseLimit(req.query.limit),
+            cursor
+        });
+
+        res.status(200).json({
+            success: true,
+            data: users,
+            count: users.length,
+            nextCursor,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to list drivers', error, {
+            country,
+            status,
+            userId: req.user.id,
+            category: 'database_operation'
+        });
+
+        res.status(error.statusCode || 500).json({
+            error: error.statusCode ? error.message : 'Internal server error',
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/drivers/documents/expiring:
+ *   get:
+ *     summary: List expiring driver documents
+ *     description: |
+ *       Documents of registered drivers that expire within the next days (today included), soonest first.
+ *       Documents that already expired are not listed.
+ *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 365
+ *           default: 30
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         example: AZ
+ *     responses:
+ *       200:
+ *         description: Expiring documents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/DriverDocument'
+ *                           - type: object
+ *                             properties:
+ *                               driverId:
+ *                                 type: string
+ *                               country:
+ *                                 type: string
+ *                               mandatory:
+ *                                 type: boolean
+ *                               daysUntilExpiry:
+ *                                 type: integer
+ *                     count:
+ *                       type: integer
+ *       400:
+ *         description: Invalid days or country
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/drivers/documents/expiring', verifyUserAuth, requirePermission('driver:read'), async (req, res) => {
+    const country = typeof req.query.country === 'string' ? req.query.country.toUpperCase() : undefined;
+
+    try {
+        const days = parseExpiryWindow(req.query.days);
+
+        if (country !== undefined && !COUNTRY_PATTERN.test(country)) {
+            const error = new Error('country must be an ISO 3166-1 alpha-2 code');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const documents = await logDatabaseOperation(
+            'QUERY',
+            'drivers',
+            async () => driverRepository.listExpiringDocuments(days, { country }),
+            { country, days }
+        );
+
+        res.status(200).json({
+            success: true,
+            data: documents,
+            count: documents.length,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to list expiring driver documents', error, {
+            country,
+            userId: req.user.id,
+            category: 'database_operation'
+        });
+
+        res.status(error.statusCode || 500).json({
+            error: error.statusCode ? error.message : 'Internal server error',
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/drivers/{driverId}/documents:
+ *   get:
+ *     summary: Get the documents of a driver
+ *     description: |
+ *       Documents with their expiry status: EXPIRED, EXPIRING (within the given days) or VALID, and the
+ *       reason the driver is currently left out of prioritization, if any.
+ *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: driverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: D-AZ-240115-X7Y8TU
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 365
+ *           default: 30
+ *     responses:
+ *       200:
+ *         description: Driver documents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         driverId:
+ *                           type: string
+ *                         documents:
+ *                           type: array
+ *                           items:
+ *                             allOf:
+ *                               - $ref: '#/components/schemas/DriverDocument'
+ *                               - type: object
+ *                                 properties:
+ *                                   status:
+ *                                     type: string
+ *                                     enum: [VALID, EXPIRING, EXPIRED]
+ *                                   daysUntilExpiry:
+ *                                     type: integer
+ *                         prioritizationExclusion:
+ *                           $ref: '#/components/schemas/PrioritizationExclusion'
+ *       400:
+ *         description: Invalid driver ID or days
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Driver not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/drivers/:driverId/documents', verifyUserAuth, requirePermission('driver:read'),
+    validateIdParam('driverId', 'DRIVER'), async (req, res) => {
+        const { driverId } = req.params;
+
+        try {
+            const days = parseExpiryWindow(req.query.days);
+
+            const driver = await logDatabaseOperation(
+                'GET',
+                'drivers',
+                async () => driverRepository.getDriver(driverId),
+                { driverId }
+            );
+            if (!driver) {
+                const error = new Error('Driver not found');
+                error.statusCode = 404;
+                throw error;
+            }
+
+            const documents = (driver.documents || []).map(document => {
+                const remainingDays = daysUntilExpiry(document);
+                const status = remainingDays < 0 ? 'EXPIRED' : remainingDays <= days ? 'EXPIRING' : 'VALID';
+                return { ...document, status, daysUntilExpiry: remainingDays };
+            });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    driverId,
+                    documents,
+                    prioritizationExclusion: driver.prioritizationExclusion || null
+                },
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error('Failed to get driver documents', error, {
+                driverId,
+                userId: req.user.id,
+                category: 'database_operation'
+            });
+
+            res.status(error.statusCode || 500).json({
+                error: error.statusCode ? error.message : 'Internal server error',
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+/**
+ * @swagger
+ * /api/drivers/{driverId}:
+ *   patch:
+ *     summary: Update a driver registration
+ *     description: |
+ *       Updates registration details. A registration in CHANGES_REQUESTED goes back to REGISTRATION_PENDING for review,
+ *       and so does an ACTIVE registration whose mandatory documents change.
+ *       Limited to the driver, users of a company the driver is attached to, and internal users.
+ *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: driverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: D-AZ-240115-X7Y8TU
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *               phoneNumber:
+ *                 type: string
+ *               vehicleDetails:
+ *                 type: object
+ *               documents:
+ *                 type: array
+ *                 description: Replaces all documents of the driver
+ *                 items:
+ *                   $ref: '#/components/schemas/DriverDocument'
+ *     responses:
+ *       200:
+ *         description: Driver updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid driver ID, name, phone number, documents or fields that cannot be changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission, or not the driver, their company or an internal user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Driver not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Phone number already registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/drivers/:driverId', verifyUserAuth, requirePermission('driver:update'),
+    validateIdParam('driverId', 'DRIVER'), async (req, res) => {
+        const { driverId } = req.params;
+
+        try {
+            const changes = req.body || {};
+            const invalidFields = Object.keys(changes).filter(field => !DRIVER_UPDATE_FIELDS.includes(field));
+            if (invalidFields.length > 0) {
+                const error = new Error('Invalid driver data');
+                error.statusCode = 400;
+                error.details = invalidFields.map(field => `${field} cannot be changed here`);
+                throw error;
+            }
+
+            await assertDriverAccess(req, driverId);
+
+            const driver = await logDatabaseOperation(
+                'GET',
+                'drivers',
+                async () => driverRepository.getDriver(driverId),
+                { driverId }
+            );
+            if (!driver) {
+                const error = new Error('Driver not found');
+                error.statusCode = 404;
+                throw error;
+            }
+
+            const updates = {
+                ...changes,
+                ...await normalizeDriverContact(changes, driver.country, { partial: true, driverId })
+            };
+            if (changes.documents !== undefined) {
+                updates.documents = normalizeDocuments(changes.documents);
+                // Renewed documents make the driver eligible for prioritization again
+                if (findExpiredMandatoryDocuments(updates).length === 0) {
+                    updates.prioritizationExclusion = null;
+                }
+            }
+            if (driver.status === 'CHANGES_REQUESTED') {
+                updates.status = 'REGISTRATION_PENDING';
+            }
+            // Changed mandatory documents have not been reviewed yet
+            if (driver.status === 'ACTIVE' && updates.documents &&
+                haveMandatoryDocumentsChanged(driver.documents, updates.documents)) {
+                updates.status = 'REGISTRATION_PENDING';
+                updates.statusReason = 'Mandatory documents changed';
+                updates.registrationHistory = [...(driver.registrationHistory || []), {
+                    fromStatus: driver.status,
+                    toStatus: updates.status,
+                    reason: updates.statusReason,
+                    failedChecks: [],
+                    reviewedBy: req.user.userId || req.user.id,
+                    reviewedAt: new Date().toISOString()
+                }];
+            }
+
+            const updated = await logDatabaseOperation(
+                'UPDATE',
+                'drivers',
+                async () => driverRepository.updateDriver(driverId, updates, { expectedStatus: driver.status }),
+                { driverId, fields: Object.keys(changes) }
+            );
+
+            if (driver.status !== updated.status) {
+                logBusinessEvent('DRIVER_REGISTRATION_RESUBMITTED', 'Driver registration resubmitted', {
+                    driverId,
+                    fields: Object.keys(changes),
+                    updatedBy: req.user.userId || req.user.id
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: updated,
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error('Driver update failed', error, {
+                driverId,
+                userId: req.user.id,
+                category: 'business_event'
+            });
+
+            res.status(error.statusCode || 500).json({
+                error: error.statusCode ? error.message : 'Internal server error',
+                details: error.details,
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+/**
+ * Validate the name and phone number of a driver registration
+ * Phone numbers are normalized to E.164 for the driver's country and may belong to one driver only
+ * @param {object} fields - { fullName, phoneNumber }
+ * @param {string} country - Driver country
+ * @param {object} options - { partial } to only check the given fields, { driverId } of the driver being updated
+ * @returns {Promise<object>} - Normalized fields
+ * @throws {Error} - 400 with the failed checks as details, 409 if the phone number is registered
+ */
+async function normalizeDriverContact(fields, country, options = {}) {
+    const { partial = false, driverId = null } = options;
+    const contact = {};
+    const errors = [];
+
+    if (!partial || fields.fullName !== undefined) {
+        if (isValidPersonName(fields.fullName)) {
+            contact.fullName = fields.fullName.trim().replace(/\s+/g, ' ');
+        } else {
+            errors.push('fullName must contain only letters, spaces, apostrophes, hyphens and periods');
+        }
+    }
+
+    if (!partial || fields.phoneNumber !== undefined) {
+        contact.phoneNumber = normalizePhoneNumber(fields.phoneNumber, country);
+        if (!isSupportedPhoneCountry(country)) {
+            errors.push(`phoneNumber: phone numbers from ${country} are not supported`);
+        } else if (!contact.phoneNumber) {
+            errors.push(`phoneNumber must be a valid ${country} phone number`);
+        }
+    }
+
+    if (errors.length > 0) {
+        const error = new Error('Invalid driver data');
+        error.statusCode = 400;
+        error.details = errors;
+        throw error;
+    }
+
+    // The repository enforces this as well; checking first reports it before an ID is reserved
+    const holderId = contact.phoneNumber ? await logDatabaseOperation(
+        'GET',
+        'drivers',
+        async () => driverRepository.getDriverIdByPhone(contact.phoneNumber),
+        { country }
+    ) : null;
+    if (holderId && holderId !== driverId) {
+        const error = new Error('Phone number already registered');
+        error.statusCode = 409;
+        throw error;
+    }
+    return contact;
+}
+
+/**
+ * Limit driver registration changes to the driver, a company they are attached to, and internal users
+ * Drivers share company_id with their colleagues, so only non-driver users act for a company
+ * @param {object} req - Express request after requirePermission
+ * @param {string} driverId - Driver the request targets
+ * @throws {Error} - 403 for anyone else
+ */
+async function assertDriverAccess(req, driverId) {
+    const { user_type: userType, driver_id: ownDriverId, company_id: companyId } = req.user;
+
+    if (userType === 'INTERNAL' || ownDriverId === driverId) {
+        return;
+    }
+    if (userType !== 'DRIVER' && companyId && await companyRepository.getEmployment(companyId, driverId)) {
+        return;
+    }
+
+    logger.warn('Driver access denied', {
+        userId: req.user.userId,
+        driverId,
+        userCompanyId: companyId,
+        category: 'authorization'
+    });
+
+    const error = new Error('Access limited to your own driver registration or company drivers');
+    error.statusCode = 403;
+    throw error;
+}
+
+/**
+ * Validate the documents of a driver registration
+ * @param {object[]} documents - [{ type, number, issuingCountry, expiryDate }]
+ * @returns {object[]} - Normalized documents
+ * @throws {Error} - 400 with the validation errors as details
+ */
+function normalizeDocuments(documents) {
+    const errors = validateDriverDocuments(documents);
+    if (errors.length > 0) {
+        const error = new Error('Invalid driver data');
+        error.statusCode = 400;
+        error.details = errors;
+        throw error;
+    }
+    return normalizeDriverDocuments(documents);
+}
+
+/**
+ * Apply a review decision to a driver registration
+ * Approval runs the registration checks; a failing check returns 409 with the failures as details
+ * @param {object} req - Express request of a reviewer
+ * @param {string} action - approve, reject or request-changes
+ * @returns {Promise<object>} - Updated driver
+ */
+async function applyRegistrationDecision(req, action) {
+    const { status, from, event, message, requiresReason } = REGISTRATION_DECISIONS[action];
+    const { driverId } = req.params;
+    const { reason } = req.body || {};
+    const reviewedBy = req.user.userId || req.user.id;
+
+    if (requiresReason && (typeof reason !== 'string' || reason.trim().length === 0 || reason.length > 500)) {
+        const error = new Error('reason is required (at most 500 characters)');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const driver = await logDatabaseOperation(
+        'GET',
+        'drivers',
+        async () => driverRepository.getDriver(driverId),
+        { driverId }
+    );
+    if (!driver) {
+        const error = new Error('Driver not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (!from.includes(driver.status)) {
+        const error = new Error(`Cannot ${action} a driver with status ${driver.status}`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const failedChecks = checkDriverRegistration(driver);
+    if (action === 'approve' && failedChecks.length > 0) {
+        const error = new Error('Driver registration checks failed');
+        error.statusCode = 409;
+        error.details = failedChecks;
+        throw error;
+    }
+
+    const updated = await logDatabaseOperation(
+        'UPDATE',
+        'drivers',
+        async () => driverRepository.updateDriver(driverId, {
+            registrationHistory: [...(driver.registrationHistory || []), {
+                fromStatus: driver.status,
+                toStatus: status,
+                reason: reason || null,
+                failedChecks,
+                reviewedBy,
+                reviewedAt: new Date().toISOString()
+            }],
+            status,
+            statusReason: reason || null
+        }, { expectedStatus: driver.status }),
+        { driverId, status }
+    );
+
+    logBusinessEvent(event, message, {
+        driverId,
+        status,
+        reason,
+        failedChecks,
+        reviewedBy
+    });
+
+    metricsService.recordBusinessEvent(event, 'success');
+
+    return updated;
+}
+
+/**
+ * Shared handler of the registration review endpoints
+ */
+function handleRegistrationDecision(action) {
+    return async (req, res) => {
+        try {
+            const driver = await applyRegistrationDecision(req, action);
+
+            res.status(200).json({
+                success: true,
+                data: driver,
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error('Driver registration review failed', error, {
+                driverId: req.params.driverId,
+                action,
+                userId: req.user.id,
+                category: 'business_event'
+            });
+
+            res.status(error.statusCode || 500).json({
+                error: error.statusCode ? error.message : 'Internal server error',
+                details: error.details,
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+}
+
+/**
+ * @swagger
+ * /api/drivers/{driverId}/approve:
+ *   post:
+ *     summary: Approve a driver registration
+ *     description: |
+ *       Activates a REGISTRATION_PENDING driver after checking the mandatory documents (DRIVER_LICENSE, TIR_CERTIFICATE,
+ *       VEHICLE_REGISTRATION; present and not expired) and vehicle (type, capacity, licensePlate) details.
+ *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: driverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: D-AZ-240115-X7Y8TU
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Documents checked
+ *     responses:
+ *       200:
+ *         description: Decision recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid driver ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Driver not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Driver not pending, or registration checks failed (failures in details)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/drivers/:driverId/approve', verifyUserAuth, requirePermission('driver:approve'),
+    validateIdParam('driverId', 'DRIVER'), handleRegistrationDecision('approve'));
+
+/**
+ * @swagger
+ * /api/drivers/{driverId}/reject:
+ *   post:
+ *     summary: Reject a driver registration
+ *     description: Rejects a pending driver registration, or one waiting for changes.
+ *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: driverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: D-AZ-240115-X7Y8TU
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: License could not be verified
+ *     responses:
+ *       200:
+ *         description: Decision recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid driver ID or missing reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Driver not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Driver registration already decided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/drivers/:driverId/reject', verifyUserAuth, requirePermission('driver:approve'),
+    validateIdParam('driverId', 'DRIVER'), handleRegistrationDecision('reject'));
+
+/**
+ * @swagger
+ * /api/drivers/{driverId}/request-changes:
+ *   post:
+ *     summary: Request changes to a driver registration
+ *     description: Sends a pending registration back to the driver; updating the driver (PATCH) resubmits it.
+ *     tags: [Drivers]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: driverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: D-AZ-240115-X7Y8TU
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Please upload a readable license scan
+ *     responses:
+ *       200:
+ *         description: Decision recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid driver ID or missing reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Driver not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Driver not pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/drivers/:driverId/request-changes', verifyUserAuth, requirePermission('driver:approve'),
+    validateIdParam('driverId', 'DRIVER'), handleRegistrationDecision('request-changes'));
+
+/**
+ * @swagger
+ * /api/drivers/prioritization/{orderId}:
+ *   get:
+ *     summary: Get driver prioritization
+ *     description: |
+ *       Calculates driver prioritization for specific order (service-to-service).
+ *       Candidates are ACTIVE driver profiles in the pickup country whose driver registration is ACTIVE.
+ *       Drivers with an expired mandatory document are left out and listed with the reason.
+ *       Only accepts order-service tokens addressed to this service with the drivers:prioritize scope.
+ *       Side effect: after the response, changed exclusion reasons are stored on the drivers' registrations
+ *       (prioritizationExclusion); a failed write is logged and does not affect the response.
+ *     tags: [Drivers]
+ *     security:
+ *       - ServiceAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: ORD-000001
+ *     responses:
+ *       200:
+ *         description: Driver prioritization calculated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         orderId:
+ *                           type: string
+ *                         eligibleDrivers:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                               priorityScore:
+ *                                 type: number
+ *                         excludedDrivers:
+ *                           type: array
+ *                           description: Active drivers left out because a mandatory document expired
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                               reasons:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
+ *                                 example: ['TIR certificate expired on 2024-05-31']
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Wrong audience, calling service not allowed or missing scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/drivers/prioritization/:orderId', requireServiceAuth({
+    services: ['order-service'],
+    scopes: ['drivers:prioritize']
+}), async (req, res) => {
+    const { orderId } = req.params;
+    
+    try {
+        const order = await logDatabaseOperation(
+            'GET',
+            'orders',
+            async () => orderRepository.getOrder(orderId),
+            { orderId }
+        );
+        if (!order) {
+            return res.status(404).json({
+                error: 'Order not found',
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        const candidates = order.pickupCountry ? await findCandidateDrivers(order.pickupCountry) : [];
+        const { eligible, excluded } = excludeDriversWithExpiredDocuments(candidates);
+
+        const eligibleDrivers = eligible
+            .map(driver => ({
+                ...driver,
+                priorityScore: calculateDriverPriority(driver, order)
+            }))
+            .sort((a, b) => b.priorityScore - a.priorityScore);
+        
+        logger.debug('Driver prioritization calculated', {
+            orderId,
+            eligibleDriversCount: eligibleDrivers.length,
+            excludedDriversCount: excluded.length,
+            topDriverId: eligibleDrivers[0]?.id,
+            category: 'business_event',
+            eventType: 'DRIVER_PRIORITIZATION_CALCULATED'
+        });
+        
+        res.status(200).json({
+            success: true,
             data: {
                 orderId,
                 eligibleDrivers: eligibleDrivers.slice(0, 10), // Top 10 drivers
+                excludedDrivers: excluded,
                 calculatedAt: new Date().toISOString()
             },
             correlationId: req.correlationId,
             timestamp: new Date().toISOString()
         });
+
+        // Written after responding so a failed bookkeeping write never fails the prioritization read
+        recordPrioritizationExclusions(candidates, excluded, orderId).catch(error => {
+            logger.error('Failed to record prioritization exclusions', error, {
+                orderId,
+                category: 'database_operation'
+            });
+        });
         
     } catch (error) {
         logger.error('Driver prioritization failed', error, {
@@ -696,6 +2025,141 @@ router.post('/test-logging', (req, res) => {
     });
 });
 
+/**
+ * Active drivers in a country, read page by page from the GSI2 country index
+ * Only drivers with an ACTIVE registration are candidates: profiles without one never went through
+ * registration review or document checks. Registration records supply the performance figures,
+ * with NEW_DRIVER_STATS for those not recorded yet
+ * @param {string} country - ISO 3166-1 alpha-2 country code
+ * @returns {Promise<object[]>} - Candidate drivers
+ */
+async function findCandidateDrivers(country) {
+    const profiles = [];
+    let cursor;
+
+    do {
+        const page = await userRepository.listUsersByTypeAndCountry('DRIVER', country, {
+            status: 'ACTIVE',
+            limit: 100,
+            cursor
+        });
+        profiles.push(...page.users);
+        cursor = page.nextCursor;
+    } while (cursor && profiles.length < MAX_PRIORITIZATION_CANDIDATES);
+
+    const candidates = profiles.slice(0, MAX_PRIORITIZATION_CANDIDATES);
+    const driverIds = candidates.map(profile => profile.profile_data.driver_id).filter(Boolean);
+    const registrations = await logDatabaseOperation(
+        'BATCH_GET',
+        'drivers',
+        async () => driverRepository.getDrivers(driverIds),
+        { country, count: driverIds.length }
+    );
+
+    return candidates
+        .map(profile => {
+            const driverId = profile.profile_data.driver_id || null;
+            const registration = registrations.find(d => driverId && d.id === driverId);
+            return { profile, driverId, registration };
+        })
+        .filter(({ registration }) => registration?.status === 'ACTIVE')
+        .map(({ profile, driverId, registration }) => ({
+            ...NEW_DRIVER_STATS,
+            ...registration,
+            id: driverId,
+            userId: profile.userId,
+            country: profile.country,
+            status: 'ACTIVE'
+        }));
+}
+
+/**
+ * Leave out candidates with an expired mandatory document
+ * @param {object[]} candidates - Candidate drivers from findCandidateDrivers
+ * @returns {object} - { eligible, excluded: [{ id, reasons }] }
+ */
+function excludeDriversWithExpiredDocuments(candidates) {
+    const eligible = [];
+    const excluded = [];
+
+    candidates.forEach(candidate => {
+        const reasons = findExpiredMandatoryDocuments(candidate).map(describeExpiredDocument);
+        if (reasons.length > 0) {
+            excluded.push({ id: candidate.id, reasons });
+        } else {
+            eligible.push(candidate);
+        }
+    });
+
+    return { eligible, excluded };
+}
+
+/**
+ * Store the exclusion reasons of a prioritization on the candidates' registrations
+ * Only registrations whose recorded reasons changed are written, EXCLUSION_WRITE_BATCH_SIZE at a time;
+ * a failed write is logged and does not stop the others
+ * @param {object[]} candidates - Candidate drivers from findCandidateDrivers
+ * @param {object[]} excluded - Excluded drivers with their reasons
+ * @param {string} orderId - Order being prioritized
+ */
+async function recordPrioritizationExclusions(candidates, excluded, orderId) {
+    const excludedReasons = new Map(excluded.map(driver => [driver.id, driver.reasons]));
+    const changes = candidates
+        .map(driver => ({ driver, reasons: excludedReasons.get(driver.id) || [] }))
+        .filter(({ driver, reasons }) => !haveSameReasons(driver.prioritizationExclusion?.reasons || [], reasons));
+
+    for (let start = 0; start < changes.length; start += EXCLUSION_WRITE_BATCH_SIZE) {
+        const batch = changes.slice(start, start + EXCLUSION_WRITE_BATCH_SIZE);
+        const results = await Promise.allSettled(
+            batch.map(({ driver, reasons }) => recordPrioritizationExclusion(driver, reasons, orderId))
+        );
+
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                logger.error('Failed to record prioritization exclusion', result.reason, {
+                    orderId,
+                    driverId: batch[index].driver.id,
+                    category: 'database_operation'
+                });
+            }
+        });
+    }
+}
+
+// Whether two exclusion reason lists are the same, in order
+function haveSameReasons(recorded, reasons) {
+    return recorded.length === reasons.length && recorded.every((reason, index) => reason === reasons[index]);
+}
+
+/**
+ * Record why a driver is left out of prioritization on its registration, or clear the record
+ * once the documents are valid again
+ * @param {object} driver - Candidate driver with the fields of its registration record
+ * @param {string[]} reasons - Exclusion reasons, empty if the driver is eligible
+ * @param {string} orderId - Order the exclusion was found for
+ */
+async function recordPrioritizationExclusion(driver, reasons, orderId) {
+    await logDatabaseOperation(
+        'UPDATE',
+        'drivers',
+        async () => driverRepository.updateDriver(driver.id, {
+            prioritizationExclusion: reasons.length > 0
+                ? { reasons, orderId, excludedAt: new Date().toISOString() }
+                : null
+        }),
+        { driverId: driver.id, reasons }
+    );
+
+    if (reasons.length > 0) {
+        logBusinessEvent('DRIVER_EXCLUDED_FROM_PRIORITIZATION', 'Driver excluded from prioritization', {
+            driverId: driver.id,
+            orderId,
+            reasons
+        });
+        metricsService.recordBusinessEvent('DRIVER_EXCLUDED_FROM_PRIORITIZATION', 'success');
+    }
+}
+
 /**
  * Driver priority calculation algorithm
  * Demonstrates TIR Browser driver prioritization logic
@@ -0,0 +1,949 @@
+// TIR Browser Platform - Company Endpoints
+// Company profiles and driver employments; company admins only see their own company
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../services/logger')('auth:company-endpoints');
+const { logBusinessEvent } = require('../middleware/logging');
+const { verifyUserAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorization');
+const { validateIdParam } = require('../middleware/validation');
+const { hasPermission } = require('../services/permissions');
+const { companyRepository } = require('../services/companies');
+const { assertValidCompanyData, assertValidEmployment } = require('../services/company-validation');
+const {
+    invitationRepository,
+    validateInvitation,
+    INVITATION_STATUSES
+} = require('../services/invitations');
+const { sendError, sendData } = require('../services/http-responses');
+
+/**
+ * Limit a company action to the caller's own company
+ * "company:<action>:all" grants the action on every company
+ * @param {object} req - Express request after requirePermission
+ * @param {string} companyId - Company the request targets
+ * @param {string} action - Permission action, e.g. "read"
+ */
+function assertCompanyAccess(req, companyId, action) {
+    if (hasPermission(req.user.permissions, `company:${action}:all`) || req.user.company_id === companyId) {
+        return;
+    }
+
+    logger.warn('Company access denied', {
+        userId: req.user.userId,
+        companyId,
+        userCompanyId: req.user.company_id,
+        action,
+        category: 'authorization'
+    });
+
+    const error = new Error('Access limited to your own company');
+    error.statusCode = 403;
+    throw error;
+}
+
+/**
+ * @swagger
+ * /api/companies:
+ *   post:
+ *     summary: Create a company
+ *     description: |
+ *       Creates a SHIPPING or PROVIDER company. Shipping companies need company_name and license_number,
+ *       provider companies company_name and tax_id.
+ *     tags: [Companies]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - company_type
+ *               - company_name
+ *             properties:
+ *               company_type:
+ *                 type: string
+ *                 enum: [SHIPPING, PROVIDER]
+ *               company_name:
+ *                 type: string
+ *                 example: ABC Logistics
+ *               license_number:
+ *                 type: string
+ *                 example: LOG123456
+ *               tax_id:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *                 example: AZ
+ *               certifications:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               contact_info:
+ *                 type: object
+ *                 properties:
+ *                   email:
+ *                     type: string
+ *                   phone:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Company created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Company'
+ *       400:
+ *         description: Invalid company data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', verifyUserAuth, requirePermission('company:create'), async (req, res) => {
+    const { company_type: companyType, ...data } = req.body;
+
+    try {
+        assertValidCompanyData(companyType, data);
+
+        const company = await companyRepository.createCompany(companyType, data, {
+            createdBy: req.user.userId || req.user.id
+        });
+
+        logBusinessEvent('COMPANY_CREATED', 'Company created', {
+            companyId: company.companyId,
+            companyType,
+            createdBy: req.user.userId || req.user.id
+        });
+
+        sendData(req, res, 201, company);
+    } catch (error) {
+        logger.error('Failed to create company', error, {
+            companyType,
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/companies/{companyId}:
+ *   get:
+ *     summary: Get a company
+ *     description: Company admins can only read their own company; company:read:all grants access to every company
+ *     tags: [Companies]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: comp_789
+ *     responses:
+ *       200:
+ *         description: Company
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Company'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission or another company
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Company not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:companyId', verifyUserAuth, requirePermission('company:read'), async (req, res) => {
+    const { companyId } = req.params;
+
+    try {
+        assertCompanyAccess(req, companyId, 'read');
+
+        sendData(req, res, 200, await companyRepository.getCompany(companyId));
+    } catch (error) {
+        logger.error('Failed to retrieve company', error, {
+            companyId,
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/companies/{companyId}:
+ *   patch:
+ *     summary: Update a company
+ *     description: |
+ *       Updates fields valid for the company's company_type; company_type itself cannot change.
+ *       A null value clears an optional field.
+ *     tags: [Companies]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: comp_789
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             example:
+ *               address: 123 Main St, City
+ *     responses:
+ *       200:
+ *         description: Company updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Company'
+ *       400:
+ *         description: Invalid company data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission or another company
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Company not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:companyId', verifyUserAuth, requirePermission('company:update'), async (req, res) => {
+    const { companyId } = req.params;
+
+    try {
+        assertCompanyAccess(req, companyId, 'update');
+
+        const existing = await companyRepository.getCompany(companyId);
+        assertValidCompanyData(existing.company_type, req.body, { partial: true });
+
+        const company = await companyRepository.updateCompany(companyId, req.body, {
+            updatedBy: req.user.userId || req.user.id
+        });
+
+        logBusinessEvent('COMPANY_UPDATED', 'Company updated', {
+            companyId,
+            updatedBy: req.user.userId || req.user.id,
+            fields: Object.keys(req.body)
+        });
+
+        sendData(req, res, 200, company);
+    } catch (error) {
+        logger.error('Failed to update company', error, {
+            companyId,
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/companies/{companyId}:
+ *   delete:
+ *     summary: Delete a company
+ *     description: Only companies without attached drivers can be deleted
+ *     tags: [Companies]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: comp_789
+ *     responses:
+ *       200:
+ *         description: Company deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission or another company
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Company not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Company still has drivers attached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:companyId', verifyUserAuth, requirePermission('company:delete'), async (req, res) => {
+    const { companyId } = req.params;
+
+    try {
+        assertCompanyAccess(req, companyId, 'delete');
+
+        await companyRepository.deleteCompany(companyId);
+
+        logBusinessEvent('COMPANY_DELETED', 'Company deleted', {
+            companyId,
+            deletedBy: req.user.userId || req.user.id
+        });
+
+        sendData(req, res, 200, { companyId });
+    } catch (error) {
+        logger.error('Failed to delete company', error, {
+            companyId,
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/companies/{companyId}/drivers:
+ *   get:
+ *     summary: List company drivers
+ *     description: Driver employments of a company (COMPANY#<id> items with a DRIVER# sort key)
+ *     tags: [Companies]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: comp_789
+ *     responses:
+ *       200:
+ *         description: Driver employments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DriverEmployment'
+ *                     count:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission or another company
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:companyId/drivers', verifyUserAuth, requirePermission('company:read'), async (req, res) => {
+    const { companyId } = req.params;
+
+    try {
+        assertCompanyAccess(req, companyId, 'read');
+
+        const drivers = await companyRepository.listDrivers(companyId);
+
+        sendData(req, res, 200, drivers, { count: drivers.length });
+    } catch (error) {
+        logger.error('Failed to list company drivers', error, {
+            companyId,
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/companies/{companyId}/drivers/{driverId}:
+ *   put:
+ *     summary: Attach a driver to a company
+ *     description: Creates the driver's employment with the company, or replaces an existing one
+ *     tags: [Companies]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: comp_789
+ *       - in: path
+ *         name: driverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: D-AZ-240115-X7Y8TU
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - employment_type
+ *               - start_date
+ *             properties:
+ *               employment_type:
+ *                 type: string
+ *                 enum: [FULL_TIME, PART_TIME, CONTRACTOR]
+ *               start_date:
+ *                 type: string
+ *                 format: date
+ *                 example: 2024-01-01
+ *               status:
+ *                 type: string
+ *                 enum: [ACTIVE, SUSPENDED, TERMINATED]
+ *                 default: ACTIVE
+ *     responses:
+ *       200:
+ *         description: Driver attached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/DriverEmployment'
+ *       400:
+ *         description: Invalid driver ID or employment data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission or another company
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Company not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:companyId/drivers/:driverId', verifyUserAuth, requirePermission('company:manage_drivers'),
+    validateIdParam('driverId', 'DRIVER'), async (req, res) => {
+        const { companyId, driverId } = req.params;
+
+        try {
+            assertCompanyAccess(req, companyId, 'manage_drivers');
+            assertValidEmployment(req.body);
+
+            const employment = await companyRepository.attachDriver(companyId, driverId, req.body, {
+                updatedBy: req.user.userId || req.user.id
+            });
+
+            logBusinessEvent('COMPANY_DRIVER_ATTACHED', 'Driver attached to company', {
+                companyId,
+                driverId,
+                employmentType: employment.employment_type,
+                status: employment.status,
+                updatedBy: req.user.userId || req.user.id
+            });
+
+            sendData(req, res, 200, employment);
+        } catch (error) {
+            logger.error('Failed to attach driver to company', error, {
+                companyId,
+                driverId,
+                userId: req.user.userId,
+                category: 'database_operation'
+            });
+
+            sendError(req, res, error);
+        }
+    });
+
+/**
+ * @swagger
+ * /api/companies/{companyId}/drivers/{driverId}:
+ *   delete:
+ *     summary: Detach a driver from a company
+ *     tags: [Companies]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: comp_789
+ *       - in: path
+ *         name: driverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: D-AZ-240115-X7Y8TU
+ *     responses:
+ *       200:
+ *         description: Driver detached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid driver ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission or another company
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Driver not attached to the company
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:companyId/drivers/:driverId', verifyUserAuth, requirePermission('company:manage_drivers'),
+    validateIdParam('driverId', 'DRIVER'), async (req, res) => {
+        const { companyId, driverId } = req.params;
+
+        try {
+            assertCompanyAccess(req, companyId, 'manage_drivers');
+
+            await companyRepository.detachDriver(companyId, driverId);
+
+            logBusinessEvent('COMPANY_DRIVER_DETACHED', 'Driver detached from company', {
+                companyId,
+                driverId,
+                updatedBy: req.user.userId || req.user.id
+            });
+
+            sendData(req, res, 200, { companyId, driver_id: driverId });
+        } catch (error) {
+            logger.error('Failed to detach driver from company', error, {
+                companyId,
+                driverId,
+                userId: req.user.userId,
+                category: 'database_operation'
+            });
+
+            sendError(req, res, error);
+        }
+    });
+
+/**
+ * @swagger
+ * /api/companies/{companyId}/invitations:
+ *   post:
+ *     summary: Invite a driver
+ *     description: |
+ *       Invites a driver to a shipping company by phone or email. The response carries the invite token;
+ *       it is only returned here and is used once through POST /api/invitations/accept. Phone numbers are
+ *       validated against the company's country.
+ *     tags: [Companies]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: comp_789
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - employment_type
+ *               - start_date
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: '+994501234567'
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: driver@example.com
+ *               employment_type:
+ *                 type: string
+ *                 enum: [FULL_TIME, PART_TIME, CONTRACTOR]
+ *               start_date:
+ *                 type: string
+ *                 format: date
+ *                 example: 2024-01-01
+ *               expires_in_days:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 default: 7
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/CompanyInvitation'
+ *                         - type: object
+ *                           properties:
+ *                             invite_token:
+ *                               type: string
+ *                               description: Single-use token for the invited driver; only returned here
+ *                               example: comp_789.inv_5f2c9a0b1d3e4f5a6b7c8d9e.Vq3x9mKp2Rj7LwTn4Ys8Bf1Hd6Gc0Ze5Ua2Xk7Nm9Qw
+ *       400:
+ *         description: Invalid invitation or not a shipping company
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission or another company
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Company not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:companyId/invitations', verifyUserAuth, requirePermission('company:manage_drivers'), async (req, res) => {
+    const { companyId } = req.params;
+
+    try {
+        assertCompanyAccess(req, companyId, 'manage_drivers');
+
+        const company = await companyRepository.getCompany(companyId);
+        if (company.company_type !== 'SHIPPING') {
+            const error = new Error('Only shipping companies can invite drivers');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const invitation = await invitationRepository.createInvitation(
+            companyId,
+            validateInvitation(req.body, company.country || req.user.country),
+            { createdBy: req.user.userId || req.user.id }
+        );
+
+        logBusinessEvent('COMPANY_INVITATION_CREATED', 'Driver invited to company', {
+            companyId,
+            invitationId: invitation.invitation_id,
+            channel: invitation.channel,
+            expiresAt: invitation.expires_at,
+            createdBy: req.user.userId || req.user.id
+        });
+
+        sendData(req, res, 201, invitation);
+    } catch (error) {
+        logger.error('Failed to create company invitation', error, {
+            companyId,
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/companies/{companyId}/invitations:
+ *   get:
+ *     summary: List company invitations
+ *     description: Invitations of a company by status, newest first. Pending invitations past their expiry are EXPIRED.
+ *     tags: [Companies]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: comp_789
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, ACCEPTED, REVOKED, EXPIRED]
+ *           default: PENDING
+ *     responses:
+ *       200:
+ *         description: Invitations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CompanyInvitation'
+ *                     count:
+ *                       type: integer
+ *       400:
+ *         description: Invalid status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission or another company
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:companyId/invitations', verifyUserAuth, requirePermission('company:manage_drivers'), async (req, res) => {
+    const { companyId } = req.params;
+    const status = req.query.status || 'PENDING';
+
+    try {
+        assertCompanyAccess(req, companyId, 'manage_drivers');
+
+        if (!INVITATION_STATUSES.includes(status)) {
+            const error = new Error(`status must be one of ${INVITATION_STATUSES.join(', ')}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const invitations = await invitationRepository.listInvitations(companyId, status);
+
+        sendData(req, res, 200, invitations, { count: invitations.length });
+    } catch (error) {
+        logger.error('Failed to list company invitations', error, {
+            companyId,
+            status,
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/companies/{companyId}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke an invitation
+ *     description: Revokes a pending invitation; its invite token can no longer be accepted
+ *     tags: [Companies]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: companyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: comp_789
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: inv_5f2c9a0b1d3e4f5a6b7c8d9e
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/CompanyInvitation'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission or another company
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Invitation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Invitation is no longer pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:companyId/invitations/:invitationId', verifyUserAuth, requirePermission('company:manage_drivers'),
+    async (req, res) => {
+        const { companyId, invitationId } = req.params;
+
+        try {
+            assertCompanyAccess(req, companyId, 'manage_drivers');
+
+            const invitation = await invitationRepository.revokeInvitation(companyId, invitationId, {
+                revokedBy: req.user.userId || req.user.id
+            });
+
+            logBusinessEvent('COMPANY_INVITATION_REVOKED', 'Company invitation revoked', {
+                companyId,
+                invitationId,
+                revokedBy: req.user.userId || req.user.id
+            });
+
+            sendData(req, res, 200, invitation);
+        } catch (error) {
+            logger.error('Failed to revoke company invitation', error, {
+                companyId,
+                invitationId,
+                userId: req.user.userId,
+                category: 'database_operation'
+            });
+
+            sendError(req, res, error);
+        }
+    });
+
+module.exports = router;
@@ -0,0 +1,131 @@
+// TIR Browser Platform - Local Identity Provider Endpoints
+// Issues development user tokens (mounted only when the local identity provider is enabled)
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../services/logger')('auth:dev-idp-endpoints');
+const { localIdentityProvider, getIssuableGroups } = require('../services/local-identity-provider');
+
+// Longest development token lifetime, the Cognito ID token maximum
+const MAX_EXPIRES_IN = 24 * 60 * 60;
+
+/**
+ * @swagger
+ * /dev/token:
+ *   post:
+ *     summary: Issue a development user token
+ *     description: |
+ *       Signs an RS256 user token with the local identity provider so `/api/*` can be called
+ *       without Cognito. Only available when LOCAL_IDP_ENABLED=true. groups is limited to LOCAL_IDP_GROUPS
+ *       (none by default); other roles come from the user's role assignments.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sub
+ *             properties:
+ *               sub:
+ *                 type: string
+ *                 example: "user-123"
+ *               email:
+ *                 type: string
+ *                 example: "dev@example.com"
+ *               username:
+ *                 type: string
+ *               groups:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Groups listed in LOCAL_IDP_GROUPS only
+ *                 example: ["provider"]
+ *               scope:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               expiresIn:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 86400
+ *                 description: Lifetime in seconds (default 3600)
+ *     responses:
+ *       200:
+ *         description: Token issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 access_token:
+ *                   type: string
+ *                 token_type:
+ *                   type: string
+ *                   example: Bearer
+ *                 expires_in:
+ *                   type: integer
+ *       400:
+ *         description: Missing sub, groups outside LOCAL_IDP_GROUPS or expiresIn out of range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/token', (req, res) => {
+    const { sub, email, username, groups, scope, expiresIn = 3600 } = req.body;
+
+    try {
+        const issuableGroups = getIssuableGroups();
+        if (groups !== undefined && (!Array.isArray(groups) || !groups.every(group => issuableGroups.includes(group)))) {
+            const error = new Error(`groups must be a subset of LOCAL_IDP_GROUPS (${issuableGroups.join(', ') || 'none'})`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > MAX_EXPIRES_IN) {
+            const error = new Error(`expiresIn must be a whole number of seconds between 1 and ${MAX_EXPIRES_IN}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const accessToken = localIdentityProvider.issueToken({ sub, email, username, groups, scope }, expiresIn);
+
+        logger.info('Development user token issued', {
+            userId: sub,
+            groups,
+            category: 'user_authentication'
+        });
+
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json({
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: expiresIn
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            error: error.message,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /dev/jwks.json:
+ *   get:
+ *     summary: Local identity provider signing key
+ *     description: JWKS of the local identity provider, for other services trusting it in development
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set
+ */
+router.get('/jwks.json', (req, res) => {
+    res.status(200).json(localIdentityProvider.getJwks());
+});
+
+module.exports = router;
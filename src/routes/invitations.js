@@ -0,0 +1,150 @@
+// TIR Browser Platform - Invitation Endpoints
+// Drivers accept company invitations with the invite token the company sent them
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../services/logger')('auth:invitation-endpoints');
+const { logBusinessEvent } = require('../middleware/logging');
+const { verifyUserAuth, invalidateCachedUser } = require('../middleware/auth');
+const { userRepository } = require('../services/users');
+const { invitationRepository } = require('../services/invitations');
+const { httpError, sendError, sendData } = require('../services/http-responses');
+
+/**
+ * An invitation is accepted by the driver it was sent to: the phone number in their profile
+ * or the email address of their sign-in
+ */
+function isInvitedContact(invitation, user, req) {
+    if (invitation.channel === 'PHONE') {
+        return invitation.phone === user.profile_data.phone;
+    }
+    return typeof req.user.email === 'string' && invitation.email === req.user.email.trim().toLowerCase();
+}
+
+/**
+ * @swagger
+ * /api/invitations/accept:
+ *   post:
+ *     summary: Accept a company invitation
+ *     description: |
+ *       The invited driver joins the company: the invitation becomes ACCEPTED, the employment is created
+ *       and company_id is set in the driver's profile. Each invite token can be accepted once, by the
+ *       driver whose profile phone or sign-in email matches the invitation.
+ *     tags: [Invitations]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Invite token from the invitation
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/DriverEmployment'
+ *       400:
+ *         description: Invalid invite token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Caller is not a driver or not the invited contact
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Invitation or company not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Invitation already accepted or revoked, or driver already employed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       410:
+ *         description: Invitation expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/accept', verifyUserAuth, async (req, res) => {
+    try {
+        if (!req.user.userId) {
+            throw httpError('User profile not found', 404);
+        }
+        if (req.user.user_type !== 'DRIVER') {
+            throw httpError('Only drivers can accept company invitations', 403);
+        }
+
+        const invitation = await invitationRepository.getInvitationByToken(req.body?.token);
+        const { company_id: companyId, invitation_id: invitationId } = invitation;
+
+        if (invitation.status === 'EXPIRED') {
+            throw httpError('Invitation expired', 410);
+        }
+        if (invitation.status !== 'PENDING') {
+            throw httpError(`Invitation already ${invitation.status.toLowerCase()}`, 409);
+        }
+
+        const user = await userRepository.getUser(req.user.userId);
+        if (!user.profile_data.driver_id) {
+            throw httpError('Driver profile has no driver ID', 403);
+        }
+        if (!isInvitedContact(invitation, user, req)) {
+            throw httpError('Invitation was sent to another contact', 403);
+        }
+
+        const employment = await invitationRepository.acceptInvitation(invitation, {
+            userId: req.user.userId,
+            driverId: user.profile_data.driver_id
+        });
+
+        // Cached req.user objects carry company_id
+        invalidateCachedUser(req.user.userId);
+
+        logBusinessEvent('COMPANY_INVITATION_ACCEPTED', 'Company invitation accepted', {
+            companyId,
+            invitationId,
+            driverId: employment.driver_id,
+            userId: req.user.userId
+        });
+
+        sendData(req, res, 200, employment);
+    } catch (error) {
+        logger.error('Failed to accept company invitation', error, {
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,486 @@
+// TIR Browser Platform - OAuth2 Endpoints
+// Client-credentials token issuance, introspection and revocation
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../services/logger')('auth:oauth-endpoints');
+const { logBusinessEvent } = require('../middleware/logging');
+const { serviceAuth, invalidateCachedToken, invalidateCachedUser } = require('../middleware/auth');
+const { userTokenVerifier } = require('../services/user-token-verifier');
+const { oauthClientRepository } = require('../services/oauth-clients');
+const { tokenDenylist } = require('../services/token-denylist');
+const metricsService = require('../services/metrics');
+
+const TOKEN_TTL_SECONDS = parseInt(process.env.OAUTH_TOKEN_TTL_SECONDS || '300'); // 5 minutes
+
+/**
+ * Send an RFC 6749 error response in the TIR Browser envelope
+ */
+function sendOAuthError(req, res, statusCode, error, description) {
+    if (statusCode === 401) {
+        res.set('WWW-Authenticate', 'Basic realm="tir-browser-auth"');
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return res.status(statusCode).json({
+        error,
+        error_description: description,
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Extract client credentials from HTTP Basic auth or the request body
+ * Malformed credentials (bad percent-encoding, non-string fields) count as missing
+ * @returns {{clientId: string, clientSecret: string}|null}
+ */
+function getClientCredentials(req) {
+    const authHeader = req.headers.authorization;
+
+    if (authHeader && authHeader.startsWith('Basic ')) {
+        const decoded = Buffer.from(authHeader.substring(6), 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        if (separator === -1) {
+            return null;
+        }
+        try {
+            return {
+                clientId: decodeURIComponent(decoded.substring(0, separator)),
+                clientSecret: decodeURIComponent(decoded.substring(separator + 1))
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    const { client_id: clientId, client_secret: clientSecret } = req.body || {};
+    if (clientId && clientSecret && typeof clientId === 'string' && typeof clientSecret === 'string') {
+        return { clientId, clientSecret };
+    }
+
+    return null;
+}
+
+/**
+ * Authenticate the calling OAuth client, sending invalid_client on failure
+ * @returns {Promise<object|null>} - Client item or null if a response was sent
+ */
+async function authenticateClient(req, res) {
+    const credentials = getClientCredentials(req);
+    if (!credentials) {
+        sendOAuthError(req, res, 401, 'invalid_client', 'Client authentication required');
+        return null;
+    }
+
+    const client = await oauthClientRepository.authenticate(credentials.clientId, credentials.clientSecret);
+    if (!client) {
+        logger.warn('Client authentication failed', {
+            clientId: credentials.clientId,
+            path: req.path,
+            category: 'service_authentication'
+        });
+        metricsService.recordAuthenticationAttempt('client_credentials', 'failure');
+        sendOAuthError(req, res, 401, 'invalid_client', 'Client authentication failed');
+        return null;
+    }
+
+    return client;
+}
+
+/**
+ * Verify a token of either kind (service token first, then user token)
+ * @param {string} token - Raw JWT
+ * @returns {Promise<{claims: object, user: object, tokenUse: string}|null>} - Verified claims or null if invalid
+ */
+async function verifyAnyToken(token) {
+    const serviceClaims = await serviceAuth.verifyToken(token);
+    if (serviceClaims) {
+        return { claims: serviceClaims, tokenUse: 'service' };
+    }
+
+    try {
+        const { claims, user } = await userTokenVerifier.verify(token);
+        return { claims, user, tokenUse: 'user' };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * @swagger
+ * /oauth/token:
+ *   post:
+ *     summary: Issue a service access token
+ *     description: |
+ *       OAuth2 client_credentials grant (RFC 6749 section 4.4). Clients authenticate with
+ *       HTTP Basic or client_id/client_secret in the body and receive a short-lived token
+ *       bound to one audience and the granted scopes.
+ *     tags: [OAuth]
+ *     security:
+ *       - ClientBasicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grant_type
+ *             properties:
+ *               grant_type:
+ *                 type: string
+ *                 enum: [client_credentials]
+ *               scope:
+ *                 type: string
+ *                 example: drivers:prioritize
+ *               audience:
+ *                 type: string
+ *                 example: auth
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 access_token:
+ *                   type: string
+ *                 token_type:
+ *                   type: string
+ *                   example: Bearer
+ *                 expires_in:
+ *                   type: number
+ *                   example: 300
+ *                 scope:
+ *                   type: string
+ *       400:
+ *         description: invalid_request, unsupported_grant_type, invalid_scope or invalid_target
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: invalid_client
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/token', async (req, res) => {
+    const { grant_type: grantType, scope, audience } = req.body;
+
+    if (grantType !== 'client_credentials') {
+        return sendOAuthError(req, res, 400, 'unsupported_grant_type', 'Only client_credentials is supported');
+    }
+
+    if (scope !== undefined && typeof scope !== 'string') {
+        return sendOAuthError(req, res, 400, 'invalid_request', 'scope must be a space-delimited string');
+    }
+
+    try {
+        const client = await authenticateClient(req, res);
+        if (!client) {
+            return;
+        }
+
+        const allowedScopes = client.allowed_scopes || [];
+        const requestedScopes = scope ? scope.split(' ').filter(Boolean) : allowedScopes;
+        const deniedScopes = requestedScopes.filter(s => !allowedScopes.includes(s));
+        if (deniedScopes.length > 0) {
+            metricsService.recordAuthenticationAttempt('client_credentials', 'failure');
+            return sendOAuthError(req, res, 400, 'invalid_scope', `Scope not allowed: ${deniedScopes.join(' ')}`);
+        }
+
+        const allowedAudiences = client.allowed_audiences || [];
+        const targetAudience = audience || (allowedAudiences.length === 1 ? allowedAudiences[0] : null);
+        if (!targetAudience || !allowedAudiences.includes(targetAudience)) {
+            metricsService.recordAuthenticationAttempt('client_credentials', 'failure');
+            return sendOAuthError(req, res, 400, 'invalid_target', 'Audience missing or not allowed for this client');
+        }
+
+        const accessToken = await serviceAuth.generateToken(client.service_name, {
+            audience: targetAudience,
+            scope: requestedScopes,
+            expiresIn: TOKEN_TTL_SECONDS,
+            clientId: client.client_id
+        });
+
+        logBusinessEvent('SERVICE_TOKEN_ISSUED', 'Service access token issued', {
+            clientId: client.client_id,
+            service: client.service_name,
+            audience: targetAudience,
+            scopes: requestedScopes
+        });
+        metricsService.recordAuthenticationAttempt('client_credentials', 'success');
+
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json({
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: TOKEN_TTL_SECONDS,
+            scope: requestedScopes.join(' ')
+        });
+    } catch (error) {
+        logger.error('Token issuance failed', error, {
+            clientId: req.body.client_id,
+            category: 'service_authentication'
+        });
+
+        res.status(500).json({
+            error: 'server_error',
+            error_description: 'Failed to issue token',
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /oauth/introspect:
+ *   post:
+ *     summary: Introspect a token
+ *     description: |
+ *       RFC 7662 token introspection for service and user tokens. Revoked, expired or
+ *       invalid tokens are reported as inactive. Requires a client with the tokens:introspect scope.
+ *     tags: [OAuth]
+ *     security:
+ *       - ClientBasicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               token_type_hint:
+ *                 type: string
+ *                 example: access_token
+ *     responses:
+ *       200:
+ *         description: Introspection result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 active:
+ *                   type: boolean
+ *                 token_use:
+ *                   type: string
+ *                   enum: [service, user]
+ *                 scope:
+ *                   type: string
+ *                 client_id:
+ *                   type: string
+ *                 sub:
+ *                   type: string
+ *                 exp:
+ *                   type: number
+ *       401:
+ *         description: invalid_client
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Client may not introspect tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/introspect', async (req, res) => {
+    try {
+        const client = await authenticateClient(req, res);
+        if (!client) {
+            return;
+        }
+
+        if (!(client.allowed_scopes || []).includes('tokens:introspect')) {
+            return sendOAuthError(req, res, 403, 'insufficient_scope', 'Client may not introspect tokens');
+        }
+
+        const { token } = req.body;
+        if (!token) {
+            return sendOAuthError(req, res, 400, 'invalid_request', 'token is required');
+        }
+
+        res.set('Cache-Control', 'no-store');
+
+        const verified = await verifyAnyToken(token);
+        if (!verified || await tokenDenylist.isRevoked(token, verified.claims)) {
+            return res.status(200).json({ active: false });
+        }
+
+        const { claims, user, tokenUse } = verified;
+        res.status(200).json({
+            active: true,
+            token_use: tokenUse,
+            scope: claims.scope,
+            client_id: claims.client_id,
+            username: user?.username,
+            service: claims.service,
+            sub: claims.sub,
+            aud: claims.aud,
+            iss: claims.iss,
+            exp: claims.exp,
+            iat: claims.iat,
+            jti: claims.jti
+        });
+    } catch (error) {
+        logger.error('Token introspection failed', error, {
+            category: 'service_authentication'
+        });
+
+        res.status(500).json({
+            error: 'server_error',
+            error_description: 'Failed to introspect token',
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /oauth/revoke:
+ *   post:
+ *     summary: Revoke a token or all tokens of a subject
+ *     description: |
+ *       RFC 7009 token revocation. A client may revoke tokens issued to itself; revoking other
+ *       tokens, or every token of a subject (user sub or service:<name>), requires the tokens:revoke scope.
+ *       Invalid or expired tokens are accepted silently as the RFC requires.
+ *     tags: [OAuth]
+ *     security:
+ *       - ClientBasicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               subject:
+ *                 type: string
+ *                 example: service:order-service
+ *               reason:
+ *                 type: string
+ *                 example: Credentials leaked in CI logs
+ *     responses:
+ *       200:
+ *         description: Token revoked (or already invalid)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: invalid_request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: invalid_client
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Client may not revoke this token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/revoke', async (req, res) => {
+    const { token, subject, reason } = req.body;
+
+    try {
+        const client = await authenticateClient(req, res);
+        if (!client) {
+            return;
+        }
+
+        if (!token && !subject) {
+            return sendOAuthError(req, res, 400, 'invalid_request', 'token or subject is required');
+        }
+
+        const canRevokeAny = (client.allowed_scopes || []).includes('tokens:revoke');
+        const metadata = { reason, revokedBy: client.client_id };
+
+        if (subject) {
+            if (!canRevokeAny) {
+                return sendOAuthError(req, res, 403, 'insufficient_scope', 'Client may not revoke subjects');
+            }
+
+            await tokenDenylist.revokeSubject(subject, metadata);
+            const purged = invalidateCachedUser(subject);
+
+            logBusinessEvent('SUBJECT_TOKENS_REVOKED', 'All tokens of subject revoked', {
+                subject,
+                reason,
+                revokedBy: client.client_id,
+                purgedCacheEntries: purged
+            });
+            metricsService.recordBusinessEvent('TOKEN_REVOKED', 'success');
+        }
+
+        if (token) {
+            const verified = await verifyAnyToken(token);
+
+            // RFC 7009: invalid tokens need no revocation and are not an error
+            if (verified) {
+                if (!canRevokeAny && verified.claims.client_id !== client.client_id) {
+                    return sendOAuthError(req, res, 403, 'unauthorized_client', 'Token was not issued to this client');
+                }
+
+                await tokenDenylist.revokeToken(token, verified.claims, metadata);
+                invalidateCachedToken(token);
+
+                logBusinessEvent('TOKEN_REVOKED', 'Token revoked', {
+                    tokenUse: verified.tokenUse,
+                    jti: verified.claims.jti,
+                    subject: verified.claims.sub || verified.claims.service,
+                    reason,
+                    revokedBy: client.client_id
+                });
+                metricsService.recordBusinessEvent('TOKEN_REVOKED', 'success');
+            }
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json({
+            success: true,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Token revocation failed', error, {
+            subject,
+            category: 'service_authentication'
+        });
+        metricsService.recordBusinessEvent('TOKEN_REVOKED', 'failure');
+
+        res.status(500).json({
+            error: 'server_error',
+            error_description: 'Failed to revoke token',
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,367 @@
+// TIR Browser Platform - Role Definition Endpoints
+// Admin management of ROLE#<name> / DEFINITION#main items and their permission lists
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../services/logger')('auth:role-endpoints');
+const { logBusinessEvent } = require('../middleware/logging');
+const { verifyUserAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorization');
+const { permissionService, assertHoldsPermissions } = require('../services/permissions');
+const { roleRepository, validateRoleDefinition } = require('../services/roles');
+const { sendError } = require('../services/http-responses');
+
+/**
+ * Throw a 400 error if a role definition is invalid
+ */
+function assertValidRoleDefinition(data, options = {}) {
+    const errors = validateRoleDefinition(data, options);
+
+    if (errors.length > 0) {
+        const error = new Error('Invalid role definition');
+        error.statusCode = 400;
+        error.details = errors;
+        throw error;
+    }
+}
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: List role definitions
+ *     tags: [Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role definitions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RoleDefinition'
+ *                     count:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', verifyUserAuth, requirePermission('role:read'), async (req, res) => {
+    try {
+        const roles = await roleRepository.listRoles();
+
+        res.status(200).json({
+            success: true,
+            data: roles,
+            count: roles.length,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to list roles', error, {
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/roles/{roleName}:
+ *   get:
+ *     summary: Get a role definition
+ *     tags: [Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: driver
+ *     responses:
+ *       200:
+ *         description: Role definition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/RoleDefinition'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Role not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:roleName', verifyUserAuth, requirePermission('role:read'), async (req, res) => {
+    const { roleName } = req.params;
+
+    try {
+        const role = await roleRepository.getRole(roleName);
+
+        res.status(200).json({
+            success: true,
+            data: role,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to retrieve role', error, {
+            roleName,
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a role definition
+ *     description: |
+ *       Permissions are "*", "resource:*" or "resource:action", optionally with a qualifier such as "order:read:all".
+ *       The caller must hold every permission of the new role.
+ *     tags: [Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role_name
+ *               - permissions
+ *             properties:
+ *               role_name:
+ *                 type: string
+ *                 example: fleet-manager
+ *               description:
+ *                 type: string
+ *                 example: Manages the drivers of one shipping company
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["company:read", "company:manage_drivers"]
+ *     responses:
+ *       201:
+ *         description: Role created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/RoleDefinition'
+ *       400:
+ *         description: Invalid role definition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission or permissions the caller does not hold
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Role already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', verifyUserAuth, requirePermission('role:create'), async (req, res) => {
+    const roleName = req.body?.role_name;
+
+    try {
+        assertValidRoleDefinition(req.body, { requireName: true });
+        assertHoldsPermissions(req.user.permissions, req.body.permissions);
+
+        const role = await roleRepository.createRole(req.body, { createdBy: req.user.userId || req.user.id });
+
+        // Unknown roles are cached with no permissions
+        await permissionService.invalidateRole(roleName);
+
+        logBusinessEvent('ROLE_DEFINITION_CREATED', 'Role definition created', {
+            roleName,
+            permissions: role.permissions,
+            createdBy: req.user.userId || req.user.id
+        });
+
+        res.status(201).json({
+            success: true,
+            data: role,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to create role', error, {
+            roleName,
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/roles/{roleName}:
+ *   put:
+ *     summary: Update a role definition
+ *     description: |
+ *       Replaces the description and permission list; users holding the role are affected immediately.
+ *       The caller must hold every current and new permission of the role.
+ *     tags: [Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: driver
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["route:read", "shipment:accept", "profile:update"]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/RoleDefinition'
+ *       400:
+ *         description: Invalid role definition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission or permissions the caller does not hold
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Role not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:roleName', verifyUserAuth, requirePermission('role:update'), async (req, res) => {
+    const { roleName } = req.params;
+
+    try {
+        assertValidRoleDefinition(req.body);
+
+        // Editing a role hands its new permissions to every holder and may strip ones the caller could not grant back
+        const current = await roleRepository.getRole(roleName);
+        assertHoldsPermissions(req.user.permissions, [...current.permissions, ...req.body.permissions]);
+
+        const role = await roleRepository.updateRole(roleName, req.body, { updatedBy: req.user.userId || req.user.id });
+
+        await permissionService.invalidateRole(roleName);
+
+        logBusinessEvent('ROLE_DEFINITION_UPDATED', 'Role definition updated', {
+            roleName,
+            permissions: role.permissions,
+            updatedBy: req.user.userId || req.user.id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: role,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to update role', error, {
+            roleName,
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,1460 @@
+// TIR Browser Platform - User Profile Endpoints
+// Self-service and admin access to USER#<id> / PROFILE#main items
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const logger = require('../services/logger')('auth:user-endpoints');
+const { logBusinessEvent, logDatabaseOperation } = require('../middleware/logging');
+const { verifyUserAuth, invalidateCachedUser } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorization');
+const { permissionService, assertHoldsPermissions } = require('../services/permissions');
+const { userRepository } = require('../services/users');
+const { roleRepository } = require('../services/roles');
+const { userDirectory } = require('../services/user-directory');
+const { personalDataRepository, ERASURE_STEPS } = require('../services/personal-data');
+const { driverRepository } = require('../services/drivers');
+const { tokenDenylist } = require('../services/token-denylist');
+const { idService } = require('../services/ids');
+const { isSupportedPhoneCountry } = require('../services/phone-numbers');
+const { assertValidProfileData } = require('../services/user-profile-validation');
+const { sendError } = require('../services/http-responses');
+
+// Lifecycle actions: target status and the statuses it may be applied to
+const STATUS_ACTIONS = {
+    suspend: { status: 'SUSPENDED', from: ['ACTIVE'], event: 'USER_SUSPENDED', message: 'User suspended' },
+    reactivate: { status: 'ACTIVE', from: ['SUSPENDED', 'DEACTIVATED'], event: 'USER_REACTIVATED', message: 'User reactivated' },
+    deactivate: { status: 'DEACTIVATED', from: ['ACTIVE', 'SUSPENDED'], event: 'USER_DEACTIVATED', message: 'User deactivated' }
+};
+
+// User types signed-up users may choose during onboarding; INTERNAL profiles are provisioned by administrators
+const ONBOARDING_USER_TYPES = ['DRIVER', 'PROVIDER'];
+
+// profile_data field holding the platform ID generated at onboarding
+const PLATFORM_ID_FIELDS = { DRIVER: 'driver_id', PROVIDER: 'provider_id' };
+
+/**
+ * Reject request bodies containing fields the caller may not change
+ * @param {object} body - Request body
+ * @param {string[]} allowedFields - Top-level fields accepted by the endpoint
+ */
+function assertAllowedFields(body, allowedFields) {
+    const unknownFields = Object.keys(body || {}).filter(field => !allowedFields.includes(field));
+
+    if (unknownFields.length > 0) {
+        const error = new Error('Invalid profile data');
+        error.statusCode = 400;
+        error.details = unknownFields.map(field => `${field} cannot be changed here`);
+        throw error;
+    }
+}
+
+/**
+ * Apply a validated profile update and drop cached sessions of the user
+ */
+async function applyProfileUpdate(req, userId, changes) {
+    const user = await userRepository.updateUser(userId, changes, { updatedBy: req.user.userId || req.user.id });
+
+    // Cached req.user objects carry country and company_id
+    invalidateCachedUser(userId);
+
+    logBusinessEvent('USER_PROFILE_UPDATED', 'User profile updated', {
+        userId,
+        updatedBy: req.user.userId || req.user.id,
+        fields: [...Object.keys(changes.profile_data || {}), ...(changes.country !== undefined ? ['country'] : [])]
+    });
+
+    return user;
+}
+
+/**
+ * Move a user to another account status
+ * The status is written first (conditioned on the status that was read) and the identity provider updated after;
+ * if the identity provider update fails the status is changed back so both stay in step.
+ * Suspended and deactivated users lose every token issued so far (denylist) and their cached sessions.
+ * @param {object} req - Express request of an internal administrator
+ * @param {string} userId - Platform user ID
+ * @param {string} action - suspend, reactivate or deactivate
+ * @returns {Promise<object>} - Updated user profile
+ */
+async function applyStatusChange(req, userId, action) {
+    const { status, from, event, message } = STATUS_ACTIONS[action];
+    const { reason } = req.body || {};
+    const changedBy = req.user.userId || req.user.id;
+
+    if (req.user.user_type !== 'INTERNAL') {
+        const error = new Error('Only internal administrators can change account status');
+        error.statusCode = 403;
+        throw error;
+    }
+
+    if (typeof reason !== 'string' || reason.trim().length === 0 || reason.length > 500) {
+        const error = new Error('reason is required (at most 500 characters)');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    if (userId === req.user.userId) {
+        const error = new Error('Cannot change the status of your own account');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const item = await userRepository.getUserItem(userId);
+    if (!from.includes(item.status)) {
+        const error = new Error(`Cannot ${action} a user with status ${item.status}`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    const user = await userRepository.changeStatus(userId, item.status, status, { reason, changedBy });
+
+    if (item.cognito_sub) {
+        try {
+            if (status === 'ACTIVE') {
+                await userDirectory.enableUser(item.cognito_sub);
+            } else {
+                await userDirectory.disableUser(item.cognito_sub);
+            }
+        } catch (directoryError) {
+            logger.error('Identity provider update failed', directoryError, {
+                userId,
+                action,
+                category: 'user_lifecycle'
+            });
+
+            await revertStatusChange(userId, status, item.status, changedBy);
+
+            const error = new Error('Identity provider update failed');
+            error.statusCode = 502;
+            throw error;
+        }
+    }
+
+    if (status !== 'ACTIVE' && item.cognito_sub) {
+        // The denylist is shared by all tasks, unlike the token cache purged below
+        await tokenDenylist.revokeSubject(item.cognito_sub, { reason, revokedBy: changedBy });
+    }
+    const purged = invalidateCachedUser(userId);
+
+    logBusinessEvent(event, message, {
+        userId,
+        fromStatus: item.status,
+        toStatus: status,
+        reason,
+        changedBy,
+        purgedSessions: purged
+    });
+
+    return user;
+}
+
+/**
+ * Change a status back after the identity provider could not be updated
+ * The revert is recorded in the status history like any other change; if it fails too, the mismatch is
+ * logged for an administrator to repeat the status change
+ */
+async function revertStatusChange(userId, status, previousStatus, changedBy) {
+    try {
+        await userRepository.changeStatus(userId, status, previousStatus, {
+            reason: 'Reverted: identity provider update failed',
+            changedBy
+        });
+    } catch (revertError) {
+        logger.error('Status revert failed, identity provider and profile status differ', revertError, {
+            userId,
+            status,
+            identityProviderStatus: previousStatus,
+            category: 'user_lifecycle'
+        });
+    }
+}
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   get:
+ *     summary: Get own profile
+ *     description: Returns the platform profile of the authenticated user
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/UserProfile'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User has no profile yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/me', verifyUserAuth, async (req, res) => {
+    try {
+        if (!req.user.userId) {
+            const error = new Error('User not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const user = await userRepository.getUser(req.user.userId);
+
+        res.status(200).json({
+            success: true,
+            data: user,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to retrieve own profile', error, {
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   post:
+ *     summary: Create own profile (onboarding)
+ *     description: |
+ *       Creates the platform profile of a signed-in user who has none yet. The user chooses DRIVER or
+ *       PROVIDER; profile_data is validated against that user_type. The phone number is validated
+ *       against the country and stored in E.164, and each phone number can belong to one user only.
+ *       A driver_id or provider_id is generated for the new profile.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_type
+ *               - country
+ *               - profile_data
+ *             properties:
+ *               user_type:
+ *                 type: string
+ *                 enum: [DRIVER, PROVIDER]
+ *               country:
+ *                 type: string
+ *                 description: ISO 3166-1 alpha-2 code
+ *                 example: AZ
+ *               profile_data:
+ *                 type: object
+ *                 example:
+ *                   full_name: John Doe
+ *                   phone: "050 123 45 67"
+ *                   license_number: DL123456
+ *     responses:
+ *       201:
+ *         description: Profile created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/UserProfile'
+ *       400:
+ *         description: Invalid user_type, country or profile data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: User already has a profile, or the phone number is registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/me', verifyUserAuth, async (req, res) => {
+    const { user_type: userType, country } = req.body;
+
+    try {
+        if (req.user.userId) {
+            const error = new Error('User already has a profile');
+            error.statusCode = 409;
+            throw error;
+        }
+
+        assertAllowedFields(req.body, ['user_type', 'country', 'profile_data']);
+
+        const errors = [];
+        if (!ONBOARDING_USER_TYPES.includes(userType)) {
+            errors.push(`user_type must be one of ${ONBOARDING_USER_TYPES.join(', ')}`);
+        }
+        if (typeof country !== 'string' || !/^[A-Z]{2}$/.test(country)) {
+            errors.push('country must be an ISO 3166-1 alpha-2 code');
+        } else if (!isSupportedPhoneCountry(country)) {
+            errors.push(`Registration from ${country} is not supported`);
+        }
+        if (errors.length > 0) {
+            const error = new Error('Invalid profile data');
+            error.statusCode = 400;
+            error.details = errors;
+            throw error;
+        }
+
+        const profileData = assertValidProfileData(userType, req.body.profile_data, { country });
+        const userId = `usr_${crypto.randomBytes(8).toString('hex')}`;
+        profileData[PLATFORM_ID_FIELDS[userType]] = await idService.generateId(userType, country, { reserved_by: userId });
+
+        const user = await userRepository.createUser(
+            { userId, cognitoSub: req.user.id, userType, country, profileData },
+            { createdBy: userId }
+        );
+
+        // The cached session was resolved before the profile existed
+        invalidateCachedUser(req.user.id);
+
+        logBusinessEvent('USER_ONBOARDED', 'User profile created', {
+            userId,
+            userType,
+            country
+        });
+
+        res.status(201).json({
+            success: true,
+            data: user,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to create own profile', error, {
+            userId: req.user.id,
+            userType,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   patch:
+ *     summary: Update own profile
+ *     description: |
+ *       Updates profile_data fields of the authenticated user. Fields are validated against the
+ *       user's user_type; identifiers, company links and verification status are admin-only.
+ *       A null value clears an optional field.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - profile_data
+ *             properties:
+ *               profile_data:
+ *                 type: object
+ *                 example:
+ *                   full_name: John Doe
+ *                   phone: "+994501234567"
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/UserProfile'
+ *       400:
+ *         description: Invalid profile data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User has no profile yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/me', verifyUserAuth, async (req, res) => {
+    try {
+        if (!req.user.userId) {
+            const error = new Error('User not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        assertAllowedFields(req.body, ['profile_data']);
+        const profileData = assertValidProfileData(req.user.user_type, req.body.profile_data, {
+            partial: true,
+            country: req.user.country
+        });
+
+        const user = await applyProfileUpdate(req, req.user.userId, { profile_data: profileData });
+
+        res.status(200).json({
+            success: true,
+            data: user,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to update own profile', error, {
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/me/export:
+ *   get:
+ *     summary: Export own personal data
+ *     description: |
+ *       Returns every item stored under the user's partition (profile, roles, status history,
+ *       verification, audit records) plus the driver's employment record as a JSON download.
+ *       Each export is recorded as an audit item.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Personal data export
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         user_id:
+ *                           type: string
+ *                         exported_at:
+ *                           type: string
+ *                           format: date-time
+ *                         items:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         employments:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User has no profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/me/export', verifyUserAuth, async (req, res) => {
+    try {
+        if (!req.user.userId) {
+            const error = new Error('User not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const data = await personalDataRepository.exportUserData(req.user.userId, {
+            requestedBy: req.user.userId,
+            correlationId: req.correlationId
+        });
+
+        logBusinessEvent('USER_DATA_EXPORTED', 'Personal data exported', {
+            userId: req.user.userId,
+            itemCount: data.items.length + data.employments.length
+        });
+
+        res.set('Content-Disposition', `attachment; filename="${req.user.userId}-export.json"`);
+        res.status(200).json({
+            success: true,
+            data,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to export personal data', error, {
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}:
+ *   get:
+ *     summary: Get a user profile
+ *     description: Admin access to any user's platform profile
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: usr_123456789
+ *     responses:
+ *       200:
+ *         description: User profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/UserProfile'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:userId', verifyUserAuth, requirePermission('user:read'), async (req, res) => {
+    const { userId } = req.params;
+
+    try {
+        const user = await userRepository.getUser(userId);
+
+        res.status(200).json({
+            success: true,
+            data: user,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to retrieve user profile', error, {
+            userId,
+            requestedBy: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}:
+ *   patch:
+ *     summary: Update a user profile
+ *     description: |
+ *       Admin update of any profile_data field valid for the user's user_type, and of country
+ *       (ISO 3166-1 alpha-2). A null value clears an optional field.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: usr_123456789
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               profile_data:
+ *                 type: object
+ *                 example:
+ *                   company_id: comp_789
+ *               country:
+ *                 type: string
+ *                 example: AZ
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/UserProfile'
+ *       400:
+ *         description: Invalid profile data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:userId', verifyUserAuth, requirePermission('user:update'), async (req, res) => {
+    const { userId } = req.params;
+    const { profile_data: profileData, country } = req.body;
+
+    try {
+        assertAllowedFields(req.body, ['profile_data', 'country']);
+
+        if (country !== undefined && !/^[A-Z]{2}$/.test(country)) {
+            const error = new Error('Invalid profile data');
+            error.statusCode = 400;
+            error.details = ['country must be an ISO 3166-1 alpha-2 code'];
+            throw error;
+        }
+
+        const existing = await userRepository.getUser(userId);
+        const validProfileData = profileData === undefined
+            ? undefined
+            : assertValidProfileData(existing.user_type, profileData, {
+                partial: true,
+                admin: true,
+                country: country || existing.country
+            });
+
+        const user = await applyProfileUpdate(req, userId, { profile_data: validProfileData, country });
+
+        res.status(200).json({
+            success: true,
+            data: user,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to update user profile', error, {
+            userId,
+            requestedBy: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/roles:
+ *   get:
+ *     summary: List a user's roles
+ *     description: Role assignments (USER#<id> / ROLE#<name>); Cognito groups are not included
+ *     tags: [Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: usr_123456789
+ *     responses:
+ *       200:
+ *         description: Role assignments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RoleAssignment'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:userId/roles', verifyUserAuth, requirePermission('role:read'), async (req, res) => {
+    const { userId } = req.params;
+
+    try {
+        const roles = await roleRepository.listUserRoles(userId);
+
+        res.status(200).json({
+            success: true,
+            data: roles,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to list user roles', error, {
+            userId,
+            requestedBy: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/roles/{roleName}:
+ *   put:
+ *     summary: Grant a role to a user
+ *     description: |
+ *       Records assigned_by and assigned_at; takes effect on the user's next request.
+ *       Callers cannot grant roles to themselves or grant a role with permissions they do not hold.
+ *     tags: [Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: usr_123456789
+ *       - in: path
+ *         name: roleName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: driver
+ *     responses:
+ *       200:
+ *         description: Role granted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/RoleAssignment'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission, granting to yourself or a role beyond your own permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User or role not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:userId/roles/:roleName', verifyUserAuth, requirePermission('role:assign'), async (req, res) => {
+    const { userId, roleName } = req.params;
+    const assignedBy = req.user.userId || req.user.id;
+
+    try {
+        if (userId === req.user.userId) {
+            const error = new Error('Cannot grant roles to yourself');
+            error.statusCode = 403;
+            throw error;
+        }
+
+        // Both must exist; assignments to unknown roles would grant nothing
+        await userRepository.getUser(userId);
+        const role = await roleRepository.getRole(roleName);
+        assertHoldsPermissions(req.user.permissions, role.permissions);
+
+        const assignment = await roleRepository.assignRole(userId, roleName, { assignedBy });
+
+        await permissionService.invalidateUser(userId);
+
+        logBusinessEvent('ROLE_GRANTED', 'Role granted to user', {
+            userId,
+            roleName,
+            assignedBy
+        });
+
+        res.status(200).json({
+            success: true,
+            data: assignment,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to grant role', error, {
+            userId,
+            roleName,
+            requestedBy: assignedBy,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/roles/{roleName}:
+ *   delete:
+ *     summary: Revoke a role from a user
+ *     description: Takes effect on the user's next request
+ *     tags: [Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: usr_123456789
+ *       - in: path
+ *         name: roleName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: driver
+ *     responses:
+ *       200:
+ *         description: Role revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Role not assigned to the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:userId/roles/:roleName', verifyUserAuth, requirePermission('role:assign'), async (req, res) => {
+    const { userId, roleName } = req.params;
+    const revokedBy = req.user.userId || req.user.id;
+
+    try {
+        await roleRepository.revokeRole(userId, roleName);
+
+        await permissionService.invalidateUser(userId);
+
+        logBusinessEvent('ROLE_REVOKED', 'Role revoked from user', {
+            userId,
+            roleName,
+            revokedBy
+        });
+
+        res.status(200).json({
+            success: true,
+            data: { userId, role_name: roleName },
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to revoke role', error, {
+            userId,
+            roleName,
+            requestedBy: revokedBy,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * Shared handler of the lifecycle endpoints
+ */
+async function handleStatusChange(req, res, action) {
+    const { userId } = req.params;
+
+    try {
+        const user = await applyStatusChange(req, userId, action);
+
+        res.status(200).json({
+            success: true,
+            data: user,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to change user status', error, {
+            userId,
+            action,
+            requestedBy: req.user.userId,
+            category: 'user_lifecycle'
+        });
+
+        sendError(req, res, error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/users/{userId}/suspend:
+ *   post:
+ *     summary: Suspend a user
+ *     description: |
+ *       Moves an ACTIVE user to SUSPENDED, disables the Cognito user and revokes all tokens issued so far.
+ *       Internal administrators only (user_type INTERNAL with user:status).
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: usr_123456789
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Repeated cancellations under investigation
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/UserProfile'
+ *       400:
+ *         description: Missing reason or own account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission or not an internal administrator
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: User is not ACTIVE
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: Identity provider could not be updated; the status is unchanged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:userId/suspend', verifyUserAuth, requirePermission('user:status'), async (req, res) => {
+    await handleStatusChange(req, res, 'suspend');
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/reactivate:
+ *   post:
+ *     summary: Reactivate a user
+ *     description: |
+ *       Moves a SUSPENDED or DEACTIVATED user back to ACTIVE and enables the Cognito user. The user has to sign in again.
+ *       Internal administrators only (user_type INTERNAL with user:status).
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: usr_123456789
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Investigation closed
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/UserProfile'
+ *       400:
+ *         description: Missing reason or own account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission or not an internal administrator
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: User is already ACTIVE
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: Identity provider could not be updated; the status is unchanged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:userId/reactivate', verifyUserAuth, requirePermission('user:status'), async (req, res) => {
+    await handleStatusChange(req, res, 'reactivate');
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/deactivate:
+ *   post:
+ *     summary: Deactivate a user
+ *     description: |
+ *       Moves an ACTIVE or SUSPENDED user to DEACTIVATED, disables the Cognito user and revokes all tokens issued so far.
+ *       Internal administrators only (user_type INTERNAL with user:status).
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: usr_123456789
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Left the company
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/UserProfile'
+ *       400:
+ *         description: Missing reason or own account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission or not an internal administrator
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: User is already DEACTIVATED
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: Identity provider could not be updated; the status is unchanged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:userId/deactivate', verifyUserAuth, requirePermission('user:status'), async (req, res) => {
+    await handleStatusChange(req, res, 'deactivate');
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/erase:
+ *   post:
+ *     summary: Erase a user's personal data
+ *     description: |
+ *       Anonymizes the profile (full_name becomes "Erased User"; phone, license number and other personal
+ *       fields are removed), deactivates the account, unlinks and disables the Cognito user, revokes its
+ *       tokens and releases the phone number. The driver registration of a driver_id loses its name, phone
+ *       number, vehicle details and documents. The user ID, driver_id/provider_id and company link are kept so
+ *       orders, employments and verifications still resolve. The erasure is recorded as an audit item.
+ *       The Cognito user is disabled after the data is erased; if that fails the response is 502 and repeating
+ *       the request retries the Cognito update.
+ *       Internal administrators only (user_type INTERNAL with user:erase).
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: usr_123456789
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Erasure request received 2024-01-15
+ *     responses:
+ *       200:
+ *         description: Personal data erased
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/UserProfile'
+ *       400:
+ *         description: Missing reason or own account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission or not an internal administrator
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Personal data already erased
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: Data erased but a follow-up step (driver registration, token revocation or Cognito) failed; repeat the request to retry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:userId/erase', verifyUserAuth, requirePermission('user:erase'), async (req, res) => {
+    const { userId } = req.params;
+    const { reason } = req.body || {};
+    const erasedBy = req.user.userId || req.user.id;
+
+    try {
+        if (req.user.user_type !== 'INTERNAL') {
+            const error = new Error('Only internal administrators can erase personal data');
+            error.statusCode = 403;
+            throw error;
+        }
+
+        if (typeof reason !== 'string' || reason.trim().length === 0 || reason.length > 500) {
+            const error = new Error('reason is required (at most 500 characters)');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (userId === req.user.userId) {
+            const error = new Error('Cannot erase your own account');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const item = await userRepository.getUserItem(userId);
+
+        // An earlier erasure whose follow-up steps did not all complete is finished by repeating the request
+        if (item.erased_at && Object.keys(item.erasure_pending || {}).length > 0) {
+            await completeErasure(userId, item.erasure_pending, erasedBy);
+            const user = await userRepository.getUser(userId);
+
+            return res.status(200).json({
+                success: true,
+                data: user,
+                correlationId: req.correlationId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (item.erased_at) {
+            const error = new Error('User data already erased');
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const erased = await personalDataRepository.eraseUser(userId, {
+            erasedBy,
+            reason,
+            correlationId: req.correlationId
+        });
+        await completeErasure(userId, erased.erasure_pending, erasedBy);
+
+        const user = await userRepository.getUser(userId);
+
+        res.status(200).json({
+            success: true,
+            data: user,
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Failed to erase personal data', error, {
+            userId,
+            requestedBy: erasedBy,
+            category: 'user_lifecycle'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * Run the erasure steps still pending for a user and drop each marker once its step succeeds
+ * Every step is idempotent and attempted even if an earlier one fails, so repeating the erase request
+ * re-runs exactly the steps that are left
+ * @param {string} userId - Platform user ID
+ * @param {object} pending - erasure_pending entries, step name to the ID it acts on
+ * @param {string} erasedBy - User ID of the administrator
+ * @throws {Error} - 502 if any step fails
+ */
+async function completeErasure(userId, pending = {}, erasedBy) {
+    const failedSteps = [];
+
+    for (const step of ERASURE_STEPS.filter((name) => pending[name])) {
+        try {
+            await runErasureStep(step, pending[step], erasedBy, userId);
+            await personalDataRepository.clearErasureStep(userId, step);
+        } catch (stepError) {
+            logger.error('Erasure step failed, pending retry', stepError, {
+                userId,
+                step,
+                action: 'erase',
+                category: 'user_lifecycle'
+            });
+            failedSteps.push(step);
+        }
+    }
+
+    const purged = invalidateCachedUser(userId);
+
+    if (failedSteps.length > 0) {
+        const error = new Error(`Erasure incomplete (${failedSteps.join(', ')}); repeat the request to retry`);
+        error.statusCode = 502;
+        throw error;
+    }
+
+    logBusinessEvent('USER_DATA_ERASED', 'Personal data erased', {
+        userId,
+        erasedBy,
+        driverRegistrationErased: Boolean(pending.driver_registration),
+        purgedSessions: purged
+    });
+}
+
+// Apply one post-erasure step to the ID recorded for it
+async function runErasureStep(step, targetId, erasedBy, userId) {
+    switch (step) {
+        case 'driver_registration':
+            return logDatabaseOperation(
+                'UPDATE',
+                'drivers',
+                async () => driverRepository.anonymizeDriver(targetId),
+                { userId, driverId: targetId, operation: 'erasure' }
+            );
+        case 'token_revocation':
+            return tokenDenylist.revokeSubject(targetId, { reason: 'Personal data erased', revokedBy: erasedBy });
+        case 'directory_disable':
+            return userDirectory.disableUser(targetId);
+        default:
+            throw new Error(`Unknown erasure step: ${step}`);
+    }
+}
+
+module.exports = router;
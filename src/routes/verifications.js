@@ -0,0 +1,452 @@
+// TIR Browser Platform - Provider Verification Endpoints
+// Providers submit business details; internal reviewers move them through PENDING, IN_REVIEW and VERIFIED/REJECTED
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../services/logger')('auth:verification-endpoints');
+const { logBusinessEvent } = require('../middleware/logging');
+const { verifyUserAuth, invalidateCachedUser } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorization');
+const {
+    providerVerificationRepository,
+    validateVerificationSubmission,
+    VERIFICATION_STATUSES,
+    REVIEW_TRANSITIONS
+} = require('../services/provider-verification');
+const { httpError, sendError, sendData } = require('../services/http-responses');
+
+// Business event per reviewer decision
+const REVIEW_EVENTS = {
+    IN_REVIEW: { event: 'PROVIDER_VERIFICATION_REVIEW_STARTED', message: 'Provider verification review started' },
+    VERIFIED: { event: 'PROVIDER_VERIFICATION_APPROVED', message: 'Provider verification approved' },
+    REJECTED: { event: 'PROVIDER_VERIFICATION_REJECTED', message: 'Provider verification rejected' }
+};
+
+const MAX_NOTES_LENGTH = 1000;
+
+/**
+ * Only providers with a profile have a verification request of their own
+ */
+function assertProvider(req) {
+    if (!req.user.userId) {
+        throw httpError('User profile not found', 404);
+    }
+    if (req.user.user_type !== 'PROVIDER') {
+        throw httpError('Only providers can request business verification', 403);
+    }
+}
+
+/**
+ * @swagger
+ * /api/verifications:
+ *   post:
+ *     summary: Submit own business verification
+ *     description: |
+ *       Providers submit their tax ID and certifications. The request becomes PENDING until an internal
+ *       reviewer picks it up. Allowed for new requests and after a rejection.
+ *     tags: [Verifications]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tax_id
+ *             properties:
+ *               tax_id:
+ *                 type: string
+ *                 example: TR-1234567890
+ *               company_name:
+ *                 type: string
+ *                 example: Anatolia Logistics
+ *               certifications:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Certification'
+ *     responses:
+ *       201:
+ *         description: Verification request submitted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ProviderVerification'
+ *       400:
+ *         description: Invalid verification data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Caller is not a provider
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A request is already pending, in review or verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', verifyUserAuth, async (req, res) => {
+    try {
+        assertProvider(req);
+
+        const errors = validateVerificationSubmission(req.body);
+        if (errors.length > 0) {
+            throw httpError('Invalid verification data', 400, errors);
+        }
+
+        const verification = await providerVerificationRepository.submit(req.user.userId, req.body, {
+            submittedBy: req.user.userId
+        });
+
+        // Cached req.user objects carry business_verification
+        invalidateCachedUser(req.user.userId);
+
+        logBusinessEvent('PROVIDER_VERIFICATION_SUBMITTED', 'Provider verification submitted', {
+            userId: req.user.userId,
+            certifications: verification.certifications.length
+        });
+
+        sendData(req, res, 201, verification);
+    } catch (error) {
+        logger.error('Failed to submit provider verification', error, {
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/verifications:
+ *   get:
+ *     summary: List verification requests by status
+ *     description: The review queue; requests are returned oldest submission first
+ *     tags: [Verifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, IN_REVIEW, VERIFIED, REJECTED]
+ *           default: PENDING
+ *     responses:
+ *       200:
+ *         description: Verification requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ProviderVerification'
+ *                     count:
+ *                       type: integer
+ *       400:
+ *         description: Invalid status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', verifyUserAuth, requirePermission('verification:read'), async (req, res) => {
+    const status = req.query.status || 'PENDING';
+
+    try {
+        if (!VERIFICATION_STATUSES.includes(status)) {
+            throw httpError(`status must be one of ${VERIFICATION_STATUSES.join(', ')}`, 400);
+        }
+
+        const verifications = await providerVerificationRepository.listByStatus(status);
+
+        sendData(req, res, 200, verifications, { count: verifications.length });
+    } catch (error) {
+        logger.error('Failed to list provider verifications', error, {
+            status,
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/verifications/me:
+ *   get:
+ *     summary: Get own business verification
+ *     tags: [Verifications]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification request with review history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ProviderVerification'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Caller is not a provider
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: No verification request submitted yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/me', verifyUserAuth, async (req, res) => {
+    try {
+        assertProvider(req);
+
+        const verification = await providerVerificationRepository.getVerification(req.user.userId);
+
+        sendData(req, res, 200, verification);
+    } catch (error) {
+        logger.error('Failed to retrieve own provider verification', error, {
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/verifications/{userId}:
+ *   get:
+ *     summary: Get a provider's business verification
+ *     tags: [Verifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: usr_987654321
+ *     responses:
+ *       200:
+ *         description: Verification request with review history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ProviderVerification'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Verification not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:userId', verifyUserAuth, requirePermission('verification:read'), async (req, res) => {
+    const { userId } = req.params;
+
+    try {
+        const verification = await providerVerificationRepository.getVerification(userId);
+
+        sendData(req, res, 200, verification);
+    } catch (error) {
+        logger.error('Failed to retrieve provider verification', error, {
+            targetUserId: userId,
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/verifications/{userId}/review:
+ *   post:
+ *     summary: Review a provider's business verification
+ *     description: |
+ *       Internal reviewers move a request from PENDING to IN_REVIEW, and from IN_REVIEW to VERIFIED or REJECTED
+ *       (PENDING requests can also be rejected straight away). Rejections need notes, which the provider sees.
+ *     tags: [Verifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: usr_987654321
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [IN_REVIEW, VERIFIED, REJECTED]
+ *               notes:
+ *                 type: string
+ *                 example: Tax ID does not match the trade register
+ *     responses:
+ *       200:
+ *         description: Review recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ProviderVerification'
+ *       400:
+ *         description: Invalid status or missing rejection notes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing required permission or not an internal user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Verification not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Decision does not apply to the current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:userId/review', verifyUserAuth, requirePermission('verification:review'), async (req, res) => {
+    const { userId } = req.params;
+    const { status, notes } = req.body || {};
+    const reviewedBy = req.user.userId || req.user.id;
+
+    try {
+        if (req.user.user_type !== 'INTERNAL') {
+            throw httpError('Only internal reviewers can review provider verifications', 403);
+        }
+
+        if (!REVIEW_TRANSITIONS[status]) {
+            throw httpError(`status must be one of ${Object.keys(REVIEW_TRANSITIONS).join(', ')}`, 400);
+        }
+
+        if (notes !== undefined && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+            throw httpError(`notes must be a string of at most ${MAX_NOTES_LENGTH} characters`, 400);
+        }
+
+        if (status === 'REJECTED' && !notes?.trim()) {
+            throw httpError('notes are required when rejecting a verification', 400);
+        }
+
+        const verification = await providerVerificationRepository.review(userId, status, { notes, reviewedBy });
+
+        invalidateCachedUser(userId);
+
+        logBusinessEvent(REVIEW_EVENTS[status].event, REVIEW_EVENTS[status].message, {
+            userId,
+            status,
+            reviewedBy
+        });
+
+        sendData(req, res, 200, verification);
+    } catch (error) {
+        logger.error('Failed to review provider verification', error, {
+            targetUserId: userId,
+            status,
+            userId: req.user.userId,
+            category: 'database_operation'
+        });
+
+        sendError(req, res, error);
+    }
+});
+
+module.exports = router;
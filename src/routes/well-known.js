@@ -0,0 +1,67 @@
+// TIR Browser Platform - Well-Known Endpoints
+// Publishes service token verification keys (no authentication required)
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../services/logger')('auth:well-known-endpoints');
+const { signingKeyStore } = require('../services/signing-keys');
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Service token signing keys
+ *     description: Public keys (JWKS) used to verify RS256/ES256 service tokens issued by this service
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kid:
+ *                         type: string
+ *                       kty:
+ *                         type: string
+ *                         example: RSA
+ *                       alg:
+ *                         type: string
+ *                         example: RS256
+ *                       use:
+ *                         type: string
+ *                         example: sig
+ *       503:
+ *         description: Signing keys unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/.well-known/jwks.json', async (req, res) => {
+    try {
+        const jwks = await signingKeyStore.getJwks();
+
+        // Verifiers cache the JWKS; keep it short enough to pick up rotations
+        res.set('Cache-Control', 'public, max-age=300');
+        res.status(200).json(jwks);
+    } catch (error) {
+        logger.error('Failed to publish JWKS', error, {
+            category: 'service_authentication'
+        });
+
+        res.status(503).json({
+            error: 'Signing keys unavailable',
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+module.exports = router;
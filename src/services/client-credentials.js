@@ -0,0 +1,104 @@
+// TIR Browser Platform - Client Credentials Token Source
+// Obtains and caches service tokens from the auth service's /oauth/token endpoint
+
+const { logServiceCall } = require('../middleware/logging');
+
+const EXPIRY_MARGIN = 30 * 1000; // Refresh tokens 30 seconds before they expire
+
+/**
+ * Client Credentials Token Source Class
+ * One cached token per audience/scope combination; concurrent callers share a request
+ */
+class ClientCredentialsTokenSource {
+    constructor(options = {}) {
+        this.tokenUrl = options.tokenUrl || `${process.env.AUTH_SERVICE_URL || 'http://auth:3000'}/oauth/token`;
+        this.clientId = options.clientId || process.env.SERVICE_CLIENT_ID;
+        this.clientSecret = options.clientSecret || process.env.SERVICE_CLIENT_SECRET;
+        this.fetch = options.fetch || fetch;
+        this.tokens = new Map(); // audience|scopes -> { accessToken, expiresAt }
+        this.pending = new Map(); // audience|scopes -> Promise<string>
+    }
+
+    /**
+     * Get a valid access token for an audience and scope set
+     * @param {object} request - Token request
+     * @param {string} request.audience - Target service
+     * @param {string[]} request.scopes - Scopes required for the call
+     * @returns {Promise<string>} - Access token
+     */
+    async getToken({ audience, scopes = [] }) {
+        const cacheKey = `${audience}|${[...scopes].sort().join(' ')}`;
+        const cached = this.tokens.get(cacheKey);
+
+        if (cached && cached.expiresAt - EXPIRY_MARGIN > Date.now()) {
+            return cached.accessToken;
+        }
+
+        if (!this.pending.has(cacheKey)) {
+            const request = this.requestToken(audience, scopes)
+                .then(token => {
+                    this.tokens.set(cacheKey, token);
+                    return token.accessToken;
+                })
+                .finally(() => this.pending.delete(cacheKey));
+            this.pending.set(cacheKey, request);
+        }
+
+        return this.pending.get(cacheKey);
+    }
+
+    async requestToken(audience, scopes) {
+        if (!this.clientId || !this.clientSecret) {
+            throw new Error('SERVICE_CLIENT_ID and SERVICE_CLIENT_SECRET are required for client-credentials tokens');
+        }
+
+        const body = new URLSearchParams({ grant_type: 'client_credentials', audience });
+        if (scopes.length > 0) {
+            body.set('scope', scopes.join(' '));
+        }
+
+        const basicAuth = Buffer.from(
+            `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`
+        ).toString('base64');
+
+        return logServiceCall(
+            'auth',
+            '/oauth/token',
+            async () => {
+                const response = await this.fetch(this.tokenUrl, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded',
+                        'Authorization': `Basic ${basicAuth}`,
+                        'X-Correlation-ID': process.env.CORRELATION_ID
+                    },
+                    body: body.toString()
+                });
+
+                const payload = await response.json().catch(() => ({}));
+                if (!response.ok) {
+                    const error = new Error(`Token request failed: ${payload.error || response.status}`);
+                    error.statusCode = response.status;
+                    error.responseData = payload;
+                    throw error;
+                }
+
+                return {
+                    status: response.status,
+                    accessToken: payload.access_token,
+                    expiresAt: Date.now() + payload.expires_in * 1000
+                };
+            },
+            { audience, scopes, clientId: this.clientId }
+        );
+    }
+
+    // Drop all cached tokens (e.g. after a 401 from the target service)
+    clear() {
+        this.tokens.clear();
+    }
+}
+
+module.exports = {
+    ClientCredentialsTokenSource
+};
@@ -0,0 +1,348 @@
+// TIR Browser Platform - Company Repository
+// Company profiles (COMPANY#<id> / PROFILE#main) and driver employments (COMPANY#<id> / DRIVER#<driverId>)
+
+const crypto = require('crypto');
+const {
+    GetItemCommand,
+    PutItemCommand,
+    UpdateItemCommand,
+    DeleteItemCommand,
+    QueryCommand
+} = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { getDynamoClient, getAuthTableName } = require('./dynamodb');
+const { logDatabaseOperation } = require('../middleware/logging');
+const { httpError } = require('./http-responses');
+
+/**
+ * Public representation of a company profile item (no key attributes)
+ * @param {object} item - Unmarshalled profile item
+ * @returns {object} - Company
+ */
+function formatCompany(item) {
+    const { PK, SK, ...company } = item;
+    return { companyId: PK.replace(/^COMPANY#/, ''), ...company };
+}
+
+/**
+ * Public representation of an employment item
+ * @param {object} item - Unmarshalled employment item
+ * @returns {object} - Driver employment
+ */
+function formatEmployment(item) {
+    return {
+        companyId: item.PK.replace(/^COMPANY#/, ''),
+        driver_id: item.driver_id,
+        employment_type: item.employment_type,
+        start_date: item.start_date,
+        status: item.status,
+        created_at: item.created_at,
+        updated_at: item.updated_at
+    };
+}
+
+/**
+ * Company Repository Class
+ * Employments live in the company's partition, so a company's drivers are a single query
+ */
+class CompanyRepository {
+    constructor(options = {}) {
+        this.dynamodb = options.dynamodb || getDynamoClient();
+        this.tableName = options.tableName || getAuthTableName();
+    }
+
+    /**
+     * Create a company
+     * @param {string} companyType - SHIPPING or PROVIDER
+     * @param {object} data - Validated company fields
+     * @param {object} metadata - { createdBy } for the audit trail
+     * @returns {Promise<object>} - Created company
+     */
+    async createCompany(companyType, data, metadata = {}) {
+        const now = new Date().toISOString();
+        const item = {
+            PK: `COMPANY#comp_${crypto.randomBytes(6).toString('hex')}`,
+            SK: 'PROFILE#main',
+            company_type: companyType,
+            ...data,
+            created_at: now,
+            created_by: metadata.createdBy || null,
+            updated_at: now
+        };
+
+        await logDatabaseOperation(
+            'PUT',
+            this.tableName,
+            async () => this.dynamodb.send(new PutItemCommand({
+                TableName: this.tableName,
+                Item: marshall(item, { removeUndefinedValues: true }),
+                ConditionExpression: 'attribute_not_exists(PK)'
+            })),
+            { companyId: item.PK, entity: 'company' }
+        );
+
+        return formatCompany(item);
+    }
+
+    /**
+     * Get a company
+     * @param {string} companyId - Company ID, e.g. "comp_789"
+     * @returns {Promise<object>} - Company
+     * @throws {Error} - 404 if the company does not exist
+     */
+    async getCompany(companyId) {
+        const item = await logDatabaseOperation(
+            'GET',
+            this.tableName,
+            async () => {
+                const result = await this.dynamodb.send(new GetItemCommand({
+                    TableName: this.tableName,
+                    Key: marshall({ PK: `COMPANY#${companyId}`, SK: 'PROFILE#main' })
+                }));
+                return result.Item ? unmarshall(result.Item) : null;
+            },
+            { companyId, entity: 'company' }
+        );
+
+        if (!item) {
+            throw httpError('Company not found', 404);
+        }
+        return formatCompany(item);
+    }
+
+    /**
+     * Update company fields; a null value removes the field
+     * @param {string} companyId - Company ID
+     * @param {object} changes - Validated company fields
+     * @param {object} metadata - { updatedBy } for the audit trail
+     * @returns {Promise<object>} - Updated company
+     * @throws {Error} - 404 if the company does not exist
+     */
+    async updateCompany(companyId, changes, metadata = {}) {
+        const names = { '#updated_at': 'updated_at', '#updated_by': 'updated_by' };
+        const values = { ':updated_at': new Date().toISOString(), ':updated_by': metadata.updatedBy || null };
+        const setClauses = ['#updated_at = :updated_at', '#updated_by = :updated_by'];
+        const removeClauses = [];
+
+        Object.entries(changes).forEach(([field, value], index) => {
+            names[`#f${index}`] = field;
+            if (value === null) {
+                removeClauses.push(`#f${index}`);
+            } else {
+                values[`:f${index}`] = value;
+                setClauses.push(`#f${index} = :f${index}`);
+            }
+        });
+
+        const updateExpression = `SET ${setClauses.join(', ')}` +
+            (removeClauses.length > 0 ? ` REMOVE ${removeClauses.join(', ')}` : '');
+
+        const item = await logDatabaseOperation(
+            'UPDATE',
+            this.tableName,
+            async () => {
+                try {
+                    const result = await this.dynamodb.send(new UpdateItemCommand({
+                        TableName: this.tableName,
+                        Key: marshall({ PK: `COMPANY#${companyId}`, SK: 'PROFILE#main' }),
+                        UpdateExpression: updateExpression,
+                        ConditionExpression: 'attribute_exists(PK)',
+                        ExpressionAttributeNames: names,
+                        ExpressionAttributeValues: marshall(values),
+                        ReturnValues: 'ALL_NEW'
+                    }));
+                    return unmarshall(result.Attributes);
+                } catch (error) {
+                    if (error.name === 'ConditionalCheckFailedException') {
+                        return null;
+                    }
+                    throw error;
+                }
+            },
+            { companyId, fields: Object.keys(changes), entity: 'company' }
+        );
+
+        if (!item) {
+            throw httpError('Company not found', 404);
+        }
+        return formatCompany(item);
+    }
+
+    /**
+     * Delete a company that no longer has drivers attached
+     * @param {string} companyId - Company ID
+     * @throws {Error} - 404 if the company does not exist, 409 if drivers are still attached
+     */
+    async deleteCompany(companyId) {
+        const drivers = await this.listDrivers(companyId);
+        if (drivers.length > 0) {
+            throw httpError('Company still has drivers attached', 409);
+        }
+
+        const deleted = await logDatabaseOperation(
+            'DELETE',
+            this.tableName,
+            async () => {
+                try {
+                    await this.dynamodb.send(new DeleteItemCommand({
+                        TableName: this.tableName,
+                        Key: marshall({ PK: `COMPANY#${companyId}`, SK: 'PROFILE#main' }),
+                        ConditionExpression: 'attribute_exists(PK)'
+                    }));
+                    return true;
+                } catch (error) {
+                    if (error.name === 'ConditionalCheckFailedException') {
+                        return false;
+                    }
+                    throw error;
+                }
+            },
+            { companyId, entity: 'company' }
+        );
+
+        if (!deleted) {
+            throw httpError('Company not found', 404);
+        }
+    }
+
+    /**
+     * List the drivers employed by a company
+     * @param {string} companyId - Company ID
+     * @returns {Promise<object[]>} - Driver employments
+     */
+    async listDrivers(companyId) {
+        return logDatabaseOperation(
+            'QUERY',
+            this.tableName,
+            async () => {
+                const items = [];
+                let exclusiveStartKey;
+
+                do {
+                    const result = await this.dynamodb.send(new QueryCommand({
+                        TableName: this.tableName,
+                        KeyConditionExpression: 'PK = :pk AND begins_with(SK, :sk)',
+                        ExpressionAttributeValues: marshall({
+                            ':pk': `COMPANY#${companyId}`,
+                            ':sk': 'DRIVER#'
+                        }),
+                        ExclusiveStartKey: exclusiveStartKey
+                    }));
+
+                    items.push(...(result.Items || []).map(item => formatEmployment(unmarshall(item))));
+                    exclusiveStartKey = result.LastEvaluatedKey;
+                } while (exclusiveStartKey);
+
+                return items;
+            },
+            { companyId, entity: 'company_drivers' }
+        );
+    }
+
+    /**
+     * Get the employment of a driver at a company
+     * @param {string} companyId - Company ID
+     * @param {string} driverId - Driver ID
+     * @returns {Promise<object|null>} - Driver employment, or null if the driver is not attached
+     */
+    async getEmployment(companyId, driverId) {
+        return logDatabaseOperation(
+            'GET',
+            this.tableName,
+            async () => {
+                const result = await this.dynamodb.send(new GetItemCommand({
+                    TableName: this.tableName,
+                    Key: marshall({ PK: `COMPANY#${companyId}`, SK: `DRIVER#${driverId}` })
+                }));
+                return result.Item ? formatEmployment(unmarshall(result.Item)) : null;
+            },
+            { companyId, driverId, entity: 'company_driver' }
+        );
+    }
+
+    /**
+     * Attach a driver to a company, or replace the existing employment
+     * @param {string} companyId - Company ID
+     * @param {string} driverId - Driver ID, e.g. "D-AZ-240115-X7Y8TU"
+     * @param {object} employment - Validated { employment_type, start_date, status }
+     * @param {object} metadata - { updatedBy } for the audit trail
+     * @returns {Promise<object>} - Driver employment
+     * @throws {Error} - 404 if the company does not exist
+     */
+    async attachDriver(companyId, driverId, employment, metadata = {}) {
+        await this.getCompany(companyId);
+
+        const now = new Date().toISOString();
+        const item = {
+            PK: `COMPANY#${companyId}`,
+            SK: `DRIVER#${driverId}`,
+            driver_id: driverId,
+            employment_type: employment.employment_type,
+            start_date: employment.start_date,
+            status: employment.status || 'ACTIVE',
+            created_at: now,
+            updated_at: now,
+            updated_by: metadata.updatedBy || null
+        };
+
+        const result = await logDatabaseOperation(
+            'PUT',
+            this.tableName,
+            async () => this.dynamodb.send(new PutItemCommand({
+                TableName: this.tableName,
+                Item: marshall(item),
+                ReturnValues: 'ALL_OLD'
+            })),
+            { companyId, driverId, entity: 'company_driver' }
+        );
+
+        // Keep the original created_at when an employment is replaced
+        if (result?.Attributes) {
+            item.created_at = unmarshall(result.Attributes).created_at || now;
+        }
+        return formatEmployment(item);
+    }
+
+    /**
+     * Detach a driver from a company
+     * @param {string} companyId - Company ID
+     * @param {string} driverId - Driver ID
+     * @throws {Error} - 404 if the driver is not attached to the company
+     */
+    async detachDriver(companyId, driverId) {
+        const deleted = await logDatabaseOperation(
+            'DELETE',
+            this.tableName,
+            async () => {
+                try {
+                    await this.dynamodb.send(new DeleteItemCommand({
+                        TableName: this.tableName,
+                        Key: marshall({ PK: `COMPANY#${companyId}`, SK: `DRIVER#${driverId}` }),
+                        ConditionExpression: 'attribute_exists(PK)'
+                    }));
+                    return true;
+                } catch (error) {
+                    if (error.name === 'ConditionalCheckFailedException') {
+                        return false;
+                    }
+                    throw error;
+                }
+            },
+            { companyId, driverId, entity: 'company_driver' }
+        );
+
+        if (!deleted) {
+            throw httpError('Driver not attached to company', 404);
+        }
+    }
+}
+
+// Singleton instance
+const companyRepository = new CompanyRepository();
+
+module.exports = {
+    CompanyRepository,
+    companyRepository,
+    formatCompany,
+    formatEmployment
+};
@@ -0,0 +1,180 @@
+// TIR Browser Platform - Company Validation
+// Rules for COMPANY#<id> / PROFILE#main items and COMPANY#<id> / DRIVER#<id> employment items
+
+const COMPANY_TYPES = ['SHIPPING', 'PROVIDER'];
+const EMPLOYMENT_TYPES = ['FULL_TIME', 'PART_TIME', 'CONTRACTOR'];
+const EMPLOYMENT_STATUSES = ['ACTIVE', 'SUSPENDED', 'TERMINATED'];
+
+const MAX_FIELD_LENGTH = 200;
+
+// Field rules per company_type; type is "string" unless stated otherwise
+const COMPANY_FIELDS = {
+    SHIPPING: {
+        company_name: { required: true },
+        license_number: { required: true },
+        address: {},
+        country: { pattern: /^[A-Z]{2}$/, description: 'an ISO 3166-1 alpha-2 code' },
+        contact_info: { type: 'contact' }
+    },
+    PROVIDER: {
+        company_name: { required: true },
+        tax_id: { required: true },
+        address: {},
+        country: { pattern: /^[A-Z]{2}$/, description: 'an ISO 3166-1 alpha-2 code' },
+        certifications: { type: 'list' },
+        contact_info: { type: 'contact' }
+    }
+};
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_FIELD_LENGTH;
+}
+
+/**
+ * Validate a single company field value
+ * @returns {string|null} - Error message or null if valid
+ */
+function validateField(name, rule, value) {
+    if (rule.type === 'list') {
+        return Array.isArray(value) && value.every(isNonEmptyString)
+            ? null
+            : `${name} must be a list of non-empty strings`;
+    }
+
+    if (rule.type === 'contact') {
+        if (!isObject(value)) {
+            return `${name} must be an object`;
+        }
+        const invalid = Object.entries(value)
+            .find(([key, entry]) => !['email', 'phone'].includes(key) || !isNonEmptyString(entry));
+        return invalid ? `${name} may only contain email and phone strings` : null;
+    }
+
+    if (!isNonEmptyString(value)) {
+        return `${name} must be a non-empty string of at most ${MAX_FIELD_LENGTH} characters`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+        return `${name} must be ${rule.description}`;
+    }
+    return null;
+}
+
+/**
+ * Validate company fields for a company type
+ * @param {string} companyType - SHIPPING or PROVIDER
+ * @param {object} data - Company fields (without company_type)
+ * @param {object} options - Validation options
+ * @param {boolean} options.partial - Only validate the given fields (PATCH); otherwise required fields must be present
+ * @returns {string[]} - Validation errors, empty if valid
+ */
+function validateCompanyData(companyType, data, options = {}) {
+    const { partial = false } = options;
+    const fields = COMPANY_FIELDS[companyType];
+
+    if (!fields) {
+        return [`company_type must be one of ${COMPANY_TYPES.join(', ')}`];
+    }
+
+    if (!isObject(data)) {
+        return ['Company data must be an object'];
+    }
+
+    const errors = [];
+
+    Object.entries(data).forEach(([name, value]) => {
+        const rule = fields[name];
+
+        if (!rule) {
+            errors.push(`${name} is not a ${companyType} company field`);
+        } else if (value === null && !rule.required && partial) {
+            // null clears an optional field
+        } else {
+            const error = validateField(name, rule, value);
+            if (error) {
+                errors.push(error);
+            }
+        }
+    });
+
+    if (!partial) {
+        Object.entries(fields)
+            .filter(([name, rule]) => rule.required && data[name] === undefined)
+            .forEach(([name]) => errors.push(`${name} is required`));
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a driver employment
+ * @param {object} data - { employment_type, start_date, status }
+ * @returns {string[]} - Validation errors, empty if valid
+ */
+function validateEmployment(data) {
+    if (!isObject(data)) {
+        return ['Employment data must be an object'];
+    }
+
+    const errors = [];
+    const { employment_type: employmentType, start_date: startDate, status, ...unknown } = data;
+
+    Object.keys(unknown).forEach(name => errors.push(`${name} is not an employment field`));
+
+    if (!EMPLOYMENT_TYPES.includes(employmentType)) {
+        errors.push(`employment_type must be one of ${EMPLOYMENT_TYPES.join(', ')}`);
+    }
+
+    if (typeof startDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(startDate) ||
+        Number.isNaN(Date.parse(startDate)) || new Date(startDate).toISOString().slice(0, 10) !== startDate) {
+        errors.push('start_date must be a date (YYYY-MM-DD)');
+    }
+
+    if (status !== undefined && !EMPLOYMENT_STATUSES.includes(status)) {
+        errors.push(`status must be one of ${EMPLOYMENT_STATUSES.join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Throw a 400 error with validation details if errors were found
+ */
+function throwIfInvalid(errors, message) {
+    if (errors.length > 0) {
+        const error = new Error(message);
+        error.statusCode = 400;
+        error.details = errors;
+        throw error;
+    }
+}
+
+/**
+ * Throw a 400 error if company data is invalid
+ * @throws {Error} - With statusCode 400 and the validation errors as details
+ */
+function assertValidCompanyData(companyType, data, options = {}) {
+    throwIfInvalid(validateCompanyData(companyType, data, options), 'Invalid company data');
+}
+
+/**
+ * Throw a 400 error if employment data is invalid
+ * @throws {Error} - With statusCode 400 and the validation errors as details
+ */
+function assertValidEmployment(data) {
+    throwIfInvalid(validateEmployment(data), 'Invalid employment data');
+}
+
+module.exports = {
+    COMPANY_TYPES,
+    COMPANY_FIELDS,
+    EMPLOYMENT_TYPES,
+    EMPLOYMENT_STATUSES,
+    validateCompanyData,
+    validateEmployment,
+    assertValidCompanyData,
+    assertValidEmployment
+};
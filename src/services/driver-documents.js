@@ -0,0 +1,208 @@
+// TIR Browser Platform - Driver Documents
+// Structured license, certificate and vehicle registration documents of drivers and their expiry
+
+// Document types; mandatory documents are needed for activation and must be valid to be prioritized
+const DOCUMENT_TYPES = {
+    DRIVER_LICENSE: { label: 'Driver license', mandatory: true },
+    TIR_CERTIFICATE: { label: 'TIR certificate', mandatory: true },
+    ADR_CERTIFICATE: { label: 'ADR certificate', mandatory: false },
+    VEHICLE_REGISTRATION: { label: 'Vehicle registration', mandatory: true }
+};
+
+const MANDATORY_DOCUMENT_TYPES = Object.keys(DOCUMENT_TYPES).filter(type => DOCUMENT_TYPES[type].mandatory);
+
+const DOCUMENT_FIELDS = ['type', 'number', 'issuingCountry', 'expiryDate'];
+const MAX_NUMBER_LENGTH = 50;
+const MAX_EXPIRY_WINDOW_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+        !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().slice(0, 10) === value;
+}
+
+// YYYY-MM-DD of a date; documents expire at the end of their expiry date
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Validate the documents of a driver registration
+ * @param {object[]} documents - [{ type, number, issuingCountry, expiryDate }]
+ * @returns {string[]} - Validation errors, empty if the documents are valid
+ */
+function validateDriverDocuments(documents) {
+    if (!Array.isArray(documents)) {
+        return ['documents must be an array'];
+    }
+
+    const errors = [];
+    const seenTypes = new Set();
+
+    documents.forEach((document, index) => {
+        const path = `documents[${index}]`;
+        if (!document || typeof document !== 'object' || Array.isArray(document)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+
+        Object.keys(document)
+            .filter(field => !DOCUMENT_FIELDS.includes(field))
+            .forEach(field => errors.push(`${path}.${field} is not a document field`));
+
+        if (!Object.prototype.hasOwnProperty.call(DOCUMENT_TYPES, document.type)) {
+            errors.push(`${path}.type must be one of ${Object.keys(DOCUMENT_TYPES).join(', ')}`);
+        } else if (seenTypes.has(document.type)) {
+            errors.push(`${path}.type ${document.type} is listed more than once`);
+        } else {
+            seenTypes.add(document.type);
+        }
+
+        if (typeof document.number !== 'string' || document.number.trim().length === 0 ||
+            document.number.length > MAX_NUMBER_LENGTH) {
+            errors.push(`${path}.number is required (at most ${MAX_NUMBER_LENGTH} characters)`);
+        }
+        if (typeof document.issuingCountry !== 'string' || !/^[A-Z]{2}$/.test(document.issuingCountry)) {
+            errors.push(`${path}.issuingCountry must be an ISO 3166-1 alpha-2 code`);
+        }
+        if (!isDate(document.expiryDate)) {
+            errors.push(`${path}.expiryDate must be a date (YYYY-MM-DD)`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validated documents as stored on the driver record
+ * @param {object[]} documents - Documents that passed validateDriverDocuments
+ * @returns {object[]} - Documents with trimmed numbers, in a fixed field order
+ */
+function normalizeDriverDocuments(documents) {
+    return documents.map(document => ({
+        type: document.type,
+        number: document.number.trim(),
+        issuingCountry: document.issuingCountry,
+        expiryDate: document.expiryDate
+    }));
+}
+
+/**
+ * Mandatory documents a driver is missing
+ * @param {object} driver - Driver record
+ * @returns {string[]} - Missing document types
+ */
+function findMissingMandatoryDocuments(driver) {
+    const types = (driver.documents || []).map(document => document.type);
+    return MANDATORY_DOCUMENT_TYPES.filter(type => !types.includes(type));
+}
+
+/**
+ * Mandatory documents whose expiry date has passed
+ * @param {object} driver - Driver record
+ * @param {Date} now - Reference time
+ * @returns {object[]} - Expired mandatory documents
+ */
+function findExpiredMandatoryDocuments(driver, now = new Date()) {
+    const today = toDateString(now);
+    return (driver.documents || [])
+        .filter(document => DOCUMENT_TYPES[document.type]?.mandatory && document.expiryDate < today);
+}
+
+/**
+ * Whether any mandatory document was added, removed or changed
+ * @param {object[]} previous - Documents stored on the driver record
+ * @param {object[]} next - Normalized replacement documents
+ * @returns {boolean} - True if the mandatory documents differ
+ */
+function haveMandatoryDocumentsChanged(previous = [], next = []) {
+    const mandatory = documents => JSON.stringify(documents
+        .filter(document => DOCUMENT_TYPES[document.type]?.mandatory)
+        .map(document => DOCUMENT_FIELDS.map(field => document[field]))
+        .sort());
+
+    return mandatory(previous) !== mandatory(next);
+}
+
+/**
+ * Reason a document makes a driver ineligible, e.g. "TIR certificate expired on 2024-05-31"
+ */
+function describeExpiredDocument(document) {
+    return `${DOCUMENT_TYPES[document.type].label} expired on ${document.expiryDate}`;
+}
+
+/**
+ * Days from today until a document expires; negative once expired
+ */
+function daysUntilExpiry(document, now = new Date()) {
+    return Math.round((Date.parse(document.expiryDate) - Date.parse(toDateString(now))) / DAY_MS);
+}
+
+/**
+ * Entry of a document in expiry listings
+ * @param {object} driver - { id, country } of the driver holding the document
+ * @param {object} document - Driver document
+ * @param {Date} now - Reference time
+ * @returns {object} - Document with driverId, country, mandatory and daysUntilExpiry
+ */
+function toExpiringDocument(driver, document, now = new Date()) {
+    return {
+        driverId: driver.id,
+        country: driver.country,
+        ...document,
+        mandatory: DOCUMENT_TYPES[document.type]?.mandatory || false,
+        daysUntilExpiry: daysUntilExpiry(document, now)
+    };
+}
+
+/**
+ * Documents of drivers that expire within a number of days, soonest first
+ * Documents that already expired are not included
+ * @param {object[]} drivers - Driver records
+ * @param {number} days - Window in days, starting today
+ * @param {Date} now - Reference time
+ * @returns {object[]} - Documents with driverId, country and daysUntilExpiry
+ */
+function findExpiringDocuments(drivers, days, now = new Date()) {
+    return drivers
+        .flatMap(driver => (driver.documents || []).map(document => toExpiringDocument(driver, document, now)))
+        .filter(document => document.daysUntilExpiry >= 0 && document.daysUntilExpiry <= days)
+        .sort((a, b) => a.expiryDate.localeCompare(b.expiryDate) || a.driverId.localeCompare(b.driverId));
+}
+
+/**
+ * Parse an expiry window query parameter
+ * @param {string|undefined} value - Query string value
+ * @param {number} defaultDays - Window when no value is given
+ * @returns {number} - Window in days
+ * @throws {Error} - 400 if the window is not a whole number between 0 and MAX_EXPIRY_WINDOW_DAYS
+ */
+function parseExpiryWindow(value, defaultDays = 30) {
+    if (value === undefined) {
+        return defaultDays;
+    }
+
+    const days = Number(value);
+    if (!/^\d+$/.test(String(value)) || days > MAX_EXPIRY_WINDOW_DAYS) {
+        const error = new Error(`days must be a whole number between 0 and ${MAX_EXPIRY_WINDOW_DAYS}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return days;
+}
+
+module.exports = {
+    DOCUMENT_TYPES,
+    MANDATORY_DOCUMENT_TYPES,
+    validateDriverDocuments,
+    normalizeDriverDocuments,
+    findMissingMandatoryDocuments,
+    findExpiredMandatoryDocuments,
+    haveMandatoryDocumentsChanged,
+    describeExpiredDocument,
+    daysUntilExpiry,
+    toExpiringDocument,
+    findExpiringDocuments,
+    parseExpiryWindow
+};
@@ -0,0 +1,71 @@
+// TIR Browser Platform - Driver Registration Review
+// Completeness checks and review decisions for drivers registered through POST /api/drivers
+
+const {
+    DOCUMENT_TYPES,
+    findMissingMandatoryDocuments,
+    findExpiredMandatoryDocuments,
+    describeExpiredDocument
+} = require('./driver-documents');
+
+// Review decisions: target status, statuses they apply to and the business event/metric they emit
+const REGISTRATION_DECISIONS = {
+    approve: {
+        status: 'ACTIVE',
+        from: ['REGISTRATION_PENDING'],
+        event: 'DRIVER_ACTIVATED',
+        message: 'Driver registration approved'
+    },
+    reject: {
+        status: 'REJECTED',
+        from: ['REGISTRATION_PENDING', 'CHANGES_REQUESTED'],
+        event: 'DRIVER_REJECTED',
+        message: 'Driver registration rejected',
+        requiresReason: true
+    },
+    'request-changes': {
+        status: 'CHANGES_REQUESTED',
+        from: ['REGISTRATION_PENDING'],
+        event: 'DRIVER_CHANGES_REQUESTED',
+        message: 'Driver registration changes requested',
+        requiresReason: true
+    }
+};
+
+const REQUIRED_VEHICLE_FIELDS = ['type', 'capacity', 'licensePlate'];
+
+function isPresent(value) {
+    return typeof value === 'string' ? value.trim().length > 0 : value !== undefined && value !== null;
+}
+
+/**
+ * Check that a driver registration can be activated
+ * @param {object} driver - Driver record ({ fullName, phoneNumber, documents, vehicleDetails })
+ * @param {Date} now - Reference time for the document expiry check
+ * @returns {string[]} - Failed checks, empty if the driver can be activated
+ */
+function checkDriverRegistration(driver, now = new Date()) {
+    const failures = [];
+    const vehicleDetails = driver.vehicleDetails || {};
+
+    ['fullName', 'phoneNumber']
+        .filter(field => !isPresent(driver[field]))
+        .forEach(field => failures.push(`${field} is required`));
+
+    findMissingMandatoryDocuments(driver)
+        .forEach(type => failures.push(`${DOCUMENT_TYPES[type].label} (${type}) is required`));
+
+    findExpiredMandatoryDocuments(driver, now)
+        .forEach(document => failures.push(describeExpiredDocument(document)));
+
+    REQUIRED_VEHICLE_FIELDS
+        .filter(field => !isPresent(vehicleDetails[field]))
+        .forEach(field => failures.push(`vehicleDetails.${field} is required`));
+
+    return failures;
+}
+
+module.exports = {
+    REGISTRATION_DECISIONS,
+    checkDriverRegistration
+};
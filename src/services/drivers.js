@@ -0,0 +1,410 @@
+// TIR Browser Platform - Driver Repository
+// Driver registrations in memory or in the single table (DRIVER#<id> / REGISTRATION#main), selected by DRIVER_STORE
+
+const {
+    GetItemCommand,
+    BatchGetItemCommand,
+    QueryCommand,
+    TransactWriteItemsCommand
+} = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { getDynamoClient, getAuthTableName } = require('./dynamodb');
+const { findExpiringDocuments, toExpiringDocument } = require('./driver-documents');
+const { ERASED_NAME } = require('./personal-data');
+const { httpError } = require('./http-responses');
+
+// BatchGetItem reads at most 100 keys per request
+const BATCH_GET_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Registration fields replaced on erasure; the driver ID, status and registration history stay
+ */
+function getErasedFields(now) {
+    return {
+        fullName: ERASED_NAME,
+        phoneNumber: null,
+        vehicleDetails: null,
+        documents: [],
+        currentLocation: null,
+        prioritizationExclusion: null,
+        erasedAt: now
+    };
+}
+
+/**
+ * Months (YYYY-MM) of the DOCUMENT_EXPIRY partitions covering a date window
+ * @param {string} from - First date of the window (YYYY-MM-DD)
+ * @param {string} to - Last date of the window (YYYY-MM-DD)
+ */
+function getExpiryMonths(from, to) {
+    const months = [];
+    const cursor = new Date(`${from.slice(0, 7)}-01T00:00:00Z`);
+    const last = to.slice(0, 7);
+
+    for (let month = from.slice(0, 7); month <= last; month = cursor.toISOString().slice(0, 7)) {
+        months.push(month);
+        cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+    return months;
+}
+
+/**
+ * In-memory driver repository for development and tests
+ * Registrations are copied in and out so callers cannot change stored records
+ */
+class MemoryDriverRepository {
+    constructor() {
+        this.drivers = new Map(); // id -> registration
+    }
+
+    /**
+     * Store a new driver registration
+     * @param {object} driver - Registration record with its driver ID
+     * @returns {Promise<object>} - Stored registration
+     * @throws {Error} - 409 if the driver ID or phone number is taken
+     */
+    async createDriver(driver) {
+        if (this.drivers.has(driver.id)) {
+            throw httpError('Driver already exists', 409);
+        }
+        this.assertPhoneAvailable(driver.phoneNumber, driver.id);
+
+        this.drivers.set(driver.id, structuredClone(driver));
+        return structuredClone(driver);
+    }
+
+    /**
+     * @returns {Promise<object|null>} - Registration, or null if the driver does not exist
+     */
+    async getDriver(driverId) {
+        const driver = this.drivers.get(driverId);
+        return driver ? structuredClone(driver) : null;
+    }
+
+    /**
+     * Registrations of several drivers; unknown IDs are left out
+     * @param {string[]} driverIds - Driver IDs
+     * @returns {Promise<object[]>} - Registrations in the order of the IDs
+     */
+    async getDrivers(driverIds) {
+        return driverIds
+            .filter(driverId => this.drivers.has(driverId))
+            .map(driverId => structuredClone(this.drivers.get(driverId)));
+    }
+
+    /**
+     * @returns {Promise<string|null>} - ID of the driver registered with an E.164 phone number, or null
+     */
+    async getDriverIdByPhone(phoneNumber) {
+        const driver = [...this.drivers.values()].find(d => d.phoneNumber === phoneNumber);
+        return driver ? driver.id : null;
+    }
+
+    /**
+     * Change a driver registration
+     * @param {string} driverId - Driver ID
+     * @param {object} changes - Fields to set
+     * @param {object} options - { expectedStatus } the driver must still have
+     * @returns {Promise<object>} - Updated registration
+     * @throws {Error} - 404 if the driver does not exist, 409 if the status changed or the phone number is taken
+     */
+    async updateDriver(driverId, changes, options = {}) {
+        const driver = this.drivers.get(driverId);
+        if (!driver) {
+            throw httpError('Driver not found', 404);
+        }
+        if (options.expectedStatus && driver.status !== options.expectedStatus) {
+            throw httpError('Driver changed concurrently', 409);
+        }
+        if (changes.phoneNumber) {
+            this.assertPhoneAvailable(changes.phoneNumber, driverId);
+        }
+
+        const updated = { ...driver, ...structuredClone(changes), updatedAt: new Date().toISOString() };
+        this.drivers.set(driverId, updated);
+        return structuredClone(updated);
+    }
+
+    /**
+     * Documents expiring within a number of days, soonest first
+     * @param {number} days - Window in days, starting today
+     * @param {object} options - { country } to list one country, { now } as reference time
+     * @returns {Promise<object[]>} - Entries as built by findExpiringDocuments
+     */
+    async listExpiringDocuments(days, options = {}) {
+        const drivers = [...this.drivers.values()].filter(d => !options.country || d.country === options.country);
+        return findExpiringDocuments(drivers, days, options.now);
+    }
+
+    /**
+     * Remove the personal data of a driver registration
+     * @returns {Promise<object|null>} - Anonymized registration, or null if the driver has none
+     */
+    async anonymizeDriver(driverId) {
+        if (!this.drivers.has(driverId)) {
+            return null;
+        }
+        return this.updateDriver(driverId, getErasedFields(new Date().toISOString()));
+    }
+
+    assertPhoneAvailable(phoneNumber, driverId) {
+        const holder = [...this.drivers.values()].find(d => phoneNumber && d.phoneNumber === phoneNumber);
+        if (holder && holder.id !== driverId) {
+            throw httpError('Phone number already registered', 409);
+        }
+    }
+}
+
+/**
+ * DynamoDB driver repository
+ * Besides the registration, a driver owns a phone reservation (DRIVER_PHONE#<e164> / RESERVATION#main)
+ * and one expiry index item per document (DRIVER#<id> / DOCUMENT#<type>, GSI1 DOCUMENT_EXPIRY#<expiry month>);
+ * all of them are written in one transaction with the registration
+ */
+class DynamoDriverRepository {
+    constructor(options = {}) {
+        this.dynamodb = options.dynamodb || getDynamoClient();
+        this.tableName = options.tableName || getAuthTableName();
+    }
+
+    async createDriver(driver) {
+        const transactItems = [
+            {
+                Put: {
+                    TableName: this.tableName,
+                    Item: this.buildRegistrationItem(driver),
+                    ConditionExpression: 'attribute_not_exists(PK)'
+                }
+            }
+        ];
+        if (driver.phoneNumber) {
+            transactItems.push(this.buildPhoneReservationPut(driver));
+        }
+        (driver.documents || []).forEach(document => transactItems.push(this.buildDocumentPut(driver, document)));
+
+        await this.writeTransaction(transactItems, 'Driver already exists');
+        return driver;
+    }
+
+    async getDriver(driverId) {
+        const result = await this.dynamodb.send(new GetItemCommand({
+            TableName: this.tableName,
+            Key: marshall({ PK: `DRIVER#${driverId}`, SK: 'REGISTRATION#main' })
+        }));
+
+        return result.Item ? this.formatRegistration(result.Item) : null;
+    }
+
+    async getDrivers(driverIds) {
+        const uniqueIds = [...new Set(driverIds)];
+        const found = new Map();
+
+        for (let start = 0; start < uniqueIds.length; start += BATCH_GET_SIZE) {
+            let keys = uniqueIds.slice(start, start + BATCH_GET_SIZE)
+                .map(driverId => marshall({ PK: `DRIVER#${driverId}`, SK: 'REGISTRATION#main' }));
+
+            while (keys.length > 0) {
+                const result = await this.dynamodb.send(new BatchGetItemCommand({
+                    RequestItems: { [this.tableName]: { Keys: keys } }
+                }));
+
+                (result.Responses?.[this.tableName] || [])
+                    .map(item => this.formatRegistration(item))
+                    .forEach(driver => found.set(driver.id, driver));
+                keys = result.UnprocessedKeys?.[this.tableName]?.Keys || [];
+            }
+        }
+
+        return driverIds.filter(driverId => found.has(driverId)).map(driverId => found.get(driverId));
+    }
+
+    async getDriverIdByPhone(phoneNumber) {
+        const result = await this.dynamodb.send(new GetItemCommand({
+            TableName: this.tableName,
+            Key: marshall({ PK: `DRIVER_PHONE#${phoneNumber}`, SK: 'RESERVATION#main' })
+        }));
+
+        return result.Item ? unmarshall(result.Item).driver_id : null;
+    }
+
+    async updateDriver(driverId, changes, options = {}) {
+        const driver = await this.getDriver(driverId);
+        if (!driver) {
+            throw httpError('Driver not found', 404);
+        }
+        if (options.expectedStatus && driver.status !== options.expectedStatus) {
+            throw httpError('Driver changed concurrently', 409);
+        }
+
+        const updated = { ...driver, ...changes, updatedAt: new Date().toISOString() };
+        const transactItems = [
+            {
+                Put: {
+                    TableName: this.tableName,
+                    Item: this.buildRegistrationItem(updated),
+                    // The registration read above is the one being replaced
+                    ConditionExpression: 'updatedAt = :previous_updated_at',
+                    ExpressionAttributeValues: marshall({ ':previous_updated_at': driver.updatedAt })
+                }
+            }
+        ];
+
+        if (updated.phoneNumber !== driver.phoneNumber) {
+            if (updated.phoneNumber) {
+                transactItems.push(this.buildPhoneReservationPut(updated));
+            }
+            if (driver.phoneNumber) {
+                transactItems.push({
+                    Delete: {
+                        TableName: this.tableName,
+                        Key: marshall({ PK: `DRIVER_PHONE#${driver.phoneNumber}`, SK: 'RESERVATION#main' }),
+                        ConditionExpression: 'attribute_not_exists(PK) OR driver_id = :driver_id',
+                        ExpressionAttributeValues: marshall({ ':driver_id': driverId })
+                    }
+                });
+            }
+        }
+
+        if (changes.documents !== undefined) {
+            const types = updated.documents.map(document => document.type);
+            updated.documents.forEach(document => transactItems.push(this.buildDocumentPut(updated, document)));
+            (driver.documents || [])
+                .filter(document => !types.includes(document.type))
+                .forEach(document => transactItems.push({
+                    Delete: {
+                        TableName: this.tableName,
+                        Key: marshall({ PK: `DRIVER#${driverId}`, SK: `DOCUMENT#${document.type}` })
+                    }
+                }));
+        }
+
+        await this.writeTransaction(transactItems, 'Driver changed concurrently');
+        return updated;
+    }
+
+    async listExpiringDocuments(days, options = {}) {
+        const now = options.now || new Date();
+        const from = now.toISOString().slice(0, 10);
+        const to = new Date(Date.parse(from) + days * DAY_MS).toISOString().slice(0, 10);
+        const documents = [];
+
+        for (const month of getExpiryMonths(from, to)) {
+            const values = { ':pk': `DOCUMENT_EXPIRY#${month}`, ':from': from, ':to': `${to}#~` };
+            if (options.country) {
+                values[':country'] = options.country;
+            }
+            let exclusiveStartKey;
+
+            do {
+                const result = await this.dynamodb.send(new QueryCommand({
+                    TableName: this.tableName,
+                    IndexName: 'GSI1',
+                    KeyConditionExpression: 'GSI1PK = :pk AND GSI1SK BETWEEN :from AND :to',
+                    FilterExpression: options.country ? 'country = :country' : undefined,
+                    ExpressionAttributeValues: marshall(values),
+                    ExclusiveStartKey: exclusiveStartKey
+                }));
+
+                documents.push(...(result.Items || []).map(item => {
+                    const { driverId, country, type, number, issuingCountry, expiryDate } = unmarshall(item);
+                    return toExpiringDocument({ id: driverId, country }, { type, number, issuingCountry, expiryDate }, now);
+                }));
+                exclusiveStartKey = result.LastEvaluatedKey;
+            } while (exclusiveStartKey);
+        }
+
+        return documents;
+    }
+
+    async anonymizeDriver(driverId) {
+        if (!await this.getDriver(driverId)) {
+            return null;
+        }
+        return this.updateDriver(driverId, getErasedFields(new Date().toISOString()));
+    }
+
+    /**
+     * Write a driver transaction; the registration is always the first item
+     * @param {object[]} transactItems - Registration write followed by reservation and document writes
+     * @param {string} registrationConflict - 409 message when the registration condition fails
+     */
+    async writeTransaction(transactItems, registrationConflict) {
+        try {
+            await this.dynamodb.send(new TransactWriteItemsCommand({ TransactItems: transactItems }));
+        } catch (error) {
+            if (error.name === 'TransactionCanceledException') {
+                const failedIndex = (error.CancellationReasons || [])
+                    .findIndex(reason => reason.Code === 'ConditionalCheckFailed');
+                const failedItem = transactItems[failedIndex];
+                const phoneConflict = failedItem?.Put?.Item?.PK?.S?.startsWith('DRIVER_PHONE#');
+
+                throw httpError(phoneConflict ? 'Phone number already registered' : registrationConflict, 409);
+            }
+            throw error;
+        }
+    }
+
+    buildRegistrationItem(driver) {
+        return marshall({ PK: `DRIVER#${driver.id}`, SK: 'REGISTRATION#main', ...driver }, { removeUndefinedValues: true });
+    }
+
+    buildPhoneReservationPut(driver) {
+        return {
+            Put: {
+                TableName: this.tableName,
+                Item: marshall({
+                    PK: `DRIVER_PHONE#${driver.phoneNumber}`,
+                    SK: 'RESERVATION#main',
+                    driver_id: driver.id,
+                    created_at: driver.updatedAt
+                }),
+                ConditionExpression: 'attribute_not_exists(PK) OR driver_id = :driver_id',
+                ExpressionAttributeValues: marshall({ ':driver_id': driver.id })
+            }
+        };
+    }
+
+    buildDocumentPut(driver, document) {
+        return {
+            Put: {
+                TableName: this.tableName,
+                Item: marshall({
+                    PK: `DRIVER#${driver.id}`,
+                    SK: `DOCUMENT#${document.type}`,
+                    GSI1PK: `DOCUMENT_EXPIRY#${document.expiryDate.slice(0, 7)}`,
+                    GSI1SK: `${document.expiryDate}#DRIVER#${driver.id}#${document.type}`,
+                    driverId: driver.id,
+                    country: driver.country,
+                    ...document
+                })
+            }
+        };
+    }
+
+    formatRegistration(item) {
+        const { PK, SK, ...driver } = unmarshall(item);
+        return driver;
+    }
+}
+
+/**
+ * Create the driver repository selected by DRIVER_STORE
+ * Defaults to DynamoDB in production and in-memory elsewhere
+ */
+function createDriverRepository() {
+    const storeType = process.env.DRIVER_STORE ||
+        (process.env.NODE_ENV === 'production' ? 'dynamodb' : 'memory');
+
+    return storeType === 'dynamodb' ? new DynamoDriverRepository() : new MemoryDriverRepository();
+}
+
+// Singleton instance
+const driverRepository = createDriverRepository();
+
+module.exports = {
+    MemoryDriverRepository,
+    DynamoDriverRepository,
+    driverRepository
+};
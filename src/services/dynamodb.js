@@ -0,0 +1,37 @@
+// TIR Browser Platform - DynamoDB Client
+// Shared client and key helpers for the tir-auth-main single table
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+
+let dynamoClient = null;
+
+/**
+ * Get the shared DynamoDB client
+ * DYNAMODB_ENDPOINT points the client at DynamoDB Local for development and tests
+ * @returns {DynamoDBClient} - Singleton client instance
+ */
+function getDynamoClient() {
+    if (!dynamoClient) {
+        const clientConfig = { region: process.env.AWS_REGION || 'eu-central-1' };
+
+        if (process.env.DYNAMODB_ENDPOINT) {
+            clientConfig.endpoint = process.env.DYNAMODB_ENDPOINT;
+        }
+
+        dynamoClient = new DynamoDBClient(clientConfig);
+    }
+    return dynamoClient;
+}
+
+/**
+ * Get the name of the main auth table
+ * @returns {string} - Table name
+ */
+function getAuthTableName() {
+    return process.env.AUTH_TABLE_NAME || 'tir-auth-main';
+}
+
+module.exports = {
+    getDynamoClient,
+    getAuthTableName
+};
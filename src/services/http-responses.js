@@ -0,0 +1,50 @@
+// TIR Browser Platform - HTTP Responses
+// Errors carrying an HTTP status and the TIR Browser success and error envelopes shared by the endpoints
+
+/**
+ * Error with an HTTP status code
+ * @param {string} message - Message sent to the client
+ * @param {number} statusCode - HTTP status
+ * @param {string[]} [details] - Validation details sent with the error
+ */
+function httpError(message, statusCode, details) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details !== undefined) {
+        error.details = details;
+    }
+    return error;
+}
+
+/**
+ * Send an error in the TIR Browser envelope, including validation details
+ * Errors without a status code are answered as 500 without their message
+ */
+function sendError(req, res, error) {
+    res.status(error.statusCode || 500).json({
+        error: error.statusCode ? error.message : 'Internal server error',
+        details: error.details,
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Send data in the TIR Browser success envelope
+ * @param {object} extra - Fields sent next to data, e.g. count and nextCursor
+ */
+function sendData(req, res, statusCode, data, extra = {}) {
+    res.status(statusCode).json({
+        success: true,
+        data,
+        ...extra,
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString()
+    });
+}
+
+module.exports = {
+    httpError,
+    sendError,
+    sendData
+};
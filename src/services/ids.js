@@ -0,0 +1,251 @@
+// TIR Browser Platform - ID Service
+// Human-readable driver and provider IDs (e.g. D-AZ-240115-X7Y8TU), reserved in memory or with conditional writes,
+// selected by ID_STORE
+
+const crypto = require('crypto');
+const { PutItemCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall } = require('@aws-sdk/util-dynamodb');
+const { getDynamoClient, getAuthTableName } = require('./dynamodb');
+const { logDatabaseOperation } = require('../middleware/logging');
+const logger = require('./logger')('auth:id-service');
+
+const ID_PREFIXES = {
+    DRIVER: 'D',
+    PROVIDER: 'P'
+};
+
+// Random part avoids look-alike characters (0/O, 1/I/L)
+const RANDOM_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const RANDOM_LENGTH = 5;
+// The check character is computed over every character of the ID, so it uses the full base-36 alphabet
+const CHECK_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const MAX_ATTEMPTS = 5;
+
+const ID_PATTERN = new RegExp(`^([A-Z])-([A-Z]{2})-(\\d{6})-([${RANDOM_ALPHABET}]{${RANDOM_LENGTH}})([0-9A-Z])$`);
+
+/**
+ * Luhn mod 36 check character over the ID without separators
+ * Catches any single mistyped character and most swapped neighbours
+ * @param {string} body - ID characters without dashes and check character, e.g. "DAZ240115X7Y8Z"
+ * @returns {string} - Check character
+ */
+function computeCheckCharacter(body) {
+    const base = CHECK_ALPHABET.length;
+    let sum = 0;
+    let factor = 2;
+
+    for (let i = body.length - 1; i >= 0; i--) {
+        let addend = factor * CHECK_ALPHABET.indexOf(body[i]);
+        addend = Math.floor(addend / base) + (addend % base);
+        sum += addend;
+        factor = factor === 2 ? 1 : 2;
+    }
+
+    return CHECK_ALPHABET[(base - (sum % base)) % base];
+}
+
+/**
+ * Parse and validate an ID (case-insensitive)
+ * @param {string} id - Candidate ID
+ * @param {string} expectedType - Optional entity type the ID must belong to (DRIVER, PROVIDER)
+ * @returns {object|null} - { id, type, country, date, random } or null if malformed
+ */
+function parseId(id, expectedType = null) {
+    const match = typeof id === 'string' ? ID_PATTERN.exec(id.toUpperCase()) : null;
+    if (!match) {
+        return null;
+    }
+
+    const [normalized, prefix, country, yymmdd, random, check] = match;
+    const type = Object.keys(ID_PREFIXES).find(key => ID_PREFIXES[key] === prefix);
+    if (!type || (expectedType && type !== expectedType)) {
+        return null;
+    }
+
+    if (computeCheckCharacter(`${prefix}${country}${yymmdd}${random}`) !== check) {
+        return null;
+    }
+
+    const date = `20${yymmdd.slice(0, 2)}-${yymmdd.slice(2, 4)}-${yymmdd.slice(4, 6)}`;
+    if (Number.isNaN(Date.parse(date)) || new Date(date).toISOString().slice(0, 10) !== date) {
+        return null;
+    }
+
+    return { id: normalized, type, country, date, random };
+}
+
+/**
+ * Check whether an ID is well-formed and in canonical (upper case) form
+ * @param {string} id - Candidate ID
+ * @param {string} expectedType - Optional entity type
+ * @returns {boolean}
+ */
+function isValidId(id, expectedType = null) {
+    return parseId(id, expectedType)?.id === id;
+}
+
+/**
+ * In-memory ID reservations
+ * Only unique within a single task - use the DynamoDB store when running more than one
+ */
+class MemoryIdStore {
+    constructor() {
+        this.reservations = new Map(); // id -> reservation
+    }
+
+    /**
+     * Reserve an ID
+     * @param {string} id - Candidate ID
+     * @param {string} type - DRIVER or PROVIDER
+     * @param {object} metadata - Stored with the reservation
+     * @returns {Promise<boolean>} - False if the ID is already taken
+     */
+    async reserve(id, type, metadata) {
+        if (this.reservations.has(id)) {
+            return false;
+        }
+
+        this.reservations.set(id, { entity_type: type, reserved_at: new Date().toISOString(), ...metadata });
+        return true;
+    }
+}
+
+/**
+ * DynamoDB ID reservations (ID#<id> / RESERVATION#main) shared by every task
+ */
+class DynamoIdStore {
+    constructor(options = {}) {
+        this.dynamodb = options.dynamodb || getDynamoClient();
+        this.tableName = options.tableName || getAuthTableName();
+    }
+
+    async reserve(id, type, metadata) {
+        return logDatabaseOperation(
+            'PUT',
+            this.tableName,
+            async () => {
+                try {
+                    await this.dynamodb.send(new PutItemCommand({
+                        TableName: this.tableName,
+                        Item: marshall({
+                            PK: `ID#${id}`,
+                            SK: 'RESERVATION#main',
+                            entity_type: type,
+                            reserved_at: new Date().toISOString(),
+                            ...metadata
+                        }, { removeUndefinedValues: true }),
+                        ConditionExpression: 'attribute_not_exists(PK)'
+                    }));
+                    return true;
+                } catch (error) {
+                    if (error.name === 'ConditionalCheckFailedException') {
+                        return false;
+                    }
+                    throw error;
+                }
+            },
+            { id, entity: 'id_reservation' }
+        );
+    }
+}
+
+/**
+ * ID Service Class
+ * Reservations in the ID store make IDs unique; without a store, IDs are reserved in DynamoDB
+ */
+class IdService {
+    constructor(options = {}) {
+        this.store = options.store || new DynamoIdStore(options);
+        this.randomBytes = options.randomBytes || crypto.randomBytes;
+    }
+
+    /**
+     * Build an unreserved candidate ID
+     * @param {string} type - DRIVER or PROVIDER
+     * @param {string} country - ISO 3166-1 alpha-2 country code
+     * @param {Date} date - Issue date (UTC)
+     * @returns {string} - Candidate ID
+     */
+    buildId(type, country, date = new Date()) {
+        const prefix = ID_PREFIXES[type];
+        if (!prefix) {
+            const error = new Error(`Unknown ID type: ${type}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (typeof country !== 'string' || !/^[A-Z]{2}$/.test(country)) {
+            const error = new Error('country must be an ISO 3166-1 alpha-2 code');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const yymmdd = date.toISOString().slice(2, 10).replace(/-/g, '');
+        const random = [...this.randomBytes(RANDOM_LENGTH)]
+            .map(byte => RANDOM_ALPHABET[byte % RANDOM_ALPHABET.length])
+            .join('');
+
+        return `${prefix}-${country}-${yymmdd}-${random}${computeCheckCharacter(`${prefix}${country}${yymmdd}${random}`)}`;
+    }
+
+    /**
+     * Generate and reserve a new ID
+     * @param {string} type - DRIVER or PROVIDER
+     * @param {string} country - ISO 3166-1 alpha-2 country code
+     * @param {object} metadata - Stored with the reservation, e.g. { reservedBy, userId }
+     * @returns {Promise<string>} - Reserved ID
+     * @throws {Error} - 503 if no free ID was found after MAX_ATTEMPTS
+     */
+    async generateId(type, country, metadata = {}) {
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+            const id = this.buildId(type, country);
+
+            if (await this.reserve(id, type, metadata)) {
+                return id;
+            }
+
+            logger.warn('Generated ID already taken, retrying', {
+                id,
+                attempt,
+                category: 'database_operation'
+            });
+        }
+
+        const error = new Error('Unable to allocate a unique ID');
+        error.statusCode = 503;
+        throw error;
+    }
+
+    /**
+     * Reserve an ID in the store
+     * @returns {Promise<boolean>} - False if the ID is already taken
+     */
+    async reserve(id, type, metadata) {
+        return this.store.reserve(id, type, metadata);
+    }
+}
+
+/**
+ * Create the ID store selected by ID_STORE
+ * Defaults to DynamoDB in production and in-memory elsewhere
+ */
+function createIdStore() {
+    const storeType = process.env.ID_STORE ||
+        (process.env.NODE_ENV === 'production' ? 'dynamodb' : 'memory');
+
+    return storeType === 'dynamodb' ? new DynamoIdStore() : new MemoryIdStore();
+}
+
+// Singleton instance
+const idService = new IdService({ store: createIdStore() });
+
+module.exports = {
+    IdService,
+    MemoryIdStore,
+    DynamoIdStore,
+    idService,
+    parseId,
+    isValidId,
+    computeCheckCharacter,
+    ID_PREFIXES
+};
@@ -0,0 +1,410 @@
+// TIR Browser Platform - Company Invitations
+// Driver invitations (COMPANY#<id> / INVITATION#<id>) and their random, single-use invite tokens
+
+const crypto = require('crypto');
+const {
+    GetItemCommand,
+    PutItemCommand,
+    QueryCommand,
+    UpdateItemCommand,
+    TransactWriteItemsCommand
+} = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { getDynamoClient, getAuthTableName } = require('./dynamodb');
+const { logDatabaseOperation } = require('../middleware/logging');
+const { normalizePhoneNumber } = require('./phone-numbers');
+const { validateEmployment } = require('./company-validation');
+const { formatEmployment } = require('./companies');
+const { httpError } = require('./http-responses');
+
+const INVITATION_STATUSES = ['PENDING', 'ACCEPTED', 'REVOKED', 'EXPIRED'];
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 30;
+
+// Invite tokens are <company_id>.<invitation_id>.<secret>; only a hash of the secret is stored
+const INVITE_TOKEN_PATTERN = /^([\w-]+)\.(inv_[0-9a-f]+)\.([\w-]{43})$/;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Public representation of an invitation item (no key attributes)
+ * PENDING invitations past expires_at are reported as EXPIRED
+ * @param {object} item - Unmarshalled invitation item
+ * @param {Date} now - Reference time for the expiry check
+ * @returns {object} - Invitation
+ */
+function formatInvitation(item, now = new Date()) {
+    const { PK, SK, token_hash: tokenHash, ...invitation } = item;
+    const expired = invitation.status === 'PENDING' && invitation.expires_at <= now.toISOString();
+    return { ...invitation, status: expired ? 'EXPIRED' : invitation.status };
+}
+
+/**
+ * Validate an invitation request and normalize its contact
+ * @param {object} data - { phone | email, employment_type, start_date, expires_in_days }
+ * @param {string} country - Country phone numbers are validated against
+ * @returns {object} - { channel, phone | email, employment_type, start_date, expires_in_days }
+ * @throws {Error} - 400 with the validation errors as details
+ */
+function validateInvitation(data, country) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw Object.assign(httpError('Invalid invitation', 400), { details: ['Invitation must be an object'] });
+    }
+
+    const { phone, email, expires_in_days: expiresInDays, ...employment } = data;
+    const errors = validateEmployment({ ...employment, status: undefined })
+        .concat(employment.status !== undefined ? ['status is not an invitation field'] : []);
+    const invitation = {
+        employment_type: employment.employment_type,
+        start_date: employment.start_date,
+        expires_in_days: expiresInDays === undefined ? DEFAULT_EXPIRY_DAYS : expiresInDays
+    };
+
+    if ((phone === undefined) === (email === undefined)) {
+        errors.push('Exactly one of phone or email is required');
+    } else if (phone !== undefined) {
+        invitation.channel = 'PHONE';
+        invitation.phone = normalizePhoneNumber(phone, country);
+        if (!invitation.phone) {
+            errors.push(`phone must be a valid ${country || 'company country'} phone number`);
+        }
+    } else if (typeof email !== 'string' || email.length > 254 || !EMAIL_PATTERN.test(email.trim())) {
+        errors.push('email must be a valid email address');
+    } else {
+        invitation.channel = 'EMAIL';
+        invitation.email = email.trim().toLowerCase();
+    }
+
+    if (!Number.isInteger(invitation.expires_in_days) || invitation.expires_in_days < 1 ||
+        invitation.expires_in_days > MAX_EXPIRY_DAYS) {
+        errors.push(`expires_in_days must be a whole number between 1 and ${MAX_EXPIRY_DAYS}`);
+    }
+
+    if (errors.length > 0) {
+        throw Object.assign(httpError('Invalid invitation', 400), { details: errors });
+    }
+    return invitation;
+}
+
+/**
+ * Split an invite token into the invitation it names and its secret
+ * @param {string} token - Invite token
+ * @returns {object} - { companyId, invitationId, secret }
+ * @throws {Error} - 400 if the token is malformed
+ */
+function parseInviteToken(token) {
+    const match = typeof token === 'string' ? INVITE_TOKEN_PATTERN.exec(token) : null;
+    if (!match) {
+        throw httpError('Invalid invitation token', 400);
+    }
+    return { companyId: match[1], invitationId: match[2], secret: match[3] };
+}
+
+// SHA-256 of an invite token secret, as stored in token_hash
+function hashInviteSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Invitation Repository Class
+ * Invitations live in the company's partition next to the employments they create
+ */
+class InvitationRepository {
+    constructor(options = {}) {
+        this.dynamodb = options.dynamodb || getDynamoClient();
+        this.tableName = options.tableName || getAuthTableName();
+    }
+
+    /**
+     * Create a pending invitation and its invite token
+     * The token is only returned here; the item keeps a hash of its secret
+     * @param {string} companyId - Company ID
+     * @param {object} invitation - Validated invitation (see validateInvitation)
+     * @param {object} metadata - { createdBy } for the audit trail
+     * @returns {Promise<object>} - Invitation with invite_token
+     */
+    async createInvitation(companyId, invitation, metadata = {}) {
+        const { expires_in_days: expiresInDays, ...fields } = invitation;
+        const now = new Date();
+        const secret = crypto.randomBytes(32).toString('base64url');
+        const item = {
+            PK: `COMPANY#${companyId}`,
+            SK: `INVITATION#inv_${crypto.randomBytes(12).toString('hex')}`,
+            ...fields,
+            company_id: companyId,
+            status: 'PENDING',
+            expires_at: new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+            created_at: now.toISOString(),
+            created_by: metadata.createdBy || null,
+            updated_at: now.toISOString(),
+            token_hash: hashInviteSecret(secret)
+        };
+        item.invitation_id = item.SK.replace(/^INVITATION#/, '');
+
+        await logDatabaseOperation(
+            'PUT',
+            this.tableName,
+            async () => this.dynamodb.send(new PutItemCommand({
+                TableName: this.tableName,
+                Item: marshall(item, { removeUndefinedValues: true }),
+                ConditionExpression: 'attribute_not_exists(PK)'
+            })),
+            { companyId, invitationId: item.invitation_id, entity: 'company_invitation' }
+        );
+
+        return { ...formatInvitation(item, now), invite_token: `${companyId}.${item.invitation_id}.${secret}` };
+    }
+
+    /**
+     * List the invitations of a company
+     * @param {string} companyId - Company ID
+     * @param {string} status - Only invitations with this (computed) status; all if omitted
+     * @returns {Promise<object[]>} - Invitations, newest first
+     */
+    async listInvitations(companyId, status) {
+        const items = await logDatabaseOperation(
+            'QUERY',
+            this.tableName,
+            async () => {
+                const results = [];
+                let exclusiveStartKey;
+
+                do {
+                    const result = await this.dynamodb.send(new QueryCommand({
+                        TableName: this.tableName,
+                        KeyConditionExpression: 'PK = :pk AND begins_with(SK, :sk)',
+                        ExpressionAttributeValues: marshall({
+                            ':pk': `COMPANY#${companyId}`,
+                            ':sk': 'INVITATION#'
+                        }),
+                        ExclusiveStartKey: exclusiveStartKey
+                    }));
+
+                    results.push(...(result.Items || []).map(item => unmarshall(item)));
+                    exclusiveStartKey = result.LastEvaluatedKey;
+                } while (exclusiveStartKey);
+
+                return results;
+            },
+            { companyId, entity: 'company_invitations' }
+        );
+
+        const now = new Date();
+        return items
+            .map(item => formatInvitation(item, now))
+            .filter(invitation => !status || invitation.status === status)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    }
+
+    /**
+     * Get an invitation
+     * @param {string} companyId - Company ID
+     * @param {string} invitationId - Invitation ID
+     * @returns {Promise<object>} - Invitation
+     * @throws {Error} - 404 if the invitation does not exist
+     */
+    async getInvitation(companyId, invitationId) {
+        const item = await this.getInvitationItem(companyId, invitationId);
+        if (!item) {
+            throw httpError('Invitation not found', 404);
+        }
+        return formatInvitation(item);
+    }
+
+    /**
+     * Get the invitation an invite token was issued for
+     * @param {string} token - Invite token
+     * @returns {Promise<object>} - Invitation; expiry and status are left to the caller
+     * @throws {Error} - 400 if the token is malformed or does not match an invitation
+     */
+    async getInvitationByToken(token) {
+        const { companyId, invitationId, secret } = parseInviteToken(token);
+        const item = await this.getInvitationItem(companyId, invitationId);
+
+        const expected = Buffer.from(item?.token_hash || '', 'hex');
+        const actual = Buffer.from(hashInviteSecret(secret), 'hex');
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            throw httpError('Invalid invitation token', 400);
+        }
+        return formatInvitation(item);
+    }
+
+    // Raw invitation item, or null
+    async getInvitationItem(companyId, invitationId) {
+        return logDatabaseOperation(
+            'GET',
+            this.tableName,
+            async () => {
+                const result = await this.dynamodb.send(new GetItemCommand({
+                    TableName: this.tableName,
+                    Key: marshall({ PK: `COMPANY#${companyId}`, SK: `INVITATION#${invitationId}` })
+                }));
+                return result.Item ? unmarshall(result.Item) : null;
+            },
+            { companyId, invitationId, entity: 'company_invitation' }
+        );
+    }
+
+    /**
+     * Revoke a pending invitation
+     * @param {string} companyId - Company ID
+     * @param {string} invitationId - Invitation ID
+     * @param {object} metadata - { revokedBy } for the audit trail
+     * @returns {Promise<object>} - Revoked invitation
+     * @throws {Error} - 404 if the invitation does not exist, 409 if it is no longer pending
+     */
+    async revokeInvitation(companyId, invitationId, metadata = {}) {
+        const now = new Date().toISOString();
+
+        const item = await logDatabaseOperation(
+            'UPDATE',
+            this.tableName,
+            async () => {
+                try {
+                    const result = await this.dynamodb.send(new UpdateItemCommand({
+                        TableName: this.tableName,
+                        Key: marshall({ PK: `COMPANY#${companyId}`, SK: `INVITATION#${invitationId}` }),
+                        UpdateExpression: 'SET #status = :revoked, revoked_at = :now, revoked_by = :revoked_by, updated_at = :now',
+                        ConditionExpression: 'attribute_exists(PK) AND #status = :pending',
+                        ExpressionAttributeNames: { '#status': 'status' },
+                        ExpressionAttributeValues: marshall({
+                            ':revoked': 'REVOKED',
+                            ':pending': 'PENDING',
+                            ':revoked_by': metadata.revokedBy || null,
+                            ':now': now
+                        }),
+                        ReturnValues: 'ALL_NEW'
+                    }));
+                    return unmarshall(result.Attributes);
+                } catch (error) {
+                    if (error.name === 'ConditionalCheckFailedException') {
+                        return null;
+                    }
+                    throw error;
+                }
+            },
+            { companyId, invitationId, entity: 'company_invitation' }
+        );
+
+        if (!item) {
+            const existing = await this.getInvitation(companyId, invitationId);
+            throw httpError(`Cannot revoke an invitation with status ${existing.status}`, 409);
+        }
+        return formatInvitation(item);
+    }
+
+    /**
+     * Accept an invitation for a driver
+     * Marks the invitation ACCEPTED, creates the employment item and sets profile_data.company_id
+     * in one transaction, so an invite token is used at most once
+     * @param {object} invitation - Pending invitation
+     * @param {object} driver - { userId, driverId } of the accepting driver
+     * @returns {Promise<object>} - Employment
+     * @throws {Error} - 404 if the company was deleted, 409 if the invitation was used or revoked
+     *                    or the driver already has a company
+     */
+    async acceptInvitation(invitation, driver) {
+        const now = new Date().toISOString();
+        const companyId = invitation.company_id;
+        const employment = {
+            PK: `COMPANY#${companyId}`,
+            SK: `DRIVER#${driver.driverId}`,
+            driver_id: driver.driverId,
+            employment_type: invitation.employment_type,
+            start_date: invitation.start_date,
+            status: 'ACTIVE',
+            invitation_id: invitation.invitation_id,
+            created_at: now,
+            updated_at: now,
+            updated_by: driver.userId
+        };
+
+        await logDatabaseOperation(
+            'TRANSACT_WRITE',
+            this.tableName,
+            async () => {
+                try {
+                    await this.dynamodb.send(new TransactWriteItemsCommand({
+                        TransactItems: [
+                            {
+                                Update: {
+                                    TableName: this.tableName,
+                                    Key: marshall({ PK: `COMPANY#${companyId}`, SK: `INVITATION#${invitation.invitation_id}` }),
+                                    UpdateExpression: 'SET #status = :accepted, accepted_at = :now, ' +
+                                        'accepted_by = :user_id, driver_id = :driver_id, updated_at = :now',
+                                    ConditionExpression: '#status = :pending AND expires_at > :now',
+                                    ExpressionAttributeNames: { '#status': 'status' },
+                                    ExpressionAttributeValues: marshall({
+                                        ':accepted': 'ACCEPTED',
+                                        ':pending': 'PENDING',
+                                        ':user_id': driver.userId,
+                                        ':driver_id': driver.driverId,
+                                        ':now': now
+                                    })
+                                }
+                            },
+                            {
+                                Put: {
+                                    TableName: this.tableName,
+                                    Item: marshall(employment),
+                                    ConditionExpression: 'attribute_not_exists(PK)'
+                                }
+                            },
+                            {
+                                Update: {
+                                    TableName: this.tableName,
+                                    Key: marshall({ PK: `USER#${driver.userId}`, SK: 'PROFILE#main' }),
+                                    UpdateExpression: 'SET profile_data.company_id = :company_id, ' +
+                                        'updated_at = :now, updated_by = :user_id',
+                                    ConditionExpression: 'attribute_exists(PK) AND attribute_not_exists(profile_data.company_id)',
+                                    ExpressionAttributeValues: marshall({
+                                        ':company_id': companyId,
+                                        ':user_id': driver.userId,
+                                        ':now': now
+                                    })
+                                }
+                            },
+                            {
+                                // Invitations outlive a deleted company's profile
+                                ConditionCheck: {
+                                    TableName: this.tableName,
+                                    Key: marshall({ PK: `COMPANY#${companyId}`, SK: 'PROFILE#main' }),
+                                    ConditionExpression: 'attribute_exists(PK)'
+                                }
+                            }
+                        ]
+                    }));
+                } catch (error) {
+                    if (error.name !== 'TransactionCanceledException') {
+                        throw error;
+                    }
+                    const failed = (error.CancellationReasons || []).map(reason => reason.Code === 'ConditionalCheckFailed');
+                    if (failed[0]) {
+                        throw httpError('Invitation is no longer pending', 409);
+                    }
+                    if (failed[3]) {
+                        throw httpError('Company not found', 404);
+                    }
+                    throw httpError(failed[1]
+                        ? 'Driver is already employed by this company'
+                        : 'Driver is already employed by a company', 409);
+                }
+            },
+            { companyId, invitationId: invitation.invitation_id, driverId: driver.driverId, entity: 'company_invitation' }
+        );
+
+        return formatEmployment(employment);
+    }
+}
+
+// Singleton instance
+const invitationRepository = new InvitationRepository();
+
+module.exports = {
+    InvitationRepository,
+    invitationRepository,
+    formatInvitation,
+    validateInvitation,
+    parseInviteToken,
+    INVITATION_STATUSES
+};
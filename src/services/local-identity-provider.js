@@ -0,0 +1,142 @@
+// TIR Browser Platform - Local Identity Provider
+// Development/test user token issuer signing RS256 tokens with an in-memory key
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('./logger')('auth:local-idp');
+
+const DEFAULT_TOKEN_TTL = 60 * 60; // 1 hour in seconds
+
+/**
+ * Whether the local identity provider may issue and be trusted for user tokens
+ * Opt-in only with LOCAL_IDP_ENABLED=true; NODE_ENV is not considered because deployed
+ * environments run with NODE_ENV=development too
+ * @returns {boolean}
+ */
+function isLocalIdpEnabled() {
+    return process.env.LOCAL_IDP_ENABLED === 'true';
+}
+
+/**
+ * Groups POST /dev/token may put into a token, from LOCAL_IDP_GROUPS (comma-separated, default none)
+ * @returns {string[]}
+ */
+function getIssuableGroups() {
+    return (process.env.LOCAL_IDP_GROUPS || '')
+        .split(',')
+        .map(group => group.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Local Identity Provider Class
+ * Issues tokens shaped like the default issuer claim mapping (sub, email, username, groups, scope).
+ * The key pair is generated on first use and does not survive a restart.
+ */
+class LocalIdentityProvider {
+    constructor(options = {}) {
+        this.issuer = options.issuer || process.env.LOCAL_IDP_ISSUER || 'tir-browser-local-idp';
+        this.audience = options.audience || process.env.LOCAL_IDP_AUDIENCE || 'tir-browser-local';
+        this.key = null; // { kid, privateKey, publicKey }
+    }
+
+    getKey() {
+        if (!this.key) {
+            const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+            this.key = { kid: `local-${crypto.randomBytes(8).toString('hex')}`, privateKey, publicKey };
+
+            logger.warn('Local identity provider enabled - user tokens are signed with an in-memory key', {
+                issuer: this.issuer,
+                kid: this.key.kid,
+                category: 'user_authentication'
+            });
+        }
+        return this.key;
+    }
+
+    /**
+     * Trusted issuer entry for the user token verifier
+     * @returns {object} - Issuer configuration
+     */
+    getIssuerConfig() {
+        return {
+            name: 'local',
+            issuer: this.issuer,
+            audience: this.audience,
+            algorithms: ['RS256'],
+            local: true
+        };
+    }
+
+    /**
+     * Issue a signed user token
+     * @param {object} user - Token subject
+     * @param {string} user.sub - User ID
+     * @param {string} user.email - Email address
+     * @param {string} user.username - Username
+     * @param {string[]} user.groups - Role names
+     * @param {string[]} user.scope - OAuth scopes
+     * @param {number} expiresIn - Lifetime in seconds
+     * @returns {string} - Signed JWT
+     */
+    issueToken(user, expiresIn = DEFAULT_TOKEN_TTL) {
+        if (!user.sub) {
+            const error = new Error('sub is required');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const { kid, privateKey } = this.getKey();
+        const payload = {
+            sub: user.sub,
+            email: user.email,
+            username: user.username || user.sub,
+            groups: user.groups || [],
+            token_use: 'id',
+            jti: crypto.randomUUID()
+        };
+
+        if (user.scope?.length) {
+            payload.scope = user.scope.join(' ');
+        }
+
+        return jwt.sign(payload, privateKey, {
+            algorithm: 'RS256',
+            keyid: kid,
+            issuer: this.issuer,
+            audience: this.audience,
+            expiresIn
+        });
+    }
+
+    /**
+     * Get the public key for a key ID
+     * @param {string} kid - Key ID from the token header
+     * @returns {KeyObject|null}
+     */
+    getPublicKey(kid) {
+        const key = this.getKey();
+        return key.kid === kid ? key.publicKey : null;
+    }
+
+    /**
+     * Build the public JWKS document
+     * @returns {{keys: object[]}}
+     */
+    getJwks() {
+        const { kid, publicKey } = this.getKey();
+        return {
+            keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }]
+        };
+    }
+}
+
+// Singleton instance
+const localIdentityProvider = new LocalIdentityProvider();
+
+module.exports = {
+    LocalIdentityProvider,
+    localIdentityProvider,
+    isLocalIdpEnabled,
+    getIssuableGroups
+};
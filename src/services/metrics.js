@@ -61,6 +61,13 @@ class MetricsService {
             labelNames: ['type', 'status'],
             registers: [this.register]
         });
+        
+        this.tokenCacheEventsTotal = new client.Counter({
+            name: 'auth_token_cache_events_total',
+            help: 'Total number of user token cache hits, misses, evictions and invalidations',
+            labelNames: ['event'],
+            registers: [this.register]
+        });
     }
     
     // Record HTTP request metrics
@@ -103,6 +110,11 @@ class MetricsService {
         });
     }
     
+    // Record user token cache metrics (hit, miss, eviction, invalidation)
+    recordTokenCacheEvent(event, count = 1) {
+        this.tokenCacheEventsTotal.inc({ event }, count);
+    }
+    
     // Update active connections gauge
     setActiveConnections(count) {
         this.activeConnections.set(count);
@@ -0,0 +1,99 @@
+// TIR Browser Platform - OAuth Client Registry
+// Client-credentials clients stored in the tir-auth-main table
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { GetItemCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { getDynamoClient, getAuthTableName } = require('./dynamodb');
+const { logDatabaseOperation } = require('../middleware/logging');
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Hash a client secret for storage
+ * Format: scrypt$<salt>$<hash> (base64url)
+ * @param {string} clientSecret - Plain client secret
+ * @returns {Promise<string>} - Encoded hash
+ */
+async function hashClientSecret(clientSecret) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(clientSecret, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+/**
+ * Check a client secret against a stored hash in constant time
+ * @param {string} clientSecret - Plain client secret from the request
+ * @param {string} storedHash - Hash produced by hashClientSecret
+ * @returns {Promise<boolean>} - True if the secret matches
+ */
+async function verifyClientSecret(clientSecret, storedHash) {
+    const [scheme, salt, expected] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) {
+        return false;
+    }
+
+    const expectedBuffer = Buffer.from(expected, 'base64url');
+    const actual = await scrypt(clientSecret, Buffer.from(salt, 'base64url'), expectedBuffer.length);
+    return crypto.timingSafeEqual(actual, expectedBuffer);
+}
+
+/**
+ * OAuth Client Repository Class
+ * Reads CLIENT#<client_id> / CREDENTIALS#main items
+ */
+class OAuthClientRepository {
+    constructor(options = {}) {
+        this.dynamodb = options.dynamodb || getDynamoClient();
+        this.tableName = options.tableName || getAuthTableName();
+    }
+
+    /**
+     * Get a registered client
+     * @param {string} clientId - OAuth client ID
+     * @returns {Promise<object|null>} - Client item or null if unknown
+     */
+    async getClient(clientId) {
+        return logDatabaseOperation(
+            'GET',
+            this.tableName,
+            async () => {
+                const result = await this.dynamodb.send(new GetItemCommand({
+                    TableName: this.tableName,
+                    Key: marshall({ PK: `CLIENT#${clientId}`, SK: 'CREDENTIALS#main' })
+                }));
+
+                return result.Item ? unmarshall(result.Item) : null;
+            },
+            { clientId, entity: 'oauth_client' }
+        );
+    }
+
+    /**
+     * Authenticate a client by ID and secret
+     * @param {string} clientId - OAuth client ID
+     * @param {string} clientSecret - Plain client secret
+     * @returns {Promise<object|null>} - Client item or null if authentication fails
+     */
+    async authenticate(clientId, clientSecret) {
+        const client = await this.getClient(clientId);
+        if (!client || client.status !== 'ACTIVE') {
+            return null;
+        }
+
+        const valid = await verifyClientSecret(clientSecret, client.secret_hash);
+        return valid ? client : null;
+    }
+}
+
+// Singleton instance
+const oauthClientRepository = new OAuthClientRepository();
+
+module.exports = {
+    OAuthClientRepository,
+    oauthClientRepository,
+    hashClientSecret,
+    verifyClientSecret
+};
@@ -0,0 +1,126 @@
+// TIR Browser Platform - Order Lifecycle
+// Order statuses, the transitions between them, who may perform each one and the fields they need
+
+const { isValidId } = require('./ids');
+const { httpError } = require('./http-responses');
+
+const ORDER_STATUSES = ['ORDER_CREATED', 'OFFERED', 'ASSIGNED', 'PICKED_UP', 'AT_BORDER', 'DELIVERED', 'CANCELLED'];
+
+// Transitions by current and next status: user types that may perform them and the request fields they require
+// Once the cargo is picked up only internal users can cancel; DELIVERED and CANCELLED are final
+const ORDER_TRANSITIONS = {
+    ORDER_CREATED: {
+        OFFERED: { actors: ['PROVIDER', 'INTERNAL'] },
+        CANCELLED: { actors: ['PROVIDER', 'INTERNAL'], requiredFields: ['reason'] }
+    },
+    OFFERED: {
+        ASSIGNED: { actors: ['PROVIDER', 'INTERNAL'], requiredFields: ['driverId'] },
+        CANCELLED: { actors: ['PROVIDER', 'INTERNAL'], requiredFields: ['reason'] }
+    },
+    ASSIGNED: {
+        PICKED_UP: { actors: ['DRIVER', 'INTERNAL'] },
+        CANCELLED: { actors: ['PROVIDER', 'INTERNAL'], requiredFields: ['reason'] }
+    },
+    PICKED_UP: {
+        AT_BORDER: { actors: ['DRIVER', 'INTERNAL'], requiredFields: ['borderCrossing'] },
+        CANCELLED: { actors: ['INTERNAL'], requiredFields: ['reason'] }
+    },
+    AT_BORDER: {
+        DELIVERED: { actors: ['DRIVER', 'INTERNAL'] },
+        CANCELLED: { actors: ['INTERNAL'], requiredFields: ['reason'] }
+    },
+    DELIVERED: {},
+    CANCELLED: {}
+};
+
+// Required transition fields: validation and the order field they are stored as
+const TRANSITION_FIELDS = {
+    driverId: {
+        orderField: 'driverId',
+        isValid: value => typeof value === 'string' && isValidId(value, 'DRIVER'),
+        error: 'driverId must be a driver ID'
+    },
+    borderCrossing: {
+        orderField: 'borderCrossing',
+        isValid: value => typeof value === 'string' && value.trim().length > 0 && value.length <= 100,
+        error: 'borderCrossing is required (at most 100 characters)'
+    },
+    reason: {
+        orderField: 'cancellationReason',
+        isValid: value => typeof value === 'string' && value.trim().length > 0 && value.length <= 500,
+        error: 'reason is required (at most 500 characters)'
+    }
+};
+
+/**
+ * Statuses an order can move to next
+ * @param {string} status - Current order status
+ * @returns {string[]} - Next statuses, empty for final statuses
+ */
+function getAllowedStatuses(status) {
+    return Object.keys(ORDER_TRANSITIONS[status] || {});
+}
+
+/**
+ * Providers act on their own orders and drivers on orders assigned to them
+ */
+function isOrderParticipant(order, user) {
+    if (user.user_type === 'PROVIDER') {
+        return order.providerId === user.id;
+    }
+    if (user.user_type === 'DRIVER') {
+        return Boolean(order.driverId) && order.driverId === user.driver_id;
+    }
+    return true;
+}
+
+/**
+ * Check a status change of an order
+ * @param {object} order - Current order
+ * @param {string} nextStatus - Requested status
+ * @param {object} fields - Request body with the fields the transition requires
+ * @param {object} user - req.user of the caller
+ * @returns {object} - Order changes: the status and the stored transition fields
+ * @throws {Error} - 400 for an unknown status or missing fields (details), 403 if the caller may not perform
+ *   the transition, 409 with currentStatus and allowedStatuses if the transition does not exist
+ */
+function checkOrderTransition(order, nextStatus, fields, user) {
+    if (!ORDER_STATUSES.includes(nextStatus)) {
+        throw httpError(`status must be one of ${ORDER_STATUSES.join(', ')}`, 400);
+    }
+
+    const transition = ORDER_TRANSITIONS[order.status]?.[nextStatus];
+    if (!transition) {
+        const error = httpError(`Cannot change order status from ${order.status} to ${nextStatus}`, 409);
+        error.currentStatus = order.status;
+        error.allowedStatuses = getAllowedStatuses(order.status);
+        throw error;
+    }
+
+    if (!transition.actors.includes(user.user_type) || !isOrderParticipant(order, user)) {
+        throw httpError(`Not allowed to change order status from ${order.status} to ${nextStatus}`, 403);
+    }
+
+    const requiredFields = transition.requiredFields || [];
+    const errors = requiredFields
+        .filter(field => !TRANSITION_FIELDS[field].isValid(fields[field]))
+        .map(field => TRANSITION_FIELDS[field].error);
+    if (errors.length > 0) {
+        const error = httpError('Invalid status change', 400);
+        error.details = errors;
+        throw error;
+    }
+
+    const changes = { status: nextStatus };
+    requiredFields.forEach(field => {
+        changes[TRANSITION_FIELDS[field].orderField] = fields[field].trim();
+    });
+    return changes;
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    ORDER_TRANSITIONS,
+    getAllowedStatuses,
+    checkOrderTransition
+};
@@ -0,0 +1,442 @@
+// TIR Browser Platform - Order Repository
+// Orders in memory or in the single table (ORDER#<id> / DETAILS#main), selected by ORDER_STORE,
+// with an append-only history item per change (ORDER#<id> / HISTORY#<timestamp>#<suffix>)
+
+const crypto = require('crypto');
+const {
+    GetItemCommand,
+    UpdateItemCommand,
+    QueryCommand,
+    TransactWriteItemsCommand
+} = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { getDynamoClient, getAuthTableName } = require('./dynamodb');
+const { encodeCursor, decodeCursor } = require('./pagination');
+const { httpError } = require('./http-responses');
+
+// Key attributes of order items, not part of the order itself
+const KEY_ATTRIBUTES = ['PK', 'SK', 'GSI1PK', 'GSI1SK', 'GSI3PK', 'GSI3SK'];
+
+// All-orders index partitions, one per creation month
+const ORDER_BUCKET_PATTERN = /^ORDERS#(\d{4})-(\d{2})$/;
+
+// Upper bound of month buckets one all-orders page reads, so empty months cannot make a request unbounded
+const MAX_BUCKETS_PER_PAGE = 12;
+
+/**
+ * Order ID of a sequence number, e.g. ORD-000042
+ */
+function formatOrderId(sequence) {
+    return `ORD-${String(sequence).padStart(6, '0')}`;
+}
+
+/**
+ * Order item keys: the order partition, GSI1 by provider and GSI3 by creation month, both oldest first
+ */
+function getOrderKeys(order) {
+    return {
+        PK: `ORDER#${order.id}`,
+        SK: 'DETAILS#main',
+        GSI1PK: `PROVIDER_ORDERS#${order.providerId}`,
+        GSI1SK: `ORDER#${order.createdAt}#${order.id}`,
+        GSI3PK: getOrderBucket(order.createdAt),
+        GSI3SK: `ORDER#${order.createdAt}#${order.id}`
+    };
+}
+
+/**
+ * All-orders index partition of a timestamp, e.g. ORDERS#2024-01
+ */
+function getOrderBucket(timestamp) {
+    return `ORDERS#${timestamp.slice(0, 7)}`;
+}
+
+// Partition of the month after a bucket
+function getNextOrderBucket(bucket) {
+    const [, year, month] = ORDER_BUCKET_PATTERN.exec(bucket);
+    const next = new Date(Date.UTC(Number(year), Number(month), 1));
+    return getOrderBucket(next.toISOString());
+}
+
+/**
+ * Order of an unmarshalled item, without its keys
+ */
+function formatOrder(item) {
+    return Object.fromEntries(Object.entries(item).filter(([attribute]) => !KEY_ATTRIBUTES.includes(attribute)));
+}
+
+// Order fields a history entry does not repeat in its changes
+const HISTORY_OMITTED_FIELDS = ['status', 'notes', 'createdAt', 'updatedAt'];
+
+/**
+ * History entry of an order change
+ * @param {object|null} previous - Order before the change, null when it was created
+ * @param {object} order - Order after the change
+ * @param {object} changes - Fields that were set
+ * @param {object} context - { actorId, actorType, correlationId } of the request that made the change
+ * @returns {object} - Entry with the action, previous and new status, notes, changed fields, actor and timestamp
+ */
+function buildHistoryEntry(previous, order, changes, context = {}) {
+    let action = 'UPDATED';
+    if (!previous) {
+        action = 'CREATED';
+    } else if (previous.status !== order.status) {
+        action = 'STATUS_CHANGED';
+    }
+
+    return {
+        orderId: order.id,
+        action,
+        previousStatus: previous ? previous.status : null,
+        newStatus: order.status,
+        notes: changes.notes || null,
+        changes: Object.fromEntries(
+            Object.entries(changes).filter(([field, value]) => !HISTORY_OMITTED_FIELDS.includes(field) && value !== undefined)
+        ),
+        actorId: context.actorId || null,
+        actorType: context.actorType || null,
+        correlationId: context.correlationId || null,
+        timestamp: order.updatedAt
+    };
+}
+
+/**
+ * In-memory order repository for development and tests
+ * Orders are copied in and out so callers cannot change stored orders
+ */
+class MemoryOrderRepository {
+    constructor() {
+        this.orders = new Map(); // id -> order, in creation order
+        this.history = new Map(); // id -> history entries, oldest first
+        this.sequence = 0;
+    }
+
+    /**
+     * Create an order with the next order ID
+     * @param {object} fields - Order fields without id and timestamps
+     * @param {object} context - { actorId, actorType, correlationId } for the history entry
+     * @returns {Promise<object>} - Created order
+     */
+    async createOrder(fields, context = {}) {
+        const now = new Date().toISOString();
+        const order = { id: formatOrderId(++this.sequence), ...fields, createdAt: now, updatedAt: now };
+
+        this.orders.set(order.id, structuredClone(order));
+        this.history.set(order.id, [structuredClone(buildHistoryEntry(null, order, fields, context))]);
+        return order;
+    }
+
+    /**
+     * @returns {Promise<object|null>} - Order, or null if it does not exist
+     */
+    async getOrder(orderId) {
+        const order = this.orders.get(orderId);
+        return order ? structuredClone(order) : null;
+    }
+
+    /**
+     * One page of orders, oldest first
+     * @param {object} options - { providerId } to list the orders of one provider, { limit, cursor } to page
+     * @returns {Promise<object>} - { orders, nextCursor }; nextCursor is null on the last page
+     * @throws {Error} - 400 if the cursor is malformed
+     */
+    async listOrders(options = {}) {
+        const { providerId, limit, cursor } = options;
+        const startKey = decodeCursor(cursor, key => typeof key.id === 'string');
+        const orders = [...this.orders.values()]
+            .filter(order => !providerId || order.providerId === providerId);
+
+        const start = startKey ? orders.findIndex(order => order.id === unmarshall(startKey).id) + 1 : 0;
+        if (startKey && start === 0) {
+            throw httpError('Invalid cursor', 400);
+        }
+        const page = orders.slice(start, limit ? start + limit : undefined);
+        const hasMore = start + page.length < orders.length;
+
+        return {
+            orders: page.map(order => structuredClone(order)),
+            nextCursor: hasMore ? encodeCursor(marshall({ id: page[page.length - 1].id })) : null
+        };
+    }
+
+    /**
+     * Change an order
+     * @param {string} orderId - Order ID
+     * @param {object} changes - Fields to set
+     * @param {object} options - { expectedStatus } the order must still have, { context } for the history entry
+     * @returns {Promise<object>} - Updated order
+     * @throws {Error} - 404 if the order does not exist, 409 if its status changed
+     */
+    async updateOrder(orderId, changes, options = {}) {
+        const order = this.orders.get(orderId);
+        if (!order) {
+            throw httpError('Order not found', 404);
+        }
+        if (options.expectedStatus && order.status !== options.expectedStatus) {
+            throw httpError('Order changed concurrently', 409);
+        }
+
+        const updated = { ...order, ...structuredClone(changes), updatedAt: new Date().toISOString() };
+        this.orders.set(orderId, updated);
+        this.history.get(orderId).push(structuredClone(buildHistoryEntry(order, updated, changes, options.context)));
+        return structuredClone(updated);
+    }
+
+    /**
+     * History of an order, oldest first
+     * @returns {Promise<object[]>} - History entries, empty if the order does not exist
+     */
+    async listOrderHistory(orderId) {
+        return structuredClone(this.history.get(orderId) || []);
+    }
+}
+
+/**
+ * DynamoDB order repository
+ * Order IDs come from an atomic counter item (COUNTER#order / COUNTER#main); every write puts
+ * the order and its history item in one transaction
+ */
+class DynamoOrderRepository {
+    constructor(options = {}) {
+        this.dynamodb = options.dynamodb || getDynamoClient();
+        this.tableName = options.tableName || getAuthTableName();
+    }
+
+    async createOrder(fields, context = {}) {
+        const now = new Date().toISOString();
+        const sequence = await this.nextSequence(now);
+        const order = { id: formatOrderId(sequence), ...fields, createdAt: now, updatedAt: now };
+
+        await this.writeTransaction([
+            {
+                Put: {
+                    TableName: this.tableName,
+                    Item: marshall({ ...getOrderKeys(order), ...order }, { removeUndefinedValues: true }),
+                    ConditionExpression: 'attribute_not_exists(PK)'
+                }
+            },
+            this.buildHistoryPut(buildHistoryEntry(null, order, fields, context))
+        ]);
+
+        return order;
+    }
+
+    async getOrder(orderId) {
+        const result = await this.dynamodb.send(new GetItemCommand({
+            TableName: this.tableName,
+            Key: marshall({ PK: `ORDER#${orderId}`, SK: 'DETAILS#main' })
+        }));
+
+        return result.Item ? formatOrder(unmarshall(result.Item)) : null;
+    }
+
+    // A provider listing is one query page of its GSI1 partition; a cursor only continues the partition it came from
+    async listOrders(options = {}) {
+        const { providerId, limit, cursor } = options;
+        if (!providerId) {
+            return this.listAllOrders(limit, cursor);
+        }
+
+        const partitionKey = `PROVIDER_ORDERS#${providerId}`;
+        const exclusiveStartKey = decodeCursor(cursor, key => key.GSI1PK === partitionKey);
+        const result = await this.queryOrderIndex('GSI1', partitionKey, limit, exclusiveStartKey);
+
+        return { orders: result.orders, nextCursor: encodeCursor(result.lastEvaluatedKey) };
+    }
+
+    /**
+     * One page of all orders, walking the monthly GSI3 partitions from the first order's month to the current one
+     * At most MAX_BUCKETS_PER_PAGE partitions are read per call; the cursor is the key the walk stopped at,
+     * or just the partition to continue with
+     */
+    async listAllOrders(limit, cursor) {
+        const startKey = decodeCursor(cursor, key => ORDER_BUCKET_PATTERN.test(key.GSI3PK));
+        let bucket = startKey ? unmarshall(startKey).GSI3PK : await this.getFirstOrderBucket();
+        let exclusiveStartKey = startKey && startKey.PK ? startKey : undefined;
+        const lastBucket = getOrderBucket(new Date().toISOString());
+        const orders = [];
+
+        if (!bucket) {
+            return { orders, nextCursor: null };
+        }
+
+        for (let read = 0; read < MAX_BUCKETS_PER_PAGE; read++) {
+            const result = await this.queryOrderIndex('GSI3', bucket, limit && limit - orders.length, exclusiveStartKey);
+            orders.push(...result.orders);
+
+            if (result.lastEvaluatedKey) {
+                return { orders, nextCursor: encodeCursor(result.lastEvaluatedKey) };
+            }
+            if (bucket >= lastBucket) {
+                return { orders, nextCursor: null };
+            }
+
+            bucket = getNextOrderBucket(bucket);
+            exclusiveStartKey = undefined;
+            if (limit && orders.length >= limit) {
+                break;
+            }
+        }
+
+        return { orders, nextCursor: encodeCursor(marshall({ GSI3PK: bucket })) };
+    }
+
+    // One Limited query page of an order index partition
+    async queryOrderIndex(indexName, partitionKey, limit, exclusiveStartKey) {
+        const result = await this.dynamodb.send(new QueryCommand({
+            TableName: this.tableName,
+            IndexName: indexName,
+            KeyConditionExpression: `${indexName}PK = :pk`,
+            ExpressionAttributeValues: marshall({ ':pk': partitionKey }),
+            Limit: limit,
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+
+        return {
+            orders: (result.Items || []).map(item => formatOrder(unmarshall(item))),
+            lastEvaluatedKey: result.LastEvaluatedKey
+        };
+    }
+
+    /**
+     * All-orders partition of the first order, from the order counter
+     * @returns {Promise<string|null>} - e.g. ORDERS#2024-01, null before the first order
+     */
+    async getFirstOrderBucket() {
+        const result = await this.dynamodb.send(new GetItemCommand({
+            TableName: this.tableName,
+            Key: marshall({ PK: 'COUNTER#order', SK: 'COUNTER#main' })
+        }));
+        const counter = result.Item ? unmarshall(result.Item) : null;
+
+        return counter && counter.first_order_at ? getOrderBucket(counter.first_order_at) : null;
+    }
+
+    async updateOrder(orderId, changes, options = {}) {
+        const order = await this.getOrder(orderId);
+        if (!order) {
+            throw httpError('Order not found', 404);
+        }
+        if (options.expectedStatus && order.status !== options.expectedStatus) {
+            throw httpError('Order changed concurrently', 409);
+        }
+
+        const updated = { ...order, ...changes, updatedAt: new Date().toISOString() };
+        const fields = Object.entries({ ...changes, updatedAt: updated.updatedAt })
+            .filter(([, value]) => value !== undefined);
+        const names = {};
+        const values = { ':previous_updated_at': order.updatedAt };
+
+        fields.forEach(([field, value], index) => {
+            names[`#f${index}`] = field;
+            values[`:f${index}`] = value;
+        });
+
+        await this.writeTransaction([
+            {
+                Update: {
+                    TableName: this.tableName,
+                    Key: marshall({ PK: `ORDER#${orderId}`, SK: 'DETAILS#main' }),
+                    UpdateExpression: `SET ${fields.map((_, index) => `#f${index} = :f${index}`).join(', ')}`,
+                    // The order read above is the one being changed
+                    ConditionExpression: 'updatedAt = :previous_updated_at',
+                    ExpressionAttributeNames: names,
+                    ExpressionAttributeValues: marshall(values, { removeUndefinedValues: true })
+                }
+            },
+            this.buildHistoryPut(buildHistoryEntry(order, updated, changes, options.context))
+        ]);
+
+        return updated;
+    }
+
+    async listOrderHistory(orderId) {
+        const entries = [];
+        let exclusiveStartKey;
+
+        do {
+            const result = await this.dynamodb.send(new QueryCommand({
+                TableName: this.tableName,
+                KeyConditionExpression: 'PK = :pk AND begins_with(SK, :sk)',
+                ExpressionAttributeValues: marshall({ ':pk': `ORDER#${orderId}`, ':sk': 'HISTORY#' }),
+                ExclusiveStartKey: exclusiveStartKey
+            }));
+
+            entries.push(...(result.Items || []).map(item => formatOrder(unmarshall(item))));
+            exclusiveStartKey = result.LastEvaluatedKey;
+        } while (exclusiveStartKey);
+
+        return entries;
+    }
+
+    /**
+     * Write an order and its history item
+     * @throws {Error} - 409 if the order changed since it was read
+     */
+    async writeTransaction(transactItems) {
+        try {
+            await this.dynamodb.send(new TransactWriteItemsCommand({ TransactItems: transactItems }));
+        } catch (error) {
+            if (error.name === 'TransactionCanceledException') {
+                throw httpError('Order changed concurrently', 409);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * History items are never overwritten; the random suffix keeps entries written in the same millisecond apart
+     */
+    buildHistoryPut(entry) {
+        return {
+            Put: {
+                TableName: this.tableName,
+                Item: marshall({
+                    PK: `ORDER#${entry.orderId}`,
+                    SK: `HISTORY#${entry.timestamp}#${crypto.randomBytes(4).toString('hex')}`,
+                    ...entry
+                }, { removeUndefinedValues: true }),
+                ConditionExpression: 'attribute_not_exists(PK)'
+            }
+        };
+    }
+
+    /**
+     * Increment the order counter; the first call also records when the first order was created
+     * @param {string} now - Creation time of the order
+     * @returns {Promise<number>} - Next order sequence number
+     */
+    async nextSequence(now) {
+        const result = await this.dynamodb.send(new UpdateItemCommand({
+            TableName: this.tableName,
+            Key: marshall({ PK: 'COUNTER#order', SK: 'COUNTER#main' }),
+            UpdateExpression: 'ADD #sequence :one SET first_order_at = if_not_exists(first_order_at, :now)',
+            ExpressionAttributeNames: { '#sequence': 'sequence' },
+            ExpressionAttributeValues: marshall({ ':one': 1, ':now': now }),
+            ReturnValues: 'UPDATED_NEW'
+        }));
+
+        return unmarshall(result.Attributes).sequence;
+    }
+}
+
+/**
+ * Create the order repository selected by ORDER_STORE
+ * Defaults to DynamoDB in production and in-memory elsewhere
+ */
+function createOrderRepository() {
+    const storeType = process.env.ORDER_STORE ||
+        (process.env.NODE_ENV === 'production' ? 'dynamodb' : 'memory');
+
+    return storeType === 'dynamodb' ? new DynamoOrderRepository() : new MemoryOrderRepository();
+}
+
+// Singleton instance
+const orderRepository = createOrderRepository();
+
+module.exports = {
+    MemoryOrderRepository,
+    DynamoOrderRepository,
+    formatOrderId,
+    orderRepository
+};
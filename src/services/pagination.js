@@ -0,0 +1,77 @@
+// TIR Browser Platform - Cursor Pagination
+// Opaque cursors over DynamoDB LastEvaluatedKey values and page size parsing for list endpoints
+
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// 400 error for malformed pagination parameters
+function badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+/**
+ * Encode a LastEvaluatedKey as an opaque, URL-safe cursor
+ * @param {object|undefined} lastEvaluatedKey - Marshalled key from a Query result
+ * @returns {string|null} - Cursor, or null on the last page
+ */
+function encodeCursor(lastEvaluatedKey) {
+    if (!lastEvaluatedKey) {
+        return null;
+    }
+    return Buffer.from(JSON.stringify(unmarshall(lastEvaluatedKey))).toString('base64url');
+}
+
+/**
+ * Decode a cursor into an ExclusiveStartKey
+ * @param {string|undefined} cursor - Cursor from a previous page
+ * @param {function} isValidKey - Checks the decoded key belongs to the same query, e.g. the same index partition
+ * @returns {object|undefined} - Marshalled key, or undefined for the first page
+ * @throws {Error} - 400 if the cursor is malformed or belongs to another query
+ */
+function decodeCursor(cursor, isValidKey = () => true) {
+    if (cursor === undefined || cursor === null || cursor === '') {
+        return undefined;
+    }
+
+    let key;
+    try {
+        key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw badRequest('Invalid cursor');
+    }
+
+    if (!key || typeof key !== 'object' || Array.isArray(key) || !isValidKey(key)) {
+        throw badRequest('Invalid cursor');
+    }
+    return marshall(key);
+}
+
+/**
+ * Parse a limit query parameter
+ * @param {string|undefined} value - Raw query value
+ * @returns {number} - Page size between 1 and MAX_PAGE_SIZE
+ * @throws {Error} - 400 if the value is not a whole number in range
+ */
+function parseLimit(value) {
+    if (value === undefined || value === '') {
+        return DEFAULT_PAGE_SIZE;
+    }
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw badRequest(`limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    return limit;
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    parseLimit,
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE
+};
@@ -0,0 +1,269 @@
+// TIR Browser Platform - Permission Service
+// Resolves user role assignments and role definitions from the tir-auth-main table
+
+const { QueryCommand, GetItemCommand, UpdateItemCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { getDynamoClient, getAuthTableName } = require('./dynamodb');
+const { logDatabaseOperation } = require('../middleware/logging');
+const logger = require('./logger')('auth:permissions');
+
+const PERMISSION_CACHE_TTL = 5 * 60 * 1000; // 5 minutes in milliseconds
+
+// Shared counter bumped on every role change so all tasks drop their caches
+const GENERATION_KEY = { PK: 'COUNTER#permissions', SK: 'COUNTER#main' };
+
+// How often a task re-reads the shared counter; bounds how long another task's role change goes unseen
+const GENERATION_CHECK_INTERVAL = parseInt(process.env.PERMISSION_GENERATION_CHECK_INTERVAL_MS || '5000');
+
+/**
+ * Check whether a granted permission list satisfies a required permission
+ * Supports "*" (everything) and "resource:*" (every action on a resource)
+ * @param {string[]} grantedPermissions - Permissions resolved for the user
+ * @param {string} requiredPermission - Permission to check, e.g. "route:read"
+ * @returns {boolean} - True if the permission is granted
+ */
+function hasPermission(grantedPermissions = [], requiredPermission) {
+    const [resource] = requiredPermission.split(':');
+
+    return grantedPermissions.some(permission =>
+        permission === '*' ||
+        permission === requiredPermission ||
+        permission === `${resource}:*`
+    );
+}
+
+/**
+ * Throw a 403 error unless the caller holds every permission they are granting
+ * Keeps role:assign and role:update from being used to gain permissions the caller does not have
+ * @param {string[]} grantedPermissions - Permissions resolved for the caller
+ * @param {string[]} permissions - Permissions of the role being granted or defined
+ * @throws {Error} - 403 listing the permissions the caller lacks
+ */
+function assertHoldsPermissions(grantedPermissions = [], permissions = []) {
+    const missing = permissions.filter(permission => !hasPermission(grantedPermissions, permission));
+    if (missing.length > 0) {
+        const error = new Error('Cannot grant permissions you do not hold');
+        error.statusCode = 403;
+        error.details = missing;
+        throw error;
+    }
+}
+
+/**
+ * Permission Service Class
+ * Maps users to permissions through ROLE# assignments and DEFINITION#main items.
+ * Lookups are cached per task. Resolves re-read the shared generation counter at most once per check interval
+ * and drop the cache when another task has changed a role since, so changes made elsewhere apply within
+ * that interval. The TTL only bounds staleness if a bump fails.
+ */
+class PermissionService {
+    constructor(options = {}) {
+        this.dynamodb = options.dynamodb || getDynamoClient();
+        this.tableName = options.tableName || getAuthTableName();
+        this.cacheTtl = options.cacheTtl || PERMISSION_CACHE_TTL;
+        this.userRoleCache = new Map(); // userId -> { roles, expiresAt }
+        this.roleDefinitionCache = new Map(); // roleName -> { permissions, expiresAt }
+        this.generation = null; // Shared generation the cached entries were read under
+        this.generationCheckInterval = options.generationCheckInterval ?? GENERATION_CHECK_INTERVAL;
+        this.generationCheckedAt = 0;
+        this.generationCheck = null; // In-flight read shared by concurrent resolves
+    }
+
+    /**
+     * Get role names assigned to a user (USER#<id> / ROLE#<name> items)
+     * @param {string} userId - Platform user ID
+     * @returns {Promise<string[]>} - Assigned role names
+     */
+    async getUserRoles(userId) {
+        const cached = this.getCached(this.userRoleCache, userId);
+        if (cached) {
+            return cached;
+        }
+
+        const roles = await logDatabaseOperation(
+            'QUERY',
+            this.tableName,
+            async () => {
+                const result = await this.dynamodb.send(new QueryCommand({
+                    TableName: this.tableName,
+                    KeyConditionExpression: 'PK = :pk AND begins_with(SK, :sk)',
+                    ExpressionAttributeValues: marshall({
+                        ':pk': `USER#${userId}`,
+                        ':sk': 'ROLE#'
+                    })
+                }));
+
+                return (result.Items || [])
+                    .map(item => unmarshall(item))
+                    .map(item => item.role_name || item.SK.replace(/^ROLE#/, ''));
+            },
+            { userId, entity: 'user_roles' }
+        );
+
+        this.setCached(this.userRoleCache, userId, roles);
+        return roles;
+    }
+
+    /**
+     * Get the permission list of a role definition (ROLE#<name> / DEFINITION#main)
+     * @param {string} roleName - Role name, e.g. "driver"
+     * @returns {Promise<string[]>} - Permissions granted by the role
+     */
+    async getRolePermissions(roleName) {
+        const cached = this.getCached(this.roleDefinitionCache, roleName);
+        if (cached) {
+            return cached;
+        }
+
+        const permissions = await logDatabaseOperation(
+            'GET',
+            this.tableName,
+            async () => {
+                const result = await this.dynamodb.send(new GetItemCommand({
+                    TableName: this.tableName,
+                    Key: marshall({ PK: `ROLE#${roleName}`, SK: 'DEFINITION#main' })
+                }));
+
+                return result.Item ? (unmarshall(result.Item).permissions || []) : [];
+            },
+            { roleName, entity: 'role_definition' }
+        );
+
+        this.setCached(this.roleDefinitionCache, roleName, permissions);
+        return permissions;
+    }
+
+    /**
+     * Resolve the effective roles and permissions of an authenticated user
+     * Cognito groups already on the user are treated as role names too
+     * @param {object} user - req.user object built by verifyUserAuth
+     * @returns {Promise<{roles: string[], permissions: string[]}>}
+     */
+    async resolvePermissions(user) {
+        await this.syncGeneration();
+
+        // Role assignments are keyed by platform user ID; users without a profile only have their groups
+        const assignedRoles = user.userId ? await this.getUserRoles(user.userId) : [];
+        const roles = [...new Set([...(user.roles || []), ...assignedRoles])];
+
+        const rolePermissions = await Promise.all(roles.map(role => this.getRolePermissions(role)));
+        const permissions = [...new Set(rolePermissions.flat())];
+
+        return { roles, permissions };
+    }
+
+    /**
+     * Drop cached role assignments for a user in every task
+     * @param {string} userId - Platform user ID
+     */
+    async invalidateUser(userId) {
+        this.userRoleCache.delete(userId);
+        await this.bumpGeneration({ userId });
+    }
+
+    /**
+     * Drop a cached role definition in every task
+     * @param {string} roleName - Role name
+     */
+    async invalidateRole(roleName) {
+        this.roleDefinitionCache.delete(roleName);
+        await this.bumpGeneration({ roleName });
+    }
+
+    /**
+     * Clear the local cache if another task changed a role since it was filled
+     * The counter is read at most once per check interval; changes made in this task apply immediately
+     */
+    async syncGeneration() {
+        if (Date.now() - this.generationCheckedAt < this.generationCheckInterval) {
+            return;
+        }
+        if (!this.generationCheck) {
+            this.generationCheck = this.readGeneration().finally(() => {
+                this.generationCheck = null;
+            });
+        }
+        await this.generationCheck;
+    }
+
+    // Read the shared generation and drop the cache if it moved
+    async readGeneration() {
+        const generation = await logDatabaseOperation(
+            'GET',
+            this.tableName,
+            async () => {
+                const result = await this.dynamodb.send(new GetItemCommand({
+                    TableName: this.tableName,
+                    Key: marshall(GENERATION_KEY),
+                    ConsistentRead: true
+                }));
+
+                return result.Item ? unmarshall(result.Item).generation : 0;
+            },
+            { entity: 'permission_generation' }
+        );
+
+        if (generation !== this.generation) {
+            this.clear();
+            this.generation = generation;
+        }
+        this.generationCheckedAt = Date.now();
+    }
+
+    /**
+     * Increment the shared generation so other tasks re-read roles on their next resolve
+     * The role change is already written, so a failure is logged rather than thrown;
+     * other tasks then pick the change up when their cache entries expire
+     * @param {object} meta - Changed user or role, for the log
+     */
+    async bumpGeneration(meta = {}) {
+        try {
+            await logDatabaseOperation(
+                'UPDATE',
+                this.tableName,
+                async () => this.dynamodb.send(new UpdateItemCommand({
+                    TableName: this.tableName,
+                    Key: marshall(GENERATION_KEY),
+                    UpdateExpression: 'ADD #generation :one',
+                    ExpressionAttributeNames: { '#generation': 'generation' },
+                    ExpressionAttributeValues: marshall({ ':one': 1 })
+                })),
+                { ...meta, entity: 'permission_generation' }
+            );
+        } catch (error) {
+            logger.error('Failed to publish permission change, other tasks keep cached roles until they expire', error, meta);
+        }
+    }
+
+    // Clear all cached authorization data
+    clear() {
+        this.userRoleCache.clear();
+        this.roleDefinitionCache.clear();
+    }
+
+    getCached(cache, key) {
+        const entry = cache.get(key);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            cache.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    setCached(cache, key, value) {
+        cache.set(key, { value, expiresAt: Date.now() + this.cacheTtl });
+    }
+}
+
+// Singleton instance
+const permissionService = new PermissionService();
+
+module.exports = {
+    PermissionService,
+    permissionService,
+    hasPermission,
+    assertHoldsPermissions
+};
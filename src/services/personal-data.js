@@ -0,0 +1,348 @@
+// TIR Browser Platform - Personal Data Repository
+// Export and erasure of a user's personal data, each recorded as an audit item (USER#<id> / AUDIT#<timestamp>)
+
+const {
+    GetItemCommand,
+    PutItemCommand,
+    QueryCommand,
+    TransactWriteItemsCommand,
+    UpdateItemCommand
+} = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { getDynamoClient, getAuthTableName } = require('./dynamodb');
+const { logDatabaseOperation } = require('../middleware/logging');
+const { getTypeCountryIndexKeys } = require('./users');
+const { httpError } = require('./http-responses');
+
+// profile_data fields kept on erasure: identifiers that orders, employments and verifications refer to
+const RETAINED_PROFILE_FIELDS = ['driver_id', 'provider_id', 'company_id', 'business_verification', 'employee_id'];
+
+// full_name of erased profiles
+const ERASED_NAME = 'Erased User';
+
+// Steps completed after the erase transaction, in the order they run
+const ERASURE_STEPS = ['driver_registration', 'token_revocation', 'directory_disable'];
+
+/**
+ * Personal Data Repository Class
+ * Exports cover the user's partition and the employment of the company in the profile;
+ * erasure anonymizes the profile but keeps the user ID and platform IDs so history stays referentially intact
+ */
+class PersonalDataRepository {
+    constructor(options = {}) {
+        this.dynamodb = options.dynamodb || getDynamoClient();
+        this.tableName = options.tableName || getAuthTableName();
+    }
+
+    /**
+     * Collect every item stored for a user and record the export
+     * @param {string} userId - Platform user ID
+     * @param {object} metadata - { requestedBy, correlationId } for the audit record
+     * @returns {Promise<object>} - { user_id, exported_at, items, employments }
+     * @throws {Error} - 404 if the user does not exist
+     */
+    async exportUserData(userId, metadata = {}) {
+        const items = await this.listUserItems(userId);
+        const profile = items.find(item => item.SK === 'PROFILE#main');
+
+        if (!profile) {
+            throw httpError('User not found', 404);
+        }
+
+        const employments = await this.getEmployments(profile);
+        const exportedAt = new Date().toISOString();
+
+        await this.writeAuditRecord(userId, 'DATA_EXPORTED', exportedAt, {
+            ...metadata,
+            itemCount: items.length + employments.length
+        });
+
+        return {
+            user_id: userId,
+            exported_at: exportedAt,
+            items,
+            employments
+        };
+    }
+
+    /**
+     * Anonymize a user's profile and release the phone number and Cognito link
+     * The profile is deactivated, keeps its user ID and platform IDs, and loses its GSI1 Cognito link;
+     * profile update, status history, reservation deletes and the audit record are written in one transaction.
+     * The steps that follow outside the table (driver registration, token revocation, Cognito) are recorded in
+     * erasure_pending, one entry per step, until clearErasureStep confirms each of them
+     * @param {string} userId - Platform user ID
+     * @param {object} metadata - { erasedBy, reason, correlationId } for the audit record
+     * @returns {Promise<object>} - { userId, erased_at, cognito_sub, erasure_pending } of the erased user
+     * @throws {Error} - 404 if the user does not exist, 409 if the data is already erased
+     */
+    async eraseUser(userId, metadata = {}) {
+        const profile = await this.getProfileItem(userId);
+        if (!profile) {
+            throw httpError('User not found', 404);
+        }
+        if (profile.erased_at) {
+            throw httpError('User data already erased', 409);
+        }
+
+        const now = new Date().toISOString();
+        const profileData = Object.fromEntries(
+            Object.entries(profile.profile_data || {}).filter(([field]) => RETAINED_PROFILE_FIELDS.includes(field))
+        );
+        profileData.full_name = ERASED_NAME;
+
+        const values = {
+            ':profile_data': profileData,
+            ':status': 'DEACTIVATED',
+            ':now': now,
+            ':erased_by': metadata.erasedBy || null
+        };
+        const setClauses = [
+            'profile_data = :profile_data',
+            '#status = :status',
+            'erased_at = :now',
+            'erased_by = :erased_by',
+            'updated_at = :now',
+            'updated_by = :erased_by'
+        ];
+        const erasurePending = getErasureSteps(profile);
+        if (Object.keys(erasurePending).length > 0) {
+            values[':erasure_pending'] = erasurePending;
+            setClauses.push('erasure_pending = :erasure_pending');
+        }
+        const indexKeys = getTypeCountryIndexKeys({ ...profile, userId, status: 'DEACTIVATED' });
+        if (indexKeys.GSI2SK) {
+            values[':gsi2sk'] = indexKeys.GSI2SK;
+            setClauses.push('GSI2SK = :gsi2sk');
+        }
+
+        const transactItems = [
+            {
+                Update: {
+                    TableName: this.tableName,
+                    Key: marshall({ PK: `USER#${userId}`, SK: 'PROFILE#main' }),
+                    UpdateExpression: `SET ${setClauses.join(', ')} ` +
+                        'REMOVE cognito_sub, GSI1PK, GSI1SK, status_reason',
+                    ConditionExpression: 'attribute_exists(PK) AND attribute_not_exists(erased_at)',
+                    ExpressionAttributeNames: { '#status': 'status' },
+                    ExpressionAttributeValues: marshall(values)
+                }
+            },
+            {
+                Put: {
+                    TableName: this.tableName,
+                    Item: marshall(this.buildAuditRecord(userId, 'DATA_ERASED', now, {
+                        requestedBy: metadata.erasedBy,
+                        reason: metadata.reason,
+                        correlationId: metadata.correlationId
+                    }), { removeUndefinedValues: true })
+                }
+            }
+        ];
+
+        if (profile.status !== 'DEACTIVATED') {
+            transactItems.push({
+                Put: {
+                    TableName: this.tableName,
+                    Item: marshall({
+                        PK: `USER#${userId}`,
+                        SK: `STATUS#${now}`,
+                        from_status: profile.status,
+                        to_status: 'DEACTIVATED',
+                        reason: 'Personal data erased',
+                        changed_by: metadata.erasedBy || null,
+                        changed_at: now
+                    })
+                }
+            });
+        }
+
+        // Reservations of other users are left alone; legacy profiles may have none
+        const reservationKeys = [
+            profile.profile_data?.phone && `PHONE#${profile.profile_data.phone}`,
+            profile.cognito_sub && `COGNITO#${profile.cognito_sub}`
+        ].filter(Boolean);
+        reservationKeys.forEach(pk => transactItems.push({
+            Delete: {
+                TableName: this.tableName,
+                Key: marshall({ PK: pk, SK: 'RESERVATION#main' }),
+                ConditionExpression: 'attribute_not_exists(PK) OR user_id = :user_id',
+                ExpressionAttributeValues: marshall({ ':user_id': userId })
+            }
+        }));
+
+        await logDatabaseOperation(
+            'TRANSACT_WRITE',
+            this.tableName,
+            async () => {
+                try {
+                    await this.dynamodb.send(new TransactWriteItemsCommand({ TransactItems: transactItems }));
+                } catch (error) {
+                    if (error.name === 'TransactionCanceledException') {
+                        throw httpError('User changed concurrently', 409);
+                    }
+                    throw error;
+                }
+            },
+            { userId, entity: 'user_profile', operation: 'erasure' }
+        );
+
+        return { userId, erased_at: now, cognito_sub: profile.cognito_sub || null, erasure_pending: erasurePending };
+    }
+
+    /**
+     * Drop one completed step from the erasure_pending entries of an erased user
+     * @param {string} userId - Platform user ID
+     * @param {string} step - One of ERASURE_STEPS
+     */
+    async clearErasureStep(userId, step) {
+        return logDatabaseOperation(
+            'UPDATE',
+            this.tableName,
+            async () => this.dynamodb.send(new UpdateItemCommand({
+                TableName: this.tableName,
+                Key: marshall({ PK: `USER#${userId}`, SK: 'PROFILE#main' }),
+                UpdateExpression: 'REMOVE erasure_pending.#step',
+                ConditionExpression: 'attribute_exists(PK)',
+                ExpressionAttributeNames: { '#step': step }
+            })),
+            { userId, step, entity: 'user_profile', operation: 'erasure' }
+        );
+    }
+
+    /**
+     * All items in a user's partition (profile, roles, status history, verification, audit records)
+     * @param {string} userId - Platform user ID
+     * @returns {Promise<object[]>} - Unmarshalled items
+     */
+    async listUserItems(userId) {
+        return logDatabaseOperation(
+            'QUERY',
+            this.tableName,
+            async () => {
+                const items = [];
+                let exclusiveStartKey;
+
+                do {
+                    const result = await this.dynamodb.send(new QueryCommand({
+                        TableName: this.tableName,
+                        KeyConditionExpression: 'PK = :pk',
+                        ExpressionAttributeValues: marshall({ ':pk': `USER#${userId}` }),
+                        ExclusiveStartKey: exclusiveStartKey
+                    }));
+
+                    items.push(...(result.Items || []).map(item => unmarshall(item)));
+                    exclusiveStartKey = result.LastEvaluatedKey;
+                } while (exclusiveStartKey);
+
+                return items;
+            },
+            { userId, entity: 'user_partition' }
+        );
+    }
+
+    /**
+     * Employment of a driver at the company in their profile
+     * @param {object} profile - Unmarshalled profile item
+     * @returns {Promise<object[]>} - Employment items, empty for users without a company or driver ID
+     */
+    async getEmployments(profile) {
+        const companyId = profile.profile_data?.company_id;
+        const driverId = profile.profile_data?.driver_id;
+
+        if (!companyId || !driverId) {
+            return [];
+        }
+
+        return logDatabaseOperation(
+            'GET',
+            this.tableName,
+            async () => {
+                const result = await this.dynamodb.send(new GetItemCommand({
+                    TableName: this.tableName,
+                    Key: marshall({ PK: `COMPANY#${companyId}`, SK: `DRIVER#${driverId}` })
+                }));
+                return result.Item ? [unmarshall(result.Item)] : [];
+            },
+            { companyId, driverId, entity: 'driver_employment' }
+        );
+    }
+
+    /**
+     * Get the raw profile item of a user
+     * @returns {Promise<object|null>} - Unmarshalled profile item, or null
+     */
+    async getProfileItem(userId) {
+        return logDatabaseOperation(
+            'GET',
+            this.tableName,
+            async () => {
+                const result = await this.dynamodb.send(new GetItemCommand({
+                    TableName: this.tableName,
+                    Key: marshall({ PK: `USER#${userId}`, SK: 'PROFILE#main' })
+                }));
+                return result.Item ? unmarshall(result.Item) : null;
+            },
+            { userId, entity: 'user_profile' }
+        );
+    }
+
+    /**
+     * Audit record of a personal data operation; holds no personal data itself
+     */
+    buildAuditRecord(userId, action, timestamp, metadata) {
+        return {
+            PK: `USER#${userId}`,
+            SK: `AUDIT#${timestamp}`,
+            action,
+            performed_by: metadata.requestedBy || null,
+            reason: metadata.reason,
+            item_count: metadata.itemCount,
+            correlation_id: metadata.correlationId || null,
+            performed_at: timestamp
+        };
+    }
+
+    /**
+     * Write an audit record on its own
+     */
+    async writeAuditRecord(userId, action, timestamp, metadata) {
+        return logDatabaseOperation(
+            'PUT',
+            this.tableName,
+            async () => this.dynamodb.send(new PutItemCommand({
+                TableName: this.tableName,
+                Item: marshall(this.buildAuditRecord(userId, action, timestamp, metadata), { removeUndefinedValues: true })
+            })),
+            { userId, action, entity: 'audit_record' }
+        );
+    }
+}
+
+// Singleton instance
+/**
+ * Pending erasure steps of a profile, each mapped to the ID it acts on
+ * @param {object} profile - Profile item before erasure
+ * @returns {object} - { driver_registration?, token_revocation?, directory_disable? }
+ */
+function getErasureSteps(profile) {
+    const steps = {};
+    if (profile.profile_data?.driver_id) {
+        steps.driver_registration = profile.profile_data.driver_id;
+    }
+    if (profile.cognito_sub) {
+        steps.token_revocation = profile.cognito_sub;
+        steps.directory_disable = profile.cognito_sub;
+    }
+    return steps;
+}
+
+const personalDataRepository = new PersonalDataRepository();
+
+module.exports = {
+    PersonalDataRepository,
+    personalDataRepository,
+    RETAINED_PROFILE_FIELDS,
+    ERASED_NAME,
+    ERASURE_STEPS
+};
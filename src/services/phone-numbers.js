@@ -0,0 +1,72 @@
+// TIR Browser Platform - Phone Numbers
+// Country-aware validation and E.164 normalization of user phone numbers
+
+// Dialing code, national number lengths and trunk prefix per supported country
+const COUNTRY_PHONE_RULES = {
+    AM: { code: '374', lengths: [8], trunkPrefix: '0' },
+    AZ: { code: '994', lengths: [9], trunkPrefix: '0' },
+    BG: { code: '359', lengths: [8, 9], trunkPrefix: '0' },
+    GE: { code: '995', lengths: [9], trunkPrefix: '0' },
+    IR: { code: '98', lengths: [10], trunkPrefix: '0' },
+    KG: { code: '996', lengths: [9], trunkPrefix: '0' },
+    KZ: { code: '7', lengths: [10], trunkPrefix: '8' },
+    RU: { code: '7', lengths: [10], trunkPrefix: '8' },
+    TJ: { code: '992', lengths: [9], trunkPrefix: '' },
+    TM: { code: '993', lengths: [8], trunkPrefix: '8' },
+    TR: { code: '90', lengths: [10], trunkPrefix: '0' },
+    UA: { code: '380', lengths: [9], trunkPrefix: '0' },
+    UZ: { code: '998', lengths: [9], trunkPrefix: '' }
+};
+
+// Separators people type between digit groups
+const SEPARATORS = /[\s().-]/g;
+
+/**
+ * Normalize a phone number to E.164 for a country
+ * National numbers ("050 123 45 67") get the country's dialing code; international numbers
+ * ("+994 50 123 45 67", "00994501234567") must use it
+ * @param {string} value - Phone number as entered
+ * @param {string} country - ISO 3166-1 alpha-2 country code of the user
+ * @returns {string|null} - E.164 number, e.g. "+994501234567", or null if invalid for the country
+ */
+function normalizePhoneNumber(value, country) {
+    const rule = COUNTRY_PHONE_RULES[country];
+    if (!rule || typeof value !== 'string') {
+        return null;
+    }
+
+    let digits = value.trim().replace(SEPARATORS, '');
+    let national;
+
+    if (digits.startsWith('+') || digits.startsWith('00')) {
+        digits = digits.replace(/^(\+|00)/, '');
+        if (!digits.startsWith(rule.code)) {
+            return null;
+        }
+        national = digits.slice(rule.code.length);
+    } else if (rule.trunkPrefix && digits.startsWith(rule.trunkPrefix)) {
+        national = digits.slice(rule.trunkPrefix.length);
+    } else {
+        national = digits;
+    }
+
+    if (!/^\d+$/.test(national) || !rule.lengths.includes(national.length)) {
+        return null;
+    }
+    return `+${rule.code}${national}`;
+}
+
+/**
+ * Whether phone numbers from a country can be validated
+ * @param {string} country - ISO 3166-1 alpha-2 country code
+ * @returns {boolean}
+ */
+function isSupportedPhoneCountry(country) {
+    return Object.prototype.hasOwnProperty.call(COUNTRY_PHONE_RULES, country);
+}
+
+module.exports = {
+    COUNTRY_PHONE_RULES,
+    normalizePhoneNumber,
+    isSupportedPhoneCountry
+};
@@ -0,0 +1,408 @@
+// TIR Browser Platform - Provider Verification Repository
+// Business verification requests (USER#<id> / VERIFICATION#main) and their review history (VERIFICATION_REVIEW#<timestamp>)
+
+const {
+    GetItemCommand,
+    QueryCommand,
+    TransactWriteItemsCommand
+} = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { getDynamoClient, getAuthTableName } = require('./dynamodb');
+const { logDatabaseOperation } = require('../middleware/logging');
+const { httpError } = require('./http-responses');
+
+const VERIFICATION_STATUSES = ['PENDING', 'IN_REVIEW', 'VERIFIED', 'REJECTED'];
+
+// Reviewer decisions and the statuses they may be applied to
+const REVIEW_TRANSITIONS = {
+    IN_REVIEW: ['PENDING'],
+    VERIFIED: ['IN_REVIEW'],
+    REJECTED: ['PENDING', 'IN_REVIEW']
+};
+
+// Providers may (re)submit while they have no request or after a rejection
+const SUBMITTABLE_STATUSES = [null, 'REJECTED'];
+
+const TAX_ID_PATTERN = /^[A-Za-z0-9-]{5,30}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_FIELD_LENGTH = 200;
+const MAX_CERTIFICATIONS = 20;
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_FIELD_LENGTH;
+}
+
+function isDate(value) {
+    return typeof value === 'string' && DATE_PATTERN.test(value) &&
+        !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Validate a provider's verification submission
+ * @param {object} data - { tax_id, company_name, certifications }
+ * @returns {string[]} - Validation errors, empty if valid
+ */
+function validateVerificationSubmission(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['Verification data must be an object'];
+    }
+
+    const errors = [];
+    const { tax_id: taxId, company_name: companyName, certifications, ...unknown } = data;
+
+    Object.keys(unknown).forEach(name => errors.push(`${name} is not a verification field`));
+
+    if (typeof taxId !== 'string' || !TAX_ID_PATTERN.test(taxId)) {
+        errors.push('tax_id must be 5-30 letters, digits or dashes');
+    }
+
+    if (companyName !== undefined && !isNonEmptyString(companyName)) {
+        errors.push(`company_name must be a non-empty string of at most ${MAX_FIELD_LENGTH} characters`);
+    }
+
+    if (certifications !== undefined) {
+        if (!Array.isArray(certifications) || certifications.length > MAX_CERTIFICATIONS) {
+            errors.push(`certifications must be a list of at most ${MAX_CERTIFICATIONS} entries`);
+        } else {
+            certifications.forEach((certification, index) => {
+                const prefix = `certifications[${index}]`;
+
+                if (!certification || typeof certification !== 'object' || Array.isArray(certification)) {
+                    errors.push(`${prefix} must be an object`);
+                    return;
+                }
+
+                const { name, number, issued_by: issuedBy, valid_until: validUntil, ...rest } = certification;
+                Object.keys(rest).forEach(field => errors.push(`${prefix}.${field} is not a certification field`));
+
+                if (!isNonEmptyString(name)) {
+                    errors.push(`${prefix}.name is required`);
+                }
+                if (!isNonEmptyString(number)) {
+                    errors.push(`${prefix}.number is required`);
+                }
+                if (issuedBy !== undefined && !isNonEmptyString(issuedBy)) {
+                    errors.push(`${prefix}.issued_by must be a non-empty string`);
+                }
+                if (validUntil !== undefined && !isDate(validUntil)) {
+                    errors.push(`${prefix}.valid_until must be a date (YYYY-MM-DD)`);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Public representation of a verification item
+ * @param {object} item - Unmarshalled verification item
+ * @returns {object} - Verification request
+ */
+function formatVerification(item) {
+    return {
+        userId: item.PK.replace(/^USER#/, ''),
+        status: item.status,
+        tax_id: item.tax_id,
+        company_name: item.company_name || null,
+        certifications: item.certifications || [],
+        submitted_at: item.submitted_at,
+        reviewed_at: item.reviewed_at || null,
+        reviewed_by: item.reviewed_by || null,
+        review_notes: item.review_notes || null,
+        updated_at: item.updated_at
+    };
+}
+
+/**
+ * Public representation of a review history item
+ * @param {object} item - Unmarshalled history item
+ * @returns {object} - Review history entry
+ */
+function formatReview(item) {
+    return {
+        from_status: item.from_status || null,
+        to_status: item.to_status,
+        notes: item.notes || null,
+        changed_by: item.changed_by || null,
+        changed_at: item.changed_at
+    };
+}
+
+/**
+ * Provider Verification Repository Class
+ * Every status change also updates profile_data.business_verification on the provider's profile
+ * and appends a review history item, in one transaction
+ */
+class ProviderVerificationRepository {
+    constructor(options = {}) {
+        this.dynamodb = options.dynamodb || getDynamoClient();
+        this.tableName = options.tableName || getAuthTableName();
+    }
+
+    /**
+     * Get the raw verification item of a provider
+     * @param {string} userId - Platform user ID
+     * @returns {Promise<object|null>} - Unmarshalled item, or null if the provider never submitted
+     */
+    async getVerificationItem(userId) {
+        return logDatabaseOperation(
+            'GET',
+            this.tableName,
+            async () => {
+                const result = await this.dynamodb.send(new GetItemCommand({
+                    TableName: this.tableName,
+                    Key: marshall({ PK: `USER#${userId}`, SK: 'VERIFICATION#main' })
+                }));
+                return result.Item ? unmarshall(result.Item) : null;
+            },
+            { userId, entity: 'provider_verification' }
+        );
+    }
+
+    /**
+     * Get a provider's verification request with its review history
+     * @param {string} userId - Platform user ID
+     * @returns {Promise<object>} - Verification request with history, oldest entry first
+     * @throws {Error} - 404 if the provider never submitted
+     */
+    async getVerification(userId) {
+        const item = await this.getVerificationItem(userId);
+        if (!item) {
+            throw httpError('Verification not found', 404);
+        }
+
+        return { ...formatVerification(item), history: await this.listReviews(userId) };
+    }
+
+    /**
+     * List the review history of a provider
+     * @param {string} userId - Platform user ID
+     * @returns {Promise<object[]>} - History entries, oldest first
+     */
+    async listReviews(userId) {
+        return logDatabaseOperation(
+            'QUERY',
+            this.tableName,
+            async () => {
+                const result = await this.dynamodb.send(new QueryCommand({
+                    TableName: this.tableName,
+                    KeyConditionExpression: 'PK = :pk AND begins_with(SK, :sk)',
+                    ExpressionAttributeValues: marshall({
+                        ':pk': `USER#${userId}`,
+                        ':sk': 'VERIFICATION_REVIEW#'
+                    })
+                }));
+
+                return (result.Items || []).map(item => formatReview(unmarshall(item)));
+            },
+            { userId, entity: 'provider_verification_reviews' }
+        );
+    }
+
+    /**
+     * List verification requests in a status, oldest submission first (the review queue)
+     * @param {string} status - Verification status
+     * @returns {Promise<object[]>} - Verification requests
+     */
+    async listByStatus(status) {
+        return logDatabaseOperation(
+            'QUERY',
+            this.tableName,
+            async () => {
+                const verifications = [];
+                let exclusiveStartKey;
+
+                do {
+                    const result = await this.dynamodb.send(new QueryCommand({
+                        TableName: this.tableName,
+                        IndexName: 'GSI1',
+                        KeyConditionExpression: 'GSI1PK = :pk',
+                        ExpressionAttributeValues: marshall({ ':pk': `VERIFICATION#${status}` }),
+                        ExclusiveStartKey: exclusiveStartKey
+                    }));
+
+                    verifications.push(...(result.Items || []).map(item => formatVerification(unmarshall(item))));
+                    exclusiveStartKey = result.LastEvaluatedKey;
+                } while (exclusiveStartKey);
+
+                return verifications;
+            },
+            { status, entity: 'provider_verification', index: 'GSI1' }
+        );
+    }
+
+    /**
+     * Submit (or resubmit after a rejection) a verification request; the request becomes PENDING
+     * @param {string} userId - Platform user ID of a provider
+     * @param {object} submission - Validated { tax_id, company_name, certifications }
+     * @param {object} metadata - { submittedBy }
+     * @returns {Promise<object>} - Verification request with history
+     * @throws {Error} - 409 if a request is already pending, in review or verified
+     */
+    async submit(userId, submission, metadata = {}) {
+        const current = await this.getVerificationItem(userId);
+        const fromStatus = current ? current.status : null;
+
+        if (!SUBMITTABLE_STATUSES.includes(fromStatus)) {
+            throw httpError(`Cannot submit a verification request with status ${fromStatus}`, 409);
+        }
+
+        const now = new Date().toISOString();
+        const item = {
+            PK: `USER#${userId}`,
+            SK: 'VERIFICATION#main',
+            GSI1PK: 'VERIFICATION#PENDING',
+            GSI1SK: `${now}#USER#${userId}`,
+            status: 'PENDING',
+            tax_id: submission.tax_id,
+            company_name: submission.company_name,
+            certifications: submission.certifications || [],
+            submitted_at: now,
+            submitted_by: metadata.submittedBy || null,
+            updated_at: now
+        };
+
+        await this.writeTransition(userId, fromStatus, 'PENDING', {
+            Put: {
+                TableName: this.tableName,
+                Item: marshall(item, { removeUndefinedValues: true }),
+                ...(current
+                    ? {
+                        ConditionExpression: '#status = :from_status',
+                        ExpressionAttributeNames: { '#status': 'status' },
+                        ExpressionAttributeValues: marshall({ ':from_status': fromStatus })
+                    }
+                    : { ConditionExpression: 'attribute_not_exists(PK)' })
+            }
+        }, { changedBy: metadata.submittedBy, now });
+
+        return this.getVerification(userId);
+    }
+
+    /**
+     * Apply a reviewer decision
+     * @param {string} userId - Platform user ID of a provider
+     * @param {string} toStatus - IN_REVIEW, VERIFIED or REJECTED
+     * @param {object} metadata - { notes, reviewedBy }
+     * @returns {Promise<object>} - Verification request with history
+     * @throws {Error} - 404 if the provider never submitted, 409 if the decision does not apply to the current status
+     */
+    async review(userId, toStatus, metadata = {}) {
+        const current = await this.getVerificationItem(userId);
+        if (!current) {
+            throw httpError('Verification not found', 404);
+        }
+
+        if (!(REVIEW_TRANSITIONS[toStatus] || []).includes(current.status)) {
+            throw httpError(`Cannot move a verification request from ${current.status} to ${toStatus}`, 409);
+        }
+
+        const now = new Date().toISOString();
+
+        await this.writeTransition(userId, current.status, toStatus, {
+            Update: {
+                TableName: this.tableName,
+                Key: marshall({ PK: `USER#${userId}`, SK: 'VERIFICATION#main' }),
+                UpdateExpression: 'SET #status = :status, GSI1PK = :gsi1pk, #reviewed_at = :now, ' +
+                    '#reviewed_by = :reviewed_by, #review_notes = :notes, #updated_at = :now',
+                ConditionExpression: '#status = :from_status',
+                ExpressionAttributeNames: {
+                    '#status': 'status',
+                    '#reviewed_at': 'reviewed_at',
+                    '#reviewed_by': 'reviewed_by',
+                    '#review_notes': 'review_notes',
+                    '#updated_at': 'updated_at'
+                },
+                ExpressionAttributeValues: marshall({
+                    ':status': toStatus,
+                    ':from_status': current.status,
+                    ':gsi1pk': `VERIFICATION#${toStatus}`,
+                    ':reviewed_by': metadata.reviewedBy || null,
+                    ':notes': metadata.notes || null,
+                    ':now': now
+                })
+            }
+        }, { changedBy: metadata.reviewedBy, notes: metadata.notes, now });
+
+        return this.getVerification(userId);
+    }
+
+    /**
+     * Write a verification change together with its history item and the profile's business_verification
+     * @param {string} userId - Platform user ID
+     * @param {string|null} fromStatus - Previous status
+     * @param {string} toStatus - New status
+     * @param {object} verificationWrite - Conditional Put or Update of the verification item
+     * @param {object} metadata - { changedBy, notes, now }
+     * @throws {Error} - 409 if the request or profile changed concurrently
+     */
+    async writeTransition(userId, fromStatus, toStatus, verificationWrite, metadata) {
+        const { changedBy = null, notes = null, now } = metadata;
+
+        await logDatabaseOperation(
+            'TRANSACT_WRITE',
+            this.tableName,
+            async () => {
+                try {
+                    await this.dynamodb.send(new TransactWriteItemsCommand({
+                        TransactItems: [
+                            verificationWrite,
+                            {
+                                Put: {
+                                    TableName: this.tableName,
+                                    Item: marshall({
+                                        PK: `USER#${userId}`,
+                                        SK: `VERIFICATION_REVIEW#${now}`,
+                                        from_status: fromStatus,
+                                        to_status: toStatus,
+                                        notes,
+                                        changed_by: changedBy,
+                                        changed_at: now
+                                    })
+                                }
+                            },
+                            {
+                                Update: {
+                                    TableName: this.tableName,
+                                    Key: marshall({ PK: `USER#${userId}`, SK: 'PROFILE#main' }),
+                                    UpdateExpression: 'SET #profile_data.#business_verification = :status, #updated_at = :now',
+                                    ConditionExpression: '#user_type = :provider',
+                                    ExpressionAttributeNames: {
+                                        '#profile_data': 'profile_data',
+                                        '#business_verification': 'business_verification',
+                                        '#user_type': 'user_type',
+                                        '#updated_at': 'updated_at'
+                                    },
+                                    ExpressionAttributeValues: marshall({
+                                        ':status': toStatus,
+                                        ':provider': 'PROVIDER',
+                                        ':now': now
+                                    })
+                                }
+                            }
+                        ]
+                    }));
+                } catch (error) {
+                    if (error.name === 'TransactionCanceledException') {
+                        throw httpError('Verification status changed concurrently', 409);
+                    }
+                    throw error;
+                }
+            },
+            { userId, fromStatus, toStatus, entity: 'provider_verification' }
+        );
+    }
+}
+
+// Singleton instance
+const providerVerificationRepository = new ProviderVerificationRepository();
+
+module.exports = {
+    ProviderVerificationRepository,
+    providerVerificationRepository,
+    validateVerificationSubmission,
+    formatVerification,
+    VERIFICATION_STATUSES,
+    REVIEW_TRANSITIONS
+};
@@ -0,0 +1,139 @@
+// TIR Browser Platform - Service Token Replay Protection
+// Request binding hashes and a pluggable, bounded store of seen token IDs
+
+const crypto = require('crypto');
+const { PutItemCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall } = require('@aws-sdk/util-dynamodb');
+const { getDynamoClient, getAuthTableName } = require('./dynamodb');
+const { logDatabaseOperation } = require('../middleware/logging');
+const logger = require('./logger')('auth:replay-protection');
+
+const JTI_STORE_MAX_ENTRIES = parseInt(process.env.SERVICE_JTI_STORE_MAX_ENTRIES || '10000');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('base64url');
+
+/**
+ * Hash binding a service token to a single request
+ * Covers the method, the path including the query string and a digest of the raw body
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path as seen by the target service (e.g. /api/drivers?x=1)
+ * @param {string|Buffer} body - Raw request body, empty for requests without one
+ * @returns {string} - Base64url SHA-256 binding hash
+ */
+function computeRequestBinding(method, path, body) {
+    return sha256(`${method.toUpperCase()}\n${path}\n${sha256(body || '')}`);
+}
+
+/**
+ * In-memory seen-jti store, bounded to maxEntries
+ * Only protects a single task - use the DynamoDB store when running more than one
+ */
+class MemoryJtiStore {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || JTI_STORE_MAX_ENTRIES;
+        this.entries = new Map(); // jti -> expiresAt, in insertion order
+    }
+
+    /**
+     * Record a token ID
+     * @param {string} jti - Token ID, or token ID and request binding for tokens reused across requests
+     * @param {number} expiresAt - Token expiry in epoch milliseconds
+     * @returns {Promise<boolean>} - True the first time a jti is seen, false on replay
+     */
+    async markSeen(jti, expiresAt) {
+        const now = Date.now();
+        const seenUntil = this.entries.get(jti);
+        if (seenUntil && seenUntil > now) {
+            return false;
+        }
+
+        if (this.entries.size >= this.maxEntries) {
+            this.evict(now);
+        }
+
+        this.entries.set(jti, expiresAt);
+        return true;
+    }
+
+    // Drop expired entries; if still full, drop the oldest so memory stays bounded
+    evict(now) {
+        this.entries.forEach((expiresAt, jti) => {
+            if (expiresAt <= now) {
+                this.entries.delete(jti);
+            }
+        });
+
+        if (this.entries.size >= this.maxEntries) {
+            const oldestJti = this.entries.keys().next().value;
+            this.entries.delete(oldestJti);
+
+            logger.warn('Seen-jti store full, evicting unexpired entry', {
+                maxEntries: this.maxEntries,
+                category: 'service_authentication'
+            });
+        }
+    }
+}
+
+/**
+ * DynamoDB seen-jti store shared by every task
+ * Items: PK JTI#<jti>, SK SEEN#main, expired through the table's `ttl` attribute
+ */
+class DynamoJtiStore {
+    constructor(options = {}) {
+        this.dynamodb = options.dynamodb || getDynamoClient();
+        this.tableName = options.tableName || getAuthTableName();
+    }
+
+    async markSeen(jti, expiresAt) {
+        return logDatabaseOperation(
+            'PUT',
+            this.tableName,
+            async () => {
+                try {
+                    await this.dynamodb.send(new PutItemCommand({
+                        TableName: this.tableName,
+                        Item: marshall({
+                            PK: `JTI#${jti}`,
+                            SK: 'SEEN#main',
+                            seen_at: new Date().toISOString(),
+                            ttl: Math.ceil(expiresAt / 1000)
+                        }),
+                        // Replace items whose TTL passed but DynamoDB has not deleted yet
+                        ConditionExpression: 'attribute_not_exists(PK) OR #ttl < :now',
+                        ExpressionAttributeNames: { '#ttl': 'ttl' },
+                        ExpressionAttributeValues: marshall({ ':now': Math.floor(Date.now() / 1000) })
+                    }));
+                    return true;
+                } catch (error) {
+                    if (error.name === 'ConditionalCheckFailedException') {
+                        return false;
+                    }
+                    throw error;
+                }
+            },
+            { entity: 'service_token_jti' }
+        );
+    }
+}
+
+/**
+ * Create the seen-jti store selected by SERVICE_JTI_STORE
+ * Defaults to DynamoDB in production and in-memory elsewhere
+ */
+function createJtiStore() {
+    const storeType = process.env.SERVICE_JTI_STORE ||
+        (process.env.NODE_ENV === 'production' ? 'dynamodb' : 'memory');
+
+    return storeType === 'dynamodb' ? new DynamoJtiStore() : new MemoryJtiStore();
+}
+
+// Singleton instance
+const jtiStore = createJtiStore();
+
+module.exports = {
+    computeRequestBinding,
+    MemoryJtiStore,
+    DynamoJtiStore,
+    jtiStore
+};
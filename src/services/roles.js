@@ -0,0 +1,354 @@
+// TIR Browser Platform - Role Repository
+// Role definitions (ROLE#<name> / DEFINITION#main) and user role assignments (USER#<id> / ROLE#<name>)
+
+const {
+    GetItemCommand,
+    PutItemCommand,
+    UpdateItemCommand,
+    DeleteItemCommand,
+    QueryCommand
+} = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { getDynamoClient, getAuthTableName } = require('./dynamodb');
+const { logDatabaseOperation } = require('../middleware/logging');
+const { httpError } = require('./http-responses');
+
+// Definitions are listed through GSI1 under a single partition
+const ROLE_INDEX_PK = 'ROLE_DEFINITIONS';
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9-]{1,49}$/;
+// "*", "resource:*" or "resource:action[:qualifier]"
+const PERMISSION_PATTERN = /^(\*|[a-z_]+:(\*|[a-z_]+(:[a-z_]+)?))$/;
+
+/**
+ * Public representation of a role definition item
+ * @param {object} item - Unmarshalled definition item
+ * @returns {object} - Role definition
+ */
+function formatRole(item) {
+    return {
+        role_name: item.role_name || item.PK.replace(/^ROLE#/, ''),
+        description: item.description || null,
+        permissions: item.permissions || [],
+        created_at: item.created_at || null,
+        updated_at: item.updated_at || null
+    };
+}
+
+/**
+ * Public representation of a role assignment item
+ * @param {object} item - Unmarshalled assignment item
+ * @returns {object} - Role assignment
+ */
+function formatAssignment(item) {
+    return {
+        userId: item.PK.replace(/^USER#/, ''),
+        role_name: item.role_name || item.SK.replace(/^ROLE#/, ''),
+        assigned_at: item.assigned_at || null,
+        assigned_by: item.assigned_by || null
+    };
+}
+
+/**
+ * Validate a role definition
+ * @param {object} data - { role_name, description, permissions }
+ * @param {object} options - { requireName } when creating
+ * @returns {string[]} - Validation errors, empty if valid
+ */
+function validateRoleDefinition(data, options = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['Role definition must be an object'];
+    }
+
+    const errors = [];
+    const { role_name: roleName, description, permissions, ...unknown } = data;
+
+    Object.keys(unknown).forEach(name => errors.push(`${name} is not a role definition field`));
+
+    if (options.requireName && (typeof roleName !== 'string' || !ROLE_NAME_PATTERN.test(roleName))) {
+        errors.push('role_name must be 2-50 lower case letters, digits or dashes');
+    }
+
+    if (description !== undefined && description !== null &&
+        (typeof description !== 'string' || description.length > 500)) {
+        errors.push('description must be a string of at most 500 characters');
+    }
+
+    if (!Array.isArray(permissions)) {
+        errors.push('permissions must be a list');
+    } else {
+        permissions
+            .filter(permission => typeof permission !== 'string' || !PERMISSION_PATTERN.test(permission))
+            .forEach(permission => errors.push(`Invalid permission: ${permission}`));
+    }
+
+    return errors;
+}
+
+/**
+ * Role Repository Class
+ * Write side of the data read by PermissionService; callers invalidate its caches after changes
+ */
+class RoleRepository {
+    constructor(options = {}) {
+        this.dynamodb = options.dynamodb || getDynamoClient();
+        this.tableName = options.tableName || getAuthTableName();
+    }
+
+    /**
+     * List role definitions
+     * @returns {Promise<object[]>} - Role definitions sorted by name
+     */
+    async listRoles() {
+        return logDatabaseOperation(
+            'QUERY',
+            this.tableName,
+            async () => {
+                const roles = [];
+                let exclusiveStartKey;
+
+                do {
+                    const result = await this.dynamodb.send(new QueryCommand({
+                        TableName: this.tableName,
+                        IndexName: 'GSI1',
+                        KeyConditionExpression: 'GSI1PK = :pk',
+                        ExpressionAttributeValues: marshall({ ':pk': ROLE_INDEX_PK }),
+                        ExclusiveStartKey: exclusiveStartKey
+                    }));
+
+                    roles.push(...(result.Items || []).map(item => formatRole(unmarshall(item))));
+                    exclusiveStartKey = result.LastEvaluatedKey;
+                } while (exclusiveStartKey);
+
+                return roles;
+            },
+            { entity: 'role_definition', index: 'GSI1' }
+        );
+    }
+
+    /**
+     * Get a role definition
+     * @param {string} roleName - Role name
+     * @returns {Promise<object>} - Role definition
+     * @throws {Error} - 404 if the role does not exist
+     */
+    async getRole(roleName) {
+        const item = await logDatabaseOperation(
+            'GET',
+            this.tableName,
+            async () => {
+                const result = await this.dynamodb.send(new GetItemCommand({
+                    TableName: this.tableName,
+                    Key: marshall({ PK: `ROLE#${roleName}`, SK: 'DEFINITION#main' })
+                }));
+                return result.Item ? unmarshall(result.Item) : null;
+            },
+            { roleName, entity: 'role_definition' }
+        );
+
+        if (!item) {
+            throw httpError('Role not found', 404);
+        }
+        return formatRole(item);
+    }
+
+    /**
+     * Create a role definition
+     * @param {object} role - Validated { role_name, description, permissions }
+     * @param {object} metadata - { createdBy } for the audit trail
+     * @returns {Promise<object>} - Role definition
+     * @throws {Error} - 409 if the role already exists
+     */
+    async createRole(role, metadata = {}) {
+        const now = new Date().toISOString();
+        const item = {
+            PK: `ROLE#${role.role_name}`,
+            SK: 'DEFINITION#main',
+            GSI1PK: ROLE_INDEX_PK,
+            GSI1SK: `ROLE#${role.role_name}`,
+            role_name: role.role_name,
+            description: role.description || null,
+            permissions: role.permissions,
+            created_at: now,
+            created_by: metadata.createdBy || null,
+            updated_at: now
+        };
+
+        await logDatabaseOperation(
+            'PUT',
+            this.tableName,
+            async () => {
+                try {
+                    await this.dynamodb.send(new PutItemCommand({
+                        TableName: this.tableName,
+                        Item: marshall(item),
+                        ConditionExpression: 'attribute_not_exists(PK)'
+                    }));
+                } catch (error) {
+                    if (error.name === 'ConditionalCheckFailedException') {
+                        throw httpError('Role already exists', 409);
+                    }
+                    throw error;
+                }
+            },
+            { roleName: role.role_name, entity: 'role_definition' }
+        );
+
+        return formatRole(item);
+    }
+
+    /**
+     * Replace the description and permission list of a role
+     * Also indexes definitions created before they were listed through GSI1
+     * @param {string} roleName - Role name
+     * @param {object} changes - Validated { description, permissions }
+     * @param {object} metadata - { updatedBy } for the audit trail
+     * @returns {Promise<object>} - Updated role definition
+     * @throws {Error} - 404 if the role does not exist
+     */
+    async updateRole(roleName, changes, metadata = {}) {
+        const item = await logDatabaseOperation(
+            'UPDATE',
+            this.tableName,
+            async () => {
+                try {
+                    const result = await this.dynamodb.send(new UpdateItemCommand({
+                        TableName: this.tableName,
+                        Key: marshall({ PK: `ROLE#${roleName}`, SK: 'DEFINITION#main' }),
+                        UpdateExpression: 'SET #permissions = :permissions, #description = :description, ' +
+                            '#role_name = :role_name, GSI1PK = :gsi1pk, GSI1SK = :gsi1sk, ' +
+                            '#updated_at = :updated_at, #updated_by = :updated_by',
+                        ConditionExpression: 'attribute_exists(PK)',
+                        ExpressionAttributeNames: {
+                            '#permissions': 'permissions',
+                            '#description': 'description',
+                            '#role_name': 'role_name',
+                            '#updated_at': 'updated_at',
+                            '#updated_by': 'updated_by'
+                        },
+                        ExpressionAttributeValues: marshall({
+                            ':permissions': changes.permissions,
+                            ':description': changes.description || null,
+                            ':role_name': roleName,
+                            ':gsi1pk': ROLE_INDEX_PK,
+                            ':gsi1sk': `ROLE#${roleName}`,
+                            ':updated_at': new Date().toISOString(),
+                            ':updated_by': metadata.updatedBy || null
+                        }),
+                        ReturnValues: 'ALL_NEW'
+                    }));
+                    return unmarshall(result.Attributes);
+                } catch (error) {
+                    if (error.name === 'ConditionalCheckFailedException') {
+                        return null;
+                    }
+                    throw error;
+                }
+            },
+            { roleName, entity: 'role_definition' }
+        );
+
+        if (!item) {
+            throw httpError('Role not found', 404);
+        }
+        return formatRole(item);
+    }
+
+    /**
+     * List the roles assigned to a user
+     * @param {string} userId - Platform user ID
+     * @returns {Promise<object[]>} - Role assignments
+     */
+    async listUserRoles(userId) {
+        return logDatabaseOperation(
+            'QUERY',
+            this.tableName,
+            async () => {
+                const result = await this.dynamodb.send(new QueryCommand({
+                    TableName: this.tableName,
+                    KeyConditionExpression: 'PK = :pk AND begins_with(SK, :sk)',
+                    ExpressionAttributeValues: marshall({
+                        ':pk': `USER#${userId}`,
+                        ':sk': 'ROLE#'
+                    })
+                }));
+
+                return (result.Items || []).map(item => formatAssignment(unmarshall(item)));
+            },
+            { userId, entity: 'user_roles' }
+        );
+    }
+
+    /**
+     * Grant a role to a user; granting an assigned role again refreshes assigned_by and assigned_at
+     * @param {string} userId - Platform user ID
+     * @param {string} roleName - Existing role name
+     * @param {object} metadata - { assignedBy }
+     * @returns {Promise<object>} - Role assignment
+     */
+    async assignRole(userId, roleName, metadata = {}) {
+        const item = {
+            PK: `USER#${userId}`,
+            SK: `ROLE#${roleName}`,
+            role_name: roleName,
+            assigned_at: new Date().toISOString(),
+            assigned_by: metadata.assignedBy || null
+        };
+
+        await logDatabaseOperation(
+            'PUT',
+            this.tableName,
+            async () => this.dynamodb.send(new PutItemCommand({
+                TableName: this.tableName,
+                Item: marshall(item)
+            })),
+            { userId, roleName, entity: 'user_role' }
+        );
+
+        return formatAssignment(item);
+    }
+
+    /**
+     * Revoke a role from a user
+     * @param {string} userId - Platform user ID
+     * @param {string} roleName - Role name
+     * @throws {Error} - 404 if the role is not assigned to the user
+     */
+    async revokeRole(userId, roleName) {
+        const deleted = await logDatabaseOperation(
+            'DELETE',
+            this.tableName,
+            async () => {
+                try {
+                    await this.dynamodb.send(new DeleteItemCommand({
+                        TableName: this.tableName,
+                        Key: marshall({ PK: `USER#${userId}`, SK: `ROLE#${roleName}` }),
+                        ConditionExpression: 'attribute_exists(PK)'
+                    }));
+                    return true;
+                } catch (error) {
+                    if (error.name === 'ConditionalCheckFailedException') {
+                        return false;
+                    }
+                    throw error;
+                }
+            },
+            { userId, roleName, entity: 'user_role' }
+        );
+
+        if (!deleted) {
+            throw httpError('Role not assigned to user', 404);
+        }
+    }
+}
+
+// Singleton instance
+const roleRepository = new RoleRepository();
+
+module.exports = {
+    RoleRepository,
+    roleRepository,
+    validateRoleDefinition,
+    formatRole,
+    formatAssignment
+};
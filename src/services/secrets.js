@@ -0,0 +1,50 @@
+// TIR Browser Platform - Secrets Manager Access
+// Shared client and version-stage lookups for rotating secrets
+
+const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+
+/**
+ * Create the Secrets Manager client
+ * SECRETS_MANAGER_ENDPOINT points the client at a local stand-in (e.g. LocalStack)
+ * @returns {SecretsManagerClient} - Configured client
+ */
+function createSecretsClient() {
+    const clientConfig = { region: process.env.AWS_REGION || 'eu-central-1' };
+
+    if (process.env.SECRETS_MANAGER_ENDPOINT) {
+        clientConfig.endpoint = process.env.SECRETS_MANAGER_ENDPOINT;
+    }
+
+    return new SecretsManagerClient(clientConfig);
+}
+
+/**
+ * Fetch one version stage of a secret
+ * @param {SecretsManagerClient} secretsClient - Client to use
+ * @param {string} secretId - Secret ARN or name
+ * @param {string} versionStage - AWSCURRENT or AWSPREVIOUS
+ * @returns {Promise<object|null>} - Secret version or null if AWSPREVIOUS does not exist yet
+ */
+async function getSecretVersion(secretsClient, secretId, versionStage) {
+    try {
+        const command = new GetSecretValueCommand({ SecretId: secretId, VersionStage: versionStage });
+        const response = await secretsClient.send(command);
+        return {
+            versionId: response.VersionId,
+            value: response.SecretString,
+            stage: versionStage,
+            createdAt: response.CreatedDate ? new Date(response.CreatedDate).getTime() : Date.now()
+        };
+    } catch (error) {
+        // A secret that was never rotated has no AWSPREVIOUS version
+        if (versionStage === 'AWSPREVIOUS' && error.name === 'ResourceNotFoundException') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    createSecretsClient,
+    getSecretVersion
+};
@@ -3,17 +3,54 @@
 
 const { serviceAuth } = require('../middleware/auth');
 const { logServiceCall } = require('../middleware/logging');
+const { ClientCredentialsTokenSource } = require('./client-credentials');
 const logger = require('./logger')('auth:service-client');
 
+// Shared by all clients so tokens are cached per audience/scope across targets
+let clientCredentialsTokenSource = null;
+
+function getClientCredentialsTokenSource() {
+    if (!clientCredentialsTokenSource) {
+        clientCredentialsTokenSource = new ClientCredentialsTokenSource();
+    }
+    return clientCredentialsTokenSource;
+}
+
 /**
  * Service Client for TIR Browser service-to-service communication
  * MANDATORY: Use for all internal service calls
  */
 class ServiceClient {
-    constructor(serviceName, baseURL) {
+    constructor(serviceName, baseURL, options = {}) {
         this.serviceName = serviceName;
         this.baseURL = baseURL;
         this.currentServiceName = process.env.SERVICE_NAME || 'auth';
+        this.audience = options.audience || serviceName; // Target service named in the token
+        this.scopes = options.scopes || []; // Default scopes requested for every call
+        // self-signed: mint tokens locally, client-credentials: obtain them from /oauth/token
+        this.tokenMode = options.tokenMode || process.env.SERVICE_TOKEN_MODE || 'self-signed';
+        this.tokenSource = options.tokenSource || null;
+    }
+    
+    /**
+     * Get a service token addressed to the target service
+     * Self-signed tokens are minted per call and bound to the request when one is given;
+     * client-credentials tokens are shared across calls and never bound
+     * @param {string[]} scopes - Scopes for this call (defaults to the client scopes)
+     * @param {object} request - Request to bind the token to: { method, path, body }
+     * @returns {Promise<string>} - Service token
+     */
+    async getServiceToken(scopes = this.scopes, request = null) {
+        if (this.tokenMode === 'client-credentials') {
+            const tokenSource = this.tokenSource || getClientCredentialsTokenSource();
+            return tokenSource.getToken({ audience: this.audience, scopes });
+        }
+        
+        return serviceAuth.generateToken(this.currentServiceName, {
+            audience: this.audience,
+            scope: scopes,
+            request
+        });
     }
     
     /**
@@ -61,10 +98,31 @@ class ServiceClient {
     /**
      * Core method for making authenticated service requests
      * MANDATORY: Includes correlation ID and service authentication
+     * options.scopes overrides the client's default scopes for this call
      */
     async makeRequest(method, endpoint, data = null, options = {}) {
+        try {
+            return await this.sendRequest(method, endpoint, data, options);
+        } catch (error) {
+            // A cached client-credentials token may be revoked or already used for this exact request
+            // (SERVICE_TOKEN_REJECT_REPLAY); retry once with a new token
+            if (error.statusCode !== 401 || this.tokenMode !== 'client-credentials') {
+                throw error;
+            }
+            (this.tokenSource || getClientCredentialsTokenSource()).clear();
+            return this.sendRequest(method, endpoint, data, options);
+        }
+    }
+    
+    async sendRequest(method, endpoint, data, options) {
         const correlationId = process.env.CORRELATION_ID;
-        const serviceToken = serviceAuth.generateToken(this.currentServiceName);
+        const url = new URL(`${this.baseURL}${endpoint}`);
+        const body = data ? JSON.stringify(data) : null;
+        const serviceToken = await this.getServiceToken(options.scopes, {
+            method,
+            path: `${url.pathname}${url.search}`,
+            body
+        });
         
         const requestOptions = {
             method,
@@ -76,8 +134,8 @@ class ServiceClient {
             }
         };
         
-        if (data) {
-            requestOptions.body = JSON.stringify(data);
+        if (body) {
+            requestOptions.body = body;
         }
         
         // Use logging wrapper for service communication
@@ -85,7 +143,7 @@ class ServiceClient {
             this.serviceName,
             endpoint,
             async () => {
-                const response = await fetch(`${this.baseURL}${endpoint}`, requestOptions);
+                const response = await fetch(url, requestOptions);
                 
                 if (!response.ok) {
                     const errorData = await response.json().catch(() => ({}));
@@ -142,7 +200,7 @@ class ServiceClient {
                 signal: controller.signal,
                 headers: {
                     'X-Correlation-ID': process.env.CORRELATION_ID,
-                    'X-Service-Token': serviceAuth.generateToken(this.currentServiceName)
+                    'X-Service-Token': await this.getServiceToken()
                 }
             });
             
@@ -175,10 +233,11 @@ class ServiceClient {
  * Factory function to create service clients
  * @param {string} serviceName - Name of the target service
  * @param {string} baseURL - Base URL of the target service
+ * @param {object} options - Token audience and default scopes
  * @returns {ServiceClient} - Configured service client
  */
-function createServiceClient(serviceName, baseURL) {
-    return new ServiceClient(serviceName, baseURL);
+function createServiceClient(serviceName, baseURL, options = {}) {
+    return new ServiceClient(serviceName, baseURL, options);
 }
 
 // Pre-configured clients for common TIR Browser services
@@ -0,0 +1,160 @@
+// TIR Browser Platform - User Token Cache
+// Size-bounded LRU of verified user tokens, keyed by SHA-256 so raw tokens are never stored
+
+const crypto = require('crypto');
+const metricsService = require('./metrics');
+const { getConfigService } = require('./config');
+const logger = require('./logger')('auth:token-cache');
+
+const DEFAULT_MAX_ENTRIES = 10000;
+const DEFAULT_TTL = 5 * 60 * 1000; // 5 minutes in milliseconds
+const SETTINGS_REFRESH_INTERVAL = 60 * 1000; // Re-read size and TTL from the config service every minute
+
+/**
+ * Cache key for a token
+ * @param {string} token - Raw JWT
+ * @returns {string} - Hex SHA-256 of the token
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Token Cache Class
+ * Map insertion order doubles as recency order: hits are re-inserted, the oldest entry is evicted first
+ */
+class TokenCache {
+    constructor(options = {}) {
+        this.defaults = {
+            maxEntries: options.maxEntries || DEFAULT_MAX_ENTRIES,
+            ttl: options.ttl || DEFAULT_TTL
+        };
+        this.maxEntries = this.defaults.maxEntries;
+        this.ttl = this.defaults.ttl;
+        this.configService = options.configService || null; // Defaults to the shared config service on first use
+        this.entries = new Map(); // sha256(token) -> { value, expiresAt }
+        this.settingsLoadedAt = 0;
+    }
+
+    /**
+     * Get a cached value
+     * @param {string} token - Raw JWT
+     * @returns {object|null} - Cached value or null on miss
+     */
+    get(token) {
+        this.refreshSettings();
+
+        const key = hashToken(token);
+        const entry = this.entries.get(key);
+
+        if (!entry || entry.expiresAt <= Date.now()) {
+            if (entry) {
+                this.entries.delete(key);
+            }
+            metricsService.recordTokenCacheEvent('miss');
+            return null;
+        }
+
+        // Move to the most recently used position
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        metricsService.recordTokenCacheEvent('hit');
+        return entry.value;
+    }
+
+    /**
+     * Cache a value until the token expires or the cache TTL passes, whichever is first
+     * @param {string} token - Raw JWT
+     * @param {object} value - Value to cache
+     * @param {number} tokenExpiresAt - Token expiry in epoch milliseconds
+     */
+    set(token, value, tokenExpiresAt) {
+        const key = hashToken(token);
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value,
+            expiresAt: Math.min(tokenExpiresAt, Date.now() + this.ttl)
+        });
+        this.evictOverflow();
+    }
+
+    /**
+     * Remove a token
+     * @param {string} token - Raw JWT
+     * @returns {boolean} - True if the token was cached
+     */
+    delete(token) {
+        const deleted = this.entries.delete(hashToken(token));
+        if (deleted) {
+            metricsService.recordTokenCacheEvent('invalidation');
+        }
+        return deleted;
+    }
+
+    /**
+     * Remove every entry matching a predicate
+     * @param {Function} predicate - Called with each cached value
+     * @returns {number} - Number of removed entries
+     */
+    deleteWhere(predicate) {
+        let removed = 0;
+        this.entries.forEach((entry, key) => {
+            if (predicate(entry.value)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        });
+
+        if (removed > 0) {
+            metricsService.recordTokenCacheEvent('invalidation', removed);
+        }
+        return removed;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    evictOverflow() {
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+            metricsService.recordTokenCacheEvent('eviction');
+        }
+    }
+
+    /**
+     * Apply TOKEN_CACHE_MAX_ENTRIES and TOKEN_CACHE_TTL_MS from the config service
+     * Runs in the background at most once per SETTINGS_REFRESH_INTERVAL so lookups never wait on it
+     */
+    refreshSettings() {
+        if (Date.now() - this.settingsLoadedAt < SETTINGS_REFRESH_INTERVAL) {
+            return;
+        }
+        this.settingsLoadedAt = Date.now();
+
+        const configService = this.configService || getConfigService();
+        Promise.all([
+            configService.get('TOKEN_CACHE_MAX_ENTRIES'),
+            configService.get('TOKEN_CACHE_TTL_MS')
+        ]).then(([maxEntries, ttl]) => {
+            this.maxEntries = parseInt(maxEntries) || this.defaults.maxEntries;
+            this.ttl = parseInt(ttl) || this.defaults.ttl;
+            this.evictOverflow();
+        }).catch(error => {
+            logger.warn('Failed to load token cache settings', {
+                error: error.message,
+                category: 'configuration_error'
+            });
+        });
+    }
+}
+
+module.exports = {
+    TokenCache,
+    hashToken
+};
@@ -0,0 +1,211 @@
+// TIR Browser Platform - Token Denylist
+// Revoked token IDs and subjects, backed by a pluggable store
+
+const crypto = require('crypto');
+const { BatchGetItemCommand, PutItemCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { getDynamoClient, getAuthTableName } = require('./dynamodb');
+const { logDatabaseOperation } = require('../middleware/logging');
+
+// Subject revocations must outlive every token issued before them (Cognito allows up to 1 day)
+const SUBJECT_REVOCATION_TTL = parseInt(process.env.SUBJECT_REVOCATION_TTL_MS || String(24 * 60 * 60 * 1000));
+
+/**
+ * Denylist key for a single token
+ * Uses the jti claim when present, otherwise a SHA-256 of the token itself
+ * @param {string} token - Raw JWT
+ * @param {object} claims - Decoded claims
+ * @returns {string} - Denylist key
+ */
+function getTokenKey(token, claims = {}) {
+    if (claims.jti) {
+        return `jti:${claims.jti}`;
+    }
+    return `sha256:${crypto.createHash('sha256').update(token).digest('hex')}`;
+}
+
+/**
+ * Subject of a token: the user sub, or the calling service for service tokens
+ * @param {object} claims - Decoded claims
+ * @returns {string|null} - Subject key part
+ */
+function getSubject(claims = {}) {
+    if (claims.sub) {
+        return claims.sub;
+    }
+    return claims.service ? `service:${claims.service}` : null;
+}
+
+/**
+ * In-memory denylist store for tests and single-task development
+ */
+class MemoryDenylistStore {
+    constructor() {
+        this.entries = new Map(); // key -> { revokedAt, expiresAt, reason }
+    }
+
+    async put(key, entry) {
+        this.entries.set(key, entry);
+    }
+
+    async getMany(keys) {
+        const now = Date.now();
+        const found = {};
+
+        keys.forEach(key => {
+            const entry = this.entries.get(key);
+            if (entry && entry.expiresAt <= now) {
+                this.entries.delete(key);
+            } else if (entry) {
+                found[key] = entry;
+            }
+        });
+
+        return found;
+    }
+}
+
+/**
+ * DynamoDB denylist store
+ * Items: PK REVOKED#<key>, SK REVOCATION#main, expired through the table's `ttl` attribute
+ */
+class DynamoDenylistStore {
+    constructor(options = {}) {
+        this.dynamodb = options.dynamodb || getDynamoClient();
+        this.tableName = options.tableName || getAuthTableName();
+    }
+
+    async put(key, entry) {
+        await logDatabaseOperation(
+            'PUT',
+            this.tableName,
+            async () => this.dynamodb.send(new PutItemCommand({
+                TableName: this.tableName,
+                Item: marshall({
+                    PK: `REVOKED#${key}`,
+                    SK: 'REVOCATION#main',
+                    revoked_at: new Date(entry.revokedAt).toISOString(),
+                    reason: entry.reason || null,
+                    revoked_by: entry.revokedBy || null,
+                    ttl: Math.ceil(entry.expiresAt / 1000)
+                }, { removeUndefinedValues: true })
+            })),
+            { entity: 'token_revocation' }
+        );
+    }
+
+    async getMany(keys) {
+        return logDatabaseOperation(
+            'BATCH_GET',
+            this.tableName,
+            async () => {
+                const result = await this.dynamodb.send(new BatchGetItemCommand({
+                    RequestItems: {
+                        [this.tableName]: {
+                            Keys: keys.map(key => marshall({ PK: `REVOKED#${key}`, SK: 'REVOCATION#main' })),
+                            ConsistentRead: true
+                        }
+                    }
+                }));
+
+                const now = Date.now();
+                const found = {};
+                (result.Responses?.[this.tableName] || [])
+                    .map(item => unmarshall(item))
+                    // DynamoDB TTL deletion is lazy - ignore items that already expired
+                    .filter(item => item.ttl * 1000 > now)
+                    .forEach(item => {
+                        found[item.PK.replace(/^REVOKED#/, '')] = {
+                            revokedAt: new Date(item.revoked_at).getTime(),
+                            expiresAt: item.ttl * 1000,
+                            reason: item.reason
+                        };
+                    });
+                return found;
+            },
+            { keyCount: keys.length, entity: 'token_revocation' }
+        );
+    }
+}
+
+/**
+ * Token Denylist Class
+ * Answers "is this token revoked?" for verifyUserAuth, verifyServiceAuth and the token cache
+ */
+class TokenDenylist {
+    constructor(store) {
+        this.store = store;
+    }
+
+    /**
+     * Revoke a single token until it expires
+     * @param {string} token - Raw JWT
+     * @param {object} claims - Decoded claims (exp is used for the TTL)
+     * @param {object} metadata - reason and revokedBy for the audit trail
+     */
+    async revokeToken(token, claims, metadata = {}) {
+        const expiresAt = claims.exp ? claims.exp * 1000 : Date.now() + SUBJECT_REVOCATION_TTL;
+        await this.store.put(getTokenKey(token, claims), {
+            revokedAt: Date.now(),
+            expiresAt,
+            ...metadata
+        });
+    }
+
+    /**
+     * Revoke every token issued to a subject up to now
+     * @param {string} subject - User sub or "service:<name>"
+     * @param {object} metadata - reason and revokedBy for the audit trail
+     */
+    async revokeSubject(subject, metadata = {}) {
+        await this.store.put(`sub:${subject}`, {
+            revokedAt: Date.now(),
+            expiresAt: Date.now() + SUBJECT_REVOCATION_TTL,
+            ...metadata
+        });
+    }
+
+    /**
+     * Check whether a verified token has been revoked
+     * @param {string} token - Raw JWT
+     * @param {object} claims - Decoded claims
+     * @returns {Promise<boolean>} - True if the token must be rejected
+     */
+    async isRevoked(token, claims) {
+        const tokenKey = getTokenKey(token, claims);
+        const subject = getSubject(claims);
+        const keys = subject ? [tokenKey, `sub:${subject}`] : [tokenKey];
+
+        const entries = await this.store.getMany(keys);
+        if (entries[tokenKey]) {
+            return true;
+        }
+
+        // Subject revocation only covers tokens issued before it
+        const subjectEntry = subject && entries[`sub:${subject}`];
+        return Boolean(subjectEntry && (claims.iat || 0) * 1000 <= subjectEntry.revokedAt);
+    }
+}
+
+/**
+ * Create the denylist store selected by TOKEN_DENYLIST_STORE
+ * Defaults to DynamoDB in production and in-memory elsewhere
+ */
+function createDenylistStore() {
+    const storeType = process.env.TOKEN_DENYLIST_STORE ||
+        (process.env.NODE_ENV === 'production' ? 'dynamodb' : 'memory');
+
+    return storeType === 'dynamodb' ? new DynamoDenylistStore() : new MemoryDenylistStore();
+}
+
+// Singleton instance
+const tokenDenylist = new TokenDenylist(createDenylistStore());
+
+module.exports = {
+    TokenDenylist,
+    MemoryDenylistStore,
+    DynamoDenylistStore,
+    tokenDenylist,
+    getTokenKey,
+    getSubject
+};
@@ -0,0 +1,85 @@
+// TIR Browser Platform - User Directory Adapter
+// Enables and disables sign-in at the identity provider (Cognito, or a local stub for development)
+
+const {
+    CognitoIdentityProviderClient,
+    AdminDisableUserCommand,
+    AdminEnableUserCommand,
+    AdminUserGlobalSignOutCommand
+} = require('@aws-sdk/client-cognito-identity-provider');
+const logger = require('./logger')('auth:user-directory');
+
+/**
+ * Cognito user pool directory
+ * Usernames are the Cognito sub stored on the profile (cognito_sub)
+ */
+class CognitoUserDirectory {
+    constructor(options = {}) {
+        this.userPoolId = options.userPoolId || process.env.COGNITO_USER_POOL_ID;
+        this.client = options.client || new CognitoIdentityProviderClient({
+            region: process.env.COGNITO_REGION || 'eu-central-1'
+        });
+    }
+
+    /**
+     * Block sign-in and invalidate refresh tokens
+     * @param {string} username - Cognito username or sub
+     */
+    async disableUser(username) {
+        await this.client.send(new AdminDisableUserCommand({ UserPoolId: this.userPoolId, Username: username }));
+        await this.client.send(new AdminUserGlobalSignOutCommand({ UserPoolId: this.userPoolId, Username: username }));
+    }
+
+    /**
+     * Allow sign-in again
+     * @param {string} username - Cognito username or sub
+     */
+    async enableUser(username) {
+        await this.client.send(new AdminEnableUserCommand({ UserPoolId: this.userPoolId, Username: username }));
+    }
+}
+
+/**
+ * Local stand-in for development and tests
+ * Tracks disabled users in memory; the local identity provider keeps issuing tokens,
+ * which verifyUserAuth then rejects based on the profile status
+ */
+class LocalUserDirectory {
+    constructor() {
+        this.disabledUsers = new Set();
+    }
+
+    async disableUser(username) {
+        this.disabledUsers.add(username);
+        logger.info('Local directory user disabled', { username, category: 'user_lifecycle' });
+    }
+
+    async enableUser(username) {
+        this.disabledUsers.delete(username);
+        logger.info('Local directory user enabled', { username, category: 'user_lifecycle' });
+    }
+
+    isDisabled(username) {
+        return this.disabledUsers.has(username);
+    }
+}
+
+/**
+ * Create the directory selected by USER_DIRECTORY
+ * Defaults to Cognito in production and the local stub elsewhere
+ */
+function createUserDirectory() {
+    const directoryType = process.env.USER_DIRECTORY ||
+        (process.env.NODE_ENV === 'production' ? 'cognito' : 'local');
+
+    return directoryType === 'cognito' ? new CognitoUserDirectory() : new LocalUserDirectory();
+}
+
+// Singleton instance
+const userDirectory = createUserDirectory();
+
+module.exports = {
+    CognitoUserDirectory,
+    LocalUserDirectory,
+    userDirectory
+};
@@ -0,0 +1,161 @@
+// TIR Browser Platform - User Profile Validation
+// Per-user_type rules for the profile_data of USER#<id> / PROFILE#main items
+
+const { isValidId } = require('./ids');
+const { normalizePhoneNumber, isSupportedPhoneCountry } = require('./phone-numbers');
+
+const MAX_FIELD_LENGTH = 200;
+
+// Letters (any script) separated by spaces, apostrophes, hyphens or periods, e.g. "John A. O'Neil-Smith"
+const PERSON_NAME_PATTERN = /^\p{L}[\p{L}\p{M} .'-]*$/u;
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Whether a value looks like a person's name
+ * @param {string} value - Name as entered
+ * @returns {boolean}
+ */
+function isValidPersonName(value) {
+    return typeof value === 'string' && value.trim().length >= 2 && PERSON_NAME_PATTERN.test(value.trim());
+}
+
+// Checks of formatted fields; phone numbers are checked against options.country when it is known
+const FIELD_FORMATS = {
+    personName: (value) => isValidPersonName(value)
+        ? null
+        : 'must contain only letters, spaces, apostrophes, hyphens and periods',
+    phone: (value, options) => {
+        if (isSupportedPhoneCountry(options.country)) {
+            return normalizePhoneNumber(value, options.country)
+                ? null
+                : `must be a valid ${options.country} phone number`;
+        }
+        return E164_PATTERN.test(value) ? null : 'must be in E.164 format, e.g. +994501234567';
+    }
+};
+
+// Field rules per user_type; adminOnly fields can only be changed through the admin API
+const PROFILE_FIELDS = {
+    DRIVER: {
+        driver_id: { adminOnly: true, idType: 'DRIVER' },
+        full_name: { required: true, format: 'personName' },
+        phone: { required: true, format: 'phone' },
+        license_number: { required: true },
+        company_id: { adminOnly: true }
+    },
+    PROVIDER: {
+        provider_id: { adminOnly: true, idType: 'PROVIDER' },
+        full_name: { required: true, format: 'personName' },
+        phone: { required: true, format: 'phone' },
+        company_id: { adminOnly: true },
+        business_verification: { adminOnly: true, enum: ['PENDING', 'IN_REVIEW', 'VERIFIED', 'REJECTED'] }
+    },
+    INTERNAL: {
+        full_name: { required: true, format: 'personName' },
+        department: {},
+        employee_id: { adminOnly: true },
+        access_level: { adminOnly: true, enum: ['STANDARD', 'ADMIN'] }
+    }
+};
+
+/**
+ * Validate profile_data for a user type
+ * @param {string} userType - DRIVER, PROVIDER or INTERNAL
+ * @param {object} profileData - Fields to validate
+ * @param {object} options - Validation options
+ * @param {boolean} options.partial - Only validate the given fields (PATCH); otherwise required fields must be present
+ * @param {boolean} options.admin - Allow adminOnly fields
+ * @param {string} options.country - Profile country; phone numbers must be valid for it
+ * @returns {string[]} - Validation errors, empty if valid
+ */
+function validateProfileData(userType, profileData, options = {}) {
+    const { partial = false, admin = false } = options;
+    const fields = PROFILE_FIELDS[userType];
+
+    if (!fields) {
+        return [`Unknown user_type: ${userType}`];
+    }
+
+    if (!profileData || typeof profileData !== 'object' || Array.isArray(profileData)) {
+        return ['profile_data must be an object'];
+    }
+
+    const errors = [];
+
+    Object.entries(profileData).forEach(([name, value]) => {
+        const rule = fields[name];
+
+        if (!rule) {
+            errors.push(`${name} is not a ${userType} profile field`);
+        } else if (rule.adminOnly && !admin) {
+            errors.push(`${name} can only be changed by an administrator`);
+        } else if (value === null && !rule.required) {
+            // null clears an optional field
+        } else if (typeof value !== 'string' || value.trim().length === 0) {
+            errors.push(`${name} must be a non-empty string`);
+        } else if (value.length > MAX_FIELD_LENGTH) {
+            errors.push(`${name} must be at most ${MAX_FIELD_LENGTH} characters`);
+        } else if (rule.enum && !rule.enum.includes(value)) {
+            errors.push(`${name} must be one of ${rule.enum.join(', ')}`);
+        } else if (rule.idType && !isValidId(value, rule.idType)) {
+            errors.push(`${name} must be a valid ${rule.idType} ID`);
+        } else if (rule.format) {
+            const formatError = FIELD_FORMATS[rule.format](value, options);
+            if (formatError) {
+                errors.push(`${name} ${formatError}`);
+            }
+        }
+    });
+
+    if (!partial) {
+        Object.entries(fields)
+            .filter(([name, rule]) => rule.required && profileData[name] === undefined)
+            .forEach(([name]) => errors.push(`${name} is required`));
+    }
+
+    return errors;
+}
+
+/**
+ * Normalize formatted fields of validated profile_data for storage
+ * Phone numbers are stored in E.164 so duplicates can be detected
+ * @param {object} profileData - Validated profile_data
+ * @param {string} country - Profile country
+ * @returns {object} - Copy with normalized values
+ */
+function normalizeProfileData(profileData, country) {
+    const normalized = { ...profileData };
+
+    if (typeof normalized.phone === 'string') {
+        normalized.phone = (country && normalizePhoneNumber(normalized.phone, country)) || normalized.phone;
+    }
+    if (typeof normalized.full_name === 'string') {
+        normalized.full_name = normalized.full_name.trim().replace(/\s+/g, ' ');
+    }
+    return normalized;
+}
+
+/**
+ * Throw a 400 error if profile_data is invalid
+ * @returns {object} - Normalized profile_data (see normalizeProfileData)
+ * @throws {Error} - With statusCode 400 and the validation errors as details
+ */
+function assertValidProfileData(userType, profileData, options = {}) {
+    const errors = validateProfileData(userType, profileData, options);
+
+    if (errors.length > 0) {
+        const error = new Error('Invalid profile data');
+        error.statusCode = 400;
+        error.details = errors;
+        throw error;
+    }
+    return normalizeProfileData(profileData, options.country);
+}
+
+module.exports = {
+    PROFILE_FIELDS,
+    validateProfileData,
+    normalizeProfileData,
+    assertValidProfileData,
+    isValidPersonName
+};
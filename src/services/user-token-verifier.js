@@ -0,0 +1,229 @@
+// TIR Browser Platform - User Token Verifier
+// Verifies user tokens against a configurable list of trusted issuers
+
+const jwt = require('jsonwebtoken');
+const jwksClient = require('jwks-rsa');
+const { getConfigService } = require('./config');
+const { localIdentityProvider, isLocalIdpEnabled } = require('./local-identity-provider');
+const logger = require('./logger')('auth:user-token-verifier');
+
+const ISSUER_REFRESH_INTERVAL = 60 * 1000; // Re-read USER_TOKEN_ISSUERS every minute
+
+// Claim mapping: req.user field -> token claim
+const DEFAULT_CLAIMS = {
+    id: 'sub',
+    email: 'email',
+    username: 'username',
+    roles: 'groups',
+    scope: 'scope'
+};
+
+const COGNITO_CLAIMS = {
+    ...DEFAULT_CLAIMS,
+    username: 'cognito:username',
+    roles: 'cognito:groups'
+};
+
+/**
+ * Issuer entry for the Cognito user pool configured through COGNITO_* variables
+ * @returns {object|null} - Issuer configuration or null if no user pool is set
+ */
+function getCognitoIssuer() {
+    const userPoolId = process.env.COGNITO_USER_POOL_ID;
+    if (!userPoolId) {
+        return null;
+    }
+
+    const region = process.env.COGNITO_REGION || 'eu-central-1';
+    const issuer = `https://cognito-idp.${region}.amazonaws.com/${userPoolId}`;
+    return {
+        name: 'cognito',
+        issuer,
+        jwksUri: `${issuer}/.well-known/jwks.json`,
+        audience: process.env.COGNITO_CLIENT_ID,
+        claims: COGNITO_CLAIMS
+    };
+}
+
+/**
+ * Parse USER_TOKEN_ISSUERS
+ * JSON array of { name, issuer, jwksUri, audience, algorithms, claims }; claims override DEFAULT_CLAIMS
+ * @param {string|object[]} rawIssuers - Configured value
+ * @returns {object[]} - Issuer configurations
+ */
+function parseIssuers(rawIssuers) {
+    const issuers = typeof rawIssuers === 'string' ? JSON.parse(rawIssuers) : rawIssuers;
+    if (!Array.isArray(issuers)) {
+        throw new Error('USER_TOKEN_ISSUERS must be a JSON array');
+    }
+
+    return issuers.map(entry => {
+        if (!entry.issuer || !entry.jwksUri) {
+            throw new Error('Every trusted issuer needs issuer and jwksUri');
+        }
+        return { ...entry, claims: { ...DEFAULT_CLAIMS, ...entry.claims } };
+    });
+}
+
+/**
+ * Build req.user from verified claims using the issuer's claim mapping
+ * @param {object} claims - Verified claims
+ * @param {object} mapping - req.user field -> claim name
+ * @returns {object} - User object
+ */
+function mapUserClaims(claims, mapping = DEFAULT_CLAIMS) {
+    const roles = claims[mapping.roles] || [];
+    const scope = claims[mapping.scope];
+
+    return {
+        id: claims[mapping.id],
+        email: claims[mapping.email],
+        username: claims[mapping.username],
+        roles: Array.isArray(roles) ? roles : String(roles).split(/[\s,]+/).filter(Boolean),
+        scope: Array.isArray(scope) ? scope : scope?.split(' ') || []
+    };
+}
+
+/**
+ * User Token Verifier Class
+ * Trusts USER_TOKEN_ISSUERS (config service) or the COGNITO_* user pool, plus the local
+ * identity provider when LOCAL_IDP_ENABLED=true.
+ */
+class UserTokenVerifier {
+    constructor(options = {}) {
+        this.configService = options.configService || null; // Defaults to the shared config service on first use
+        this.localIdp = options.localIdp || localIdentityProvider;
+        this.localIdpEnabled = options.localIdpEnabled ?? isLocalIdpEnabled();
+        this.issuers = null;
+        this.issuersLoadedAt = 0;
+        this.jwksClients = new Map(); // jwksUri -> JwksClient
+    }
+
+    /**
+     * Get the trusted issuers, reloading them at most once per ISSUER_REFRESH_INTERVAL
+     * @returns {Promise<object[]>}
+     */
+    async getIssuers() {
+        if (this.issuers && Date.now() - this.issuersLoadedAt < ISSUER_REFRESH_INTERVAL) {
+            return this.issuers;
+        }
+
+        const issuers = [];
+        try {
+            const configService = this.configService || getConfigService();
+            const rawIssuers = await configService.get('USER_TOKEN_ISSUERS');
+            if (rawIssuers) {
+                issuers.push(...parseIssuers(rawIssuers));
+            } else if (getCognitoIssuer()) {
+                issuers.push(getCognitoIssuer());
+            }
+        } catch (error) {
+            logger.error('Invalid USER_TOKEN_ISSUERS configuration', error, {
+                category: 'configuration_error'
+            });
+            // Keep the last good list rather than trusting nothing (or anything) after a bad edit
+            if (this.issuers) {
+                this.issuersLoadedAt = Date.now();
+                return this.issuers;
+            }
+        }
+
+        if (this.localIdpEnabled) {
+            issuers.push({ ...this.localIdp.getIssuerConfig(), claims: DEFAULT_CLAIMS });
+        }
+
+        if (issuers.length === 0) {
+            logger.error('No trusted user token issuers configured - set USER_TOKEN_ISSUERS or COGNITO_USER_POOL_ID', {
+                category: 'configuration_error'
+            });
+        }
+
+        this.issuers = issuers;
+        this.issuersLoadedAt = Date.now();
+        return issuers;
+    }
+
+    /**
+     * Resolve the signing key of an issuer
+     * @param {object} issuerConfig - Trusted issuer
+     * @param {string} kid - Key ID from the token header
+     * @returns {Promise<string|KeyObject>}
+     */
+    async getSigningKey(issuerConfig, kid) {
+        if (issuerConfig.local) {
+            const publicKey = this.localIdp.getPublicKey(kid);
+            if (!publicKey) {
+                throw new Error(`Unknown local signing key: ${kid}`);
+            }
+            return publicKey;
+        }
+
+        if (!this.jwksClients.has(issuerConfig.jwksUri)) {
+            this.jwksClients.set(issuerConfig.jwksUri, jwksClient({
+                cache: true,
+                cacheMaxEntries: 5,
+                cacheMaxAge: 10 * 60 * 1000, // 10 minutes
+                rateLimit: true,
+                jwksRequestsPerMinute: 10,
+                jwksUri: issuerConfig.jwksUri
+            }));
+        }
+
+        const signingKey = await this.jwksClients.get(issuerConfig.jwksUri).getSigningKey(kid);
+        return signingKey.getPublicKey();
+    }
+
+    /**
+     * Verify a user token
+     * @param {string} token - Raw JWT from the Authorization header
+     * @returns {Promise<{claims: object, user: object, issuer: string}>}
+     * @throws {Error} - If the token is malformed, expired or not signed by a trusted issuer
+     */
+    async verify(token) {
+        // First decode without verification to find the issuer and key ID
+        const decoded = jwt.decode(token, { complete: true });
+        if (!decoded || !decoded.payload) {
+            throw new Error('Invalid token format');
+        }
+
+        const kid = decoded.header.kid;
+        if (!kid) {
+            throw new Error('Token missing key ID (kid)');
+        }
+
+        const issuers = await this.getIssuers();
+        const issuerConfig = issuers.find(entry => entry.issuer === decoded.payload.iss);
+        if (!issuerConfig) {
+            throw new Error(`Untrusted token issuer: ${decoded.payload.iss}`);
+        }
+
+        const publicKey = await this.getSigningKey(issuerConfig, kid);
+        const claims = jwt.verify(token, publicKey, {
+            issuer: issuerConfig.issuer,
+            audience: issuerConfig.audience,
+            algorithms: issuerConfig.algorithms || ['RS256']
+        });
+
+        // Check token is not used before it was issued
+        if (claims.iat && claims.iat > Math.floor(Date.now() / 1000)) {
+            throw new Error('Token used before issued');
+        }
+
+        return {
+            claims,
+            user: mapUserClaims(claims, issuerConfig.claims),
+            issuer: issuerConfig.name || issuerConfig.issuer
+        };
+    }
+}
+
+// Singleton instance
+const userTokenVerifier = new UserTokenVerifier();
+
+module.exports = {
+    UserTokenVerifier,
+    userTokenVerifier,
+    mapUserClaims,
+    DEFAULT_CLAIMS,
+    COGNITO_CLAIMS
+};
@@ -0,0 +1,520 @@
+// TIR Browser Platform - User Repository
+// Reads and updates user profiles (USER#<id> / PROFILE#main) in the tir-auth-main table
+
+const {
+    QueryCommand,
+    GetItemCommand,
+    UpdateItemCommand,
+    TransactWriteItemsCommand
+} = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { getDynamoClient, getAuthTableName } = require('./dynamodb');
+const { logDatabaseOperation } = require('../middleware/logging');
+const { encodeCursor, decodeCursor } = require('./pagination');
+
+const USER_TYPES = ['DRIVER', 'PROVIDER', 'INTERNAL'];
+const USER_STATUSES = ['ACTIVE', 'SUSPENDED', 'DEACTIVATED'];
+
+/**
+ * Platform user ID from a profile item
+ * @param {object} item - Unmarshalled profile item
+ * @returns {string} - User ID, e.g. "usr_123456789"
+ */
+function getUserId(item) {
+    return item.PK.replace(/^USER#/, '');
+}
+
+/**
+ * Public representation of a profile item (no key attributes)
+ * @param {object} item - Unmarshalled profile item
+ * @returns {object} - User profile
+ */
+function formatUser(item) {
+    return {
+        userId: getUserId(item),
+        user_type: item.user_type,
+        status: item.status,
+        status_reason: item.status_reason || null,
+        country: item.country || null,
+        profile_data: item.profile_data || {},
+        created_at: item.created_at,
+        updated_at: item.updated_at
+    };
+}
+
+/**
+ * GSI2 keys of a profile: users by type and country, sorted by status
+ * Profiles without a country (e.g. internal users) are left out of the index
+ * @param {object} profile - { userId, user_type, country, status }
+ * @returns {object} - { GSI2PK, GSI2SK }, or an empty object without a country
+ */
+function getTypeCountryIndexKeys(profile) {
+    if (!profile.country) {
+        return {};
+    }
+    return {
+        GSI2PK: `${profile.user_type}#${profile.country}`,
+        GSI2SK: `${profile.status}#USER#${profile.userId}`
+    };
+}
+
+// 404 error for a missing profile
+function notFound() {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    return error;
+}
+
+// 409 error for a write that lost a uniqueness check
+function conflict(message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    return error;
+}
+
+// Whether a cancelled transaction failed on the condition of its item at index
+function failedCondition(error, index) {
+    return error.CancellationReasons?.[index]?.Code === 'ConditionalCheckFailed';
+}
+
+/**
+ * Key of the reservation that makes a phone number unique across users
+ * @param {string} phone - E.164 phone number
+ * @returns {object} - { PK: PHONE#<e164>, SK: RESERVATION#main }
+ */
+function getPhoneReservationKey(phone) {
+    return { PK: `PHONE#${phone}`, SK: 'RESERVATION#main' };
+}
+
+/**
+ * User Repository Class
+ * Profiles are keyed by platform user ID and indexed by Cognito sub on GSI1 (COGNITO#<sub>)
+ */
+class UserRepository {
+    constructor(options = {}) {
+        this.dynamodb = options.dynamodb || getDynamoClient();
+        this.tableName = options.tableName || getAuthTableName();
+    }
+
+    /**
+     * Find the profile linked to a Cognito user
+     * @param {string} cognitoSub - Token sub
+     * @returns {Promise<object|null>} - Profile item with userId, or null if the user has no profile yet
+     */
+    async getUserByCognitoSub(cognitoSub) {
+        return logDatabaseOperation(
+            'QUERY',
+            this.tableName,
+            async () => {
+                const result = await this.dynamodb.send(new QueryCommand({
+                    TableName: this.tableName,
+                    IndexName: 'GSI1',
+                    KeyConditionExpression: 'GSI1PK = :pk AND begins_with(GSI1SK, :sk)',
+                    ExpressionAttributeValues: marshall({
+                        ':pk': `COGNITO#${cognitoSub}`,
+                        ':sk': 'USER#'
+                    }),
+                    Limit: 1
+                }));
+
+                const item = result.Items?.[0];
+                if (!item) {
+                    return null;
+                }
+
+                const profile = unmarshall(item);
+                return { ...profile, userId: getUserId(profile) };
+            },
+            { entity: 'user_profile', index: 'GSI1' }
+        );
+    }
+
+    /**
+     * List users of one type in a country through GSI2, one page at a time
+     * @param {string} userType - DRIVER, PROVIDER or INTERNAL
+     * @param {string} country - ISO 3166-1 alpha-2 country code
+     * @param {object} options - { status, limit, cursor }; without a status every status is listed
+     * @returns {Promise<object>} - { users, nextCursor }; nextCursor is null on the last page
+     * @throws {Error} - 400 if the cursor does not belong to this query
+     */
+    async listUsersByTypeAndCountry(userType, country, options = {}) {
+        const { status, limit, cursor } = options;
+        const partitionKey = `${userType}#${country}`;
+        const exclusiveStartKey = decodeCursor(cursor, key => key.GSI2PK === partitionKey);
+
+        return logDatabaseOperation(
+            'QUERY',
+            this.tableName,
+            async () => {
+                const values = { ':pk': partitionKey };
+                let keyCondition = 'GSI2PK = :pk';
+
+                if (status) {
+                    values[':status'] = `${status}#`;
+                    keyCondition += ' AND begins_with(GSI2SK, :status)';
+                }
+
+                const result = await this.dynamodb.send(new QueryCommand({
+                    TableName: this.tableName,
+                    IndexName: 'GSI2',
+                    KeyConditionExpression: keyCondition,
+                    ExpressionAttributeValues: marshall(values),
+                    Limit: limit,
+                    ExclusiveStartKey: exclusiveStartKey
+                }));
+
+                return {
+                    users: (result.Items || []).map(item => formatUser(unmarshall(item))),
+                    nextCursor: encodeCursor(result.LastEvaluatedKey)
+                };
+            },
+            { userType, country, status, entity: 'user_profile', index: 'GSI2' }
+        );
+    }
+
+    /**
+     * Create the profile of a signed-up user (onboarding)
+     * The profile with its GSI1 Cognito link and GSI2 country keys, a reservation of the Cognito sub
+     * (COGNITO#<sub> / RESERVATION#main) and of the phone number are written in one transaction
+     * @param {object} profile - { userId, cognitoSub, userType, country, profileData }; profileData.phone in E.164
+     * @param {object} metadata - { createdBy } for the audit trail
+     * @returns {Promise<object>} - Created user profile
+     * @throws {Error} - 409 if the Cognito user already has a profile or the phone number is registered
+     */
+    async createUser(profile, metadata = {}) {
+        const { userId, cognitoSub, userType, country, profileData } = profile;
+        const now = new Date().toISOString();
+        const item = {
+            PK: `USER#${userId}`,
+            SK: 'PROFILE#main',
+            GSI1PK: `COGNITO#${cognitoSub}`,
+            GSI1SK: `USER#${userId}`,
+            ...getTypeCountryIndexKeys({ userId, user_type: userType, status: 'ACTIVE', country }),
+            cognito_sub: cognitoSub,
+            user_type: userType,
+            status: 'ACTIVE',
+            country,
+            profile_data: profileData,
+            created_at: now,
+            created_by: metadata.createdBy || null,
+            updated_at: now
+        };
+        const reservation = { user_id: userId, reserved_at: now };
+
+        await logDatabaseOperation(
+            'TRANSACT_WRITE',
+            this.tableName,
+            async () => {
+                try {
+                    await this.dynamodb.send(new TransactWriteItemsCommand({
+                        TransactItems: [
+                            {
+                                Put: {
+                                    TableName: this.tableName,
+                                    Item: marshall(item, { removeUndefinedValues: true }),
+                                    ConditionExpression: 'attribute_not_exists(PK)'
+                                }
+                            },
+                            {
+                                Put: {
+                                    TableName: this.tableName,
+                                    Item: marshall({ PK: `COGNITO#${cognitoSub}`, SK: 'RESERVATION#main', ...reservation }),
+                                    ConditionExpression: 'attribute_not_exists(PK)'
+                                }
+                            },
+                            {
+                                Put: {
+                                    TableName: this.tableName,
+                                    Item: marshall({ ...getPhoneReservationKey(profileData.phone), ...reservation }),
+                                    ConditionExpression: 'attribute_not_exists(PK)'
+                                }
+                            }
+                        ]
+                    }));
+                } catch (error) {
+                    if (error.name === 'TransactionCanceledException') {
+                        throw failedCondition(error, 2) && !failedCondition(error, 1)
+                            ? conflict('Phone number already registered')
+                            : conflict('User already has a profile');
+                    }
+                    throw error;
+                }
+            },
+            { userId, userType, country, entity: 'user_profile' }
+        );
+
+        return formatUser(item);
+    }
+
+    /**
+     * Get the raw profile item of a user, including key and Cognito attributes
+     * @param {string} userId - Platform user ID
+     * @returns {Promise<object>} - Unmarshalled profile item
+     * @throws {Error} - 404 if the user does not exist
+     */
+    async getUserItem(userId) {
+        const item = await logDatabaseOperation(
+            'GET',
+            this.tableName,
+            async () => {
+                const result = await this.dynamodb.send(new GetItemCommand({
+                    TableName: this.tableName,
+                    Key: marshall({ PK: `USER#${userId}`, SK: 'PROFILE#main' })
+                }));
+                return result.Item ? unmarshall(result.Item) : null;
+            },
+            { userId, entity: 'user_profile' }
+        );
+
+        if (!item) {
+            throw notFound();
+        }
+        return item;
+    }
+
+    /**
+     * Get a user profile
+     * @param {string} userId - Platform user ID
+     * @returns {Promise<object>} - User profile
+     * @throws {Error} - 404 if the user does not exist
+     */
+    async getUser(userId) {
+        return formatUser(await this.getUserItem(userId));
+    }
+
+    /**
+     * Change the account status and record the change in the user's status history
+     * (USER#<id> / STATUS#<timestamp>) in one transaction
+     * @param {string} userId - Platform user ID
+     * @param {string} fromStatus - Status the change was decided on; the write fails if it changed since
+     * @param {string} toStatus - New status
+     * @param {object} metadata - { reason, changedBy }
+     * @returns {Promise<object>} - Updated user profile
+     * @throws {Error} - 409 if the status changed concurrently
+     */
+    async changeStatus(userId, fromStatus, toStatus, metadata = {}) {
+        const now = new Date().toISOString();
+
+        await logDatabaseOperation(
+            'TRANSACT_WRITE',
+            this.tableName,
+            async () => {
+                try {
+                    await this.dynamodb.send(new TransactWriteItemsCommand({
+                        TransactItems: [
+                            {
+                                Update: {
+                                    TableName: this.tableName,
+                                    Key: marshall({ PK: `USER#${userId}`, SK: 'PROFILE#main' }),
+                                    UpdateExpression: 'SET #status = :status, #status_reason = :reason, ' +
+                                        '#status_changed_at = :now, #status_changed_by = :changed_by, ' +
+                                        '#updated_at = :now, #updated_by = :changed_by, GSI2SK = :gsi2sk',
+                                    ConditionExpression: '#status = :from_status',
+                                    ExpressionAttributeNames: {
+                                        '#status': 'status',
+                                        '#status_reason': 'status_reason',
+                                        '#status_changed_at': 'status_changed_at',
+                                        '#status_changed_by': 'status_changed_by',
+                                        '#updated_at': 'updated_at',
+                                        '#updated_by': 'updated_by'
+                                    },
+                                    ExpressionAttributeValues: marshall({
+                                        ':status': toStatus,
+                                        ':from_status': fromStatus,
+                                        ':reason': metadata.reason || null,
+                                        ':changed_by': metadata.changedBy || null,
+                                        ':now': now,
+                                        ':gsi2sk': `${toStatus}#USER#${userId}`
+                                    })
+                                }
+                            },
+                            {
+                                Put: {
+                                    TableName: this.tableName,
+                                    Item: marshall({
+                                        PK: `USER#${userId}`,
+                                        SK: `STATUS#${now}`,
+                                        from_status: fromStatus,
+                                        to_status: toStatus,
+                                        reason: metadata.reason || null,
+                                        changed_by: metadata.changedBy || null,
+                                        changed_at: now
+                                    })
+                                }
+                            }
+                        ]
+                    }));
+                } catch (error) {
+                    if (error.name === 'TransactionCanceledException') {
+                        const conflict = new Error('User status changed concurrently');
+                        conflict.statusCode = 409;
+                        throw conflict;
+                    }
+                    throw error;
+                }
+            },
+            { userId, fromStatus, toStatus, entity: 'user_profile' }
+        );
+
+        return this.getUser(userId);
+    }
+
+    /**
+     * Update profile_data fields and top-level attributes of a user
+     * profile_data is merged field by field; a null value removes the field.
+     * A country change also moves the profile to its new GSI2 partition, and a phone change
+     * moves the phone number reservation in the same transaction as the profile update.
+     * @param {string} userId - Platform user ID
+     * @param {object} changes - { profile_data, country }; profile_data.phone in E.164
+     * @param {object} metadata - { updatedBy } for the audit trail
+     * @returns {Promise<object>} - Updated user profile
+     * @throws {Error} - 404 if the user does not exist, 409 if the new phone number is registered
+     */
+    async updateUser(userId, changes, metadata = {}) {
+        const names = { '#updated_at': 'updated_at', '#updated_by': 'updated_by' };
+        const values = { ':updated_at': new Date().toISOString(), ':updated_by': metadata.updatedBy || null };
+        const setClauses = ['#updated_at = :updated_at', '#updated_by = :updated_by'];
+        const removeClauses = [];
+        const phone = changes.profile_data?.phone;
+        const current = changes.country !== undefined || typeof phone === 'string'
+            ? await this.getUserItem(userId)
+            : null;
+
+        Object.entries(changes.profile_data || {}).forEach(([field, value], index) => {
+            names['#profile_data'] = 'profile_data';
+            names[`#f${index}`] = field;
+            if (value === null) {
+                removeClauses.push(`#profile_data.#f${index}`);
+            } else {
+                values[`:f${index}`] = value;
+                setClauses.push(`#profile_data.#f${index} = :f${index}`);
+            }
+        });
+
+        if (changes.country !== undefined) {
+            const indexKeys = getTypeCountryIndexKeys({
+                userId,
+                user_type: current.user_type,
+                status: current.status,
+                country: changes.country
+            });
+
+            names['#country'] = 'country';
+            values[':country'] = changes.country;
+            setClauses.push('#country = :country');
+            Object.entries(indexKeys).forEach(([name, value]) => {
+                values[`:${name.toLowerCase()}`] = value;
+                setClauses.push(`${name} = :${name.toLowerCase()}`);
+            });
+        }
+
+        const update = {
+            TableName: this.tableName,
+            Key: marshall({ PK: `USER#${userId}`, SK: 'PROFILE#main' }),
+            UpdateExpression: `SET ${setClauses.join(', ')}` +
+                (removeClauses.length > 0 ? ` REMOVE ${removeClauses.join(', ')}` : ''),
+            ConditionExpression: 'attribute_exists(PK)',
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: marshall(values)
+        };
+        const previousPhone = current?.profile_data?.phone;
+
+        if (typeof phone === 'string' && phone !== previousPhone) {
+            await this.updateUserWithPhone(userId, update, phone, previousPhone);
+            return this.getUser(userId);
+        }
+
+        const item = await logDatabaseOperation(
+            'UPDATE',
+            this.tableName,
+            async () => {
+                try {
+                    const result = await this.dynamodb.send(new UpdateItemCommand({
+                        ...update,
+                        ReturnValues: 'ALL_NEW'
+                    }));
+                    return unmarshall(result.Attributes);
+                } catch (error) {
+                    if (error.name === 'ConditionalCheckFailedException') {
+                        return null;
+                    }
+                    throw error;
+                }
+            },
+            { userId, fields: Object.keys(changes.profile_data || {}), entity: 'user_profile' }
+        );
+
+        if (!item) {
+            throw notFound();
+        }
+        return formatUser(item);
+    }
+
+    /**
+     * Apply a profile update that changes the phone number: reserve the new number and
+     * release the previous one (reservations of legacy profiles may be missing)
+     */
+    async updateUserWithPhone(userId, update, phone, previousPhone) {
+        const ownedByUser = {
+            ConditionExpression: 'attribute_not_exists(PK) OR user_id = :user_id',
+            ExpressionAttributeValues: marshall({ ':user_id': userId })
+        };
+        const transactItems = [
+            { Update: update },
+            {
+                Put: {
+                    TableName: this.tableName,
+                    Item: marshall({
+                        ...getPhoneReservationKey(phone),
+                        user_id: userId,
+                        reserved_at: new Date().toISOString()
+                    }),
+                    ...ownedByUser
+                }
+            }
+        ];
+
+        if (previousPhone) {
+            transactItems.push({
+                Delete: {
+                    TableName: this.tableName,
+                    Key: marshall(getPhoneReservationKey(previousPhone)),
+                    ...ownedByUser
+                }
+            });
+        }
+
+        await logDatabaseOperation(
+            'TRANSACT_WRITE',
+            this.tableName,
+            async () => {
+                try {
+                    await this.dynamodb.send(new TransactWriteItemsCommand({ TransactItems: transactItems }));
+                } catch (error) {
+                    if (error.name !== 'TransactionCanceledException') {
+                        throw error;
+                    }
+                    if (failedCondition(error, 0)) {
+                        throw notFound();
+                    }
+                    throw failedCondition(error, 1)
+                        ? conflict('Phone number already registered')
+                        : conflict('Profile changed concurrently');
+                }
+            },
+            { userId, fields: ['phone'], entity: 'user_profile' }
+        );
+    }
+}
+
+// Singleton instance
+const userRepository = new UserRepository();
+
+module.exports = {
+    UserRepository,
+    userRepository,
+    formatUser,
+    getTypeCountryIndexKeys,
+    USER_TYPES,
+    USER_STATUSES
+};
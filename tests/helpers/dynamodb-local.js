@@ -0,0 +1,132 @@
+// TIR Browser Platform - DynamoDB Local Test Helpers
+// Throwaway tir-auth-main tables on DynamoDB Local (DYNAMODB_ENDPOINT), plus seed profiles and user tokens
+
+const { CreateTableCommand, DeleteTableCommand, PutItemCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall } = require('@aws-sdk/util-dynamodb');
+
+// Suites using DynamoDB Local are skipped unless an endpoint is configured, e.g.
+// docker run -p 8000:8000 amazon/dynamodb-local && DYNAMODB_ENDPOINT=http://localhost:8000 npm test
+const describeWithDynamo = process.env.DYNAMODB_ENDPOINT ? describe : describe.skip;
+
+/**
+ * Point the service at a fresh table name; call before requiring any src module
+ * @param {string} suite - Suite name used in the table name
+ * @returns {string} - Table name
+ */
+function useTestTable(suite) {
+    process.env.AUTH_TABLE_NAME = `tir-auth-test-${suite}-${Date.now()}`;
+    // DynamoDB Local accepts any credentials but the SDK still needs some
+    process.env.AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID || 'local';
+    process.env.AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY || 'local';
+    return process.env.AUTH_TABLE_NAME;
+}
+
+/**
+ * Create the table with the key schema and indexes from dynamodb-schema.md
+ * @param {DynamoDBClient} dynamodb - Client pointed at DynamoDB Local
+ * @param {string} tableName - Table name
+ */
+async function createAuthTable(dynamodb, tableName) {
+    await dynamodb.send(new CreateTableCommand({
+        TableName: tableName,
+        BillingMode: 'PAY_PER_REQUEST',
+        AttributeDefinitions: [
+            { AttributeName: 'PK', AttributeType: 'S' },
+            { AttributeName: 'SK', AttributeType: 'S' },
+            { AttributeName: 'GSI1PK', AttributeType: 'S' },
+            { AttributeName: 'GSI1SK', AttributeType: 'S' },
+            { AttributeName: 'GSI2PK', AttributeType: 'S' },
+            { AttributeName: 'GSI2SK', AttributeType: 'S' },
+            { AttributeName: 'GSI3PK', AttributeType: 'S' },
+            { AttributeName: 'GSI3SK', AttributeType: 'S' }
+        ],
+        KeySchema: [
+            { AttributeName: 'PK', KeyType: 'HASH' },
+            { AttributeName: 'SK', KeyType: 'RANGE' }
+        ],
+        GlobalSecondaryIndexes: [
+            {
+                IndexName: 'GSI1',
+                KeySchema: [
+                    { AttributeName: 'GSI1PK', KeyType: 'HASH' },
+                    { AttributeName: 'GSI1SK', KeyType: 'RANGE' }
+                ],
+                Projection: { ProjectionType: 'ALL' }
+            },
+            {
+                IndexName: 'GSI2',
+                KeySchema: [
+                    { AttributeName: 'GSI2PK', KeyType: 'HASH' },
+                    { AttributeName: 'GSI2SK', KeyType: 'RANGE' }
+                ],
+                Projection: { ProjectionType: 'ALL' }
+            },
+            {
+                IndexName: 'GSI3',
+                KeySchema: [
+                    { AttributeName: 'GSI3PK', KeyType: 'HASH' },
+                    { AttributeName: 'GSI3SK', KeyType: 'RANGE' }
+                ],
+                Projection: { ProjectionType: 'ALL' }
+            }
+        ]
+    }));
+}
+
+async function deleteAuthTable(dynamodb, tableName) {
+    await dynamodb.send(new DeleteTableCommand({ TableName: tableName }));
+}
+
+async function putItems(dynamodb, tableName, items) {
+    for (const item of items) {
+        await dynamodb.send(new PutItemCommand({ TableName: tableName, Item: marshall(item) }));
+    }
+}
+
+/**
+ * USER#<id> / PROFILE#main item of an active user reachable through the Cognito sub index
+ * @param {string} userId - User ID
+ * @param {string} sub - Cognito sub the user signs in with
+ * @param {object} fields - Attributes to set or override, e.g. user_type, country and profile_data
+ */
+function profileItem(userId, sub, fields = {}) {
+    const now = new Date().toISOString();
+    return {
+        PK: `USER#${userId}`,
+        SK: 'PROFILE#main',
+        GSI1PK: `COGNITO#${sub}`,
+        GSI1SK: `USER#${userId}`,
+        user_type: 'INTERNAL',
+        cognito_sub: sub,
+        status: 'ACTIVE',
+        profile_data: { full_name: userId },
+        created_at: now,
+        updated_at: now,
+        ...fields
+    };
+}
+
+/**
+ * User token from the local identity provider
+ * Required on first use, so that useTestTable runs before any src module is loaded
+ * @param {string} sub - Cognito sub
+ * @param {object} claims - Further claims, e.g. email
+ */
+function userToken(sub, claims = {}) {
+    const { localIdentityProvider } = require('../../src/services/local-identity-provider');
+    return localIdentityProvider.issueToken({ sub, ...claims });
+}
+
+// Token of the sub-admin user the suites seed with their admin role
+const adminToken = () => userToken('sub-admin');
+
+module.exports = {
+    describeWithDynamo,
+    useTestTable,
+    createAuthTable,
+    deleteAuthTable,
+    putItems,
+    profileItem,
+    userToken,
+    adminToken
+};
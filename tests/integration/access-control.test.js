@@ -0,0 +1,178 @@
+// TIR Browser Platform - Access Control Integration Tests
+// Runs the guards of the user, role, company, verification and invitation endpoints against mocked repositories,
+// so they are covered without DynamoDB Local
+
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../../src/app');
+const { userToken, adminToken } = require('../helpers/dynamodb-local');
+const { permissionService } = require('../../src/services/permissions');
+const { userRepository } = require('../../src/services/users');
+const { roleRepository } = require('../../src/services/roles');
+const { companyRepository } = require('../../src/services/companies');
+const { invitationRepository } = require('../../src/services/invitations');
+
+describe('Access Control', () => {
+    const profiles = {
+        'sub-admin': { userId: 'usr_admin', user_type: 'INTERNAL', status: 'ACTIVE' },
+        'sub-manager': { userId: 'usr_manager', user_type: 'INTERNAL', status: 'ACTIVE', profile_data: { company_id: 'comp_own' } },
+        'sub-driver': {
+            userId: 'usr_driver',
+            user_type: 'DRIVER',
+            status: 'ACTIVE',
+            country: 'AZ',
+            profile_data: { driver_id: 'D-AZ-240115-X7Y8TU', phone: '+994501234567' }
+        }
+    };
+
+    const userRoles = { usr_admin: ['admin'], usr_manager: ['fleet-manager'] };
+
+    const rolePermissions = {
+        admin: ['role:*', 'user:read', 'user:status', 'company:read'],
+        'fleet-manager': ['company:read'],
+        support: ['company:read'],
+        privacy: ['user:erase']
+    };
+
+    const managerToken = () => userToken('sub-manager');
+    const driverToken = () => userToken('sub-driver');
+
+    beforeEach(() => {
+        // Profiles, roles and companies normally live in DynamoDB
+        jest.spyOn(userRepository, 'getUserByCognitoSub').mockImplementation(async (sub) => profiles[sub] || null);
+        jest.spyOn(permissionService, 'syncGeneration').mockResolvedValue();
+        jest.spyOn(permissionService, 'bumpGeneration').mockResolvedValue();
+        jest.spyOn(permissionService, 'getUserRoles').mockImplementation(async (userId) => userRoles[userId] || []);
+        jest.spyOn(permissionService, 'getRolePermissions').mockImplementation(async (role) => rolePermissions[role] || []);
+        jest.spyOn(roleRepository, 'getRole').mockImplementation(async (roleName) => ({
+            role_name: roleName,
+            permissions: rolePermissions[roleName]
+        }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should not let admins grant roles to themselves or beyond their own permissions', async () => {
+        jest.spyOn(userRepository, 'getUser').mockResolvedValue({ userId: 'usr_staff' });
+        const assignRole = jest.spyOn(roleRepository, 'assignRole').mockImplementation(async (userId, roleName) => ({
+            user_id: userId,
+            role_name: roleName
+        }));
+        const grant = (userId, roleName) => request(app)
+            .put(`/api/users/${userId}/roles/${roleName}`)
+            .set('Authorization', `Bearer ${adminToken()}`);
+
+        const selfGrant = await grant('usr_admin', 'privacy').expect(403);
+        expect(selfGrant.body.error).toBe('Cannot grant roles to yourself');
+
+        const escalation = await grant('usr_staff', 'privacy').expect(403);
+        expect(escalation.body.details).toEqual(['user:erase']);
+        expect(assignRole).not.toHaveBeenCalled();
+
+        await grant('usr_staff', 'support').expect(200);
+        expect(assignRole).toHaveBeenCalledWith('usr_staff', 'support', { assignedBy: 'usr_admin' });
+    });
+
+    test('should only let admins define roles with permissions they hold', async () => {
+        const createRole = jest.spyOn(roleRepository, 'createRole').mockImplementation(async (data) => data);
+        const updateRole = jest.spyOn(roleRepository, 'updateRole');
+
+        await request(app)
+            .post('/api/roles')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ role_name: 'auditor', permissions: ['user:erase'] })
+            .expect(403);
+
+        await request(app)
+            .post('/api/roles')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ role_name: 'auditor', permissions: ['user:read'] })
+            .expect(201);
+
+        // Replacing the privacy permissions would take away ones the admin could not grant back
+        await request(app)
+            .put('/api/roles/privacy')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ permissions: ['user:read'] })
+            .expect(403);
+
+        expect(createRole).toHaveBeenCalledTimes(1);
+        expect(updateRole).not.toHaveBeenCalled();
+    });
+
+    test('should limit company managers to their own company', async () => {
+        const getCompany = jest.spyOn(companyRepository, 'getCompany').mockImplementation(async (companyId) => ({
+            company_id: companyId,
+            company_name: 'Own Logistics'
+        }));
+
+        const denied = await request(app)
+            .get('/api/companies/comp_other')
+            .set('Authorization', `Bearer ${managerToken()}`)
+            .expect(403);
+
+        expect(denied.body.error).toBe('Access limited to your own company');
+        expect(getCompany).not.toHaveBeenCalled();
+
+        const own = await request(app)
+            .get('/api/companies/comp_own')
+            .set('Authorization', `Bearer ${managerToken()}`)
+            .expect(200);
+
+        expect(own.body.data.company_id).toBe('comp_own');
+    });
+
+    test('should check status changes before writing them', async () => {
+        jest.spyOn(userRepository, 'getUserItem').mockResolvedValue({ userId: 'usr_driver', status: 'DEACTIVATED' });
+        const changeStatus = jest.spyOn(userRepository, 'changeStatus');
+        const suspend = (userId, token) => request(app)
+            .post(`/api/users/${userId}/suspend`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ reason: 'Fraud investigation' });
+
+        await suspend('usr_admin', adminToken()).expect(400);
+        await suspend('usr_driver', adminToken()).expect(409);
+        await suspend('usr_admin', driverToken()).expect(403);
+
+        expect(changeStatus).not.toHaveBeenCalled();
+    });
+
+    test('should only let the invited driver accept an invitation', async () => {
+        const secret = crypto.randomBytes(32).toString('base64url');
+        const token = `comp_own.inv_0a1b2c3d.${secret}`;
+        jest.spyOn(invitationRepository, 'getInvitationItem').mockResolvedValue({
+            company_id: 'comp_own',
+            invitation_id: 'inv_0a1b2c3d',
+            channel: 'PHONE',
+            phone: '+994551112233',
+            status: 'PENDING',
+            token_hash: crypto.createHash('sha256').update(secret).digest('hex')
+        });
+        jest.spyOn(userRepository, 'getUser').mockResolvedValue(profiles['sub-driver']);
+        const acceptInvitation = jest.spyOn(invitationRepository, 'acceptInvitation');
+        const accept = (body, authToken = driverToken()) => request(app)
+            .post('/api/invitations/accept')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send(body);
+
+        await accept({ token: 'not-a-token' }).expect(400);
+        await accept({ token: `comp_own.inv_0a1b2c3d.${'A'.repeat(43)}` }).expect(400);
+        await accept({ token }, managerToken()).expect(403);
+
+        const otherContact = await accept({ token }).expect(403);
+        expect(otherContact.body.error).toBe('Invitation was sent to another contact');
+        expect(acceptInvitation).not.toHaveBeenCalled();
+    });
+
+    test('should only let providers submit a business verification', async () => {
+        const response = await request(app)
+            .post('/api/verifications')
+            .set('Authorization', `Bearer ${driverToken()}`)
+            .send({ tax_id: 'TR-1234567890' })
+            .expect(403);
+
+        expect(response.body.error).toBe('Only providers can request business verification');
+    });
+});
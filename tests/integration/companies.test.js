@@ -0,0 +1,219 @@
+// TIR Browser Platform - Company API Integration Tests
+// Runs /api/companies against DynamoDB Local (skipped unless DYNAMODB_ENDPOINT is set)
+
+const {
+    describeWithDynamo,
+    useTestTable,
+    createAuthTable,
+    deleteAuthTable,
+    putItems,
+    profileItem,
+    userToken,
+    adminToken
+} = require('../helpers/dynamodb-local');
+
+const tableName = useTestTable('companies');
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { getDynamoClient } = require('../../src/services/dynamodb');
+
+describeWithDynamo('Company API', () => {
+    const dynamodb = getDynamoClient();
+    const driverId = 'D-AZ-240115-X7Y8TU';
+
+    const managerToken = () => userToken('sub-manager');
+    const driverToken = () => userToken('sub-driver', { email: 'driver@example.com' });
+
+    beforeAll(async () => {
+        await createAuthTable(dynamodb, tableName);
+        await putItems(dynamodb, tableName, [
+            profileItem('usr_admin', 'sub-admin', { profile_data: { full_name: 'Admin User' } }),
+            profileItem('usr_manager', 'sub-manager', { profile_data: { full_name: 'Fleet Manager', company_id: 'comp_own' } }),
+            profileItem('usr_driver', 'sub-driver', {
+                user_type: 'DRIVER',
+                country: 'AZ',
+                profile_data: { full_name: 'John Doe', driver_id: 'D-AZ-240301-INV1TE', phone: '+994501234567' }
+            }),
+            { PK: 'USER#usr_admin', SK: 'ROLE#company-admin', role_name: 'company-admin' },
+            { PK: 'USER#usr_manager', SK: 'ROLE#fleet-manager', role_name: 'fleet-manager' },
+            { PK: 'ROLE#company-admin', SK: 'DEFINITION#main', role_name: 'company-admin', permissions: ['company:*'] },
+            {
+                PK: 'ROLE#fleet-manager',
+                SK: 'DEFINITION#main',
+                role_name: 'fleet-manager',
+                permissions: ['company:read', 'company:update', 'company:manage_drivers']
+            },
+            {
+                PK: 'COMPANY#comp_own',
+                SK: 'PROFILE#main',
+                company_type: 'SHIPPING',
+                company_name: 'Own Logistics',
+                license_number: 'LOG1',
+                country: 'AZ'
+            },
+            { PK: 'COMPANY#comp_other', SK: 'PROFILE#main', company_type: 'SHIPPING', company_name: 'Other Logistics', license_number: 'LOG2' }
+        ]);
+    });
+
+    afterAll(async () => {
+        await deleteAuthTable(dynamodb, tableName);
+    });
+
+    test('should create, update and delete a company', async () => {
+        const created = await request(app)
+            .post('/api/companies')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ company_type: 'PROVIDER', company_name: 'Global Trade Corp', tax_id: 'TAX789012' })
+            .expect(201);
+
+        const { companyId } = created.body.data;
+        expect(companyId).toMatch(/^comp_/);
+
+        const updated = await request(app)
+            .patch(`/api/companies/${companyId}`)
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ certifications: ['ISO9001'] })
+            .expect(200);
+
+        expect(updated.body.data).toMatchObject({ company_name: 'Global Trade Corp', certifications: ['ISO9001'] });
+
+        await request(app)
+            .delete(`/api/companies/${companyId}`)
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .expect(200);
+
+        await request(app)
+            .get(`/api/companies/${companyId}`)
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .expect(404);
+    });
+
+    test('should attach, list and detach drivers', async () => {
+        await request(app)
+            .put(`/api/companies/comp_own/drivers/${driverId}`)
+            .set('Authorization', `Bearer ${managerToken()}`)
+            .send({ employment_type: 'FULL_TIME', start_date: '2024-01-01' })
+            .expect(200);
+
+        const listed = await request(app)
+            .get('/api/companies/comp_own/drivers')
+            .set('Authorization', `Bearer ${managerToken()}`)
+            .expect(200);
+
+        expect(listed.body.data).toEqual([
+            expect.objectContaining({ driver_id: driverId, employment_type: 'FULL_TIME', status: 'ACTIVE' })
+        ]);
+
+        await request(app)
+            .delete('/api/companies/comp_own')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .expect(409);
+
+        await request(app)
+            .delete(`/api/companies/comp_own/drivers/${driverId}`)
+            .set('Authorization', `Bearer ${managerToken()}`)
+            .expect(200);
+    });
+
+    test('should limit company admins to their own company', async () => {
+        await request(app)
+            .get('/api/companies/comp_other')
+            .set('Authorization', `Bearer ${managerToken()}`)
+            .expect(403);
+
+        await request(app)
+            .put(`/api/companies/comp_other/drivers/${driverId}`)
+            .set('Authorization', `Bearer ${managerToken()}`)
+            .send({ employment_type: 'FULL_TIME', start_date: '2024-01-01' })
+            .expect(403);
+    });
+
+    test('should invite a driver who accepts once', async () => {
+        const invited = await request(app)
+            .post('/api/companies/comp_own/invitations')
+            .set('Authorization', `Bearer ${managerToken()}`)
+            .send({ phone: '050 123 45 67', employment_type: 'CONTRACTOR', start_date: '2024-03-01' })
+            .expect(201);
+
+        const { invitation_id: invitationId, invite_token: token } = invited.body.data;
+        expect(invited.body.data).toMatchObject({ channel: 'PHONE', phone: '+994501234567', status: 'PENDING' });
+
+        const pending = await request(app)
+            .get('/api/companies/comp_own/invitations')
+            .set('Authorization', `Bearer ${managerToken()}`)
+            .expect(200);
+        expect(pending.body.data.map(invitation => invitation.invitation_id)).toEqual([invitationId]);
+        expect(pending.body.data[0].invite_token).toBeUndefined();
+
+        const accepted = await request(app)
+            .post('/api/invitations/accept')
+            .set('Authorization', `Bearer ${driverToken()}`)
+            .send({ token })
+            .expect(200);
+        expect(accepted.body.data).toMatchObject({ companyId: 'comp_own', driver_id: 'D-AZ-240301-INV1TE', status: 'ACTIVE' });
+
+        await request(app)
+            .post('/api/invitations/accept')
+            .set('Authorization', `Bearer ${driverToken()}`)
+            .send({ token })
+            .expect(409);
+
+        const me = await request(app)
+            .get('/api/users/me')
+            .set('Authorization', `Bearer ${driverToken()}`)
+            .expect(200);
+        expect(me.body.data.profile_data.company_id).toBe('comp_own');
+
+        await request(app)
+            .delete(`/api/companies/comp_own/invitations/${invitationId}`)
+            .set('Authorization', `Bearer ${managerToken()}`)
+            .expect(409);
+
+        await request(app)
+            .delete('/api/companies/comp_own/drivers/D-AZ-240301-INV1TE')
+            .set('Authorization', `Bearer ${managerToken()}`)
+            .expect(200);
+    });
+
+    test('should revoke pending invitations and only let the invited contact accept', async () => {
+        const invited = await request(app)
+            .post('/api/companies/comp_own/invitations')
+            .set('Authorization', `Bearer ${managerToken()}`)
+            .send({ email: 'someone-else@example.com', employment_type: 'FULL_TIME', start_date: '2024-03-01' })
+            .expect(201);
+
+        const { invitation_id: invitationId, invite_token: token } = invited.body.data;
+
+        await request(app)
+            .post('/api/invitations/accept')
+            .set('Authorization', `Bearer ${driverToken()}`)
+            .send({ token })
+            .expect(403);
+
+        await request(app)
+            .delete(`/api/companies/comp_own/invitations/${invitationId}`)
+            .set('Authorization', `Bearer ${managerToken()}`)
+            .expect(200);
+
+        const revoked = await request(app)
+            .get('/api/companies/comp_own/invitations?status=REVOKED')
+            .set('Authorization', `Bearer ${managerToken()}`)
+            .expect(200);
+        expect(revoked.body.data).toEqual([expect.objectContaining({ invitation_id: invitationId, status: 'REVOKED' })]);
+
+        await request(app)
+            .post('/api/invitations/accept')
+            .set('Authorization', `Bearer ${driverToken()}`)
+            .send({ token: 'not-a-token' })
+            .expect(400);
+    });
+
+    test('should reject malformed driver IDs', async () => {
+        await request(app)
+            .put('/api/companies/comp_own/drivers/drv_456789123')
+            .set('Authorization', `Bearer ${managerToken()}`)
+            .send({ employment_type: 'FULL_TIME', start_date: '2024-01-01' })
+            .expect(400);
+    });
+});
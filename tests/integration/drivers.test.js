@@ -0,0 +1,301 @@
+// TIR Browser Platform - Driver Registration API Integration Tests
+// Exercises driver registration, its review endpoints and the country driver listing with tokens from the local identity provider
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { localIdentityProvider } = require('../../src/services/local-identity-provider');
+const { permissionService } = require('../../src/services/permissions');
+const { userRepository } = require('../../src/services/users');
+const { idService } = require('../../src/services/ids');
+const metricsService = require('../../src/services/metrics');
+const { serviceAuth } = require('../../src/middleware/auth');
+const { orderRepository } = require('../../src/services/orders');
+const { driverRepository } = require('../../src/services/drivers');
+const { companyRepository } = require('../../src/services/companies');
+
+describe('Driver Registration API', () => {
+    const reviewerToken = () => localIdentityProvider.issueToken({ sub: 'OPS-1', groups: ['ops'] });
+
+    const registration = {
+        fullName: 'John Doe',
+        phoneNumber: '+994501234567',
+        vehicleDetails: { type: 'truck', capacity: '20 tons', licensePlate: '10-BB-123' },
+        documents: [
+            { type: 'DRIVER_LICENSE', number: 'DL123456', issuingCountry: 'AZ', expiryDate: '2099-12-31' },
+            { type: 'TIR_CERTIFICATE', number: 'TIR-778812', issuingCountry: 'AZ', expiryDate: '2099-06-30' },
+            { type: 'VEHICLE_REGISTRATION', number: 'VR-10BB123', issuingCountry: 'AZ', expiryDate: '2099-01-15' }
+        ]
+    };
+
+    // YYYY-MM-DD a number of days from today
+    const daysFromToday = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    // Phone numbers are unique across drivers
+    let phoneSequence = 0;
+    const nextPhoneNumber = () => `+99450${String(++phoneSequence).padStart(7, '0')}`;
+
+    const submit = (body) => request(app)
+        .post('/api/drivers')
+        .set('Authorization', `Bearer ${reviewerToken()}`)
+        .send(body);
+
+    const register = async (body) => {
+        const response = await submit({ ...body, phoneNumber: nextPhoneNumber() }).expect(201);
+        return response.body.data.id;
+    };
+
+    const decide = (driverId, action, body = {}) => request(app)
+        .post(`/api/drivers/${driverId}/${action}`)
+        .set('Authorization', `Bearer ${reviewerToken()}`)
+        .send(body);
+
+    beforeEach(() => {
+        jest.spyOn(userRepository, 'getUserByCognitoSub').mockResolvedValue({
+            userId: 'usr_ops1',
+            user_type: 'INTERNAL',
+            status: 'ACTIVE',
+            country: 'AZ'
+        });
+        jest.spyOn(permissionService, 'syncGeneration').mockResolvedValue();
+        jest.spyOn(permissionService, 'getUserRoles').mockResolvedValue([]);
+        jest.spyOn(permissionService, 'getRolePermissions').mockResolvedValue(['driver:*']);
+        jest.spyOn(idService, 'reserve').mockResolvedValue(true);
+        jest.spyOn(metricsService, 'recordBusinessEvent');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        permissionService.clear();
+    });
+
+    test('should activate a complete registration', async () => {
+        const driverId = await register(registration);
+
+        const response = await decide(driverId, 'approve').expect(200);
+
+        expect(response.body.data.status).toBe('ACTIVE');
+        expect(response.body.data.registrationHistory).toHaveLength(1);
+        expect(metricsService.recordBusinessEvent).toHaveBeenCalledWith('DRIVER_ACTIVATED', 'success');
+
+        await decide(driverId, 'reject', { reason: 'Too late' }).expect(409);
+    });
+
+    test('should refuse to activate a driver with an expired license', async () => {
+        const driverId = await register({
+            ...registration,
+            documents: [{ ...registration.documents[0], expiryDate: '2020-01-31' }, ...registration.documents.slice(1)]
+        });
+
+        const response = await decide(driverId, 'approve').expect(409);
+
+        expect(response.body.details).toEqual(['Driver license expired on 2020-01-31']);
+    });
+
+    test('should reject malformed documents', async () => {
+        const response = await submit({
+            ...registration,
+            phoneNumber: nextPhoneNumber(),
+            documents: [{ type: 'DRIVER_LICENSE', number: 'DL1', issuingCountry: 'AZ', expiryDate: '31.12.2025' }]
+        }).expect(400);
+
+        expect(response.body.details).toEqual(['documents[0].expiryDate must be a date (YYYY-MM-DD)']);
+    });
+
+    test('should list documents expiring within the requested days', async () => {
+        const expiringSoon = { ...registration.documents[1], number: 'TIR-SOON', expiryDate: daysFromToday(5) };
+        const driverId = await register({ ...registration, documents: [registration.documents[0], expiringSoon] });
+
+        const expiring = await request(app)
+            .get('/api/drivers/documents/expiring?days=10&country=az')
+            .set('Authorization', `Bearer ${reviewerToken()}`)
+            .expect(200);
+
+        expect(expiring.body.data).toEqual(expect.arrayContaining([
+            expect.objectContaining({ driverId, type: 'TIR_CERTIFICATE', number: 'TIR-SOON', mandatory: true, daysUntilExpiry: 5 })
+        ]));
+        expect(expiring.body.data.every(document => document.daysUntilExpiry <= 10)).toBe(true);
+
+        const own = await request(app)
+            .get(`/api/drivers/${driverId}/documents?days=10`)
+            .set('Authorization', `Bearer ${reviewerToken()}`)
+            .expect(200);
+
+        expect(own.body.data.documents.map(document => document.status)).toEqual(['VALID', 'EXPIRING']);
+        expect(own.body.data.prioritizationExclusion).toBeNull();
+
+        await request(app)
+            .get('/api/drivers/documents/expiring?days=1000')
+            .set('Authorization', `Bearer ${reviewerToken()}`)
+            .expect(400);
+    });
+
+    test('should send a registration back for changes until it is resubmitted', async () => {
+        const driverId = await register({ ...registration, vehicleDetails: { type: 'truck' } });
+
+        await decide(driverId, 'request-changes').expect(400);
+        await decide(driverId, 'request-changes', { reason: 'Vehicle details missing' }).expect(200);
+        await decide(driverId, 'approve').expect(409);
+
+        const updated = await request(app)
+            .patch(`/api/drivers/${driverId}`)
+            .set('Authorization', `Bearer ${reviewerToken()}`)
+            .send({ vehicleDetails: registration.vehicleDetails })
+            .expect(200);
+
+        expect(updated.body.data.status).toBe('REGISTRATION_PENDING');
+        await decide(driverId, 'approve').expect(200);
+    });
+
+    test('should send an active driver back to review when mandatory documents change', async () => {
+        const driverId = await register(registration);
+        await decide(driverId, 'approve').expect(200);
+
+        const update = (body) => request(app)
+            .patch(`/api/drivers/${driverId}`)
+            .set('Authorization', `Bearer ${reviewerToken()}`)
+            .send(body)
+            .expect(200);
+
+        const withAdr = [...registration.documents, { type: 'ADR_CERTIFICATE', number: 'ADR-1', issuingCountry: 'AZ', expiryDate: '2099-01-01' }];
+        expect((await update({ vehicleDetails: { ...registration.vehicleDetails, capacity: '22 tons' } })).body.data.status).toBe('ACTIVE');
+        expect((await update({ documents: withAdr })).body.data.status).toBe('ACTIVE');
+
+        const renewed = await update({
+            documents: [{ ...registration.documents[0], number: 'DL654321' }, ...registration.documents.slice(1)]
+        });
+
+        expect(renewed.body.data).toMatchObject({ status: 'REGISTRATION_PENDING', statusReason: 'Mandatory documents changed' });
+        expect(renewed.body.data.registrationHistory.map(entry => entry.toStatus)).toEqual(['ACTIVE', 'REGISTRATION_PENDING']);
+        await decide(driverId, 'approve').expect(200);
+    });
+
+    test('should only let the driver, their company or internal users update a registration', async () => {
+        const driverId = await register(registration);
+        // A new subject per caller so the token cache never returns the previous profile
+        let callers = 0;
+        const asUser = (profile) => {
+            userRepository.getUserByCognitoSub.mockResolvedValue({ userId: 'usr_other', status: 'ACTIVE', country: 'AZ', ...profile });
+            return request(app)
+                .patch(`/api/drivers/${driverId}`)
+                .set('Authorization', `Bearer ${localIdentityProvider.issueToken({ sub: `OTHER-${++callers}`, groups: ['fleet'] })}`)
+                .send({ fullName: 'John Smith' });
+        };
+        jest.spyOn(companyRepository, 'getEmployment')
+            .mockImplementation(async (companyId) => (companyId === 'comp_789' ? { companyId, driver_id: driverId } : null));
+
+        await asUser({ user_type: 'DRIVER', profile_data: { driver_id: 'D-AZ-240115-X7Y8TU', company_id: 'comp_789' } }).expect(403);
+        await asUser({ user_type: 'PROVIDER', profile_data: { company_id: 'comp_456' } }).expect(403);
+        await asUser({ user_type: 'PROVIDER', profile_data: { company_id: 'comp_789' } }).expect(200);
+        await asUser({ user_type: 'DRIVER', profile_data: { driver_id: driverId } }).expect(200);
+    });
+
+    test('should reject a registration with a reason', async () => {
+        const driverId = await register(registration);
+
+        const response = await decide(driverId, 'reject', { reason: 'License could not be verified' }).expect(200);
+
+        expect(response.body.data).toMatchObject({ status: 'REJECTED', statusReason: 'License could not be verified' });
+        expect(metricsService.recordBusinessEvent).toHaveBeenCalledWith('DRIVER_REJECTED', 'success');
+    });
+
+    test('should normalize phone numbers and reject invalid or duplicate ones', async () => {
+        const created = await submit({ ...registration, fullName: '  Ali   Aliyev ', phoneNumber: '050 999 88 77' }).expect(201);
+
+        expect(created.body.data).toMatchObject({ fullName: 'Ali Aliyev', phoneNumber: '+994509998877' });
+
+        const duplicate = await submit({ ...registration, phoneNumber: '+994 50 999 88 77' }).expect(409);
+        expect(duplicate.body.error).toBe('Phone number already registered');
+
+        const invalid = await submit({ ...registration, fullName: 'R2-D2', phoneNumber: '+905321234567' }).expect(400);
+        expect(invalid.body.details).toEqual([
+            'fullName must contain only letters, spaces, apostrophes, hyphens and periods',
+            'phoneNumber must be a valid AZ phone number'
+        ]);
+    });
+
+    test('should return 404 for unknown drivers', async () => {
+        await decide('D-AZ-240115-X7Y8TU', 'approve').expect(404);
+    });
+
+    test('should list drivers of a country page by page', async () => {
+        jest.spyOn(userRepository, 'listUsersByTypeAndCountry').mockResolvedValue({
+            users: [{ userId: 'usr_drv1', user_type: 'DRIVER', status: 'ACTIVE', country: 'AZ' }],
+            nextCursor: 'next-page'
+        });
+
+        const response = await request(app)
+            .get('/api/drivers?country=az&status=ACTIVE&limit=1&cursor=page-2')
+            .set('Authorization', `Bearer ${reviewerToken()}`)
+            .expect(200);
+
+        expect(response.body).toMatchObject({ count: 1, nextCursor: 'next-page' });
+        expect(userRepository.listUsersByTypeAndCountry).toHaveBeenCalledWith('DRIVER', 'AZ', {
+            status: 'ACTIVE',
+            limit: 1,
+            cursor: 'page-2'
+        });
+    });
+
+    test('should reject driver listings without a valid country, status or limit', async () => {
+        const list = (query) => request(app)
+            .get(`/api/drivers${query}`)
+            .set('Authorization', `Bearer ${reviewerToken()}`);
+
+        await list('').expect(400);
+        await list('?country=Azerbaijan').expect(400);
+        await list('?country=AZ&status=PENDING').expect(400);
+        await list('?country=AZ&limit=500').expect(400);
+    });
+
+    test('should only prioritize drivers with an active registration', async () => {
+        const activeId = await register(registration);
+        const expiredId = await register(registration);
+        await decide(activeId, 'approve').expect(200);
+        await decide(expiredId, 'approve').expect(200);
+        await driverRepository.updateDriver(expiredId, {
+            documents: registration.documents.map(document => document.type === 'TIR_CERTIFICATE'
+                ? { ...document, expiryDate: '2024-05-31' }
+                : document)
+        });
+        const order = await orderRepository.createOrder({ providerId: 'PROV-1', pickupCountry: 'AZ', status: 'ORDER_CREATED' });
+
+        // A self-onboarded driver profile with a driver ID but no registration
+        const profile = (userId, driverId) => ({ userId, user_type: 'DRIVER', status: 'ACTIVE', country: 'AZ', profile_data: { driver_id: driverId } });
+        jest.spyOn(userRepository, 'listUsersByTypeAndCountry').mockResolvedValue({
+            users: [profile('usr_new', 'D-AZ-240115-X7Y8TU'), profile('usr_active', activeId), profile('usr_expired', expiredId)],
+            nextCursor: null
+        });
+        jest.spyOn(serviceAuth, 'verifyToken').mockResolvedValue({
+            service: 'order-service',
+            aud: 'auth',
+            scope: 'drivers:prioritize',
+            jti: 'jti-prioritization',
+            exp: Math.floor(Date.now() / 1000) + 300
+        });
+
+        // The exclusion is recorded after the response; resolves once it has been written
+        const updateDriver = driverRepository.updateDriver.bind(driverRepository);
+        const recorded = new Promise((resolve, reject) => {
+            jest.spyOn(driverRepository, 'updateDriver').mockImplementation((...args) => {
+                const update = updateDriver(...args);
+                update.then(resolve, reject);
+                return update;
+            });
+        });
+
+        const response = await request(app)
+            .get(`/api/drivers/prioritization/${order.id}`)
+            .set('X-Service-Token', 'service-token')
+            .expect(200);
+
+        expect(response.body.data.eligibleDrivers.map(driver => driver.id)).toEqual([activeId]);
+        expect(response.body.data.excludedDrivers).toEqual([
+            { id: expiredId, reasons: ['TIR certificate expired on 2024-05-31'] }
+        ]);
+
+        await recorded;
+        // Only the newly excluded driver changed
+        expect(driverRepository.updateDriver).toHaveBeenCalledTimes(1);
+        expect((await driverRepository.getDriver(expiredId)).prioritizationExclusion).toMatchObject({ orderId: order.id });
+    });
+});
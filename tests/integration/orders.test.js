@@ -0,0 +1,367 @@
+// TIR Browser Platform - Orders API Integration Tests
+// Exercises /api/orders end to end with RS256 tokens from the local identity provider
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../../src/app');
+const { localIdentityProvider } = require('../../src/services/local-identity-provider');
+const { permissionService } = require('../../src/services/permissions');
+const { userRepository } = require('../../src/services/users');
+const { driverRepository } = require('../../src/services/drivers');
+const { tokenDenylist } = require('../../src/services/token-denylist');
+
+describe('Orders API', () => {
+    const providerToken = () => localIdentityProvider.issueToken({
+        sub: 'PROV-1',
+        email: 'provider@example.com',
+        groups: ['provider']
+    });
+
+    const newOrder = {
+        providerId: 'PROV-1',
+        cargoType: 'general',
+        pickupLocation: 'Berlin',
+        destinationLocation: 'Warsaw',
+        estimatedPrice: 1200
+    };
+
+    const profiles = {
+        'PROV-1': { userId: 'usr_prov1', user_type: 'PROVIDER', status: 'ACTIVE', country: 'TR' },
+        'DRV-1': { userId: 'usr_drv1', user_type: 'DRIVER', status: 'ACTIVE', country: 'AZ' },
+        'DRV-2': { userId: 'usr_drv2', user_type: 'DRIVER', status: 'SUSPENDED', country: 'AZ' },
+        'DRV-3': {
+            userId: 'usr_drv3',
+            user_type: 'DRIVER',
+            status: 'ACTIVE',
+            country: 'AZ',
+            profile_data: { driver_id: 'D-AZ-240115-X7Y8TU' }
+        },
+        'PROV-2': {
+            userId: 'usr_prov2',
+            user_type: 'PROVIDER',
+            status: 'ACTIVE',
+            country: 'TR',
+            profile_data: { business_verification: 'VERIFIED' }
+        }
+    };
+
+    beforeEach(() => {
+        // Profiles and role data normally live in DynamoDB
+        jest.spyOn(userRepository, 'getUserByCognitoSub').mockImplementation(async (sub) => profiles[sub] || null);
+        jest.spyOn(permissionService, 'syncGeneration').mockResolvedValue();
+        jest.spyOn(permissionService, 'getUserRoles').mockResolvedValue([]);
+        jest.spyOn(permissionService, 'getRolePermissions').mockImplementation(async (role) => ({
+            provider: ['order:create', 'order:read', 'order:update'],
+            driver: ['order:update']
+        })[role] || []);
+    });
+
+    // Drivers read the orders assigned to them
+    const grantDriverOrderRead = () => permissionService.getRolePermissions.mockImplementation(async (role) => ({
+        provider: ['order:create', 'order:read', 'order:update'],
+        driver: ['order:read', 'order:update']
+    })[role] || []);
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        permissionService.clear();
+        delete process.env.PROVIDER_VERIFICATION_REQUIRED;
+    });
+
+    test('should create and list orders for an authenticated provider', async () => {
+        const token = providerToken();
+
+        const created = await request(app)
+            .post('/api/orders')
+            .set('Authorization', `Bearer ${token}`)
+            .send(newOrder)
+            .expect(201);
+
+        expect(created.body.success).toBe(true);
+        expect(created.body.data.status).toBe('ORDER_CREATED');
+
+        const listed = await request(app)
+            .get('/api/orders')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+
+        expect(listed.body.data.map(order => order.id)).toContain(created.body.data.id);
+        expect(permissionService.getUserRoles).toHaveBeenCalledWith('usr_prov1');
+    });
+
+    test('should create orders for the calling provider whatever providerId the body names', async () => {
+        const created = await request(app)
+            .post('/api/orders')
+            .set('Authorization', `Bearer ${providerToken()}`)
+            .send({ ...newOrder, providerId: 'PROV-2' })
+            .expect(201);
+
+        expect(created.body.data.providerId).toBe('PROV-1');
+
+        const otherProviderToken = localIdentityProvider.issueToken({ sub: 'PROV-2', groups: ['provider'] });
+        await request(app)
+            .get(`/api/orders/${created.body.data.id}/timeline`)
+            .set('Authorization', `Bearer ${otherProviderToken}`)
+            .expect(403);
+    });
+
+    test('should list orders one page at a time', async () => {
+        const token = providerToken();
+        const created = [];
+        for (let i = 0; i < 3; i++) {
+            const response = await request(app).post('/api/orders').set('Authorization', `Bearer ${token}`).send(newOrder).expect(201);
+            created.push(response.body.data.id);
+        }
+
+        const listed = [];
+        let cursor;
+        do {
+            const page = await request(app)
+                .get('/api/orders')
+                .query({ limit: 2, ...(cursor ? { cursor } : {}) })
+                .set('Authorization', `Bearer ${token}`)
+                .expect(200);
+
+            expect(page.body.count).toBeLessThanOrEqual(2);
+            listed.push(...page.body.data.map(order => order.id));
+            cursor = page.body.nextCursor;
+        } while (cursor);
+
+        expect(listed).toEqual(expect.arrayContaining(created));
+        expect(new Set(listed).size).toBe(listed.length);
+
+        await request(app).get('/api/orders?limit=0').set('Authorization', `Bearer ${token}`).expect(400);
+        await request(app).get('/api/orders?cursor=not-a-cursor').set('Authorization', `Bearer ${token}`).expect(400);
+    });
+
+    test('should only let verified providers create orders when verification is required', async () => {
+        process.env.PROVIDER_VERIFICATION_REQUIRED = 'true';
+        jest.spyOn(userRepository, 'getUser').mockImplementation(async (userId) =>
+            Object.values(profiles).find(profile => profile.userId === userId));
+
+        const response = await request(app)
+            .post('/api/orders')
+            .set('Authorization', `Bearer ${localIdentityProvider.issueToken({ sub: 'PROV-1', groups: ['provider'] })}`)
+            .send(newOrder)
+            .expect(403);
+
+        expect(response.body.error).toBe('Provider business verification required');
+
+        await request(app)
+            .post('/api/orders')
+            .set('Authorization', `Bearer ${localIdentityProvider.issueToken({ sub: 'PROV-2', groups: ['provider'] })}`)
+            .send(newOrder)
+            .expect(201);
+    });
+
+    test('should re-read the verification a cached provider was authenticated with', async () => {
+        process.env.PROVIDER_VERIFICATION_REQUIRED = 'true';
+        const token = localIdentityProvider.issueToken({ sub: 'PROV-2', email: 'revoked@example.com', groups: ['provider'] });
+        // The verification was revoked on another task since this provider's profile was cached
+        jest.spyOn(userRepository, 'getUser').mockResolvedValue({
+            ...profiles['PROV-2'],
+            profile_data: { business_verification: 'REJECTED' }
+        });
+
+        const response = await request(app)
+            .post('/api/orders')
+            .set('Authorization', `Bearer ${token}`)
+            .send(newOrder)
+            .expect(403);
+
+        expect(response.body.business_verification).toBe('REJECTED');
+
+        userRepository.getUser.mockRejectedValue(new Error('DynamoDB unavailable'));
+        await request(app).post('/api/orders').set('Authorization', `Bearer ${token}`).send(newOrder).expect(503);
+    });
+
+    test('should move orders through their lifecycle', async () => {
+        const token = providerToken();
+        const driverToken = localIdentityProvider.issueToken({ sub: 'DRV-3', groups: ['driver'] });
+        await driverRepository.createDriver({ id: 'D-AZ-240115-X7Y8TU', country: 'AZ', status: 'ACTIVE' });
+
+        const created = await request(app)
+            .post('/api/orders')
+            .set('Authorization', `Bearer ${token}`)
+            .send(newOrder)
+            .expect(201);
+        const updateStatus = (body, bearer = token) => request(app)
+            .put(`/api/orders/${created.body.data.id}/status`)
+            .set('Authorization', `Bearer ${bearer}`)
+            .send(body);
+
+        const illegal = await updateStatus({ status: 'DELIVERED' }).expect(409);
+        expect(illegal.body).toMatchObject({
+            error: 'Cannot change order status from ORDER_CREATED to DELIVERED',
+            currentStatus: 'ORDER_CREATED',
+            allowedStatuses: ['OFFERED', 'CANCELLED']
+        });
+        await updateStatus({ status: '' }).expect(400);
+
+        await updateStatus({ status: 'OFFERED' }).expect(200);
+        const missingDriver = await updateStatus({ status: 'ASSIGNED' }).expect(400);
+        expect(missingDriver.body.details).toEqual(['driverId must be a driver ID']);
+        await updateStatus({ status: 'ASSIGNED', driverId: 'D-AZ-240115-X7Y8TU' }).expect(200);
+
+        // Only the assigned driver reports progress
+        await updateStatus({ status: 'PICKED_UP' }).expect(403);
+        const pickedUp = await updateStatus({ status: 'PICKED_UP' }, driverToken).expect(200);
+        expect(pickedUp.body.data).toMatchObject({ status: 'PICKED_UP', driverId: 'D-AZ-240115-X7Y8TU' });
+
+        // Providers cannot cancel once the cargo is on its way
+        await updateStatus({ status: 'CANCELLED', reason: 'No longer needed' }).expect(403);
+    });
+
+    test('should keep a timeline of every order change', async () => {
+        const token = providerToken();
+        const driverToken = localIdentityProvider.issueToken({ sub: 'DRV-3', groups: ['driver'] });
+        grantDriverOrderRead();
+        if (!await driverRepository.getDriver('D-AZ-240115-X7Y8TU')) {
+            await driverRepository.createDriver({ id: 'D-AZ-240115-X7Y8TU', country: 'AZ', status: 'ACTIVE' });
+        }
+
+        const created = await request(app)
+            .post('/api/orders')
+            .set('Authorization', `Bearer ${token}`)
+            .send(newOrder)
+            .expect(201);
+        const orderId = created.body.data.id;
+        const updateStatus = (body, bearer, correlationId) => request(app)
+            .put(`/api/orders/${orderId}/status`)
+            .set('Authorization', `Bearer ${bearer}`)
+            .set('X-Correlation-ID', correlationId)
+            .send(body)
+            .expect(200);
+        const getTimeline = (bearer) => request(app)
+            .get(`/api/orders/${orderId}/timeline`)
+            .set('Authorization', `Bearer ${bearer}`);
+
+        await updateStatus({ status: 'OFFERED' }, token, 'cid-1705314600000-offer0001');
+        await updateStatus({ status: 'ASSIGNED', driverId: 'D-AZ-240115-X7Y8TU' }, token, 'cid-1705314600000-assign001');
+        await updateStatus({ status: 'PICKED_UP' }, driverToken, 'cid-1705314600000-pickup001');
+        await updateStatus({ status: 'AT_BORDER', borderCrossing: 'Red Bridge', notes: 'Queue at customs' }, driverToken, 'cid-1705314600000-border001');
+
+        // The assigned driver sees the same timeline as the provider
+        await getTimeline(driverToken).expect(200);
+        const response = await getTimeline(token).expect(200);
+        const statusChanges = response.body.data.filter(entry => entry.action === 'STATUS_CHANGED');
+
+        expect(response.body.data[0]).toMatchObject({ action: 'CREATED', previousStatus: null, newStatus: 'ORDER_CREATED', actorId: 'PROV-1' });
+        expect(statusChanges.map(entry => [entry.previousStatus, entry.newStatus])).toEqual([
+            ['ORDER_CREATED', 'OFFERED'],
+            ['OFFERED', 'ASSIGNED'],
+            ['ASSIGNED', 'PICKED_UP'],
+            ['PICKED_UP', 'AT_BORDER']
+        ]);
+        expect(statusChanges[1]).toMatchObject({ changes: { driverId: 'D-AZ-240115-X7Y8TU' }, correlationId: 'cid-1705314600000-assign001' });
+        expect(statusChanges[3]).toMatchObject({
+            actorId: 'DRV-3',
+            actorType: 'DRIVER',
+            notes: 'Queue at customs',
+            changes: { borderCrossing: 'Red Bridge' },
+            correlationId: 'cid-1705314600000-border001'
+        });
+        expect(response.body.count).toBe(response.body.data.length);
+    });
+
+    test('should limit order timelines to the provider and assigned driver', async () => {
+        grantDriverOrderRead();
+        const created = await request(app)
+            .post('/api/orders')
+            .set('Authorization', `Bearer ${providerToken()}`)
+            .send(newOrder)
+            .expect(201);
+
+        await request(app)
+            .get(`/api/orders/${created.body.data.id}/timeline`)
+            .set('Authorization', `Bearer ${localIdentityProvider.issueToken({ sub: 'DRV-3', groups: ['driver'] })}`)
+            .expect(403);
+        await request(app)
+            .get('/api/orders/ORD-999999/timeline')
+            .set('Authorization', `Bearer ${providerToken()}`)
+            .expect(404);
+    });
+
+    test('should require a bearer token', async () => {
+        await request(app).get('/api/orders').expect(401);
+    });
+
+    test('should reject tokens from untrusted issuers', async () => {
+        const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const token = jwt.sign({ sub: 'intruder' }, privateKey, {
+            algorithm: 'RS256',
+            keyid: 'other',
+            issuer: 'https://issuer.example.com',
+            expiresIn: 300
+        });
+
+        await request(app)
+            .get('/api/orders')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(403);
+    });
+
+    test('should reject users without the required permission', async () => {
+        const token = localIdentityProvider.issueToken({ sub: 'DRV-1', groups: ['driver'] });
+
+        const response = await request(app)
+            .post('/api/orders')
+            .set('Authorization', `Bearer ${token}`)
+            .send(newOrder)
+            .expect(403);
+
+        expect(response.body.missingPermissions).toEqual(['order:create']);
+    });
+
+    test('should drop revoked role assignments on the next request', async () => {
+        const token = localIdentityProvider.issueToken({ sub: 'DRV-1', groups: ['driver'] });
+        permissionService.getUserRoles.mockResolvedValueOnce(['provider']).mockResolvedValue([]);
+
+        await request(app)
+            .get('/api/orders')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+
+        // Same token, now served from the token cache
+        await request(app)
+            .get('/api/orders')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(403);
+    });
+
+    test('should reject users whose account is not active', async () => {
+        const token = localIdentityProvider.issueToken({ sub: 'DRV-2', groups: ['provider'] });
+
+        const response = await request(app)
+            .get('/api/orders')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(403);
+
+        expect(response.body).toMatchObject({ error: 'User account not active', status: 'SUSPENDED' });
+    });
+
+    test('should fail closed when the profile cannot be loaded', async () => {
+        userRepository.getUserByCognitoSub.mockRejectedValue(new Error('DynamoDB unavailable'));
+        const token = localIdentityProvider.issueToken({ sub: 'PROV-3', groups: ['provider'] });
+
+        await request(app)
+            .get('/api/orders')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(503);
+    });
+
+    test('should answer 503 when the denylist cannot be checked', async () => {
+        const token = localIdentityProvider.issueToken({ sub: 'PROV-4', groups: ['provider'] });
+        await request(app).get('/api/orders').set('Authorization', `Bearer ${token}`).expect(200);
+
+        // Cached and freshly verified tokens alike
+        jest.spyOn(tokenDenylist, 'isRevoked').mockRejectedValue(new Error('DynamoDB unavailable'));
+        const uncached = localIdentityProvider.issueToken({ sub: 'PROV-5', groups: ['provider'] });
+
+        for (const bearer of [token, uncached]) {
+            const response = await request(app).get('/api/orders').set('Authorization', `Bearer ${bearer}`).expect(503);
+            expect(response.body.error).toBe('Unable to check token revocation');
+        }
+    });
+});
@@ -0,0 +1,173 @@
+// TIR Browser Platform - Personal Data Integration Tests
+// Runs the export and erasure endpoints against DynamoDB Local (skipped unless DYNAMODB_ENDPOINT is set)
+
+const {
+    describeWithDynamo,
+    useTestTable,
+    createAuthTable,
+    deleteAuthTable,
+    putItems,
+    profileItem,
+    userToken,
+    adminToken
+} = require('../helpers/dynamodb-local');
+
+const tableName = useTestTable('personal-data');
+
+const request = require('supertest');
+const { QueryCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const app = require('../../src/app');
+const { getDynamoClient } = require('../../src/services/dynamodb');
+const { userDirectory } = require('../../src/services/user-directory');
+const { driverRepository } = require('../../src/services/drivers');
+const { tokenDenylist } = require('../../src/services/token-denylist');
+
+describeWithDynamo('Personal Data API', () => {
+    const dynamodb = getDynamoClient();
+    const now = new Date().toISOString();
+
+    const driverToken = () => userToken('sub-driver');
+
+    const auditActions = async (userId) => {
+        const result = await dynamodb.send(new QueryCommand({
+            TableName: tableName,
+            KeyConditionExpression: 'PK = :pk AND begins_with(SK, :sk)',
+            ExpressionAttributeValues: marshall({ ':pk': `USER#${userId}`, ':sk': 'AUDIT#' })
+        }));
+        return result.Items.map(item => unmarshall(item).action);
+    };
+
+    beforeAll(async () => {
+        await createAuthTable(dynamodb, tableName);
+        await putItems(dynamodb, tableName, [
+            profileItem('usr_admin', 'sub-admin', { country: 'AZ', profile_data: { full_name: 'Admin User' } }),
+            profileItem('usr_driver', 'sub-driver', {
+                user_type: 'DRIVER',
+                country: 'AZ',
+                profile_data: {
+                    driver_id: 'D-AZ-240115-X7Y8TU',
+                    full_name: 'John Doe',
+                    phone: '+994501234567',
+                    license_number: 'DL123456',
+                    company_id: 'comp_789'
+                }
+            }),
+            { PK: 'PHONE#+994501234567', SK: 'RESERVATION#main', user_id: 'usr_driver', reserved_at: now },
+            { PK: 'COGNITO#sub-driver', SK: 'RESERVATION#main', user_id: 'usr_driver', reserved_at: now },
+            { PK: 'COMPANY#comp_789', SK: 'DRIVER#D-AZ-240115-X7Y8TU', driver_id: 'D-AZ-240115-X7Y8TU', status: 'ACTIVE' },
+            { PK: 'USER#usr_admin', SK: 'ROLE#privacy', role_name: 'privacy' },
+            { PK: 'ROLE#privacy', SK: 'DEFINITION#main', role_name: 'privacy', permissions: ['user:erase'] }
+        ]);
+        await driverRepository.createDriver({
+            id: 'D-AZ-240115-X7Y8TU',
+            country: 'AZ',
+            fullName: 'John Doe',
+            phoneNumber: '+994501234567',
+            documents: [{ type: 'DRIVER_LICENSE', number: 'DL123456', issuingCountry: 'AZ', expiryDate: '2030-01-31' }],
+            status: 'ACTIVE',
+            createdAt: now,
+            updatedAt: now
+        });
+    });
+
+    afterAll(async () => {
+        await deleteAuthTable(dynamodb, tableName);
+    });
+
+    test('should export the user partition and employment', async () => {
+        const response = await request(app)
+            .get('/api/users/me/export')
+            .set('Authorization', `Bearer ${driverToken()}`)
+            .expect(200);
+
+        expect(response.headers['content-disposition']).toContain('usr_driver-export.json');
+        expect(response.body.data.items.map(item => item.SK)).toContain('PROFILE#main');
+        expect(response.body.data.employments).toEqual([
+            expect.objectContaining({ PK: 'COMPANY#comp_789', driver_id: 'D-AZ-240115-X7Y8TU' })
+        ]);
+        expect(await auditActions('usr_driver')).toEqual(['DATA_EXPORTED']);
+    });
+
+    test('should only let internal administrators with user:erase erase data', async () => {
+        await request(app)
+            .post('/api/users/usr_driver/erase')
+            .set('Authorization', `Bearer ${driverToken()}`)
+            .send({ reason: 'Mine' })
+            .expect(403);
+
+        await request(app)
+            .post('/api/users/usr_driver/erase')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({})
+            .expect(400);
+    });
+
+    test('should erase the data and retry the unfinished steps on repeat', async () => {
+        await putItems(dynamodb, tableName, [
+            profileItem('usr_leaver', 'sub-leaver', { user_type: 'DRIVER', country: 'AZ', profile_data: { full_name: 'Jane Roe' } }),
+            { PK: 'COGNITO#sub-leaver', SK: 'RESERVATION#main', user_id: 'usr_leaver', reserved_at: now }
+        ]);
+        const revokeSubject = jest.spyOn(tokenDenylist, 'revokeSubject')
+            .mockRejectedValueOnce(new Error('Denylist unavailable'));
+        jest.spyOn(userDirectory, 'disableUser').mockRejectedValueOnce(new Error('Cognito unavailable'));
+
+        const failed = await request(app)
+            .post('/api/users/usr_leaver/erase')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ reason: 'Erasure request received' })
+            .expect(502);
+
+        expect(failed.body.error).toContain('token_revocation, directory_disable');
+        expect(userDirectory.isDisabled('sub-leaver')).toBe(false);
+        expect(await auditActions('usr_leaver')).toEqual(['DATA_ERASED']);
+
+        const response = await request(app)
+            .post('/api/users/usr_leaver/erase')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ reason: 'Erasure request received' })
+            .expect(200);
+
+        expect(response.body.data.profile_data).toEqual({ full_name: 'Erased User' });
+        expect(userDirectory.isDisabled('sub-leaver')).toBe(true);
+        expect(revokeSubject).toHaveBeenLastCalledWith('sub-leaver', expect.objectContaining({ reason: 'Personal data erased' }));
+        expect(revokeSubject).toHaveBeenCalledTimes(2);
+
+        await request(app)
+            .post('/api/users/usr_leaver/erase')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ reason: 'Again' })
+            .expect(409);
+    });
+
+    test('should anonymize the profile and keep its identifiers', async () => {
+        const response = await request(app)
+            .post('/api/users/usr_driver/erase')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ reason: 'Erasure request received' })
+            .expect(200);
+
+        expect(response.body.data).toMatchObject({
+            userId: 'usr_driver',
+            status: 'DEACTIVATED',
+            profile_data: { driver_id: 'D-AZ-240115-X7Y8TU', company_id: 'comp_789', full_name: 'Erased User' }
+        });
+        expect(response.body.data.profile_data).not.toHaveProperty('phone');
+        expect(response.body.data.profile_data).not.toHaveProperty('license_number');
+        expect(userDirectory.isDisabled('sub-driver')).toBe(true);
+        expect(await auditActions('usr_driver')).toEqual(['DATA_EXPORTED', 'DATA_ERASED']);
+        expect(await driverRepository.getDriver('D-AZ-240115-X7Y8TU')).toMatchObject({
+            fullName: 'Erased User',
+            phoneNumber: null,
+            documents: [],
+            status: 'ACTIVE'
+        });
+
+        await request(app).get('/api/users/me').set('Authorization', `Bearer ${driverToken()}`).expect(401);
+        await request(app)
+            .post('/api/users/usr_driver/erase')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ reason: 'Again' })
+            .expect(409);
+    });
+});
@@ -0,0 +1,116 @@
+// TIR Browser Platform - Role Admin API Integration Tests
+// Runs /api/roles and /api/users/:userId/roles against DynamoDB Local (skipped unless DYNAMODB_ENDPOINT is set)
+
+const {
+    describeWithDynamo,
+    useTestTable,
+    createAuthTable,
+    deleteAuthTable,
+    putItems,
+    profileItem,
+    userToken,
+    adminToken
+} = require('../helpers/dynamodb-local');
+
+const tableName = useTestTable('roles');
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { getDynamoClient } = require('../../src/services/dynamodb');
+const { permissionService } = require('../../src/services/permissions');
+
+describeWithDynamo('Role Admin API', () => {
+    const dynamodb = getDynamoClient();
+
+    const staffToken = () => userToken('sub-staff');
+
+    beforeAll(async () => {
+        await createAuthTable(dynamodb, tableName);
+        await putItems(dynamodb, tableName, [
+            profileItem('usr_admin', 'sub-admin'),
+            profileItem('usr_staff', 'sub-staff'),
+            { PK: 'USER#usr_admin', SK: 'ROLE#role-admin', role_name: 'role-admin' },
+            { PK: 'ROLE#role-admin', SK: 'DEFINITION#main', role_name: 'role-admin', permissions: ['role:*', 'user:read', 'company:read'] }
+        ]);
+    });
+
+    afterAll(async () => {
+        await deleteAuthTable(dynamodb, tableName);
+        permissionService.clear();
+    });
+
+    test('should create, update and list role definitions', async () => {
+        await request(app)
+            .post('/api/roles')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ role_name: 'support', permissions: ['company:read'] })
+            .expect(201);
+
+        await request(app)
+            .post('/api/roles')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ role_name: 'support', permissions: [] })
+            .expect(409);
+
+        const listed = await request(app)
+            .get('/api/roles')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .expect(200);
+
+        expect(listed.body.data.map(role => role.role_name)).toContain('support');
+    });
+
+    test('should apply grants, revocations and permission changes immediately', async () => {
+        await request(app).get('/api/users/usr_admin').set('Authorization', `Bearer ${staffToken()}`).expect(403);
+
+        const granted = await request(app)
+            .put('/api/users/usr_staff/roles/support')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .expect(200);
+
+        expect(granted.body.data).toMatchObject({ role_name: 'support', assigned_by: 'usr_admin' });
+
+        await request(app)
+            .put('/api/roles/support')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ permissions: ['company:read', 'user:read'] })
+            .expect(200);
+
+        await request(app).get('/api/users/usr_admin').set('Authorization', `Bearer ${staffToken()}`).expect(200);
+
+        await request(app)
+            .delete('/api/users/usr_staff/roles/support')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .expect(200);
+
+        await request(app).get('/api/users/usr_admin').set('Authorization', `Bearer ${staffToken()}`).expect(403);
+    });
+
+    test('should not let callers grant beyond their own permissions', async () => {
+        await request(app)
+            .put('/api/users/usr_admin/roles/support')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .expect(403);
+
+        const created = await request(app)
+            .post('/api/roles')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ role_name: 'superuser', permissions: ['*'] })
+            .expect(403);
+
+        expect(created.body.details).toEqual(['*']);
+
+        await request(app)
+            .put('/api/roles/role-admin')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ permissions: ['role:*', 'user:read', 'company:read', 'user:erase'] })
+            .expect(403);
+    });
+
+    test('should not grant unknown roles', async () => {
+        await request(app)
+            .put('/api/users/usr_staff/roles/ghost')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .expect(404);
+    });
+});
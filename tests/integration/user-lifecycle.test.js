@@ -0,0 +1,104 @@
+// TIR Browser Platform - User Lifecycle Integration Tests
+// Runs the suspend/reactivate/deactivate endpoints against DynamoDB Local (skipped unless DYNAMODB_ENDPOINT is set)
+
+const {
+    describeWithDynamo,
+    useTestTable,
+    createAuthTable,
+    deleteAuthTable,
+    putItems,
+    profileItem,
+    userToken,
+    adminToken
+} = require('../helpers/dynamodb-local');
+
+const tableName = useTestTable('lifecycle');
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { getDynamoClient } = require('../../src/services/dynamodb');
+const { userDirectory } = require('../../src/services/user-directory');
+
+describeWithDynamo('User Lifecycle API', () => {
+    const dynamodb = getDynamoClient();
+
+    beforeAll(async () => {
+        await createAuthTable(dynamodb, tableName);
+        await putItems(dynamodb, tableName, [
+            profileItem('usr_admin', 'sub-admin'),
+            profileItem('usr_driver', 'sub-driver', { user_type: 'DRIVER' }),
+            { PK: 'USER#usr_admin', SK: 'ROLE#support', role_name: 'support' },
+            { PK: 'ROLE#support', SK: 'DEFINITION#main', role_name: 'support', permissions: ['user:status', 'user:read'] }
+        ]);
+    });
+
+    afterAll(async () => {
+        await deleteAuthTable(dynamodb, tableName);
+    });
+
+    test('should suspend a user and reject their cached token right away', async () => {
+        const driverToken = userToken('sub-driver');
+
+        // Warm the token cache
+        await request(app).get('/api/users/me').set('Authorization', `Bearer ${driverToken}`).expect(200);
+
+        const response = await request(app)
+            .post('/api/users/usr_driver/suspend')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ reason: 'Document check' })
+            .expect(200);
+
+        expect(response.body.data).toMatchObject({ status: 'SUSPENDED', status_reason: 'Document check' });
+        expect(userDirectory.isDisabled('sub-driver')).toBe(true);
+
+        await request(app).get('/api/users/me').set('Authorization', `Bearer ${driverToken}`).expect(401);
+    });
+
+    test('should only allow valid transitions', async () => {
+        await request(app)
+            .post('/api/users/usr_driver/suspend')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ reason: 'Again' })
+            .expect(409);
+
+        await request(app)
+            .post('/api/users/usr_driver/deactivate')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ reason: 'Left the company' })
+            .expect(200);
+
+        await request(app)
+            .post('/api/users/usr_driver/reactivate')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ reason: 'Rehired' })
+            .expect(200);
+
+        expect(userDirectory.isDisabled('sub-driver')).toBe(false);
+    });
+
+    test('should keep the status when the identity provider update fails', async () => {
+        jest.spyOn(userDirectory, 'disableUser').mockRejectedValueOnce(new Error('Cognito unavailable'));
+
+        await request(app)
+            .post('/api/users/usr_driver/suspend')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ reason: 'Document check' })
+            .expect(502);
+
+        const response = await request(app)
+            .get('/api/users/usr_driver')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .expect(200);
+
+        expect(response.body.data.status).toBe('ACTIVE');
+        expect(userDirectory.isDisabled('sub-driver')).toBe(false);
+    });
+
+    test('should require a reason', async () => {
+        await request(app)
+            .post('/api/users/usr_driver/suspend')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({})
+            .expect(400);
+    });
+});
@@ -0,0 +1,160 @@
+// TIR Browser Platform - User Profile API Integration Tests
+// Runs /api/users against DynamoDB Local (skipped unless DYNAMODB_ENDPOINT is set)
+
+const {
+    describeWithDynamo,
+    useTestTable,
+    createAuthTable,
+    deleteAuthTable,
+    putItems,
+    profileItem,
+    userToken,
+    adminToken
+} = require('../helpers/dynamodb-local');
+
+const tableName = useTestTable('users');
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { getDynamoClient } = require('../../src/services/dynamodb');
+
+describeWithDynamo('User Profile API', () => {
+    const dynamodb = getDynamoClient();
+
+    const driverToken = () => userToken('sub-driver');
+
+    beforeAll(async () => {
+        await createAuthTable(dynamodb, tableName);
+        await putItems(dynamodb, tableName, [
+            profileItem('usr_driver', 'sub-driver', {
+                user_type: 'DRIVER',
+                country: 'AZ',
+                profile_data: {
+                    driver_id: 'D-AZ-240115-X7Y8TU',
+                    full_name: 'John Doe',
+                    phone: '+994501234567',
+                    license_number: 'DL123456'
+                }
+            }),
+            profileItem('usr_admin', 'sub-admin', { country: 'AZ', profile_data: { full_name: 'Admin User' } }),
+            { PK: 'USER#usr_admin', SK: 'ROLE#user-admin', role_name: 'user-admin' },
+            { PK: 'ROLE#user-admin', SK: 'DEFINITION#main', role_name: 'user-admin', permissions: ['user:*'] }
+        ]);
+    });
+
+    afterAll(async () => {
+        await deleteAuthTable(dynamodb, tableName);
+    });
+
+    test('should return the caller profile', async () => {
+        const response = await request(app)
+            .get('/api/users/me')
+            .set('Authorization', `Bearer ${driverToken()}`)
+            .expect(200);
+
+        expect(response.body.data).toMatchObject({
+            userId: 'usr_driver',
+            user_type: 'DRIVER',
+            profile_data: { full_name: 'John Doe' }
+        });
+    });
+
+    test('should let users update their own profile fields', async () => {
+        const response = await request(app)
+            .patch('/api/users/me')
+            .set('Authorization', `Bearer ${driverToken()}`)
+            .send({ profile_data: { full_name: 'John A. Doe' } })
+            .expect(200);
+
+        expect(response.body.data.profile_data).toMatchObject({ full_name: 'John A. Doe', license_number: 'DL123456' });
+    });
+
+    test('should reject admin-only and unknown fields on self-service updates', async () => {
+        const response = await request(app)
+            .patch('/api/users/me')
+            .set('Authorization', `Bearer ${driverToken()}`)
+            .send({ profile_data: { company_id: 'comp_1', department: 'Ops' } })
+            .expect(400);
+
+        expect(response.body.details).toEqual([
+            'company_id can only be changed by an administrator',
+            'department is not a DRIVER profile field'
+        ]);
+    });
+
+    test('should let admins read and update any profile', async () => {
+        await request(app)
+            .patch('/api/users/usr_driver')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ profile_data: { company_id: 'comp_789' }, country: 'TR' })
+            .expect(200);
+
+        const response = await request(app)
+            .get('/api/users/usr_driver')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .expect(200);
+
+        expect(response.body.data).toMatchObject({ country: 'TR', profile_data: { company_id: 'comp_789' } });
+    });
+
+    test('should keep the admin API behind user permissions', async () => {
+        await request(app)
+            .get('/api/users/usr_admin')
+            .set('Authorization', `Bearer ${driverToken()}`)
+            .expect(403);
+    });
+
+    test('should onboard a signed-up user once with a unique phone number', async () => {
+        const onboard = (sub, phone) => request(app)
+            .post('/api/users/me')
+            .set('Authorization', `Bearer ${userToken(sub)}`)
+            .send({
+                user_type: 'DRIVER',
+                country: 'AZ',
+                profile_data: { full_name: 'Ali Aliyev', phone, license_number: 'DL654321' }
+            });
+
+        const created = await onboard('sub-new', '050 765 43 21').expect(201);
+
+        expect(created.body.data).toMatchObject({
+            user_type: 'DRIVER',
+            status: 'ACTIVE',
+            country: 'AZ',
+            profile_data: { phone: '+994507654321' }
+        });
+        expect(created.body.data.profile_data.driver_id).toMatch(/^D-AZ-/);
+
+        const me = await request(app)
+            .get('/api/users/me')
+            .set('Authorization', `Bearer ${userToken('sub-new')}`)
+            .expect(200);
+        expect(me.body.data.userId).toBe(created.body.data.userId);
+
+        await onboard('sub-new', '050 765 43 22').expect(409);
+        const duplicate = await onboard('sub-other', '+994 50 765 43 21').expect(409);
+        expect(duplicate.body.error).toBe('Phone number already registered');
+    });
+
+    test('should move the phone number reservation on phone changes', async () => {
+        await request(app)
+            .patch('/api/users/me')
+            .set('Authorization', `Bearer ${driverToken()}`)
+            .send({ profile_data: { phone: '+994507654321' } })
+            .expect(409);
+
+        const response = await request(app)
+            .patch('/api/users/me')
+            .set('Authorization', `Bearer ${driverToken()}`)
+            .send({ profile_data: { phone: '055 111 22 33' } })
+            .expect(200);
+
+        expect(response.body.data.profile_data.phone).toBe('+994551112233');
+    });
+
+    test('should return 404 for unknown users', async () => {
+        await request(app)
+            .get('/api/users/usr_missing')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .expect(404);
+    });
+});
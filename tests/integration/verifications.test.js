@@ -0,0 +1,90 @@
+// TIR Browser Platform - Provider Verification Integration Tests
+// Runs /api/verifications against DynamoDB Local (skipped unless DYNAMODB_ENDPOINT is set)
+
+const {
+    describeWithDynamo,
+    useTestTable,
+    createAuthTable,
+    deleteAuthTable,
+    putItems,
+    profileItem,
+    userToken
+} = require('../helpers/dynamodb-local');
+
+const tableName = useTestTable('verifications');
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { getDynamoClient } = require('../../src/services/dynamodb');
+const { userRepository } = require('../../src/services/users');
+
+describeWithDynamo('Provider Verification API', () => {
+    const dynamodb = getDynamoClient();
+
+    const reviewerToken = () => userToken('sub-reviewer');
+    const providerToken = () => userToken('sub-provider');
+
+    const review = (status, notes) => request(app)
+        .post('/api/verifications/usr_provider/review')
+        .set('Authorization', `Bearer ${reviewerToken()}`)
+        .send({ status, notes });
+
+    beforeAll(async () => {
+        await createAuthTable(dynamodb, tableName);
+        await putItems(dynamodb, tableName, [
+            profileItem('usr_reviewer', 'sub-reviewer'),
+            profileItem('usr_provider', 'sub-provider', { user_type: 'PROVIDER' }),
+            { PK: 'USER#usr_reviewer', SK: 'ROLE#verifier', role_name: 'verifier' },
+            { PK: 'ROLE#verifier', SK: 'DEFINITION#main', role_name: 'verifier', permissions: ['verification:*'] }
+        ]);
+    });
+
+    afterAll(async () => {
+        await deleteAuthTable(dynamodb, tableName);
+    });
+
+    test('should queue a submission for review', async () => {
+        const response = await request(app)
+            .post('/api/verifications')
+            .set('Authorization', `Bearer ${providerToken()}`)
+            .send({ tax_id: 'TR-1234567890', certifications: [{ name: 'ISO 9001', number: 'QMS-2023-0042' }] })
+            .expect(201);
+
+        expect(response.body.data).toMatchObject({ status: 'PENDING', tax_id: 'TR-1234567890' });
+
+        const queue = await request(app)
+            .get('/api/verifications?status=PENDING')
+            .set('Authorization', `Bearer ${reviewerToken()}`)
+            .expect(200);
+
+        expect(queue.body.data.map(verification => verification.userId)).toEqual(['usr_provider']);
+
+        await request(app)
+            .post('/api/verifications')
+            .set('Authorization', `Bearer ${providerToken()}`)
+            .send({ tax_id: 'TR-1234567890' })
+            .expect(409);
+    });
+
+    test('should move through review and keep the history', async () => {
+        await review('VERIFIED').expect(409);
+        await review('IN_REVIEW').expect(200);
+        await review('REJECTED').expect(400);
+
+        const response = await review('VERIFIED', 'Trade register checked').expect(200);
+
+        expect(response.body.data.status).toBe('VERIFIED');
+        expect(response.body.data.history.map(entry => entry.to_status)).toEqual(['PENDING', 'IN_REVIEW', 'VERIFIED']);
+
+        const user = await userRepository.getUser('usr_provider');
+        expect(user.profile_data.business_verification).toBe('VERIFIED');
+    });
+
+    test('should only let internal reviewers review', async () => {
+        await request(app)
+            .post('/api/verifications/usr_provider/review')
+            .set('Authorization', `Bearer ${providerToken()}`)
+            .send({ status: 'REJECTED', notes: 'No' })
+            .expect(403);
+    });
+});
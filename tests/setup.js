@@ -6,6 +6,7 @@ process.env.NODE_ENV = 'test';
 process.env.SERVICE_SECRET_ARN = 'arn:aws:secretsmanager:test:secret:test-secret-key';
 process.env.LOG_LEVEL = 'error'; // Reduce log noise during tests
 process.env.SERVICE_VERSION = '1.0.0-test';
+process.env.LOCAL_IDP_ENABLED = 'true'; // Integration tests sign user tokens with the local identity provider
 
 // Suppress console output during tests (except errors)
 const originalConsole = console;
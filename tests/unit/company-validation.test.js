@@ -0,0 +1,61 @@
+// TIR Browser Platform - Company Validation Tests
+// Unit tests for company_type field rules and driver employment data
+
+const { validateCompanyData, validateEmployment } = require('../../src/services/company-validation');
+
+describe('validateCompanyData', () => {
+    test('should accept a complete shipping company', () => {
+        expect(validateCompanyData('SHIPPING', {
+            company_name: 'ABC Logistics',
+            license_number: 'LOG123456',
+            country: 'AZ',
+            contact_info: { email: 'contact@abclogistics.com', phone: '+994501234567' }
+        })).toEqual([]);
+    });
+
+    test('should require type-specific fields on creation only', () => {
+        expect(validateCompanyData('PROVIDER', { company_name: 'Global Trade Corp' }))
+            .toEqual(['tax_id is required']);
+        expect(validateCompanyData('PROVIDER', { address: null }, { partial: true })).toEqual([]);
+    });
+
+    test('should reject unknown fields and malformed values', () => {
+        expect(validateCompanyData('SHIPPING', {
+            company_name: 'ABC Logistics',
+            license_number: 'LOG123456',
+            tax_id: 'TAX1',
+            country: 'Azerbaijan',
+            contact_info: { fax: '123' }
+        })).toEqual([
+            'tax_id is not a SHIPPING company field',
+            'country must be an ISO 3166-1 alpha-2 code',
+            'contact_info may only contain email and phone strings'
+        ]);
+        expect(validateCompanyData('PROVIDER', { certifications: 'ISO9001' }, { partial: true }))
+            .toEqual(['certifications must be a list of non-empty strings']);
+    });
+
+    test('should reject unknown company types', () => {
+        expect(validateCompanyData('AIRLINE', {})).toEqual(['company_type must be one of SHIPPING, PROVIDER']);
+    });
+});
+
+describe('validateEmployment', () => {
+    test('should accept a valid employment', () => {
+        expect(validateEmployment({ employment_type: 'FULL_TIME', start_date: '2024-01-01' })).toEqual([]);
+    });
+
+    test('should reject invalid types, dates, statuses and unknown fields', () => {
+        expect(validateEmployment({
+            employment_type: 'INTERN',
+            start_date: '2024-02-30',
+            status: 'RETIRED',
+            salary: 100
+        })).toEqual([
+            'salary is not an employment field',
+            'employment_type must be one of FULL_TIME, PART_TIME, CONTRACTOR',
+            'start_date must be a date (YYYY-MM-DD)',
+            'status must be one of ACTIVE, SUSPENDED, TERMINATED'
+        ]);
+    });
+});
@@ -0,0 +1,78 @@
+// TIR Browser Platform - Driver Document Tests
+// Unit tests for document validation and expiry lookups
+
+const {
+    validateDriverDocuments,
+    normalizeDriverDocuments,
+    findExpiredMandatoryDocuments,
+    haveMandatoryDocumentsChanged,
+    findExpiringDocuments,
+    parseExpiryWindow
+} = require('../../src/services/driver-documents');
+
+describe('Driver documents', () => {
+    const now = new Date('2024-06-01T12:00:00Z');
+    const license = { type: 'DRIVER_LICENSE', number: 'DL123456', issuingCountry: 'AZ', expiryDate: '2024-06-20' };
+    const tir = { type: 'TIR_CERTIFICATE', number: 'TIR-778812', issuingCountry: 'AZ', expiryDate: '2024-05-31' };
+    const adr = { type: 'ADR_CERTIFICATE', number: 'ADR-1', issuingCountry: 'TR', expiryDate: '2024-06-01' };
+
+    test('should accept valid documents and trim their numbers', () => {
+        expect(validateDriverDocuments([license, tir, adr])).toEqual([]);
+        expect(normalizeDriverDocuments([{ ...license, number: ' DL123456 ' }])).toEqual([license]);
+    });
+
+    test('should report every invalid document field', () => {
+        expect(validateDriverDocuments('DL123456')).toEqual(['documents must be an array']);
+        expect(validateDriverDocuments([
+            { type: 'PASSPORT', number: '', issuingCountry: 'Azerbaijan', expiryDate: '31.12.2025', scan: 'x' },
+            license,
+            { ...license },
+            null
+        ])).toEqual([
+            'documents[0].scan is not a document field',
+            'documents[0].type must be one of DRIVER_LICENSE, TIR_CERTIFICATE, ADR_CERTIFICATE, VEHICLE_REGISTRATION',
+            'documents[0].number is required (at most 50 characters)',
+            'documents[0].issuingCountry must be an ISO 3166-1 alpha-2 code',
+            'documents[0].expiryDate must be a date (YYYY-MM-DD)',
+            'documents[2].type DRIVER_LICENSE is listed more than once',
+            'documents[3] must be an object'
+        ]);
+    });
+
+    test('should only treat mandatory documents past their expiry date as expired', () => {
+        const driver = { documents: [license, tir, { ...adr, expiryDate: '2020-01-01' }] };
+
+        expect(findExpiredMandatoryDocuments(driver, now)).toEqual([tir]);
+        expect(findExpiredMandatoryDocuments({}, now)).toEqual([]);
+    });
+
+    test('should only report changes to mandatory documents', () => {
+        expect(haveMandatoryDocumentsChanged([license, tir], [tir, license, adr])).toBe(false);
+        expect(haveMandatoryDocumentsChanged([license, tir, adr], [license, tir])).toBe(false);
+        expect(haveMandatoryDocumentsChanged([license, tir], [license, { ...tir, expiryDate: '2025-05-31' }])).toBe(true);
+        expect(haveMandatoryDocumentsChanged([license, tir], [license])).toBe(true);
+        expect(haveMandatoryDocumentsChanged(undefined, [license])).toBe(true);
+    });
+
+    test('should list documents expiring within the window, soonest first', () => {
+        const drivers = [
+            { id: 'D-AZ-240115-X7Y8TU', country: 'AZ', documents: [license, tir] },
+            { id: 'D-TR-240201-ABCD2E', country: 'TR', documents: [adr] }
+        ];
+
+        expect(findExpiringDocuments(drivers, 30, now)).toEqual([
+            { driverId: 'D-TR-240201-ABCD2E', country: 'TR', ...adr, mandatory: false, daysUntilExpiry: 0 },
+            { driverId: 'D-AZ-240115-X7Y8TU', country: 'AZ', ...license, mandatory: true, daysUntilExpiry: 19 }
+        ]);
+        expect(findExpiringDocuments(drivers, 7, now).map(document => document.type)).toEqual(['ADR_CERTIFICATE']);
+    });
+
+    test('should parse the expiry window', () => {
+        expect(parseExpiryWindow(undefined)).toBe(30);
+        expect(parseExpiryWindow('0')).toBe(0);
+        expect(parseExpiryWindow('90')).toBe(90);
+        expect(() => parseExpiryWindow('-1')).toThrow(expect.objectContaining({ statusCode: 400 }));
+        expect(() => parseExpiryWindow('366')).toThrow(expect.objectContaining({ statusCode: 400 }));
+        expect(() => parseExpiryWindow('1.5')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+});
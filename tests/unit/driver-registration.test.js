@@ -0,0 +1,48 @@
+// TIR Browser Platform - Driver Registration Tests
+// Unit tests for the checks run before a driver is activated
+
+const { checkDriverRegistration } = require('../../src/services/driver-registration');
+
+describe('checkDriverRegistration', () => {
+    const now = new Date('2024-06-01T12:00:00Z');
+    const documents = [
+        { type: 'DRIVER_LICENSE', number: 'DL123456', issuingCountry: 'AZ', expiryDate: '2025-12-31' },
+        { type: 'TIR_CERTIFICATE', number: 'TIR-778812', issuingCountry: 'AZ', expiryDate: '2025-03-31' },
+        { type: 'VEHICLE_REGISTRATION', number: 'VR-10BB123', issuingCountry: 'AZ', expiryDate: '2026-01-15' }
+    ];
+    const driver = {
+        fullName: 'John Doe',
+        phoneNumber: '+994501234567',
+        vehicleDetails: { type: 'truck', capacity: '20 tons', licensePlate: '10-BB-123' },
+        documents
+    };
+    const withLicenseExpiry = (expiryDate) => ({
+        ...driver,
+        documents: [{ ...documents[0], expiryDate }, ...documents.slice(1)]
+    });
+
+    test('should pass a complete registration', () => {
+        expect(checkDriverRegistration(driver, now)).toEqual([]);
+        expect(checkDriverRegistration(withLicenseExpiry('2024-06-01'), now)).toEqual([]);
+    });
+
+    test('should report missing documents and vehicle fields', () => {
+        expect(checkDriverRegistration({ fullName: 'John Doe', phoneNumber: ' ', vehicleDetails: { type: 'truck' } }, now))
+            .toEqual([
+                'phoneNumber is required',
+                'Driver license (DRIVER_LICENSE) is required',
+                'TIR certificate (TIR_CERTIFICATE) is required',
+                'Vehicle registration (VEHICLE_REGISTRATION) is required',
+                'vehicleDetails.capacity is required',
+                'vehicleDetails.licensePlate is required'
+            ]);
+    });
+
+    test('should reject expired mandatory documents only', () => {
+        expect(checkDriverRegistration(withLicenseExpiry('2024-05-31'), now))
+            .toEqual(['Driver license expired on 2024-05-31']);
+
+        const adr = { type: 'ADR_CERTIFICATE', number: 'ADR-1', issuingCountry: 'AZ', expiryDate: '2020-01-31' };
+        expect(checkDriverRegistration({ ...driver, documents: [...documents, adr] }, now)).toEqual([]);
+    });
+});
@@ -0,0 +1,183 @@
+// TIR Browser Platform - Driver Repository Tests
+// Unit tests for the in-memory and DynamoDB driver repositories
+
+const { marshall } = require('@aws-sdk/util-dynamodb');
+const { MemoryDriverRepository, DynamoDriverRepository } = require('../../src/services/drivers');
+
+const license = { type: 'DRIVER_LICENSE', number: 'AZ1234567', issuingCountry: 'AZ', expiryDate: '2024-02-10' };
+const tirCertificate = { type: 'TIR_CERTIFICATE', number: 'TIR-998877', issuingCountry: 'AZ', expiryDate: '2025-06-30' };
+
+const driver = {
+    id: 'D-AZ-240115-X7Y8TU',
+    country: 'AZ',
+    fullName: 'Elvin Mammadov',
+    phoneNumber: '+994501234567',
+    documents: [license, tirCertificate],
+    status: 'REGISTRATION_PENDING',
+    createdAt: '2024-01-15T10:30:00.000Z',
+    updatedAt: '2024-01-15T10:30:00.000Z'
+};
+
+describe('MemoryDriverRepository', () => {
+    test('should keep phone numbers unique and hand out copies', async () => {
+        const repository = new MemoryDriverRepository();
+        const created = await repository.createDriver(driver);
+        created.fullName = 'Changed';
+
+        expect((await repository.getDriver(driver.id)).fullName).toBe('Elvin Mammadov');
+        expect(await repository.getDriverIdByPhone('+994501234567')).toBe(driver.id);
+        await expect(repository.createDriver({ ...driver, id: 'D-AZ-240115-A1B2CD' }))
+            .rejects.toMatchObject({ statusCode: 409, message: 'Phone number already registered' });
+    });
+
+    test('should update drivers with the expected status only', async () => {
+        const repository = new MemoryDriverRepository();
+        await repository.createDriver(driver);
+
+        const updated = await repository.updateDriver(driver.id, { status: 'ACTIVE' }, { expectedStatus: 'REGISTRATION_PENDING' });
+
+        expect(updated).toMatchObject({ status: 'ACTIVE', fullName: 'Elvin Mammadov' });
+        await expect(repository.updateDriver(driver.id, { status: 'REJECTED' }, { expectedStatus: 'REGISTRATION_PENDING' }))
+            .rejects.toMatchObject({ statusCode: 409 });
+        await expect(repository.updateDriver('D-AZ-240115-ZZZZZZ', { status: 'ACTIVE' }))
+            .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should list expiring documents by country', async () => {
+        const repository = new MemoryDriverRepository();
+        await repository.createDriver(driver);
+        await repository.createDriver({ ...driver, id: 'D-TR-240115-A1B2CD', country: 'TR', phoneNumber: '+905321234567' });
+
+        const documents = await repository.listExpiringDocuments(30, { country: 'AZ', now: new Date('2024-02-01T12:00:00Z') });
+
+        expect(documents).toEqual([
+            expect.objectContaining({ driverId: driver.id, type: 'DRIVER_LICENSE', daysUntilExpiry: 9 })
+        ]);
+    });
+
+    test('should anonymize registrations and release the phone number', async () => {
+        const repository = new MemoryDriverRepository();
+        await repository.createDriver(driver);
+
+        const erased = await repository.anonymizeDriver(driver.id);
+
+        expect(erased).toMatchObject({ id: driver.id, fullName: 'Erased User', phoneNumber: null, documents: [] });
+        expect(await repository.getDriverIdByPhone('+994501234567')).toBeNull();
+        expect(await repository.anonymizeDriver('D-AZ-240115-ZZZZZZ')).toBeNull();
+    });
+});
+
+describe('DynamoDriverRepository', () => {
+    const registrationItem = marshall({ PK: `DRIVER#${driver.id}`, SK: 'REGISTRATION#main', ...driver });
+
+    const cancelled = (...codes) => Object.assign(new Error('Transaction cancelled'), {
+        name: 'TransactionCanceledException',
+        CancellationReasons: codes.map(Code => ({ Code }))
+    });
+
+    test('should write the registration, phone reservation and document index in one transaction', async () => {
+        const dynamodb = { send: jest.fn().mockResolvedValue({}) };
+        const repository = new DynamoDriverRepository({ dynamodb, tableName: 'test-table' });
+
+        await repository.createDriver(driver);
+
+        const items = dynamodb.send.mock.calls[0][0].input.TransactItems;
+        expect(items).toHaveLength(4);
+        expect(items[0].Put.Item).toMatchObject(marshall({ PK: `DRIVER#${driver.id}`, SK: 'REGISTRATION#main' }));
+        expect(items[1].Put.Item).toMatchObject(marshall({ PK: 'DRIVER_PHONE#+994501234567', driver_id: driver.id }));
+        expect(items[2].Put.Item).toMatchObject(marshall({
+            SK: 'DOCUMENT#DRIVER_LICENSE',
+            GSI1PK: 'DOCUMENT_EXPIRY#2024-02',
+            GSI1SK: `2024-02-10#DRIVER#${driver.id}#DRIVER_LICENSE`
+        }));
+    });
+
+    test.each([
+        [['None', 'ConditionalCheckFailed', 'None', 'None'], 'Phone number already registered'],
+        [['ConditionalCheckFailed', 'None', 'None', 'None'], 'Driver already exists']
+    ])('should map cancellation reasons %j', async (codes, message) => {
+        const dynamodb = { send: jest.fn().mockRejectedValue(cancelled(...codes)) };
+        const repository = new DynamoDriverRepository({ dynamodb, tableName: 'test-table' });
+
+        await expect(repository.createDriver(driver)).rejects.toMatchObject({ statusCode: 409, message });
+    });
+
+    test('should move the phone reservation and drop removed documents on update', async () => {
+        const dynamodb = {
+            send: jest.fn()
+                .mockResolvedValueOnce({ Item: registrationItem })
+                .mockResolvedValueOnce({})
+        };
+        const repository = new DynamoDriverRepository({ dynamodb, tableName: 'test-table' });
+
+        const updated = await repository.updateDriver(driver.id, {
+            phoneNumber: '+994551234567',
+            documents: [tirCertificate]
+        });
+
+        const items = dynamodb.send.mock.calls[1][0].input.TransactItems;
+        expect(items[0].Put.ConditionExpression).toBe('updatedAt = :previous_updated_at');
+        expect(items[1].Put.Item).toMatchObject(marshall({ PK: 'DRIVER_PHONE#+994551234567' }));
+        expect(items[2].Delete.Key).toEqual(marshall({ PK: 'DRIVER_PHONE#+994501234567', SK: 'RESERVATION#main' }));
+        expect(items[3].Put.Item).toMatchObject(marshall({ SK: 'DOCUMENT#TIR_CERTIFICATE' }));
+        expect(items[4].Delete.Key).toEqual(marshall({ PK: `DRIVER#${driver.id}`, SK: 'DOCUMENT#DRIVER_LICENSE' }));
+        expect(updated).toMatchObject({ phoneNumber: '+994551234567', documents: [tirCertificate] });
+        expect(updated.PK).toBeUndefined();
+    });
+
+    test('should read drivers in batches and retry unprocessed keys', async () => {
+        const otherItem = marshall({ PK: 'DRIVER#D-AZ-240115-A1B2CD', SK: 'REGISTRATION#main', id: 'D-AZ-240115-A1B2CD' });
+        const dynamodb = {
+            send: jest.fn()
+                .mockResolvedValueOnce({
+                    Responses: { 'test-table': [registrationItem] },
+                    UnprocessedKeys: { 'test-table': { Keys: [marshall({ PK: 'DRIVER#D-AZ-240115-A1B2CD', SK: 'REGISTRATION#main' })] } }
+                })
+                .mockResolvedValueOnce({ Responses: { 'test-table': [otherItem] } })
+        };
+        const repository = new DynamoDriverRepository({ dynamodb, tableName: 'test-table' });
+
+        const drivers = await repository.getDrivers(['D-AZ-240115-A1B2CD', driver.id, 'D-AZ-240115-ZZZZZZ']);
+
+        expect(dynamodb.send).toHaveBeenCalledTimes(2);
+        expect(drivers.map(d => d.id)).toEqual(['D-AZ-240115-A1B2CD', driver.id]);
+    });
+
+    test('should query each expiry month partition in the window', async () => {
+        const documentItem = marshall({
+            PK: `DRIVER#${driver.id}`,
+            SK: 'DOCUMENT#DRIVER_LICENSE',
+            GSI1PK: 'DOCUMENT_EXPIRY#2024-02',
+            GSI1SK: `2024-02-10#DRIVER#${driver.id}#DRIVER_LICENSE`,
+            driverId: driver.id,
+            country: 'AZ',
+            ...license
+        });
+        const dynamodb = {
+            send: jest.fn()
+                .mockResolvedValueOnce({ Items: [documentItem] })
+                .mockResolvedValueOnce({ Items: [] })
+        };
+        const repository = new DynamoDriverRepository({ dynamodb, tableName: 'test-table' });
+
+        const documents = await repository.listExpiringDocuments(30, { country: 'AZ', now: new Date('2024-02-01T12:00:00Z') });
+
+        expect(dynamodb.send).toHaveBeenCalledTimes(2);
+        expect(dynamodb.send.mock.calls[0][0].input).toMatchObject({
+            IndexName: 'GSI1',
+            KeyConditionExpression: 'GSI1PK = :pk AND GSI1SK BETWEEN :from AND :to',
+            FilterExpression: 'country = :country',
+            ExpressionAttributeValues: marshall({ ':pk': 'DOCUMENT_EXPIRY#2024-02', ':from': '2024-02-01', ':to': '2024-03-02#~', ':country': 'AZ' })
+        });
+        expect(dynamodb.send.mock.calls[1][0].input.ExpressionAttributeValues).toEqual(
+            marshall({ ':pk': 'DOCUMENT_EXPIRY#2024-03', ':from': '2024-02-01', ':to': '2024-03-02#~', ':country': 'AZ' })
+        );
+        expect(documents).toEqual([{
+            driverId: driver.id,
+            country: 'AZ',
+            ...license,
+            mandatory: true,
+            daysUntilExpiry: 9
+        }]);
+    });
+});
@@ -0,0 +1,64 @@
+// TIR Browser Platform - HTTP Response Tests
+// Unit tests for status-carrying errors and the success and error envelopes
+
+const { httpError, sendError, sendData } = require('../../src/services/http-responses');
+
+function mockResponse() {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+}
+
+describe('HTTP Responses', () => {
+    const req = { correlationId: 'corr-1' };
+
+    test('should create errors with a status code and optional details', () => {
+        const error = httpError('Invalid company data', 400, ['name is required']);
+
+        expect(error).toBeInstanceOf(Error);
+        expect(error.message).toBe('Invalid company data');
+        expect(error.statusCode).toBe(400);
+        expect(error.details).toEqual(['name is required']);
+        expect(httpError('Company not found', 404)).not.toHaveProperty('details');
+    });
+
+    test('should send status-carrying errors with their message and details', () => {
+        const res = mockResponse();
+
+        sendError(req, res, httpError('Invalid company data', 400, ['name is required']));
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({
+            error: 'Invalid company data',
+            details: ['name is required'],
+            correlationId: 'corr-1',
+            timestamp: expect.any(String)
+        });
+    });
+
+    test('should hide the message of unexpected errors', () => {
+        const res = mockResponse();
+
+        sendError(req, res, new Error('connect ECONNREFUSED'));
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.json.mock.calls[0][0].error).toBe('Internal server error');
+    });
+
+    test('should send data with extra fields in the success envelope', () => {
+        const res = mockResponse();
+
+        sendData(req, res, 200, [{ id: 'cmp_1' }], { count: 1, nextCursor: null });
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            data: [{ id: 'cmp_1' }],
+            count: 1,
+            nextCursor: null,
+            correlationId: 'corr-1',
+            timestamp: expect.any(String)
+        });
+    });
+});
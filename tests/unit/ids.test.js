@@ -0,0 +1,131 @@
+// TIR Browser Platform - ID Service Tests
+// Unit tests for driver/provider ID generation, reservation and parsing
+
+const { IdService, MemoryIdStore, parseId, isValidId } = require('../../src/services/ids');
+const { validateIdParam } = require('../../src/middleware/validation');
+
+describe('ID Service', () => {
+    const conditionalCheckFailed = () => Object.assign(new Error('taken'), { name: 'ConditionalCheckFailedException' });
+
+    test('should generate reserved, parseable IDs', async () => {
+        const dynamodb = { send: jest.fn().mockResolvedValue({}) };
+        const idService = new IdService({ dynamodb, tableName: 'test-table' });
+
+        const id = await idService.generateId('PROVIDER', 'TR', { reserved_by: 'usr_1' });
+
+        expect(id).toMatch(/^P-TR-\d{6}-[2-9A-HJKMNP-Z]{5}[0-9A-Z]$/);
+        expect(parseId(id)).toMatchObject({ id, type: 'PROVIDER', country: 'TR' });
+
+        const input = dynamodb.send.mock.calls[0][0].input;
+        expect(input.Item.PK).toEqual({ S: `ID#${id}` });
+        expect(input.Item.reserved_by).toEqual({ S: 'usr_1' });
+        expect(input.ConditionExpression).toBe('attribute_not_exists(PK)');
+    });
+
+    test('should retry when a generated ID is already taken', async () => {
+        const dynamodb = {
+            send: jest.fn()
+                .mockRejectedValueOnce(conditionalCheckFailed())
+                .mockResolvedValueOnce({})
+        };
+        const idService = new IdService({ dynamodb, tableName: 'test-table' });
+
+        const id = await idService.generateId('DRIVER', 'AZ');
+
+        expect(dynamodb.send).toHaveBeenCalledTimes(2);
+        expect(isValidId(id, 'DRIVER')).toBe(true);
+    });
+
+    test('should give up with 503 after repeated collisions', async () => {
+        const dynamodb = { send: jest.fn().mockRejectedValue(conditionalCheckFailed()) };
+        const idService = new IdService({ dynamodb, tableName: 'test-table' });
+
+        await expect(idService.generateId('DRIVER', 'AZ')).rejects.toMatchObject({ statusCode: 503 });
+        expect(dynamodb.send).toHaveBeenCalledTimes(5);
+    });
+
+    test('should reserve IDs in memory once', async () => {
+        const store = new MemoryIdStore();
+        // The first two candidates draw the same random characters
+        const randomBytes = jest.fn()
+            .mockReturnValueOnce(Buffer.from([0, 1, 2, 3, 4]))
+            .mockReturnValueOnce(Buffer.from([0, 1, 2, 3, 4]))
+            .mockReturnValueOnce(Buffer.from([5, 6, 7, 8, 9]));
+        const idService = new IdService({ store, randomBytes });
+
+        const first = await idService.generateId('DRIVER', 'AZ', { reserved_by: 'usr_1' });
+        const second = await idService.generateId('DRIVER', 'AZ');
+
+        expect(second).not.toBe(first);
+        expect(randomBytes).toHaveBeenCalledTimes(3);
+        expect(store.reservations.get(first)).toMatchObject({ entity_type: 'DRIVER', reserved_by: 'usr_1' });
+    });
+
+    test('should reject unknown types and invalid countries', () => {
+        const idService = new IdService({ dynamodb: { send: jest.fn() }, tableName: 'test-table' });
+
+        expect(() => idService.buildId('ROBOT', 'AZ')).toThrow('Unknown ID type: ROBOT');
+        expect(() => idService.buildId('DRIVER', 'az')).toThrow('country must be an ISO 3166-1 alpha-2 code');
+        expect(() => idService.buildId('DRIVER', undefined)).toThrow('country must be an ISO 3166-1 alpha-2 code');
+    });
+});
+
+describe('parseId', () => {
+    test('should parse a valid ID', () => {
+        expect(parseId('D-AZ-240115-X7Y8TU')).toEqual({
+            id: 'D-AZ-240115-X7Y8TU',
+            type: 'DRIVER',
+            country: 'AZ',
+            date: '2024-01-15',
+            random: 'X7Y8T'
+        });
+    });
+
+    test('should detect mistyped and swapped characters', () => {
+        expect(parseId('D-AZ-240115-X7Y8TV')).toBeNull();
+        expect(parseId('D-AZ-240115-X7Y8ZU')).toBeNull();
+        expect(parseId('D-AZ-240115-7XY8TU')).toBeNull();
+    });
+
+    test('should reject malformed IDs, wrong types and impossible dates', () => {
+        expect(parseId('DRV-000001')).toBeNull();
+        expect(parseId(null)).toBeNull();
+        expect(parseId('D-AZ-240115-X7Y8TU', 'PROVIDER')).toBeNull();
+        expect(parseId('P-TR-240115-M2N5PB', 'PROVIDER')).toMatchObject({ type: 'PROVIDER' });
+        expect(isValidId('D-AZ-241315-X7Y8TU')).toBe(false);
+    });
+
+    test('should accept lower case input but only treat upper case as canonical', () => {
+        expect(parseId('d-az-240115-x7y8tu')).toMatchObject({ id: 'D-AZ-240115-X7Y8TU' });
+        expect(isValidId('d-az-240115-x7y8tu')).toBe(false);
+    });
+});
+
+describe('validateIdParam', () => {
+    const run = (value) => {
+        const req = { params: { driverId: value }, path: `/drivers/${value}` };
+        const res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+        const next = jest.fn();
+
+        validateIdParam('driverId', 'DRIVER')(req, res, next);
+        return { req, res, next };
+    };
+
+    test('should normalize valid IDs', () => {
+        const { req, next } = run('d-az-240115-x7y8tu');
+
+        expect(next).toHaveBeenCalled();
+        expect(req.params.driverId).toBe('D-AZ-240115-X7Y8TU');
+    });
+
+    test('should reject malformed IDs with 400', () => {
+        const { res, next } = run('DRV-000001');
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].error).toBe('Invalid driverId');
+    });
+});
@@ -0,0 +1,165 @@
+// TIR Browser Platform - Company Invitation Tests
+// Unit tests for invitation validation, invite tokens and the accept transaction
+
+const { marshall } = require('@aws-sdk/util-dynamodb');
+const {
+    InvitationRepository,
+    formatInvitation,
+    validateInvitation,
+    parseInviteToken
+} = require('../../src/services/invitations');
+
+describe('validateInvitation', () => {
+    const employment = { employment_type: 'FULL_TIME', start_date: '2024-01-01' };
+
+    test('should normalize a phone invitation for the company country', () => {
+        expect(validateInvitation({ ...employment, phone: '050 123 45 67' }, 'AZ')).toEqual({
+            channel: 'PHONE',
+            phone: '+994501234567',
+            employment_type: 'FULL_TIME',
+            start_date: '2024-01-01',
+            expires_in_days: 7
+        });
+    });
+
+    test('should lowercase email invitations', () => {
+        expect(validateInvitation({ ...employment, email: ' Driver@Example.com ', expires_in_days: 14 }, 'AZ'))
+            .toMatchObject({ channel: 'EMAIL', email: 'driver@example.com', expires_in_days: 14 });
+    });
+
+    test('should collect every validation error', () => {
+        let error;
+        try {
+            validateInvitation({ phone: '+994501234567', email: 'driver@example.com', status: 'ACTIVE', expires_in_days: 31 }, 'AZ');
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error.statusCode).toBe(400);
+        expect(error.details).toEqual(expect.arrayContaining([
+            'status is not an invitation field',
+            'Exactly one of phone or email is required',
+            'expires_in_days must be a whole number between 1 and 30'
+        ]));
+        expect(error.details.length).toBeGreaterThan(3);
+    });
+
+    test('should reject phone numbers of another country', () => {
+        expect(() => validateInvitation({ ...employment, phone: '+905321234567' }, 'AZ'))
+            .toThrow(expect.objectContaining({ details: ['phone must be a valid AZ phone number'] }));
+    });
+});
+
+describe('Invite tokens', () => {
+    const createRepository = () => {
+        const items = new Map();
+        const dynamodb = {
+            send: jest.fn(async (command) => {
+                const { Item, Key } = command.input;
+                if (Item) {
+                    items.set(`${Item.PK.S}|${Item.SK.S}`, Item);
+                    return {};
+                }
+                return { Item: items.get(`${Key.PK.S}|${Key.SK.S}`) };
+            })
+        };
+        return new InvitationRepository({ dynamodb, tableName: 'test-table' });
+    };
+    const invitation = { channel: 'PHONE', phone: '+994501234567', employment_type: 'FULL_TIME', start_date: '2024-01-01', expires_in_days: 30 };
+
+    test('should find the invitation a token was issued for without storing the token', async () => {
+        const repository = createRepository();
+
+        const created = await repository.createInvitation('comp_789', invitation, { createdBy: 'usr_admin' });
+        const { token_hash: tokenHash } = repository.dynamodb.send.mock.calls[0][0].input.Item;
+
+        expect(created.invite_token).toMatch(/^comp_789\.inv_[0-9a-f]+\.[\w-]{43}$/);
+        expect(created.invite_token).not.toContain(tokenHash.S);
+        expect(created).not.toHaveProperty('token_hash');
+        await expect(repository.getInvitationByToken(created.invite_token)).resolves.toMatchObject({
+            company_id: 'comp_789',
+            invitation_id: created.invitation_id,
+            status: 'PENDING'
+        });
+    });
+
+    test('should reject malformed tokens and tokens with another secret', async () => {
+        const repository = createRepository();
+        const created = await repository.createInvitation('comp_789', invitation);
+        const forged = created.invite_token.replace(/\.[\w-]{43}$/, `.${'A'.repeat(43)}`);
+
+        await expect(repository.getInvitationByToken(forged)).rejects.toMatchObject({ statusCode: 400 });
+        await expect(repository.getInvitationByToken('comp_789.inv_00.short')).rejects.toMatchObject({ statusCode: 400 });
+        await expect(repository.getInvitationByToken(`comp_789.inv_00.${'A'.repeat(43)}`)).rejects.toMatchObject({ statusCode: 400 });
+        expect(() => parseInviteToken(undefined)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+});
+
+describe('InvitationRepository', () => {
+    const invitation = {
+        invitation_id: 'inv_1',
+        company_id: 'comp_789',
+        channel: 'PHONE',
+        phone: '+994501234567',
+        employment_type: 'FULL_TIME',
+        start_date: '2024-01-01',
+        status: 'PENDING'
+    };
+    const driver = { userId: 'usr_driver', driverId: 'D-AZ-240115-X7Y8TU' };
+
+    const cancelled = (...codes) => Object.assign(new Error('Transaction cancelled'), {
+        name: 'TransactionCanceledException',
+        CancellationReasons: codes.map(Code => ({ Code }))
+    });
+
+    test('should report pending invitations past their expiry as expired', () => {
+        const item = { PK: 'COMPANY#comp_789', SK: 'INVITATION#inv_1', status: 'PENDING', expires_at: '2024-01-08T00:00:00.000Z' };
+
+        expect(formatInvitation(item, new Date('2024-01-09T00:00:00Z'))).toEqual({
+            status: 'EXPIRED',
+            expires_at: '2024-01-08T00:00:00.000Z'
+        });
+        expect(formatInvitation(item, new Date('2024-01-07T00:00:00Z')).status).toBe('PENDING');
+    });
+
+    test('should accept in one transaction with the invitation, employment and profile', async () => {
+        const dynamodb = { send: jest.fn().mockResolvedValue({}) };
+        const repository = new InvitationRepository({ dynamodb, tableName: 'test-table' });
+
+        const employment = await repository.acceptInvitation(invitation, driver);
+
+        const items = dynamodb.send.mock.calls[0][0].input.TransactItems;
+        expect(items[0].Update.ConditionExpression).toBe('#status = :pending AND expires_at > :now');
+        expect(items[1].Put.Item).toMatchObject(marshall({ SK: 'DRIVER#D-AZ-240115-X7Y8TU', invitation_id: 'inv_1' }));
+        expect(items[2].Update.Key).toEqual(marshall({ PK: 'USER#usr_driver', SK: 'PROFILE#main' }));
+        expect(items[3].ConditionCheck.Key).toEqual(marshall({ PK: 'COMPANY#comp_789', SK: 'PROFILE#main' }));
+        expect(employment).toMatchObject({ companyId: 'comp_789', driver_id: 'D-AZ-240115-X7Y8TU', status: 'ACTIVE' });
+    });
+
+    test.each([
+        [['ConditionalCheckFailed', 'None', 'None', 'None'], 409, 'Invitation is no longer pending'],
+        [['None', 'None', 'None', 'ConditionalCheckFailed'], 404, 'Company not found'],
+        [['None', 'ConditionalCheckFailed', 'None', 'None'], 409, 'Driver is already employed by this company'],
+        [['None', 'None', 'ConditionalCheckFailed', 'None'], 409, 'Driver is already employed by a company']
+    ])('should map cancellation reasons %j', async (codes, statusCode, message) => {
+        const dynamodb = { send: jest.fn().mockRejectedValue(cancelled(...codes)) };
+        const repository = new InvitationRepository({ dynamodb, tableName: 'test-table' });
+
+        await expect(repository.acceptInvitation(invitation, driver)).rejects.toMatchObject({ statusCode, message });
+    });
+
+    test('should name the current status when revoking fails', async () => {
+        const conditionFailed = Object.assign(new Error('Condition failed'), { name: 'ConditionalCheckFailedException' });
+        const dynamodb = {
+            send: jest.fn()
+                .mockRejectedValueOnce(conditionFailed)
+                .mockResolvedValueOnce({ Item: marshall({ PK: 'COMPANY#comp_789', SK: 'INVITATION#inv_1', status: 'ACCEPTED' }) })
+        };
+        const repository = new InvitationRepository({ dynamodb, tableName: 'test-table' });
+
+        await expect(repository.revokeInvitation('comp_789', 'inv_1')).rejects.toMatchObject({
+            statusCode: 409,
+            message: 'Cannot revoke an invitation with status ACCEPTED'
+        });
+    });
+});
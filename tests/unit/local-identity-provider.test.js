@@ -0,0 +1,60 @@
+// TIR Browser Platform - Local Identity Provider Tests
+// Unit tests for enabling the local identity provider and the groups /dev/token may issue
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { isLocalIdpEnabled } = require('../../src/services/local-identity-provider');
+const devIdpRoutes = require('../../src/routes/dev-idp');
+
+describe('Local identity provider', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...originalEnv };
+    });
+
+    test.each(['development', 'test', 'production'])('should stay off in %s unless LOCAL_IDP_ENABLED=true', (nodeEnv) => {
+        process.env.NODE_ENV = nodeEnv;
+        delete process.env.LOCAL_IDP_ENABLED;
+        expect(isLocalIdpEnabled()).toBe(false);
+
+        process.env.LOCAL_IDP_ENABLED = 'true';
+        expect(isLocalIdpEnabled()).toBe(true);
+    });
+
+    describe('POST /dev/token', () => {
+        const app = express().use(express.json()).use('/dev', devIdpRoutes);
+
+        test('should reject groups outside LOCAL_IDP_GROUPS', async () => {
+            delete process.env.LOCAL_IDP_GROUPS;
+            await request(app).post('/dev/token').send({ sub: 'PROV-1', groups: ['provider'] }).expect(400);
+
+            process.env.LOCAL_IDP_GROUPS = 'provider, driver';
+            await request(app).post('/dev/token').send({ sub: 'PROV-1', groups: ['admin'] }).expect(400);
+            await request(app).post('/dev/token').send({ sub: 'PROV-1', groups: 'provider' }).expect(400);
+        });
+
+        test('should only issue tokens with a bounded lifetime', async () => {
+            for (const expiresIn of [0, -60, 1.5, '3600', 86401, 1e12]) {
+                await request(app).post('/dev/token').send({ sub: 'PROV-1', expiresIn }).expect(400);
+            }
+
+            const response = await request(app).post('/dev/token').send({ sub: 'PROV-1', expiresIn: 600 }).expect(200);
+            const claims = jwt.decode(response.body.access_token);
+
+            expect(response.body.expires_in).toBe(600);
+            expect(claims.exp - claims.iat).toBe(600);
+        });
+
+        test('should issue tokens with allowed groups or none', async () => {
+            process.env.LOCAL_IDP_GROUPS = 'provider';
+
+            const withGroup = await request(app).post('/dev/token').send({ sub: 'PROV-1', groups: ['provider'] }).expect(200);
+            const withoutGroups = await request(app).post('/dev/token').send({ sub: 'PROV-1' }).expect(200);
+
+            expect(jwt.decode(withGroup.body.access_token).groups).toEqual(['provider']);
+            expect(jwt.decode(withoutGroups.body.access_token).groups).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,31 @@
+// TIR Browser Platform - Logging Middleware Tests
+// Unit tests for the database operation wrapper
+
+const { logDatabaseOperation } = require('../../src/middleware/logging');
+const metricsService = require('../../src/services/metrics');
+
+describe('logDatabaseOperation', () => {
+    beforeEach(() => {
+        jest.spyOn(metricsService, 'recordDatabaseOperation');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should record successful operations', async () => {
+        await expect(logDatabaseOperation('GET', 'drivers', async () => 'result')).resolves.toBe('result');
+
+        expect(metricsService.recordDatabaseOperation).toHaveBeenCalledWith('GET', 'drivers', 'success');
+    });
+
+    test('should record failed operations and rethrow', async () => {
+        const failure = new Error('Throttled');
+
+        await expect(logDatabaseOperation('UPDATE', 'orders', async () => {
+            throw failure;
+        })).rejects.toBe(failure);
+
+        expect(metricsService.recordDatabaseOperation).toHaveBeenCalledWith('UPDATE', 'orders', 'error');
+    });
+});
@@ -0,0 +1,138 @@
+// TIR Browser Platform - OAuth Client Tests
+// Unit tests for client secret hashing, client-credentials token caching and token request validation
+
+const express = require('express');
+const request = require('supertest');
+const { hashClientSecret, verifyClientSecret, oauthClientRepository } = require('../../src/services/oauth-clients');
+const { ClientCredentialsTokenSource } = require('../../src/services/client-credentials');
+const oauthRoutes = require('../../src/routes/oauth');
+
+describe('OAuth Clients', () => {
+    describe('client secret hashing', () => {
+        test('should verify the original secret only', async () => {
+            const hash = await hashClientSecret('s3cret');
+
+            expect(hash).toMatch(/^scrypt\$[\w-]+\$[\w-]+$/);
+            expect(await verifyClientSecret('s3cret', hash)).toBe(true);
+            expect(await verifyClientSecret('wrong', hash)).toBe(false);
+        });
+
+        test('should salt every hash', async () => {
+            expect(await hashClientSecret('s3cret')).not.toBe(await hashClientSecret('s3cret'));
+        });
+
+        test('should reject malformed stored hashes', async () => {
+            expect(await verifyClientSecret('s3cret', 'plain-text')).toBe(false);
+            expect(await verifyClientSecret('s3cret', undefined)).toBe(false);
+        });
+    });
+
+    describe('ClientCredentialsTokenSource', () => {
+        function createTokenSource(fetchImpl) {
+            return new ClientCredentialsTokenSource({
+                tokenUrl: 'http://auth.test/oauth/token',
+                clientId: 'order-service-test',
+                clientSecret: 's3cret',
+                fetch: jest.fn(fetchImpl)
+            });
+        }
+
+        const okResponse = (token) => async () => ({
+            ok: true,
+            status: 200,
+            json: async () => ({ access_token: token, token_type: 'Bearer', expires_in: 300 })
+        });
+
+        test('should request a token with basic auth and cache it', async () => {
+            const tokenSource = createTokenSource(okResponse('token-1'));
+
+            const first = await tokenSource.getToken({ audience: 'auth', scopes: ['drivers:prioritize'] });
+            const second = await tokenSource.getToken({ audience: 'auth', scopes: ['drivers:prioritize'] });
+
+            expect(first).toBe('token-1');
+            expect(second).toBe('token-1');
+            expect(tokenSource.fetch).toHaveBeenCalledTimes(1);
+
+            const [url, request] = tokenSource.fetch.mock.calls[0];
+            expect(url).toBe('http://auth.test/oauth/token');
+            expect(request.headers.Authorization).toBe(`Basic ${Buffer.from('order-service-test:s3cret').toString('base64')}`);
+            expect(request.body).toBe('grant_type=client_credentials&audience=auth&scope=drivers%3Aprioritize');
+        });
+
+        test('should share one request between concurrent callers', async () => {
+            const tokenSource = createTokenSource(okResponse('token-1'));
+
+            await Promise.all([
+                tokenSource.getToken({ audience: 'auth' }),
+                tokenSource.getToken({ audience: 'auth' })
+            ]);
+
+            expect(tokenSource.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('should cache tokens per audience', async () => {
+            const tokenSource = createTokenSource(okResponse('token-1'));
+
+            await tokenSource.getToken({ audience: 'auth' });
+            await tokenSource.getToken({ audience: 'pricing-service' });
+
+            expect(tokenSource.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should surface token endpoint errors', async () => {
+            const tokenSource = createTokenSource(async () => ({
+                ok: false,
+                status: 401,
+                json: async () => ({ error: 'invalid_client' })
+            }));
+
+            await expect(tokenSource.getToken({ audience: 'auth' })).rejects.toThrow('Token request failed: invalid_client');
+        });
+    });
+
+    describe('POST /oauth/token', () => {
+        const app = express().use(express.json()).use(express.urlencoded({ extended: true })).use('/oauth', oauthRoutes);
+        const basic = (credentials) => `Basic ${Buffer.from(credentials).toString('base64')}`;
+
+        beforeEach(() => {
+            jest.spyOn(oauthClientRepository, 'authenticate').mockResolvedValue({
+                service_name: 'order-service',
+                allowed_scopes: ['drivers:prioritize'],
+                allowed_audiences: ['auth']
+            });
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should answer invalid_client for credentials with broken percent-encoding', async () => {
+            const response = await request(app)
+                .post('/oauth/token')
+                .set('Authorization', basic('order-service%E0%A4%A:s3cret'))
+                .type('form')
+                .send({ grant_type: 'client_credentials' })
+                .expect(401);
+
+            expect(response.body.error).toBe('invalid_client');
+            expect(oauthClientRepository.authenticate).not.toHaveBeenCalled();
+        });
+
+        test('should answer invalid_request for a scope that is not a string', async () => {
+            const asArray = await request(app)
+                .post('/oauth/token')
+                .set('Authorization', basic('order-service:s3cret'))
+                .send({ grant_type: 'client_credentials', scope: ['drivers:prioritize'] })
+                .expect(400);
+            const asObject = await request(app)
+                .post('/oauth/token')
+                .set('Authorization', basic('order-service:s3cret'))
+                .type('form')
+                .send('grant_type=client_credentials&scope[a]=drivers:prioritize')
+                .expect(400);
+
+            expect(asArray.body.error).toBe('invalid_request');
+            expect(asObject.body.error).toBe('invalid_request');
+        });
+    });
+});
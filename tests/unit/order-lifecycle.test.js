@@ -0,0 +1,66 @@
+// TIR Browser Platform - Order Lifecycle Tests
+// Unit tests for order status transitions, their actors and required fields
+
+const { ORDER_STATUSES, getAllowedStatuses, checkOrderTransition } = require('../../src/services/order-lifecycle');
+
+describe('Order lifecycle', () => {
+    const provider = { id: 'PROV-1', user_type: 'PROVIDER' };
+    const driver = { id: 'DRV-1', user_type: 'DRIVER', driver_id: 'D-AZ-240115-X7Y8TU' };
+    const internal = { id: 'OPS-1', user_type: 'INTERNAL' };
+
+    const order = (status, fields = {}) => ({ id: 'ORD-000001', providerId: 'PROV-1', status, ...fields });
+
+    test('should list the next statuses of each status', () => {
+        expect(getAllowedStatuses('ORDER_CREATED')).toEqual(['OFFERED', 'CANCELLED']);
+        expect(getAllowedStatuses('AT_BORDER')).toEqual(['DELIVERED', 'CANCELLED']);
+        expect(getAllowedStatuses('DELIVERED')).toEqual([]);
+        expect(ORDER_STATUSES.every(status => Array.isArray(getAllowedStatuses(status)))).toBe(true);
+    });
+
+    test('should reject unknown statuses', () => {
+        expect(() => checkOrderTransition(order('ORDER_CREATED'), '', {}, provider))
+            .toThrow(expect.objectContaining({ statusCode: 400 }));
+        expect(() => checkOrderTransition(order('ORDER_CREATED'), 'IN_TRANSIT', {}, provider))
+            .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test('should report illegal transitions with the allowed next statuses', () => {
+        expect(() => checkOrderTransition(order('DELIVERED'), 'OFFERED', {}, internal)).toThrow(expect.objectContaining({
+            statusCode: 409,
+            message: 'Cannot change order status from DELIVERED to OFFERED',
+            currentStatus: 'DELIVERED',
+            allowedStatuses: []
+        }));
+        expect(() => checkOrderTransition(order('OFFERED'), 'PICKED_UP', {}, internal))
+            .toThrow(expect.objectContaining({ statusCode: 409, allowedStatuses: ['ASSIGNED', 'CANCELLED'] }));
+    });
+
+    test('should only let the roles of a transition perform it', () => {
+        expect(() => checkOrderTransition(order('ORDER_CREATED'), 'OFFERED', {}, driver))
+            .toThrow(expect.objectContaining({ statusCode: 403 }));
+        expect(() => checkOrderTransition(order('PICKED_UP'), 'CANCELLED', { reason: 'Lost' }, provider))
+            .toThrow(expect.objectContaining({ statusCode: 403 }));
+        expect(checkOrderTransition(order('PICKED_UP'), 'CANCELLED', { reason: ' Lost ' }, internal))
+            .toEqual({ status: 'CANCELLED', cancellationReason: 'Lost' });
+    });
+
+    test('should limit providers and drivers to their own orders', () => {
+        expect(() => checkOrderTransition(order('ORDER_CREATED', { providerId: 'PROV-2' }), 'OFFERED', {}, provider))
+            .toThrow(expect.objectContaining({ statusCode: 403 }));
+        expect(() => checkOrderTransition(order('ASSIGNED', { driverId: 'D-AZ-240115-OTHER1' }), 'PICKED_UP', {}, driver))
+            .toThrow(expect.objectContaining({ statusCode: 403 }));
+        expect(checkOrderTransition(order('ASSIGNED', { driverId: 'D-AZ-240115-X7Y8TU' }), 'PICKED_UP', {}, driver))
+            .toEqual({ status: 'PICKED_UP' });
+    });
+
+    test('should require the fields of a transition', () => {
+        expect(() => checkOrderTransition(order('OFFERED'), 'ASSIGNED', { driverId: 'driver-1' }, provider))
+            .toThrow(expect.objectContaining({ statusCode: 400, details: ['driverId must be a driver ID'] }));
+        expect(() => checkOrderTransition(order('ORDER_CREATED'), 'CANCELLED', {}, provider))
+            .toThrow(expect.objectContaining({ statusCode: 400, details: ['reason is required (at most 500 characters)'] }));
+        expect(checkOrderTransition(order('OFFERED'), 'ASSIGNED', { driverId: 'D-AZ-240115-X7Y8TU' }, provider))
+            .toEqual({ status: 'ASSIGNED', driverId: 'D-AZ-240115-X7Y8TU' });
+        expect(checkOrderTransition(order('PICKED_UP', { driverId: 'D-AZ-240115-X7Y8TU' }), 'AT_BORDER',
+            { borderCrossing: 'Red Bridge' }, driver)).toEqual({ status: 'AT_BORDER', borderCrossing: 'Red Bridge' });
+    });
+});
@@ -0,0 +1,262 @@
+// TIR Browser Platform - Order Repository Tests
+// Unit tests for the in-memory and DynamoDB order repositories
+
+const { marshall } = require('@aws-sdk/util-dynamodb');
+const { MemoryOrderRepository, DynamoOrderRepository } = require('../../src/services/orders');
+
+const orderFields = {
+    providerId: 'PROV-1',
+    cargoType: 'general',
+    pickupLocation: 'Baku',
+    pickupCountry: 'AZ',
+    destinationLocation: 'Tbilisi',
+    estimatedPrice: 1200,
+    status: 'ORDER_CREATED'
+};
+
+describe('MemoryOrderRepository', () => {
+    test('should number orders and hand out copies', async () => {
+        const repository = new MemoryOrderRepository();
+
+        const first = await repository.createOrder(orderFields);
+        const second = await repository.createOrder({ ...orderFields, providerId: 'PROV-2' });
+        first.status = 'DELIVERED';
+
+        expect(first.id).toBe('ORD-000001');
+        expect(second.id).toBe('ORD-000002');
+        expect((await repository.getOrder('ORD-000001')).status).toBe('ORDER_CREATED');
+        expect(await repository.getOrder('ORD-000003')).toBeNull();
+    });
+
+    test('should list all orders or those of one provider', async () => {
+        const repository = new MemoryOrderRepository();
+        await repository.createOrder(orderFields);
+        await repository.createOrder({ ...orderFields, providerId: 'PROV-2' });
+
+        const ids = async (options) => (await repository.listOrders(options)).orders.map(order => order.id);
+        expect(await ids()).toEqual(['ORD-000001', 'ORD-000002']);
+        expect(await ids({ providerId: 'PROV-2' })).toEqual(['ORD-000002']);
+    });
+
+    test('should page through orders with a cursor', async () => {
+        const repository = new MemoryOrderRepository();
+        for (let i = 0; i < 3; i++) {
+            await repository.createOrder(orderFields);
+        }
+
+        const first = await repository.listOrders({ limit: 2 });
+        const second = await repository.listOrders({ limit: 2, cursor: first.nextCursor });
+
+        expect(first.orders.map(order => order.id)).toEqual(['ORD-000001', 'ORD-000002']);
+        expect(second).toEqual({ orders: [expect.objectContaining({ id: 'ORD-000003' })], nextCursor: null });
+        await expect(repository.listOrders({ cursor: 'not-a-cursor' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should refuse cursors naming an unknown order', async () => {
+        const repository = new MemoryOrderRepository();
+        await repository.createOrder(orderFields);
+        const unknown = Buffer.from(JSON.stringify({ id: 'ORD-999999' })).toString('base64url');
+
+        await expect(repository.listOrders({ limit: 1, cursor: unknown })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should update orders with the expected status only', async () => {
+        const repository = new MemoryOrderRepository();
+        const order = await repository.createOrder(orderFields);
+
+        const updated = await repository.updateOrder(order.id, { status: 'OFFERED' }, { expectedStatus: 'ORDER_CREATED' });
+
+        expect(updated).toMatchObject({ id: order.id, status: 'OFFERED', providerId: 'PROV-1' });
+        await expect(repository.updateOrder(order.id, { status: 'ASSIGNED' }, { expectedStatus: 'ORDER_CREATED' }))
+            .rejects.toMatchObject({ statusCode: 409 });
+        await expect(repository.updateOrder('ORD-999999', { status: 'OFFERED' }))
+            .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should record who changed what in the order history', async () => {
+        const repository = new MemoryOrderRepository();
+        const context = { actorId: 'PROV-1', actorType: 'PROVIDER', correlationId: 'corr-1' };
+        const order = await repository.createOrder(orderFields, context);
+
+        await repository.updateOrder(order.id, { recommendedPrice: 1100 }, { context });
+        await repository.updateOrder(order.id, { status: 'OFFERED', notes: 'Urgent' }, {
+            context: { ...context, correlationId: 'corr-2' }
+        });
+        await expect(repository.updateOrder(order.id, { status: 'ASSIGNED' }, { expectedStatus: 'ORDER_CREATED' }))
+            .rejects.toMatchObject({ statusCode: 409 });
+
+        const history = await repository.listOrderHistory(order.id);
+        expect(history).toEqual([
+            expect.objectContaining({ action: 'CREATED', previousStatus: null, newStatus: 'ORDER_CREATED', actorId: 'PROV-1' }),
+            expect.objectContaining({ action: 'UPDATED', newStatus: 'ORDER_CREATED', changes: { recommendedPrice: 1100 } }),
+            expect.objectContaining({
+                action: 'STATUS_CHANGED',
+                previousStatus: 'ORDER_CREATED',
+                newStatus: 'OFFERED',
+                notes: 'Urgent',
+                changes: {},
+                actorType: 'PROVIDER',
+                correlationId: 'corr-2'
+            })
+        ]);
+        expect(await repository.listOrderHistory('ORD-999999')).toEqual([]);
+    });
+});
+
+describe('DynamoOrderRepository', () => {
+    const orderItem = { Item: marshall({ PK: 'ORDER#ORD-000001', SK: 'DETAILS#main', id: 'ORD-000001', status: 'ORDER_CREATED', updatedAt: '2024-01-15T10:30:00.000Z' }) };
+    const cancelled = () => Object.assign(new Error('Transaction cancelled'), { name: 'TransactionCanceledException' });
+
+    test('should take the order ID from the counter and index the order by provider', async () => {
+        const dynamodb = {
+            send: jest.fn()
+                .mockResolvedValueOnce({ Attributes: marshall({ sequence: 42 }) })
+                .mockResolvedValueOnce({})
+        };
+        const repository = new DynamoOrderRepository({ dynamodb, tableName: 'test-table' });
+
+        const order = await repository.createOrder(orderFields, { actorId: 'PROV-1', correlationId: 'corr-1' });
+
+        const counter = dynamodb.send.mock.calls[0][0].input;
+        expect(counter.Key).toEqual(marshall({ PK: 'COUNTER#order', SK: 'COUNTER#main' }));
+        expect(counter.UpdateExpression).toBe('ADD #sequence :one SET first_order_at = if_not_exists(first_order_at, :now)');
+
+        const [put, history] = dynamodb.send.mock.calls[1][0].input.TransactItems;
+        expect(put.Put.ConditionExpression).toBe('attribute_not_exists(PK)');
+        expect(put.Put.Item).toMatchObject(marshall({
+            PK: 'ORDER#ORD-000042',
+            SK: 'DETAILS#main',
+            GSI1PK: 'PROVIDER_ORDERS#PROV-1',
+            GSI3PK: `ORDERS#${order.createdAt.slice(0, 7)}`
+        }));
+        expect(history.Put.Item).toMatchObject(marshall({ PK: 'ORDER#ORD-000042', action: 'CREATED', actorId: 'PROV-1', correlationId: 'corr-1' }));
+        expect(history.Put.Item.SK.S).toMatch(/^HISTORY#\d{4}-\d{2}-\d{2}T.*#[0-9a-f]{8}$/);
+        expect(order).toMatchObject({ id: 'ORD-000042', status: 'ORDER_CREATED' });
+        expect(order.PK).toBeUndefined();
+    });
+
+    test('should query one page of the provider index when listing one provider', async () => {
+        const keys = { PK: 'ORDER#ORD-000001', SK: 'DETAILS#main', GSI1PK: 'PROVIDER_ORDERS#PROV-1', GSI1SK: 'ORDER#2024-01-15T10:30:00.000Z#ORD-000001' };
+        const dynamodb = {
+            send: jest.fn()
+                .mockResolvedValueOnce({ Items: [marshall({ ...keys, id: 'ORD-000001' })], LastEvaluatedKey: marshall(keys) })
+                .mockResolvedValueOnce({ Items: [] })
+        };
+        const repository = new DynamoOrderRepository({ dynamodb, tableName: 'test-table' });
+
+        const page = await repository.listOrders({ providerId: 'PROV-1', limit: 1 });
+        await repository.listOrders({ providerId: 'PROV-1', limit: 1, cursor: page.nextCursor });
+
+        expect(page.orders).toEqual([{ id: 'ORD-000001' }]);
+        expect(dynamodb.send.mock.calls[0][0].input).toMatchObject({
+            IndexName: 'GSI1',
+            ExpressionAttributeValues: marshall({ ':pk': 'PROVIDER_ORDERS#PROV-1' }),
+            Limit: 1
+        });
+        expect(dynamodb.send.mock.calls[1][0].input.ExclusiveStartKey).toEqual(marshall(keys));
+    });
+
+    test('should walk the monthly partitions from the first order when listing all orders', async () => {
+        const now = new Date();
+        const month = (offset) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, 1)).toISOString().slice(0, 7);
+        const keys = { PK: 'ORDER#ORD-000002', SK: 'DETAILS#main', GSI3PK: `ORDERS#${month(-1)}`, GSI3SK: `ORDER#${month(-1)}-02#ORD-000002` };
+        const dynamodb = {
+            send: jest.fn()
+                .mockResolvedValueOnce({ Item: marshall({ PK: 'COUNTER#order', SK: 'COUNTER#main', first_order_at: `${month(-2)}-20T08:00:00.000Z` }) })
+                .mockResolvedValueOnce({ Items: [marshall({ id: 'ORD-000001' })] })
+                .mockResolvedValueOnce({ Items: [marshall({ ...keys, id: 'ORD-000002' })], LastEvaluatedKey: marshall(keys) })
+                .mockResolvedValueOnce({ Items: [marshall({ id: 'ORD-000003' })] })
+                .mockResolvedValueOnce({ Items: [] })
+        };
+        const repository = new DynamoOrderRepository({ dynamodb, tableName: 'test-table' });
+
+        const first = await repository.listOrders({ limit: 2 });
+        const second = await repository.listOrders({ limit: 2, cursor: first.nextCursor });
+
+        expect(first.orders.map(order => order.id)).toEqual(['ORD-000001', 'ORD-000002']);
+        expect(second).toEqual({ orders: [{ id: 'ORD-000003' }], nextCursor: null });
+        const queries = dynamodb.send.mock.calls.slice(1).map(([command]) => command.input);
+        expect(queries.map(query => [query.IndexName, query.ExpressionAttributeValues[':pk'].S, query.Limit])).toEqual([
+            ['GSI3', `ORDERS#${month(-2)}`, 2],
+            ['GSI3', `ORDERS#${month(-1)}`, 1],
+            ['GSI3', `ORDERS#${month(-1)}`, 2],
+            ['GSI3', `ORDERS#${month(0)}`, 1]
+        ]);
+        expect(queries[2].ExclusiveStartKey).toEqual(marshall(keys));
+    });
+
+    test('should list no orders before the first one', async () => {
+        const dynamodb = { send: jest.fn().mockResolvedValue({}) };
+        const repository = new DynamoOrderRepository({ dynamodb, tableName: 'test-table' });
+
+        await expect(repository.listOrders({ limit: 20 })).resolves.toEqual({ orders: [], nextCursor: null });
+        expect(dynamodb.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse cursors from another index partition', async () => {
+        const dynamodb = { send: jest.fn() };
+        const repository = new DynamoOrderRepository({ dynamodb, tableName: 'test-table' });
+        const otherProvider = Buffer.from(JSON.stringify({ GSI1PK: 'PROVIDER_ORDERS#PROV-2' })).toString('base64url');
+
+        await expect(repository.listOrders({ providerId: 'PROV-1', cursor: otherProvider })).rejects.toMatchObject({ statusCode: 400 });
+        expect(dynamodb.send).not.toHaveBeenCalled();
+    });
+
+    test('should condition updates on the order that was read and append a history item', async () => {
+        const dynamodb = {
+            send: jest.fn()
+                .mockResolvedValueOnce(orderItem)
+                .mockResolvedValueOnce({})
+        };
+        const repository = new DynamoOrderRepository({ dynamodb, tableName: 'test-table' });
+
+        const order = await repository.updateOrder('ORD-000001', { status: 'OFFERED' }, {
+            expectedStatus: 'ORDER_CREATED',
+            context: { actorId: 'PROV-1', actorType: 'PROVIDER' }
+        });
+
+        const [update, history] = dynamodb.send.mock.calls[1][0].input.TransactItems;
+        expect(update.Update.ConditionExpression).toBe('updatedAt = :previous_updated_at');
+        expect(update.Update.UpdateExpression).toBe('SET #f0 = :f0, #f1 = :f1');
+        expect(history.Put.Item).toMatchObject(marshall({
+            action: 'STATUS_CHANGED',
+            previousStatus: 'ORDER_CREATED',
+            newStatus: 'OFFERED',
+            actorType: 'PROVIDER'
+        }));
+        expect(order).toMatchObject({ id: 'ORD-000001', status: 'OFFERED' });
+        expect(order.PK).toBeUndefined();
+    });
+
+    test('should tell missing orders from concurrent changes', async () => {
+        const dynamodb = {
+            send: jest.fn()
+                .mockResolvedValueOnce(orderItem)
+                .mockResolvedValueOnce(orderItem)
+                .mockRejectedValueOnce(cancelled())
+                .mockResolvedValueOnce({})
+        };
+        const repository = new DynamoOrderRepository({ dynamodb, tableName: 'test-table' });
+
+        await expect(repository.updateOrder('ORD-000001', { status: 'ASSIGNED' }, { expectedStatus: 'OFFERED' }))
+            .rejects.toMatchObject({ statusCode: 409, message: 'Order changed concurrently' });
+        await expect(repository.updateOrder('ORD-000001', { status: 'OFFERED' }, { expectedStatus: 'ORDER_CREATED' }))
+            .rejects.toMatchObject({ statusCode: 409, message: 'Order changed concurrently' });
+        await expect(repository.updateOrder('ORD-000002', { status: 'OFFERED' }))
+            .rejects.toMatchObject({ statusCode: 404, message: 'Order not found' });
+    });
+
+    test('should query the history items of an order', async () => {
+        const item = marshall({ PK: 'ORDER#ORD-000001', SK: 'HISTORY#2024-01-15T10:30:00.000Z#0a1b2c3d', action: 'CREATED' });
+        const dynamodb = { send: jest.fn().mockResolvedValue({ Items: [item] }) };
+        const repository = new DynamoOrderRepository({ dynamodb, tableName: 'test-table' });
+
+        const history = await repository.listOrderHistory('ORD-000001');
+
+        expect(dynamodb.send.mock.calls[0][0].input).toMatchObject({
+            KeyConditionExpression: 'PK = :pk AND begins_with(SK, :sk)',
+            ExpressionAttributeValues: marshall({ ':pk': 'ORDER#ORD-000001', ':sk': 'HISTORY#' })
+        });
+        expect(history).toEqual([{ action: 'CREATED' }]);
+    });
+});
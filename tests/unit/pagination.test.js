@@ -0,0 +1,73 @@
+// TIR Browser Platform - Pagination Tests
+// Unit tests for cursor encoding, the GSI2 driver listing and page size parsing
+
+const { marshall } = require('@aws-sdk/util-dynamodb');
+const { encodeCursor, decodeCursor, parseLimit, DEFAULT_PAGE_SIZE } = require('../../src/services/pagination');
+const { UserRepository, getTypeCountryIndexKeys } = require('../../src/services/users');
+
+describe('Cursor Pagination', () => {
+    const lastKey = marshall({
+        PK: 'USER#usr_1',
+        SK: 'PROFILE#main',
+        GSI2PK: 'DRIVER#AZ',
+        GSI2SK: 'ACTIVE#USER#usr_1'
+    });
+
+    test('should round-trip a LastEvaluatedKey through an opaque cursor', () => {
+        const cursor = encodeCursor(lastKey);
+
+        expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+        expect(decodeCursor(cursor)).toEqual(lastKey);
+        expect(encodeCursor(undefined)).toBeNull();
+        expect(decodeCursor(undefined)).toBeUndefined();
+    });
+
+    test('should reject malformed cursors and cursors of another query', () => {
+        const cursor = encodeCursor(lastKey);
+
+        expect(() => decodeCursor('not-a-cursor')).toThrow(expect.objectContaining({ statusCode: 400 }));
+        expect(() => decodeCursor(cursor, key => key.GSI2PK === 'DRIVER#TR'))
+            .toThrow(expect.objectContaining({ message: 'Invalid cursor', statusCode: 400 }));
+    });
+
+    test('should parse page sizes', () => {
+        expect(parseLimit(undefined)).toBe(DEFAULT_PAGE_SIZE);
+        expect(parseLimit('50')).toBe(50);
+        ['0', '101', '2.5', 'ten'].forEach(value => {
+            expect(() => parseLimit(value)).toThrow(expect.objectContaining({ statusCode: 400 }));
+        });
+    });
+
+    test('should query GSI2 by type, country and status', async () => {
+        const dynamodb = {
+            send: jest.fn().mockResolvedValue({
+                Items: [marshall({ PK: 'USER#usr_1', SK: 'PROFILE#main', user_type: 'DRIVER', status: 'ACTIVE', country: 'AZ' })],
+                LastEvaluatedKey: lastKey
+            })
+        };
+        const repository = new UserRepository({ dynamodb, tableName: 'test-table' });
+
+        const page = await repository.listUsersByTypeAndCountry('DRIVER', 'AZ', {
+            status: 'ACTIVE',
+            limit: 1,
+            cursor: encodeCursor(lastKey)
+        });
+
+        const input = dynamodb.send.mock.calls[0][0].input;
+        expect(input.IndexName).toBe('GSI2');
+        expect(input.KeyConditionExpression).toBe('GSI2PK = :pk AND begins_with(GSI2SK, :status)');
+        expect(input.ExpressionAttributeValues).toEqual(marshall({ ':pk': 'DRIVER#AZ', ':status': 'ACTIVE#' }));
+        expect(input.ExclusiveStartKey).toEqual(lastKey);
+        expect(page.users[0].userId).toBe('usr_1');
+        expect(page.nextCursor).toBe(encodeCursor(lastKey));
+
+        await expect(repository.listUsersByTypeAndCountry('DRIVER', 'TR', { cursor: page.nextCursor }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should leave profiles without a country out of the country index', () => {
+        expect(getTypeCountryIndexKeys({ userId: 'usr_1', user_type: 'DRIVER', status: 'ACTIVE', country: 'AZ' }))
+            .toEqual({ GSI2PK: 'DRIVER#AZ', GSI2SK: 'ACTIVE#USER#usr_1' });
+        expect(getTypeCountryIndexKeys({ userId: 'usr_2', user_type: 'INTERNAL', status: 'ACTIVE' })).toEqual({});
+    });
+});
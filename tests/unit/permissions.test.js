@@ -0,0 +1,165 @@
+// TIR Browser Platform - Permission Service Tests
+// Unit tests for role resolution, permission matching and caching
+
+const { marshall } = require('@aws-sdk/util-dynamodb');
+const { PermissionService, hasPermission, assertHoldsPermissions } = require('../../src/services/permissions');
+
+// Minimal DynamoDB stand-in answering role queries, definition lookups and generation bumps
+function createFakeDynamo(items) {
+    return {
+        send: jest.fn(async (command) => {
+            const input = command.input;
+
+            if (input.UpdateExpression) {
+                const counter = items.find(i => i.PK === input.Key.PK.S);
+                if (counter) {
+                    counter.generation += 1;
+                } else {
+                    items.push({ PK: input.Key.PK.S, SK: input.Key.SK.S, generation: 1 });
+                }
+                return {};
+            }
+
+            if (input.KeyConditionExpression) {
+                const pk = input.ExpressionAttributeValues[':pk'].S;
+                return {
+                    Items: items
+                        .filter(item => item.PK === pk && item.SK.startsWith('ROLE#'))
+                        .map(item => marshall(item))
+                };
+            }
+
+            const key = { PK: input.Key.PK.S, SK: input.Key.SK.S };
+            const item = items.find(i => i.PK === key.PK && i.SK === key.SK);
+            return { Item: item ? marshall(item) : undefined };
+        })
+    };
+}
+
+describe('Permissions', () => {
+    describe('hasPermission', () => {
+        test('should match exact permissions', () => {
+            expect(hasPermission(['route:read'], 'route:read')).toBe(true);
+            expect(hasPermission(['route:read'], 'route:write')).toBe(false);
+        });
+
+        test('should support resource and global wildcards', () => {
+            expect(hasPermission(['order:*'], 'order:create')).toBe(true);
+            expect(hasPermission(['order:*'], 'driver:create')).toBe(false);
+            expect(hasPermission(['*'], 'driver:create')).toBe(true);
+        });
+
+        test('should deny when nothing is granted', () => {
+            expect(hasPermission([], 'route:read')).toBe(false);
+            expect(hasPermission(undefined, 'route:read')).toBe(false);
+        });
+    });
+
+    describe('assertHoldsPermissions', () => {
+        test('should allow permissions covered by the caller', () => {
+            expect(() => assertHoldsPermissions(['order:*', 'role:assign'], ['order:create', 'role:assign'])).not.toThrow();
+        });
+
+        test('should list the permissions the caller lacks', () => {
+            expect(() => assertHoldsPermissions(['order:*'], ['order:create', 'user:erase', '*']))
+                .toThrow(expect.objectContaining({ statusCode: 403, details: ['user:erase', '*'] }));
+        });
+    });
+
+    describe('PermissionService', () => {
+        let items;
+
+        beforeEach(() => {
+            items = [
+                { PK: 'USER#usr_1', SK: 'ROLE#driver', role_name: 'driver' },
+                { PK: 'ROLE#driver', SK: 'DEFINITION#main', role_name: 'driver', permissions: ['route:read', 'shipment:accept'] },
+                { PK: 'ROLE#admin', SK: 'DEFINITION#main', role_name: 'admin', permissions: ['*'] }
+            ];
+        });
+
+        test('should resolve permissions from assigned roles', async () => {
+            const service = new PermissionService({ dynamodb: createFakeDynamo(items), tableName: 'test-table' });
+
+            const result = await service.resolvePermissions({ id: 'sub-1', userId: 'usr_1', roles: [] });
+
+            expect(result.roles).toEqual(['driver']);
+            expect(result.permissions).toEqual(['route:read', 'shipment:accept']);
+        });
+
+        test('should treat Cognito groups as role names', async () => {
+            const service = new PermissionService({ dynamodb: createFakeDynamo(items), tableName: 'test-table' });
+
+            const result = await service.resolvePermissions({ id: 'sub-1', userId: 'usr_1', roles: ['admin'] });
+
+            expect(result.roles).toEqual(['admin', 'driver']);
+            expect(result.permissions).toContain('*');
+        });
+
+        test('should only use groups for users without a profile', async () => {
+            const dynamodb = createFakeDynamo(items);
+            const service = new PermissionService({ dynamodb, tableName: 'test-table' });
+
+            const result = await service.resolvePermissions({ id: 'sub-2', userId: null, roles: ['admin'] });
+
+            expect(result.roles).toEqual(['admin']);
+            // Generation check and the admin definition
+            expect(dynamodb.send).toHaveBeenCalledTimes(2);
+        });
+
+        test('should cache lookups until invalidated', async () => {
+            const dynamodb = createFakeDynamo(items);
+            const service = new PermissionService({ dynamodb, tableName: 'test-table' });
+
+            await service.resolvePermissions({ id: 'sub-1', userId: 'usr_1', roles: [] });
+            await service.resolvePermissions({ id: 'sub-1', userId: 'usr_1', roles: [] });
+            // One generation check within the interval, the role query and the definition
+            expect(dynamodb.send).toHaveBeenCalledTimes(3);
+
+            await service.invalidateUser('usr_1');
+            await service.resolvePermissions({ id: 'sub-1', userId: 'usr_1', roles: [] });
+            // Generation bump and the role query again
+            expect(dynamodb.send).toHaveBeenCalledTimes(5);
+        });
+
+        test('should pick up role changes of other tasks after the check interval', async () => {
+            const dynamodb = createFakeDynamo(items);
+            const task = new PermissionService({ dynamodb, tableName: 'test-table', generationCheckInterval: 5000 });
+            const otherTask = new PermissionService({ dynamodb, tableName: 'test-table' });
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+
+            await task.resolvePermissions({ id: 'sub-1', userId: 'usr_1', roles: [] });
+
+            items.shift();
+            await otherTask.invalidateUser('usr_1');
+
+            now.mockReturnValue(1004999);
+            const stale = await task.resolvePermissions({ id: 'sub-1', userId: 'usr_1', roles: [] });
+            expect(stale.permissions).toEqual(['route:read', 'shipment:accept']);
+
+            now.mockReturnValue(1005000);
+            const result = await task.resolvePermissions({ id: 'sub-1', userId: 'usr_1', roles: [] });
+            expect(result.permissions).toEqual([]);
+
+            now.mockRestore();
+        });
+
+        test('should share one generation read between concurrent resolves', async () => {
+            const dynamodb = createFakeDynamo(items);
+            const service = new PermissionService({ dynamodb, tableName: 'test-table' });
+
+            await Promise.all([service.syncGeneration(), service.syncGeneration()]);
+
+            expect(dynamodb.send).toHaveBeenCalledTimes(1);
+        });
+
+        test('should keep serving when the generation bump fails', async () => {
+            const dynamodb = createFakeDynamo(items);
+            const service = new PermissionService({ dynamodb, tableName: 'test-table' });
+            dynamodb.send.mockRejectedValueOnce(new Error('Throttled'));
+
+            await expect(service.invalidateRole('driver')).resolves.toBeUndefined();
+            await expect(service.resolvePermissions({ id: 'sub-1', userId: 'usr_1', roles: [] }))
+                .resolves.toMatchObject({ roles: ['driver'] });
+        });
+    });
+});
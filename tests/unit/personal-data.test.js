@@ -0,0 +1,97 @@
+// TIR Browser Platform - Personal Data Repository Tests
+// Unit tests for the export query and the erasure transaction
+
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { PersonalDataRepository } = require('../../src/services/personal-data');
+
+describe('PersonalDataRepository', () => {
+    const profile = {
+        PK: 'USER#usr_driver',
+        SK: 'PROFILE#main',
+        GSI1PK: 'COGNITO#sub-driver',
+        GSI1SK: 'USER#usr_driver',
+        GSI2PK: 'DRIVER#AZ',
+        GSI2SK: 'ACTIVE#USER#usr_driver',
+        cognito_sub: 'sub-driver',
+        user_type: 'DRIVER',
+        status: 'ACTIVE',
+        country: 'AZ',
+        profile_data: {
+            driver_id: 'D-AZ-240115-X7Y8TU',
+            full_name: 'John Doe',
+            phone: '+994501234567',
+            license_number: 'DL123456',
+            company_id: 'comp_789'
+        }
+    };
+
+    const commandsOf = (dynamodb) => dynamodb.send.mock.calls.map(([command]) => command.constructor.name);
+
+    test('should export every page of the user partition with the employment', async () => {
+        const dynamodb = {
+            send: jest.fn()
+                .mockResolvedValueOnce({ Items: [marshall(profile)], LastEvaluatedKey: marshall({ PK: 'USER#usr_driver', SK: 'PROFILE#main' }) })
+                .mockResolvedValueOnce({ Items: [marshall({ PK: 'USER#usr_driver', SK: 'ROLE#dispatch' })] })
+                .mockResolvedValueOnce({ Item: marshall({ PK: 'COMPANY#comp_789', SK: 'DRIVER#D-AZ-240115-X7Y8TU' }) })
+                .mockResolvedValueOnce({})
+        };
+        const repository = new PersonalDataRepository({ dynamodb, tableName: 'test-table' });
+
+        const data = await repository.exportUserData('usr_driver', { requestedBy: 'usr_driver', correlationId: 'cid-1' });
+
+        expect(commandsOf(dynamodb)).toEqual(['QueryCommand', 'QueryCommand', 'GetItemCommand', 'PutItemCommand']);
+        expect(data.items.map(item => item.SK)).toEqual(['PROFILE#main', 'ROLE#dispatch']);
+        expect(data.employments).toHaveLength(1);
+
+        const audit = dynamodb.send.mock.calls[3][0].input.Item;
+        expect(audit).toMatchObject(marshall({ action: 'DATA_EXPORTED', item_count: 3, correlation_id: 'cid-1' }));
+        expect(audit.SK.S).toMatch(/^AUDIT#/);
+    });
+
+    test('should anonymize the profile and release its reservations in one transaction', async () => {
+        const dynamodb = {
+            send: jest.fn()
+                .mockResolvedValueOnce({ Item: marshall(profile) })
+                .mockResolvedValueOnce({})
+        };
+        const repository = new PersonalDataRepository({ dynamodb, tableName: 'test-table' });
+
+        await repository.eraseUser('usr_driver', { erasedBy: 'usr_admin', reason: 'Request' });
+
+        const items = dynamodb.send.mock.calls[1][0].input.TransactItems;
+        const update = items[0].Update;
+        expect(update.UpdateExpression).toContain('REMOVE cognito_sub, GSI1PK, GSI1SK');
+        expect(update.ExpressionAttributeValues[':profile_data']).toEqual(marshall({
+            ':p': { driver_id: 'D-AZ-240115-X7Y8TU', company_id: 'comp_789', full_name: 'Erased User' }
+        })[':p']);
+        expect(update.ExpressionAttributeValues[':gsi2sk']).toEqual({ S: 'DEACTIVATED#USER#usr_driver' });
+        expect(update.UpdateExpression).toContain('erasure_pending = :erasure_pending');
+        expect(unmarshall({ pending: update.ExpressionAttributeValues[':erasure_pending'] }).pending).toEqual({
+            driver_registration: 'D-AZ-240115-X7Y8TU',
+            token_revocation: 'sub-driver',
+            directory_disable: 'sub-driver'
+        });
+        expect(items[1].Put.Item).toMatchObject(marshall({ action: 'DATA_ERASED', performed_by: 'usr_admin', reason: 'Request' }));
+        expect(items[2].Put.Item).toMatchObject(marshall({ from_status: 'ACTIVE', to_status: 'DEACTIVATED' }));
+        expect(items.slice(3).map(item => item.Delete.Key.PK.S)).toEqual(['PHONE#+994501234567', 'COGNITO#sub-driver']);
+    });
+
+    test('should refuse to erase twice', async () => {
+        const dynamodb = { send: jest.fn().mockResolvedValue({ Item: marshall({ ...profile, erased_at: '2024-01-15T10:30:00Z' }) }) };
+        const repository = new PersonalDataRepository({ dynamodb, tableName: 'test-table' });
+
+        await expect(repository.eraseUser('usr_driver')).rejects.toMatchObject({ statusCode: 409 });
+        expect(dynamodb.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('should clear a single pending erasure step', async () => {
+        const dynamodb = { send: jest.fn().mockResolvedValue({}) };
+        const repository = new PersonalDataRepository({ dynamodb, tableName: 'test-table' });
+
+        await repository.clearErasureStep('usr_driver', 'directory_disable');
+
+        const input = dynamodb.send.mock.calls[0][0].input;
+        expect(input.UpdateExpression).toBe('REMOVE erasure_pending.#step');
+        expect(input.ExpressionAttributeNames).toEqual({ '#step': 'directory_disable' });
+    });
+});
@@ -0,0 +1,27 @@
+// TIR Browser Platform - Phone Number Tests
+// Unit tests for country-aware E.164 normalization
+
+const { normalizePhoneNumber, isSupportedPhoneCountry } = require('../../src/services/phone-numbers');
+
+describe('normalizePhoneNumber', () => {
+    test('should normalize national and international formats to E.164', () => {
+        expect(normalizePhoneNumber('050 123 45 67', 'AZ')).toBe('+994501234567');
+        expect(normalizePhoneNumber('+994 (50) 123-45-67', 'AZ')).toBe('+994501234567');
+        expect(normalizePhoneNumber('00994501234567', 'AZ')).toBe('+994501234567');
+        expect(normalizePhoneNumber('0532 123 45 67', 'TR')).toBe('+905321234567');
+        expect(normalizePhoneNumber('8 701 123 45 67', 'KZ')).toBe('+77011234567');
+    });
+
+    test('should reject numbers of another country or with the wrong length', () => {
+        expect(normalizePhoneNumber('+905321234567', 'AZ')).toBeNull();
+        expect(normalizePhoneNumber('050 123 45', 'AZ')).toBeNull();
+        expect(normalizePhoneNumber('050-ABC-45-67', 'AZ')).toBeNull();
+        expect(normalizePhoneNumber(994501234567, 'AZ')).toBeNull();
+    });
+
+    test('should only validate numbers of supported countries', () => {
+        expect(isSupportedPhoneCountry('TR')).toBe(true);
+        expect(isSupportedPhoneCountry('XX')).toBe(false);
+        expect(normalizePhoneNumber('+994501234567', 'XX')).toBeNull();
+    });
+});
@@ -0,0 +1,34 @@
+// TIR Browser Platform - Provider Verification Tests
+// Unit tests for verification submission validation
+
+const { validateVerificationSubmission } = require('../../src/services/provider-verification');
+
+describe('validateVerificationSubmission', () => {
+    test('should accept a tax ID with certifications', () => {
+        expect(validateVerificationSubmission({
+            tax_id: 'TR-1234567890',
+            company_name: 'Anatolia Logistics',
+            certifications: [{ name: 'ISO 9001', number: 'QMS-2023-0042', issued_by: 'TUV Nord', valid_until: '2026-06-30' }]
+        })).toEqual([]);
+        expect(validateVerificationSubmission({ tax_id: '1234567890' })).toEqual([]);
+    });
+
+    test('should require a well-formed tax ID', () => {
+        expect(validateVerificationSubmission({})).toEqual(['tax_id must be 5-30 letters, digits or dashes']);
+        expect(validateVerificationSubmission({ tax_id: 'TR 123' })).toEqual(['tax_id must be 5-30 letters, digits or dashes']);
+    });
+
+    test('should reject incomplete certifications and unknown fields', () => {
+        expect(validateVerificationSubmission({
+            tax_id: '1234567890',
+            status: 'VERIFIED',
+            certifications: [{ name: 'ISO 9001', valid_until: '2026-02-30', scope: 'all' }, 'ISO 14001']
+        })).toEqual([
+            'status is not a verification field',
+            'certifications[0].scope is not a certification field',
+            'certifications[0].number is required',
+            'certifications[0].valid_until must be a date (YYYY-MM-DD)',
+            'certifications[1] must be an object'
+        ]);
+    });
+});
@@ -0,0 +1,30 @@
+// TIR Browser Platform - Role Definition Tests
+// Unit tests for role definition validation
+
+const { validateRoleDefinition } = require('../../src/services/roles');
+
+describe('validateRoleDefinition', () => {
+    test('should accept wildcard, plain and qualified permissions', () => {
+        expect(validateRoleDefinition({
+            role_name: 'fleet-manager',
+            description: 'Manages company drivers',
+            permissions: ['*', 'company:*', 'company:read', 'order:read:all']
+        }, { requireName: true })).toEqual([]);
+    });
+
+    test('should require a valid role name when creating', () => {
+        expect(validateRoleDefinition({ role_name: 'Fleet Manager', permissions: [] }, { requireName: true }))
+            .toEqual(['role_name must be 2-50 lower case letters, digits or dashes']);
+        expect(validateRoleDefinition({ permissions: [] })).toEqual([]);
+    });
+
+    test('should reject malformed permissions and unknown fields', () => {
+        expect(validateRoleDefinition({ permissions: ['company', 'company:read:all:now', 42], owner: 'me' })).toEqual([
+            'owner is not a role definition field',
+            'Invalid permission: company',
+            'Invalid permission: company:read:all:now',
+            'Invalid permission: 42'
+        ]);
+        expect(validateRoleDefinition({ description: 'x' })).toEqual(['permissions must be a list']);
+    });
+});
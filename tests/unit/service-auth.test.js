@@ -0,0 +1,385 @@
+// TIR Browser Platform - Service Authentication Tests
+// Unit tests for service token signing, secret rotation, asymmetric keys and per-route requirements and replay protection
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ServiceAuth, serviceAuth: sharedServiceAuth, requireServiceAuth } = require('../../src/middleware/auth');
+const { SigningKeyStore } = require('../../src/services/signing-keys');
+const { MemoryJtiStore, jtiStore } = require('../../src/services/replay-protection');
+const { tokenDenylist } = require('../../src/services/token-denylist');
+const { ClientCredentialsTokenSource } = require('../../src/services/client-credentials');
+const { ServiceClient } = require('../../src/services/service-client');
+
+/**
+ * Local Secrets Manager stand-in
+ * Keeps AWSCURRENT/AWSPREVIOUS version stages and supports rotation
+ */
+class LocalSecretsManager {
+    constructor(initialSecret) {
+        this.versions = [{ VersionId: 'v1', SecretString: initialSecret, CreatedDate: new Date() }];
+        this.send = jest.fn(async (command) => this.getSecretValue(command.input));
+    }
+
+    rotate(newSecret, createdDate = new Date()) {
+        const versionId = `v${this.versions.length + 1}`;
+        this.versions.push({ VersionId: versionId, SecretString: newSecret, CreatedDate: createdDate });
+    }
+
+    async getSecretValue({ VersionStage }) {
+        const index = VersionStage === 'AWSPREVIOUS' ? this.versions.length - 2 : this.versions.length - 1;
+        const version = this.versions[index];
+
+        if (!version) {
+            const error = new Error("Secrets Manager can't find the specified secret value for staging label: AWSPREVIOUS");
+            error.name = 'ResourceNotFoundException';
+            throw error;
+        }
+
+        return { ...version };
+    }
+}
+
+describe('ServiceAuth', () => {
+    let secretsClient;
+    let serviceAuth;
+
+    beforeEach(() => {
+        secretsClient = new LocalSecretsManager('secret-one');
+        serviceAuth = new ServiceAuth({ secretArn: 'arn:test', secretsClient, gracePeriod: 60 * 1000 });
+    });
+
+    afterEach(() => {
+        serviceAuth.stopScheduledRefresh();
+    });
+
+    test('should sign tokens with the current key id', async () => {
+        const token = await serviceAuth.generateToken('order-service');
+        const decoded = jwt.decode(token, { complete: true });
+
+        expect(decoded.header.kid).toBe('v1');
+        expect(decoded.payload.service).toBe('order-service');
+        expect(await serviceAuth.verifyToken(token)).toMatchObject({ service: 'order-service' });
+    });
+
+    test('should accept tokens without kid using the current key', async () => {
+        const legacyToken = jwt.sign({ service: 'order-service' }, 'secret-one');
+
+        expect(await serviceAuth.verifyToken(legacyToken)).toMatchObject({ service: 'order-service' });
+    });
+
+    test('should refresh keys when it sees an unknown kid', async () => {
+        const oldToken = await serviceAuth.generateToken('order-service');
+
+        // Another task already picked up the rotated secret
+        secretsClient.rotate('secret-two');
+        serviceAuth.lastRefresh = 0;
+        const newToken = jwt.sign({ service: 'driver-service' }, 'secret-two', { keyid: 'v2' });
+
+        expect(await serviceAuth.verifyToken(newToken)).toMatchObject({ service: 'driver-service' });
+        expect(await serviceAuth.verifyToken(oldToken)).toMatchObject({ service: 'order-service' });
+
+        const rotatedToken = await serviceAuth.generateToken('order-service');
+        expect(jwt.decode(rotatedToken, { complete: true }).header.kid).toBe('v2');
+    });
+
+    test('should reject previous key after the grace window', async () => {
+        const oldToken = await serviceAuth.generateToken('order-service');
+
+        secretsClient.rotate('secret-two', new Date(Date.now() - 2 * 60 * 1000));
+        await serviceAuth.refreshKeys();
+
+        expect(await serviceAuth.verifyToken(oldToken)).toBeNull();
+    });
+
+    test('should reject tokens signed with an unknown key', async () => {
+        await serviceAuth.refreshKeys();
+        const forgedToken = jwt.sign({ service: 'order-service' }, 'not-the-secret', { keyid: 'v9' });
+
+        expect(await serviceAuth.verifyToken(forgedToken)).toBeNull();
+    });
+});
+
+describe('ServiceAuth asymmetric modes', () => {
+    test('should sign RS256 tokens and publish the key in the JWKS', async () => {
+        const signingKeys = new SigningKeyStore({ algorithm: 'RS256' });
+        const serviceAuth = new ServiceAuth({ mode: 'asymmetric', signingKeys });
+
+        const token = await serviceAuth.generateToken('order-service', { audience: 'auth' });
+        const { header } = jwt.decode(token, { complete: true });
+        const jwks = await signingKeys.getJwks();
+
+        expect(header.alg).toBe('RS256');
+        expect(jwks.keys).toEqual([expect.objectContaining({ kid: header.kid, kty: 'RSA', alg: 'RS256', use: 'sig' })]);
+        expect(jwks.keys[0]).not.toHaveProperty('d');
+        expect(await serviceAuth.verifyToken(token)).toMatchObject({ service: 'order-service' });
+    });
+
+    test('should support ES256 keys', async () => {
+        const serviceAuth = new ServiceAuth({ mode: 'asymmetric', signingKeys: new SigningKeyStore({ algorithm: 'ES256' }) });
+
+        const token = await serviceAuth.generateToken('order-service');
+
+        expect(jwt.decode(token, { complete: true }).header.alg).toBe('ES256');
+        expect(await serviceAuth.verifyToken(token)).toMatchObject({ service: 'order-service' });
+    });
+
+    test('should sign with a rotated key after the scheduled refresh and keep publishing the previous one', async () => {
+        const keySecret = (kid) => JSON.stringify({
+            kid,
+            alg: 'ES256',
+            privateKey: crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey.export({ type: 'pkcs8', format: 'pem' })
+        });
+        const secretsClient = new LocalSecretsManager(keySecret('svc-1'));
+        const signingKeys = new SigningKeyStore({ secretArn: 'arn:keys', secretsClient, refreshInterval: 60 * 1000 });
+        jest.useFakeTimers();
+
+        try {
+            expect((await signingKeys.getActiveKey()).kid).toBe('svc-1');
+
+            secretsClient.rotate(keySecret('svc-2'));
+            await jest.advanceTimersByTimeAsync(60 * 1000);
+
+            expect((await signingKeys.getActiveKey()).kid).toBe('svc-2');
+            expect((await signingKeys.getJwks()).keys.map(key => key.kid)).toEqual(['svc-2', 'svc-1']);
+        } finally {
+            signingKeys.stopScheduledRefresh();
+            jest.useRealTimers();
+        }
+    });
+
+    test('should accept HS256 tokens only in hybrid mode', async () => {
+        const signingKeys = new SigningKeyStore();
+        const options = { secretArn: 'arn:test', secretsClient: new LocalSecretsManager('secret-one'), signingKeys };
+        const hybridAuth = new ServiceAuth({ ...options, mode: 'hybrid' });
+        const asymmetricAuth = new ServiceAuth({ ...options, mode: 'asymmetric' });
+        const legacyToken = jwt.sign({ service: 'order-service' }, 'secret-one');
+
+        expect(await hybridAuth.verifyToken(legacyToken)).toMatchObject({ service: 'order-service' });
+        expect(await asymmetricAuth.verifyToken(legacyToken)).toBeNull();
+
+        hybridAuth.stopScheduledRefresh();
+    });
+
+    test('should reject asymmetric tokens in shared-secret mode', async () => {
+        const signingKeys = new SigningKeyStore();
+        const issuer = new ServiceAuth({ mode: 'asymmetric', signingKeys });
+        const verifier = new ServiceAuth({ secretArn: 'arn:test', secretsClient: new LocalSecretsManager('secret-one'), signingKeys });
+
+        const token = await issuer.generateToken('order-service');
+
+        expect(await verifier.verifyToken(token)).toBeNull();
+    });
+});
+
+describe('requireServiceAuth', () => {
+    const localAuth = new ServiceAuth({ secretArn: 'arn:test', secretsClient: new LocalSecretsManager('secret-one') });
+
+    // Run the middleware against a fake request and capture the outcome
+    async function runMiddleware(middleware, token, request = {}) {
+        const req = { headers: { 'x-service-token': token }, path: '/test', originalUrl: '/test', method: 'GET', ...request };
+        const res = {
+            status: jest.fn(function (code) { this.statusCode = code; return this; }),
+            json: jest.fn(function (body) { this.body = body; return this; })
+        };
+        const next = jest.fn();
+
+        await middleware(req, res, next);
+        return { req, res, next };
+    }
+
+    beforeEach(() => {
+        jest.spyOn(sharedServiceAuth, 'verifyToken').mockImplementation(token => localAuth.verifyToken(token));
+        delete process.env.SERVICE_AUTH_ALLOWLIST;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        localAuth.stopScheduledRefresh();
+        delete process.env.SERVICE_AUTH_ALLOWLIST;
+    });
+
+    test('should accept a caller with the right audience and scope', async () => {
+        const token = await localAuth.generateToken('order-service', { audience: 'auth', scope: ['drivers:prioritize'] });
+        const middleware = requireServiceAuth({ services: ['order-service'], scopes: ['drivers:prioritize'] });
+
+        const { req, next } = await runMiddleware(middleware, token);
+
+        expect(next).toHaveBeenCalled();
+        expect(req.serviceContext.scopes).toEqual(['drivers:prioritize']);
+    });
+
+    test('should reject tokens addressed to another service', async () => {
+        const token = await localAuth.generateToken('order-service', { audience: 'pricing-service' });
+
+        const { res, next } = await runMiddleware(requireServiceAuth(), token);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(403);
+        expect(res.body.error).toBe('Invalid service token audience');
+    });
+
+    test('should reject callers the route does not accept', async () => {
+        const token = await localAuth.generateToken('pricing-service', { audience: 'auth', scope: ['drivers:prioritize'] });
+        const middleware = requireServiceAuth({ services: ['order-service'] });
+
+        const { res } = await runMiddleware(middleware, token);
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body.error).toBe('Calling service not allowed');
+    });
+
+    test('should drop scopes the allowlist does not grant', async () => {
+        process.env.SERVICE_AUTH_ALLOWLIST = JSON.stringify({ 'order-service': [] });
+        const token = await localAuth.generateToken('order-service', { audience: 'auth', scope: ['drivers:prioritize'] });
+        const middleware = requireServiceAuth({ scopes: ['drivers:prioritize'] });
+
+        const { res } = await runMiddleware(middleware, token);
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body.missingScopes).toEqual(['drivers:prioritize']);
+    });
+
+    test('should grant no scopes for allowlist entries that are not arrays', async () => {
+        process.env.SERVICE_AUTH_ALLOWLIST = JSON.stringify({ 'order-service': 'drivers:prioritize' });
+        const token = await localAuth.generateToken('order-service', { audience: 'auth', scope: ['drivers:prioritize'] });
+
+        const { res } = await runMiddleware(requireServiceAuth({ scopes: ['drivers:prioritize'] }), token);
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body.missingScopes).toEqual(['drivers:prioritize']);
+    });
+
+    test.each([
+        ['denylist', () => jest.spyOn(tokenDenylist, 'isRevoked')],
+        ['replay store', () => jest.spyOn(jtiStore, 'markSeen')]
+    ])('should answer 503 when the %s is unavailable', async (_, spy) => {
+        spy().mockRejectedValue(new Error('DynamoDB unavailable'));
+        const token = await localAuth.generateToken('order-service', { audience: 'auth' });
+
+        const { res, next } = await runMiddleware(requireServiceAuth({ rejectReplay: true }), token);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(503);
+        expect(res.body.error).toBe('Unable to verify service token');
+    });
+
+    test('should reject a token used twice when replay protection is on', async () => {
+        const token = await localAuth.generateToken('order-service', { audience: 'auth' });
+        const middleware = requireServiceAuth({ rejectReplay: true });
+
+        const first = await runMiddleware(middleware, token);
+        const second = await runMiddleware(middleware, token);
+
+        expect(first.next).toHaveBeenCalled();
+        expect(second.next).not.toHaveBeenCalled();
+        expect(second.res.statusCode).toBe(401);
+        expect(second.res.body.error).toBe('Service token already used');
+    });
+
+    test('should not accept a self-signed token again on another request', async () => {
+        const token = await localAuth.generateToken('order-service', { audience: 'auth' });
+        const middleware = requireServiceAuth({ rejectReplay: true });
+
+        const first = await runMiddleware(middleware, token, { originalUrl: '/api/drivers/prioritization/ORD-000001' });
+        const other = await runMiddleware(middleware, token, { originalUrl: '/api/drivers/prioritization/ORD-000002' });
+
+        expect(first.next).toHaveBeenCalled();
+        expect(other.next).not.toHaveBeenCalled();
+        expect(other.res.statusCode).toBe(401);
+    });
+
+    test('should accept a cached client-credentials token once per request when replay protection is on', async () => {
+        const fetch = jest.fn(async () => ({
+            ok: true,
+            status: 200,
+            json: async () => ({
+                access_token: await localAuth.generateToken('order-service', { audience: 'auth', clientId: 'order-service-prod' }),
+                expires_in: 300
+            })
+        }));
+        const tokenSource = new ClientCredentialsTokenSource({ clientId: 'order-service-prod', clientSecret: 'secret', fetch });
+        const middleware = requireServiceAuth({ rejectReplay: true });
+
+        const token = await tokenSource.getToken({ audience: 'auth' });
+        const cachedToken = await tokenSource.getToken({ audience: 'auth' });
+        const first = await runMiddleware(middleware, token, { originalUrl: '/api/drivers/prioritization/ORD-000001' });
+        const second = await runMiddleware(middleware, cachedToken, { originalUrl: '/api/drivers/prioritization/ORD-000002' });
+        const replayed = await runMiddleware(middleware, cachedToken, { originalUrl: '/api/drivers/prioritization/ORD-000001' });
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(cachedToken).toBe(token);
+        expect(first.next).toHaveBeenCalled();
+        expect(second.next).toHaveBeenCalled();
+        expect(replayed.res.statusCode).toBe(401);
+    });
+
+    test('should retry a rejected client-credentials call once with a new token', async () => {
+        const tokenSource = { getToken: jest.fn().mockResolvedValueOnce('cached').mockResolvedValueOnce('fresh'), clear: jest.fn() };
+        const client = new ServiceClient('order-service', 'http://order-service:3000', { tokenMode: 'client-credentials', tokenSource });
+        jest.spyOn(global, 'fetch')
+            .mockResolvedValueOnce({ ok: false, status: 401, statusText: 'Unauthorized', json: async () => ({ error: 'Service token already used' }) })
+            .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ ok: true }), headers: new Map() });
+
+        const response = await client.get('/api/orders');
+
+        expect(tokenSource.clear).toHaveBeenCalled();
+        expect(global.fetch.mock.calls[1][1].headers['X-Service-Token']).toBe('fresh');
+        expect(response.data).toEqual({ ok: true });
+    });
+
+    test('should accept a token bound to the request', async () => {
+        const body = JSON.stringify({ driverId: 'D1' });
+        const token = await localAuth.generateToken('order-service', {
+            audience: 'auth',
+            request: { method: 'POST', path: '/api/drivers?x=1', body }
+        });
+        const request = { method: 'POST', originalUrl: '/api/drivers?x=1', rawBody: Buffer.from(body) };
+
+        const { next } = await runMiddleware(requireServiceAuth({ requireRequestBinding: true }), token, request);
+
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject a bound token presented with another request', async () => {
+        const token = await localAuth.generateToken('order-service', {
+            audience: 'auth',
+            request: { method: 'POST', path: '/api/drivers', body: '{"driverId":"D1"}' }
+        });
+        const request = { method: 'POST', originalUrl: '/api/drivers', rawBody: Buffer.from('{"driverId":"D2"}') };
+
+        const { res } = await runMiddleware(requireServiceAuth(), token, request);
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body.error).toBe('Service token not valid for this request');
+    });
+
+    test('should reject unbound tokens when binding is required', async () => {
+        const token = await localAuth.generateToken('order-service', { audience: 'auth' });
+
+        const { res } = await runMiddleware(requireServiceAuth({ requireRequestBinding: true }), token);
+
+        expect(res.statusCode).toBe(403);
+    });
+});
+
+describe('MemoryJtiStore', () => {
+    test('should report replays until the token expires', async () => {
+        const store = new MemoryJtiStore();
+
+        expect(await store.markSeen('a', Date.now() + 60000)).toBe(true);
+        expect(await store.markSeen('a', Date.now() + 60000)).toBe(false);
+        expect(await store.markSeen('b', Date.now() - 1)).toBe(true);
+        expect(await store.markSeen('b', Date.now() - 1)).toBe(true);
+    });
+
+    test('should stay within its size bound', async () => {
+        const store = new MemoryJtiStore({ maxEntries: 2 });
+
+        await store.markSeen('a', Date.now() + 60000);
+        await store.markSeen('b', Date.now() + 60000);
+        await store.markSeen('c', Date.now() + 60000);
+
+        expect(store.entries.size).toBe(2);
+        expect(store.entries.has('a')).toBe(false);
+    });
+});
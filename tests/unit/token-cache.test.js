@@ -0,0 +1,80 @@
+// TIR Browser Platform - Token Cache Tests
+// Unit tests for the bounded, hashed user token cache
+
+const { TokenCache, hashToken } = require('../../src/services/token-cache');
+const metricsService = require('../../src/services/metrics');
+
+describe('TokenCache', () => {
+    const inFiveMinutes = () => Date.now() + 5 * 60 * 1000;
+    let config;
+
+    function createCache(options = {}) {
+        return new TokenCache({ configService: { get: async (key) => config[key] }, ...options });
+    }
+
+    beforeEach(() => {
+        config = {};
+        jest.spyOn(metricsService, 'recordTokenCacheEvent');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should key entries by token hash', () => {
+        const cache = createCache();
+        cache.set('raw-token', { user: { id: 'u1' } }, inFiveMinutes());
+
+        expect([...cache.entries.keys()]).toEqual([hashToken('raw-token')]);
+        expect(cache.get('raw-token')).toEqual({ user: { id: 'u1' } });
+        expect(metricsService.recordTokenCacheEvent).toHaveBeenCalledWith('hit');
+    });
+
+    test('should treat expired entries as misses', () => {
+        const cache = createCache();
+        cache.set('raw-token', { user: { id: 'u1' } }, Date.now() - 1);
+
+        expect(cache.get('raw-token')).toBeNull();
+        expect(cache.size).toBe(0);
+        expect(metricsService.recordTokenCacheEvent).toHaveBeenCalledWith('miss');
+    });
+
+    test('should evict the least recently used entry', () => {
+        const cache = createCache({ maxEntries: 2 });
+        cache.set('a', { user: { id: 'a' } }, inFiveMinutes());
+        cache.set('b', { user: { id: 'b' } }, inFiveMinutes());
+        cache.get('a');
+        cache.set('c', { user: { id: 'c' } }, inFiveMinutes());
+
+        expect(cache.get('a')).not.toBeNull();
+        expect(cache.get('b')).toBeNull();
+        expect(metricsService.recordTokenCacheEvent).toHaveBeenCalledWith('eviction');
+    });
+
+    test('should invalidate tokens and users', () => {
+        const cache = createCache();
+        cache.set('a1', { user: { id: 'a' } }, inFiveMinutes());
+        cache.set('a2', { user: { id: 'a' } }, inFiveMinutes());
+        cache.set('b1', { user: { id: 'b' } }, inFiveMinutes());
+
+        expect(cache.delete('b1')).toBe(true);
+        expect(cache.deleteWhere(cached => cached.user.id === 'a')).toBe(2);
+        expect(cache.size).toBe(0);
+    });
+
+    test('should apply size and TTL from the config service', async () => {
+        config = { TOKEN_CACHE_MAX_ENTRIES: '1', TOKEN_CACHE_TTL_MS: '1000' };
+        const cache = createCache();
+        cache.set('a', { user: { id: 'a' } }, inFiveMinutes());
+        cache.set('b', { user: { id: 'b' } }, inFiveMinutes());
+
+        cache.get('a');
+        await new Promise(resolve => setImmediate(resolve));
+        cache.set('c', { user: { id: 'c' } }, inFiveMinutes());
+
+        expect(cache.maxEntries).toBe(1);
+        expect(cache.ttl).toBe(1000);
+        expect(cache.size).toBe(1);
+        expect(cache.entries.get(hashToken('c')).expiresAt).toBeLessThanOrEqual(Date.now() + 1000);
+    });
+});
@@ -0,0 +1,56 @@
+// TIR Browser Platform - Token Denylist Tests
+// Unit tests for token and subject revocation
+
+const { TokenDenylist, MemoryDenylistStore, getTokenKey } = require('../../src/services/token-denylist');
+
+describe('TokenDenylist', () => {
+    const nowSeconds = () => Math.floor(Date.now() / 1000);
+    let denylist;
+
+    beforeEach(() => {
+        denylist = new TokenDenylist(new MemoryDenylistStore());
+    });
+
+    test('should revoke a token by jti', async () => {
+        const claims = { jti: 'abc', sub: 'user-1', iat: nowSeconds(), exp: nowSeconds() + 60 };
+
+        expect(await denylist.isRevoked('token-a', claims)).toBe(false);
+        await denylist.revokeToken('token-a', claims);
+
+        expect(await denylist.isRevoked('token-a', claims)).toBe(true);
+        expect(await denylist.isRevoked('token-b', { ...claims, jti: 'def' })).toBe(false);
+    });
+
+    test('should key tokens without jti by their hash', async () => {
+        const claims = { service: 'order-service', iat: nowSeconds(), exp: nowSeconds() + 60 };
+
+        expect(getTokenKey('token-a', claims)).toMatch(/^sha256:[0-9a-f]{64}$/);
+        await denylist.revokeToken('token-a', claims);
+
+        expect(await denylist.isRevoked('token-a', claims)).toBe(true);
+        expect(await denylist.isRevoked('token-b', claims)).toBe(false);
+    });
+
+    test('should revoke tokens issued to a subject before the revocation', async () => {
+        const oldClaims = { sub: 'user-1', iat: nowSeconds() - 10 };
+        await denylist.revokeSubject('user-1');
+        const newClaims = { sub: 'user-1', iat: nowSeconds() + 10 };
+
+        expect(await denylist.isRevoked('old', oldClaims)).toBe(true);
+        expect(await denylist.isRevoked('new', newClaims)).toBe(false);
+        expect(await denylist.isRevoked('other', { sub: 'user-2', iat: nowSeconds() - 10 })).toBe(false);
+    });
+
+    test('should revoke service subjects', async () => {
+        await denylist.revokeSubject('service:order-service');
+
+        expect(await denylist.isRevoked('t', { service: 'order-service', iat: nowSeconds() - 1 })).toBe(true);
+    });
+
+    test('should forget revocations once the token has expired', async () => {
+        const claims = { jti: 'abc', exp: nowSeconds() - 1 };
+        await denylist.revokeToken('token-a', claims);
+
+        expect(await denylist.isRevoked('token-a', claims)).toBe(false);
+    });
+});
@@ -0,0 +1,40 @@
+// TIR Browser Platform - User Directory Tests
+// Unit tests for the Cognito adapter and its local stand-in
+
+const { CognitoUserDirectory, LocalUserDirectory } = require('../../src/services/user-directory');
+
+describe('CognitoUserDirectory', () => {
+    test('should disable the user and sign out all sessions', async () => {
+        const client = { send: jest.fn().mockResolvedValue({}) };
+        const directory = new CognitoUserDirectory({ client, userPoolId: 'eu-central-1_abc123' });
+
+        await directory.disableUser('cognito-uuid');
+
+        expect(client.send.mock.calls.map(([command]) => command.constructor.name)).toEqual([
+            'AdminDisableUserCommand',
+            'AdminUserGlobalSignOutCommand'
+        ]);
+        expect(client.send.mock.calls[0][0].input).toEqual({ UserPoolId: 'eu-central-1_abc123', Username: 'cognito-uuid' });
+    });
+
+    test('should enable the user', async () => {
+        const client = { send: jest.fn().mockResolvedValue({}) };
+        const directory = new CognitoUserDirectory({ client, userPoolId: 'eu-central-1_abc123' });
+
+        await directory.enableUser('cognito-uuid');
+
+        expect(client.send.mock.calls[0][0].constructor.name).toBe('AdminEnableUserCommand');
+    });
+});
+
+describe('LocalUserDirectory', () => {
+    test('should track disabled users', async () => {
+        const directory = new LocalUserDirectory();
+
+        await directory.disableUser('sub-1');
+        expect(directory.isDisabled('sub-1')).toBe(true);
+
+        await directory.enableUser('sub-1');
+        expect(directory.isDisabled('sub-1')).toBe(false);
+    });
+});
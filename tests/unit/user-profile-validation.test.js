@@ -0,0 +1,66 @@
+// TIR Browser Platform - User Profile Validation Tests
+// Unit tests for per-user_type profile_data rules
+
+const { validateProfileData, assertValidProfileData } = require('../../src/services/user-profile-validation');
+
+describe('validateProfileData', () => {
+    test('should accept a complete driver profile', () => {
+        expect(validateProfileData('DRIVER', {
+            full_name: 'John Doe',
+            phone: '+994501234567',
+            license_number: 'DL123456'
+        })).toEqual([]);
+    });
+
+    test('should require mandatory fields on full profiles only', () => {
+        expect(validateProfileData('DRIVER', { full_name: 'John Doe' })).toEqual([
+            'phone is required',
+            'license_number is required'
+        ]);
+        expect(validateProfileData('DRIVER', { full_name: 'John Doe' }, { partial: true })).toEqual([]);
+    });
+
+    test('should reject fields of other user types', () => {
+        expect(validateProfileData('PROVIDER', { license_number: 'DL1' }, { partial: true }))
+            .toEqual(['license_number is not a PROVIDER profile field']);
+    });
+
+    test('should reserve admin-only fields for administrators', () => {
+        const data = { business_verification: 'VERIFIED' };
+
+        expect(validateProfileData('PROVIDER', data, { partial: true }))
+            .toEqual(['business_verification can only be changed by an administrator']);
+        expect(validateProfileData('PROVIDER', data, { partial: true, admin: true })).toEqual([]);
+        expect(validateProfileData('PROVIDER', { business_verification: 'MAYBE' }, { partial: true, admin: true }))
+            .toEqual(['business_verification must be one of PENDING, IN_REVIEW, VERIFIED, REJECTED']);
+    });
+
+    test('should require well-formed platform IDs', () => {
+        expect(validateProfileData('DRIVER', { driver_id: 'D-AZ-240115-X7Y8TU' }, { partial: true, admin: true })).toEqual([]);
+        expect(validateProfileData('PROVIDER', { provider_id: 'D-AZ-240115-X7Y8TU' }, { partial: true, admin: true }))
+            .toEqual(['provider_id must be a valid PROVIDER ID']);
+    });
+
+    test('should allow clearing optional fields but not required ones', () => {
+        expect(validateProfileData('INTERNAL', { department: null }, { partial: true })).toEqual([]);
+        expect(validateProfileData('INTERNAL', { full_name: null }, { partial: true }))
+            .toEqual(['full_name must be a non-empty string']);
+    });
+
+    test('should check names and phone numbers against the profile country', () => {
+        expect(validateProfileData('DRIVER', { full_name: 'R2-D2', phone: '+905321234567' }, { partial: true, country: 'AZ' }))
+            .toEqual([
+                'full_name must contain only letters, spaces, apostrophes, hyphens and periods',
+                'phone must be a valid AZ phone number'
+            ]);
+        expect(validateProfileData('PROVIDER', { phone: '050 123 45 67' }, { partial: true }))
+            .toEqual(['phone must be in E.164 format, e.g. +994501234567']);
+        expect(assertValidProfileData('PROVIDER', { full_name: " Leyla  O'Neil ", phone: '050 123 45 67' }, { partial: true, country: 'AZ' }))
+            .toEqual({ full_name: "Leyla O'Neil", phone: '+994501234567' });
+    });
+
+    test('should reject unknown user types and non-object data', () => {
+        expect(validateProfileData('ROBOT', {})).toEqual(['Unknown user_type: ROBOT']);
+        expect(validateProfileData('DRIVER', ['x'])).toEqual(['profile_data must be an object']);
+    });
+});
@@ -0,0 +1,55 @@
+// TIR Browser Platform - User Repository Tests
+// Unit tests for the onboarding transaction and its uniqueness checks
+
+const { marshall } = require('@aws-sdk/util-dynamodb');
+const { UserRepository } = require('../../src/services/users');
+
+describe('UserRepository.createUser', () => {
+    const profile = {
+        userId: 'usr_new',
+        cognitoSub: 'sub-new',
+        userType: 'DRIVER',
+        country: 'AZ',
+        profileData: { full_name: 'Ali Aliyev', phone: '+994507654321', license_number: 'DL1' }
+    };
+
+    const cancelled = (codes) => Object.assign(new Error('Transaction cancelled'), {
+        name: 'TransactionCanceledException',
+        CancellationReasons: codes.map(Code => ({ Code }))
+    });
+
+    test('should write the profile, Cognito and phone reservations in one transaction', async () => {
+        const dynamodb = { send: jest.fn().mockResolvedValue({}) };
+        const repository = new UserRepository({ dynamodb, tableName: 'test-table' });
+
+        const user = await repository.createUser(profile, { createdBy: 'usr_new' });
+
+        const [profilePut, cognitoPut, phonePut] = dynamodb.send.mock.calls[0][0].input.TransactItems.map(item => item.Put);
+        expect(profilePut.Item).toMatchObject(marshall({
+            PK: 'USER#usr_new',
+            SK: 'PROFILE#main',
+            GSI1PK: 'COGNITO#sub-new',
+            GSI1SK: 'USER#usr_new',
+            GSI2PK: 'DRIVER#AZ',
+            GSI2SK: 'ACTIVE#USER#usr_new'
+        }));
+        expect(cognitoPut.Item).toMatchObject(marshall({ PK: 'COGNITO#sub-new', SK: 'RESERVATION#main' }));
+        expect(phonePut.Item).toMatchObject(marshall({ PK: 'PHONE#+994507654321', user_id: 'usr_new' }));
+        [profilePut, cognitoPut, phonePut].forEach(put => expect(put.ConditionExpression).toBe('attribute_not_exists(PK)'));
+        expect(user).toMatchObject({ userId: 'usr_new', status: 'ACTIVE', country: 'AZ' });
+    });
+
+    test('should report which uniqueness check failed', async () => {
+        const dynamodb = {
+            send: jest.fn()
+                .mockRejectedValueOnce(cancelled(['None', 'None', 'ConditionalCheckFailed']))
+                .mockRejectedValueOnce(cancelled(['None', 'ConditionalCheckFailed', 'ConditionalCheckFailed']))
+        };
+        const repository = new UserRepository({ dynamodb, tableName: 'test-table' });
+
+        await expect(repository.createUser(profile))
+            .rejects.toMatchObject({ statusCode: 409, message: 'Phone number already registered' });
+        await expect(repository.createUser(profile))
+            .rejects.toMatchObject({ statusCode: 409, message: 'User already has a profile' });
+    });
+});